@@ -1,9 +1,60 @@
+import { Algorithm } from 'jsonwebtoken';
 import { UserEntity } from '@advanced-rest-client/backend-models';
 
+export {
+  SigningKey, VerificationKey, JsonWebKey, JsonWebKeySet,
+  getSigningKey, getVerificationKeys, findVerificationKey, getJwks, resetKeys,
+} from './keys';
+
+/**
+ * Scopes used before the `resource:action` scopes were introduced.
+ * These are still accepted and mapped to the corresponding `resource:action` scope.
+ */
+export declare const defaultScopes: string[];
+
+/**
+ * The map of legacy scopes to the `resource:action` scopes.
+ */
+export declare const legacyScopes: Record<string, string>;
+
+/**
+ * The map of resources of the ARC API platform to the list of actions allowed on the resource.
+ * A scope is a `resource:action` pair. The `*` wildcard matches any resource or any action.
+ */
+export declare const scopeResources: Record<string, string[]>;
+
+/**
+ * Resources that require administrator rights. These are not matched by the `*` resource
+ * wildcard so a token has to be explicitly granted access to them.
+ */
+export declare const adminResources: string[];
+
+export declare interface ParsedScope {
+  /**
+   * The resource name or `*` for any resource.
+   */
+  resource: string;
+  /**
+   * The action name or `*` for any action.
+   */
+  action: string;
+}
+
+/**
+ * The key and the algorithm used to verify a token.
+ */
+export declare interface VerifyOptions {
+  key: string;
+  algorithms: Algorithm[];
+}
+
 /**
- * List of supported in the ARC API platform scopes.
+ * The organization and the component of the resource accessed with a token.
  */
-export declare const scopes: string[];
+export declare interface ResourceContext {
+  org?: string;
+  component?: string;
+}
 
 export declare interface TokenCreateInfo {
   /**
@@ -11,9 +62,18 @@ export declare interface TokenCreateInfo {
    */
   scopes: string[];
   /**
-   * Describes when the token expires.
+   * Describes when the token expires. Either a number of seconds or a duration like `1d`.
+   * See `parseDuration()` for the supported units.
    */
-  expires?: string;
+  expires?: string|number;
+  /**
+   * When set the token can only access resources of these organizations.
+   */
+  orgs?: string[];
+  /**
+   * When set the token can only access resources of these components.
+   */
+  components?: string[];
 }
 
 /**
@@ -41,15 +101,35 @@ export declare interface TokenInfo {
    * Token issuer.
    */
   iss: string;
+  /**
+   * The organizations the token is limited to.
+   */
+  orgs?: string[];
+  /**
+   * The components the token is limited to.
+   */
+  components?: string[];
 }
 
+/**
+ * Reads the token lifetime.
+ * The value is either a number of seconds or a string with a number and a unit:
+ * `s` (seconds), `m` (minutes), `h` (hours), `d` (days), `w` (weeks), `M` (30 days months),
+ * and `y` (365 days years), e.g. `15m`, `1d`, or `2y`.
+ *
+ * @param value The lifetime of the token
+ * @returns The number of seconds or null when the value is invalid.
+ */
+export declare function parseDuration(value: string|number): number|null;
+
 /**
  * Generates a new JWT.
  * @param user Session user object
  * @param createInfo Create options
  * @return Generated token.
+ * @throws {Error} When the token lifetime is invalid or the token can't be signed.
  */
-export declare function generateToken(user: UserEntity, createInfo: TokenCreateInfo): string;
+export declare function generateToken(user: UserEntity, createInfo: TokenCreateInfo): Promise<string>;
 
 /**
  * Verifies whether the token is valid for the session.
@@ -59,34 +139,64 @@ export declare function generateToken(user: UserEntity, createInfo: TokenCreateI
 export declare function verifyToken(token: string): Promise<TokenInfo>;
 
 /**
- * Synchronously validates the token
- * @param token User token.
- * @returns Token info object.
+ * Parses a scope into the resource and the action.
+ * Legacy scopes are mapped to the corresponding `resource:action` scope.
+ *
+ * @param scope The scope to parse
+ * @returns The parsed scope or null when the scope is invalid.
+ */
+export function parseScope(scope: string): ParsedScope|null;
+
+/**
+ * Maps a legacy scope to the `resource:action` scope.
+ * @param scope The scope to normalize
+ * @returns The `resource:action` scope or null when the scope is invalid.
  */
-export function verifyTokenSync(token: string): TokenInfo;
+export function normalizeScope(scope: string): string|null;
+
+/**
+ * Checks whether a granted scope allows an operation that requires the other scope.
+ * The `*` wildcard in the granted scope matches any resource or action, except for
+ * the administrative resources.
+ *
+ * @param granted The scope the token has
+ * @param required The scope required by the operation
+ * @returns True when the granted scope matches the required scope.
+ */
+export function scopeMatches(granted: string, required: string): boolean;
 
 /**
  * Checks whether the token has required scope.
  * @param token Token info object
  * @param required A scope that should be in the list of scopes.
- * @returns True when the `required` scope is in the list of scopes.
+ * @returns True when one of the token scopes matches the `required` scope.
  */
 export function hasScope(token: object, required: string): boolean;
 
 /**
  * Checks whether the given scope is a valid in the ARC API platform scope.
  * @param scope Scope to test
- * @returns True if the scope is one of the supported scopes.
+ * @returns True if the scope is a valid `resource:action` or a legacy scope.
  */
 export function isValidScope(scope: string): boolean;
 
 /**
  * Checks whether the given scopes are valid in the ARC API platform scope.
  * @param userScopes Scopes to test
- * @returns True if all scopes is one of the supported scopes.
+ * @returns True if all scopes are valid.
  */
 export function areScopesValid(userScopes: string[]): boolean;
 
+/**
+ * Checks whether the token can access a resource of an organization or a component.
+ * Tokens without the `orgs` and `components` claims can access all resources.
+ *
+ * @param token Token info object
+ * @param resource The organization and the component of the resource.
+ * @returns True when the token is not limited to other organizations or components.
+ */
+export function isResourceAllowed(token: TokenInfo, resource: ResourceContext): boolean;
+
 /**
  * Checks whether a token expired.
  * @param token Token info object
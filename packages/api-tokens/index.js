@@ -1,10 +1,20 @@
 import jwt from 'jsonwebtoken';
 import config from '@advanced-rest-client/backend-config';
+import { getSigningKey, findVerificationKey } from './keys.js';
+
+export { getSigningKey, getVerificationKeys, findVerificationKey, getJwks, resetKeys } from './keys.js';
 
 /** @typedef {import('@advanced-rest-client/backend-models').UserEntity} UserEntity */
 /** @typedef {import('./index').TokenCreateInfo} TokenCreateInfo */
 /** @typedef {import('./index').TokenInfo} TokenInfo */
+/** @typedef {import('./index').ParsedScope} ParsedScope */
+/** @typedef {import('./index').ResourceContext} ResourceContext */
+/** @typedef {import('./index').VerifyOptions} VerifyOptions */
 
+/**
+ * Scopes used before the `resource:action` scopes were introduced.
+ * These are still accepted and mapped to the corresponding `resource:action` scope.
+ */
 export const defaultScopes = [
   'all',
   'create-test',
@@ -12,38 +22,211 @@ export const defaultScopes = [
   'create-message',
   'delete-message',
   'schedule-component-build',
+  'publish-component',
+  'run-test',
+  'create-coverage',
+  'delete-coverage',
 ];
+
+/**
+ * The map of legacy scopes to the `resource:action` scopes.
+ */
+export const legacyScopes = {
+  'all': '*:*',
+  'create-test': 'tests:write',
+  'delete-test': 'tests:delete',
+  'create-message': 'messages:write',
+  'delete-message': 'messages:delete',
+  'schedule-component-build': 'builds:write',
+  'publish-component': 'components:publish',
+  'run-test': 'tests:run',
+  'create-coverage': 'coverage:write',
+  'delete-coverage': 'coverage:delete',
+};
+
+/**
+ * The map of resources of the ARC API platform to the list of actions allowed on the resource.
+ * A scope is a `resource:action` pair. The `*` wildcard matches any resource or any action.
+ */
+export const scopeResources = {
+  tests: ['read', 'write', 'delete', 'run'],
+  messages: ['read', 'write', 'delete'],
+  builds: ['read', 'write'],
+  components: ['read', 'publish'],
+  coverage: ['read', 'write', 'delete'],
+  users: ['read', 'write', 'delete'],
+  registry: ['read', 'write', 'delete'],
+};
+
+/**
+ * Resources that require administrator rights. These are not matched by the `*` resource
+ * wildcard so a token has to be explicitly granted access to them.
+ */
+export const adminResources = ['users', 'registry'];
 const tokenIssuer = 'urn:arc-ci';
 
+/**
+ * The number of seconds of the units of a token lifetime.
+ */
+const durationUnits = {
+  s: 1,
+  m: 60,
+  h: 60 * 60,
+  d: 24 * 60 * 60,
+  w: 7 * 24 * 60 * 60,
+  M: 30 * 24 * 60 * 60,
+  y: 365 * 24 * 60 * 60,
+};
+
+/**
+ * Reads the token lifetime.
+ * The value is either a number of seconds or a string with a number and a unit:
+ * `s` (seconds), `m` (minutes), `h` (hours), `d` (days), `w` (weeks), `M` (30 days months),
+ * and `y` (365 days years), e.g. `15m`, `1d`, or `2y`.
+ *
+ * @param {string|number} value The lifetime of the token
+ * @return {number|null} The number of seconds or null when the value is invalid.
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value > 0 ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = value.trim().match(/^(\d+)\s*([smhdwMy]?)$/);
+  if (!match) {
+    return null;
+  }
+  const amount = Number(match[1]);
+  if (!amount) {
+    return null;
+  }
+  return amount * (durationUnits[match[2] || 's']);
+}
+
 /**
  * Generates a new JWT.
  * @param {UserEntity} user Session user object
  * @param {TokenCreateInfo} createInfo Create options
- * @return {string} Generated token.
+ * @return {Promise<string>} Generated token.
+ * @throws {Error} When the token lifetime is invalid or the token can't be signed.
  */
-export function generateToken(user, createInfo) {
+export async function generateToken(user, createInfo) {
   const secret = config.get('SECRET');
   const data = {
     uid: user.id,
     scopes: createInfo.scopes,
   };
-  const opts = {
+  if (Array.isArray(createInfo.orgs) && createInfo.orgs.length) {
+    data.orgs = createInfo.orgs;
+  }
+  if (Array.isArray(createInfo.components) && createInfo.components.length) {
+    data.components = createInfo.components;
+  }
+  const opts = /** @type jwt.SignOptions */ ({
     issuer: tokenIssuer,
-  };
+  });
   if (createInfo.expires) {
-    opts.expiresIn = createInfo.expires;
+    const seconds = parseDuration(createInfo.expires);
+    if (!seconds) {
+      throw new Error(`Invalid token lifetime: ${createInfo.expires}.`);
+    }
+    opts.expiresIn = seconds;
+  }
+  const key = await getSigningKey();
+  if (key) {
+    opts.algorithm = key.alg;
+    opts.keyid = key.kid;
+    return jwt.sign(data, key.privateKey, opts);
+  }
+  if (!isSecretAccepted()) {
+    throw new Error('Token signing key is not configured');
   }
   return jwt.sign(data, secret, opts);
 }
 
+/**
+ * Reads the header of a token.
+ * @param {string} token User token.
+ * @return {jwt.JwtHeader}
+ * @throws {Error} When the token is malformed.
+ */
+function readTokenHeader(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || typeof decoded === 'string') {
+    throw new Error('Malformed token');
+  }
+  return decoded.header;
+}
+
+/**
+ * @param {jwt.JwtHeader} header The token header
+ * @return {boolean} True when the token is signed with the `SECRET`.
+ */
+function isSecretSigned(header) {
+  return header.alg === 'HS256' && !header.kid;
+}
+
+/**
+ * Tokens signed with the `SECRET` are accepted unless the `TOKEN_SECRET_VERIFICATION`
+ * configuration option is set to `false`. The option is turned off when all tokens signed
+ * with the `SECRET` are replaced with tokens signed with a signing key.
+ *
+ * @return {boolean} True when tokens signed with the `SECRET` are accepted.
+ */
+function isSecretAccepted() {
+  const value = config.get('TOKEN_SECRET_VERIFICATION');
+  return value !== false && String(value) !== 'false';
+}
+
+/**
+ * @return {VerifyOptions} The options to verify a token signed with the `SECRET`.
+ */
+function secretVerifyOptions() {
+  return {
+    key: config.get('SECRET'),
+    algorithms: ['HS256'],
+  };
+}
+
+/**
+ * Selects the key to verify the token with.
+ * Tokens signed with a signing key have the `kid` header with the id of one of the verification keys.
+ * Tokens without the key id are verified with the `SECRET`, unless the `SECRET` verification is turned off.
+ *
+ * @param {string} token User token.
+ * @return {Promise<VerifyOptions>} The key and the algorithm to verify the token with.
+ * @throws {Error} When the token is malformed or the signing key is unknown.
+ */
+async function readVerifyOptions(token) {
+  const header = readTokenHeader(token);
+  if (isSecretSigned(header)) {
+    if (!isSecretAccepted()) {
+      throw new Error('Token signing key is no longer accepted');
+    }
+    return secretVerifyOptions();
+  }
+  const { alg, kid } = header;
+  const key = kid ? await findVerificationKey(kid) : undefined;
+  if (!key || key.alg !== alg) {
+    throw new Error('Token signing key is unknown');
+  }
+  return {
+    key: key.publicKey,
+    algorithms: [key.alg],
+  };
+}
+
 /**
  * Verifies whether the token is valid for the session.
  * @param {string} token User token.
  * @return {Promise<TokenInfo>} Token info object.
  */
-export function verifyToken(token) {
+export async function verifyToken(token) {
+  const { key, algorithms } = await readVerifyOptions(token);
   return new Promise((resolve, reject) => {
-    jwt.verify(token, config.get('SECRET'), (err, decoded) => {
+    jwt.verify(token, key, { algorithms }, (err, decoded) => {
       if (err) {
         let msg;
         switch (err.message) {
@@ -54,7 +237,7 @@ export function verifyToken(token) {
             msg = 'Token issuer (source) is invalid';
             break;
           case 'jwt expired':
-            msg = `Token expired at ${err.expiredAt}`;
+            msg = `Token expired at ${/** @type jwt.TokenExpiredError */ (err).expiredAt}`;
             break;
           case 'jwt signature is required':
           case 'invalid signature':
@@ -74,49 +257,133 @@ export function verifyToken(token) {
       } else if (!decoded) {
         reject(new Error('Token is invalid'));
       } else {
-        resolve(decoded);
+        resolve(/** @type TokenInfo */ (decoded));
       }
     });
   });
 }
 
 /**
- * Synchronously validates the token
- * @param {string} token User token.
- * @return {TokenInfo} Token info object.
+ * Parses a scope into the resource and the action.
+ * Legacy scopes are mapped to the corresponding `resource:action` scope.
+ *
+ * @param {string} scope The scope to parse
+ * @return {ParsedScope|null} The parsed scope or null when the scope is invalid.
  */
-export function verifyTokenSync(token) {
-  return /** @type TokenInfo */ (jwt.verify(token, config.get('SECRET')));
+export function parseScope(scope) {
+  if (typeof scope !== 'string') {
+    return null;
+  }
+  // own properties only so names like `constructor` are not read from the prototype.
+  const value = Object.prototype.hasOwnProperty.call(legacyScopes, scope) ? legacyScopes[scope] : scope;
+  const parts = value.split(':');
+  if (parts.length !== 2) {
+    return null;
+  }
+  const [resource, action] = parts;
+  if (resource === '*') {
+    const actions = Object.keys(scopeResources).map((name) => scopeResources[name]);
+    if (action !== '*' && !actions.some((list) => list.includes(action))) {
+      return null;
+    }
+    return { resource, action };
+  }
+  if (!Object.prototype.hasOwnProperty.call(scopeResources, resource)) {
+    return null;
+  }
+  const allowed = scopeResources[resource];
+  if (action !== '*' && !allowed.includes(action)) {
+    return null;
+  }
+  return { resource, action };
+}
+
+/**
+ * Maps a legacy scope to the `resource:action` scope.
+ * @param {string} scope The scope to normalize
+ * @return {string|null} The `resource:action` scope or null when the scope is invalid.
+ */
+export function normalizeScope(scope) {
+  const parsed = parseScope(scope);
+  if (!parsed) {
+    return null;
+  }
+  return `${parsed.resource}:${parsed.action}`;
+}
+
+/**
+ * Checks whether a granted scope allows an operation that requires the other scope.
+ * The `*` wildcard in the granted scope matches any resource or action, except for
+ * the administrative resources.
+ *
+ * @param {string} granted The scope the token has
+ * @param {string} required The scope required by the operation
+ * @return {boolean} True when the granted scope matches the required scope.
+ */
+export function scopeMatches(granted, required) {
+  const has = parseScope(granted);
+  const needs = parseScope(required);
+  if (!has || !needs) {
+    return false;
+  }
+  const resource = has.resource === needs.resource ||
+    (has.resource === '*' && !adminResources.includes(needs.resource));
+  const action = has.action === '*' || has.action === needs.action;
+  return resource && action;
 }
 
 /**
  * Checks whether the token has required scope.
  * @param {object} token Token info object
  * @param {string} required A scope that should be in the list of scopes.
- * @return {boolean} True when the `required` scope is in the list of scopes.
+ * @return {boolean} True when one of the token scopes matches the `required` scope.
  */
 export function hasScope(token, required) {
   const scopes = token.scopes || [];
-  return scopes.indexOf(required) !== -1;
+  return scopes.some((scope) => scopeMatches(scope, required));
 }
 
 /**
  * Checks whether the given scope is a valid in the ARC API platform scope.
  * @param {string} scope Scope to test
- * @return {boolean} True if the scope is one of the supported scopes.
+ * @return {boolean} True if the scope is a valid `resource:action` or a legacy scope.
  */
 export function isValidScope(scope) {
-  return defaultScopes.indexOf(scope) !== -1;
+  return parseScope(scope) !== null;
 }
 
 /**
  * Checks whether the given scopes are valid in the ARC API platform scope.
  * @param {string[]} userScopes Scopes to test
- * @return {boolean} True if all scopes is one of the supported scopes.
+ * @return {boolean} True if all scopes are valid.
  */
 export function areScopesValid(userScopes) {
-  const missing = userScopes.some((scope) => defaultScopes.indexOf(scope) === -1);
-  return !missing;
+  return userScopes.every((scope) => isValidScope(scope));
+}
+
+/**
+ * Checks whether the token can access a resource of an organization or a component.
+ * Tokens without the `orgs` and `components` claims can access all resources.
+ *
+ * @param {TokenInfo} token Token info object
+ * @param {ResourceContext} resource The organization and the component of the resource.
+ * @return {boolean} True when the token is not limited to other organizations or components.
+ */
+export function isResourceAllowed(token, resource) {
+  const { orgs, components } = token;
+  const org = resource.org ? String(resource.org).toLowerCase() : undefined;
+  const component = resource.component ? String(resource.component).toLowerCase() : undefined;
+  if (Array.isArray(orgs) && orgs.length) {
+    if (!org || !orgs.some((item) => String(item).toLowerCase() === org)) {
+      return false;
+    }
+  }
+  if (Array.isArray(components) && components.length) {
+    if (!component || !components.some((item) => String(item).toLowerCase() === component)) {
+      return false;
+    }
+  }
+  return true;
 }
 
 /**
@@ -0,0 +1,92 @@
+/**
+ * A public key in the JSON Web Key format.
+ */
+export declare interface JsonWebKey {
+  kty: 'RSA' | 'EC';
+  kid?: string;
+  alg?: 'RS256' | 'ES256';
+  use?: 'sig';
+  /**
+   * RSA modulus
+   */
+  n?: string;
+  /**
+   * RSA exponent
+   */
+  e?: string;
+  /**
+   * The elliptic curve
+   */
+  crv?: 'P-256';
+  /**
+   * EC point x coordinate
+   */
+  x?: string;
+  /**
+   * EC point y coordinate
+   */
+  y?: string;
+}
+
+export declare interface JsonWebKeySet {
+  keys: JsonWebKey[];
+}
+
+export declare interface VerificationKey {
+  /**
+   * The key id, set in the `kid` header of the tokens signed with the key.
+   */
+  kid: string;
+  /**
+   * The JWT algorithm of the key.
+   */
+  alg: 'RS256' | 'ES256';
+  /**
+   * The public key in the PEM format.
+   */
+  publicKey: string;
+  /**
+   * The public key in the JWK format.
+   */
+  jwk: JsonWebKey;
+}
+
+export declare interface SigningKey extends VerificationKey {
+  /**
+   * The private key in the PEM format.
+   */
+  privateKey: string;
+}
+
+/**
+ * Reads the key used to sign new tokens. The key is read once, when the first token is signed
+ * or verified. When reading the key fails it is read again on the next call.
+ *
+ * @returns The signing key or null when tokens are signed with the `SECRET`.
+ */
+export declare function getSigningKey(): Promise<SigningKey|null>;
+
+/**
+ * Reads the keys used to verify tokens: the public key of the signing key and the public
+ * keys listed in the `TOKEN_VERIFICATION_KEYS` configuration option.
+ * The option is a comma separated list of files with public keys. A key id can be set
+ * with the `kid=file` syntax, otherwise the JWK thumbprint is the key id.
+ * The keys are read once. When reading the keys fails they are read again on the next call.
+ */
+export declare function getVerificationKeys(): Promise<VerificationKey[]>;
+
+/**
+ * @param kid The key id
+ * @returns The verification key with the id.
+ */
+export declare function findVerificationKey(kid: string): Promise<VerificationKey|undefined>;
+
+/**
+ * @returns The public keys used to verify tokens as a JSON Web Key Set.
+ */
+export declare function getJwks(): Promise<JsonWebKeySet>;
+
+/**
+ * Clears the keys read from the files so the next use reads the keys again.
+ */
+export declare function resetKeys(): void;
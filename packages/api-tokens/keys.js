@@ -0,0 +1,243 @@
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import config from '@advanced-rest-client/backend-config';
+
+/** @typedef {import('./keys').SigningKey} SigningKey */
+/** @typedef {import('./keys').VerificationKey} VerificationKey */
+/** @typedef {import('./keys').JsonWebKey} JsonWebKey */
+/** @typedef {import('./keys').JsonWebKeySet} JsonWebKeySet */
+
+/**
+ * The JWT algorithms of the supported asymmetric key types.
+ */
+const algorithms = {
+  rsa: 'RS256',
+  ec: 'ES256',
+};
+
+/**
+ * The DER prefix of a P-256 public key in the SPKI format. The prefix is followed
+ * by the uncompressed point (`0x04`, `x`, `y`).
+ */
+const p256SpkiPrefix = Buffer.from('3059301306072a8648ce3d020106082a8648ce3d030107034200', 'hex');
+
+let signingKey;
+let verificationKeys;
+
+/**
+ * @param {Buffer} buffer
+ * @return {string} The base64url encoded value.
+ */
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Reads a DER element header.
+ * @param {Buffer} der The DER encoded data
+ * @param {number} offset The position of the element
+ * @return {number[]} The position of the element value and its length.
+ */
+function readDerLength(der, offset) {
+  let length = der[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const bytes = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < bytes; i++) {
+      length = length * 256 + der[start + i];
+    }
+    start += bytes;
+  }
+  return [start, length];
+}
+
+/**
+ * Reads the modulus and the exponent of a RSA public key.
+ * @param {crypto.KeyObject} key The public key
+ * @return {JsonWebKey}
+ */
+function rsaJwk(key) {
+  // RSAPublicKey ::= SEQUENCE { modulus INTEGER, publicExponent INTEGER }
+  const der = /** @type Buffer */ (key.export({ type: 'pkcs1', format: 'der' }));
+  const [sequence] = readDerLength(der, 0);
+  const [nStart, nLength] = readDerLength(der, sequence);
+  const [eStart, eLength] = readDerLength(der, nStart + nLength);
+  let n = der.slice(nStart, nStart + nLength);
+  // removes the sign byte of the integer
+  while (n.length > 1 && n[0] === 0) {
+    n = n.slice(1);
+  }
+  return {
+    kty: 'RSA',
+    n: base64url(n),
+    e: base64url(der.slice(eStart, eStart + eLength)),
+  };
+}
+
+/**
+ * Reads the coordinates of a P-256 public key.
+ * @param {crypto.KeyObject} key The public key
+ * @return {JsonWebKey}
+ */
+function ecJwk(key) {
+  const der = /** @type Buffer */ (key.export({ type: 'spki', format: 'der' }));
+  if (der.length !== p256SpkiPrefix.length + 65 || !der.slice(0, p256SpkiPrefix.length).equals(p256SpkiPrefix)) {
+    throw new Error('Only P-256 elliptic curve keys are supported.');
+  }
+  const point = der.slice(p256SpkiPrefix.length + 1);
+  return {
+    kty: 'EC',
+    crv: 'P-256',
+    x: base64url(point.slice(0, 32)),
+    y: base64url(point.slice(32)),
+  };
+}
+
+/**
+ * Computes the JWK thumbprint (RFC 7638) used as the default key id.
+ * @param {JsonWebKey} jwk The public key
+ * @return {string}
+ */
+function thumbprint(jwk) {
+  const members = jwk.kty === 'RSA' ?
+    { e: jwk.e, kty: jwk.kty, n: jwk.n } :
+    { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y };
+  const hash = crypto.createHash('sha256').update(JSON.stringify(members)).digest();
+  return base64url(hash);
+}
+
+/**
+ * Creates a verification key from a public key.
+ * @param {crypto.KeyObject} publicKey The public key
+ * @param {string=} kid The key id. Defaults to the JWK thumbprint.
+ * @return {VerificationKey}
+ */
+function createVerificationKey(publicKey, kid) {
+  const alg = algorithms[publicKey.asymmetricKeyType];
+  if (!alg) {
+    throw new Error(`Unsupported key type: ${publicKey.asymmetricKeyType}. Use RSA or P-256 EC keys.`);
+  }
+  const jwk = alg === 'RS256' ? rsaJwk(publicKey) : ecJwk(publicKey);
+  const id = kid || thumbprint(jwk);
+  return {
+    kid: id,
+    alg,
+    publicKey: String(publicKey.export({ type: 'spki', format: 'pem' })),
+    jwk: { ...jwk, kid: id, alg, use: 'sig' },
+  };
+}
+
+/**
+ * Reads the key used to sign new tokens from the file set in the `TOKEN_SIGNING_KEY`
+ * configuration option. The key id is read from the `TOKEN_SIGNING_KEY_ID` option
+ * and defaults to the JWK thumbprint of the key.
+ *
+ * @return {Promise<SigningKey|null>} The signing key or null when tokens are signed with the `SECRET`.
+ */
+async function readSigningKey() {
+  const file = config.get('TOKEN_SIGNING_KEY');
+  if (!file) {
+    return null;
+  }
+  const privateKey = await fs.readFile(file, 'utf8');
+  const publicKey = crypto.createPublicKey(privateKey);
+  const verification = createVerificationKey(publicKey, config.get('TOKEN_SIGNING_KEY_ID'));
+  return { ...verification, privateKey };
+}
+
+/**
+ * Reads the key used to sign new tokens. The key is read once, when the first token is signed
+ * or verified. When reading the key fails it is read again on the next call.
+ *
+ * @return {Promise<SigningKey|null>} The signing key or null when tokens are signed with the `SECRET`.
+ */
+export async function getSigningKey() {
+  if (!signingKey) {
+    const promise = readSigningKey();
+    signingKey = promise;
+    promise.catch(() => {
+      if (signingKey === promise) {
+        signingKey = undefined;
+      }
+    });
+  }
+  return signingKey;
+}
+
+/**
+ * Reads the keys used to verify tokens: the public key of the signing key and the public
+ * keys listed in the `TOKEN_VERIFICATION_KEYS` configuration option.
+ *
+ * @return {Promise<VerificationKey[]>}
+ */
+async function readVerificationKeys() {
+  const result = [];
+  const signing = await getSigningKey();
+  if (signing) {
+    const { kid, alg, publicKey, jwk } = signing;
+    result.push({ kid, alg, publicKey, jwk });
+  }
+  const value = String(config.get('TOKEN_VERIFICATION_KEYS') || '');
+  const items = value.split(',').map((item) => item.trim()).filter((item) => !!item);
+  for (const item of items) {
+    const index = item.indexOf('=');
+    const kid = index === -1 ? undefined : item.substr(0, index).trim();
+    const file = index === -1 ? item : item.substr(index + 1).trim();
+    const publicKey = crypto.createPublicKey(await fs.readFile(file, 'utf8'));
+    const key = createVerificationKey(publicKey, kid);
+    if (!result.some((existing) => existing.kid === key.kid)) {
+      result.push(key);
+    }
+  }
+  return result;
+}
+
+/**
+ * Reads the keys used to verify tokens: the public key of the signing key and the public
+ * keys listed in the `TOKEN_VERIFICATION_KEYS` configuration option.
+ * The option is a comma separated list of files with public keys. A key id can be set
+ * with the `kid=file` syntax, otherwise the JWK thumbprint is the key id.
+ * The keys are read once. When reading the keys fails they are read again on the next call.
+ *
+ * @return {Promise<VerificationKey[]>}
+ */
+export async function getVerificationKeys() {
+  if (!verificationKeys) {
+    const promise = readVerificationKeys();
+    verificationKeys = promise;
+    promise.catch(() => {
+      if (verificationKeys === promise) {
+        verificationKeys = undefined;
+      }
+    });
+  }
+  return verificationKeys;
+}
+
+/**
+ * @param {string} kid The key id
+ * @return {Promise<VerificationKey|undefined>} The verification key with the id.
+ */
+export async function findVerificationKey(kid) {
+  const keys = await getVerificationKeys();
+  return keys.find((key) => key.kid === kid);
+}
+
+/**
+ * @return {Promise<JsonWebKeySet>} The public keys used to verify tokens as a JSON Web Key Set.
+ */
+export async function getJwks() {
+  const keys = await getVerificationKeys();
+  return {
+    keys: keys.map((key) => key.jwk),
+  };
+}
+
+/**
+ * Clears the keys read from the files so the next use reads the keys again.
+ */
+export function resetKeys() {
+  signingKey = undefined;
+  verificationKeys = undefined;
+}
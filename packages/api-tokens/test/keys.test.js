@@ -0,0 +1,374 @@
+import chaiPkg from 'chai';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import util from 'util';
+import jwt from 'jsonwebtoken';
+import config from '@advanced-rest-client/backend-config';
+import {
+  generateToken, verifyToken, getJwks, getSigningKey, resetKeys,
+} from '../index.js';
+
+const { assert } = chaiPkg;
+const generateKeyPair = /** @type any */ (util.promisify(crypto.generateKeyPair));
+
+/** @typedef {import('@advanced-rest-client/backend-models').UserEntity} UserEntity */
+
+describe('Token signing keys', () => {
+  const user = /** @type UserEntity */ ({ id: 'test-user' });
+  const createInfo = { scopes: ['tests:read'] };
+  const pem = { type: 'pkcs8', format: 'pem' };
+  let dir;
+  let rsaFile;
+  let ecFile;
+  let oldPrivateKey;
+  let oldPublicFile;
+  let p384File;
+
+  /**
+   * @param {string} name The name of the file
+   * @param {string|Buffer} contents The PEM key
+   * @return {Promise<string>} The location of the file.
+   */
+  async function writeKey(name, contents) {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, contents);
+    return file;
+  }
+
+  /**
+   * @param {number} length The length of a DER element
+   * @return {Buffer} The encoded length.
+   */
+  function derLength(length) {
+    if (length < 128) {
+      return Buffer.from([length]);
+    }
+    const bytes = [];
+    for (let value = length; value > 0; value = Math.floor(value / 256)) {
+      bytes.unshift(value % 256);
+    }
+    return Buffer.from([128 + bytes.length, ...bytes]);
+  }
+
+  /**
+   * @param {string} value The base64url encoded unsigned integer
+   * @return {Buffer} The DER encoded integer.
+   */
+  function derInteger(value) {
+    let bytes = Buffer.from(value, 'base64');
+    if (bytes[0] >= 128) {
+      bytes = Buffer.concat([Buffer.from([0]), bytes]);
+    }
+    return Buffer.concat([Buffer.from([2]), derLength(bytes.length), bytes]);
+  }
+
+  /**
+   * Creates a RSA public key from the members of a JWK.
+   * @param {any} jwk The public key in the JWK format
+   * @return {string} The public key in the PEM format.
+   */
+  function rsaPublicKey(jwk) {
+    const body = Buffer.concat([derInteger(jwk.n), derInteger(jwk.e)]);
+    const der = Buffer.concat([Buffer.from([48]), derLength(body.length), body]);
+    const key = crypto.createPublicKey({ key: der, format: 'der', type: 'pkcs1' });
+    return String(key.export({ type: 'spki', format: 'pem' }));
+  }
+
+  /**
+   * @param {string} key The public or the private key in the PEM format
+   * @return {Buffer} The uncompressed point of the EC public key without the `0x04` prefix.
+   */
+  function ecPoint(key) {
+    const der = /** @type Buffer */ (crypto.createPublicKey(key).export({ type: 'spki', format: 'der' }));
+    return der.slice(der.length - 64);
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @return {string} The base64url encoded value.
+   */
+  function base64url(buffer) {
+    return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  }
+
+  /**
+   * @param {string} token
+   * @return {jwt.JwtHeader}
+   */
+  function readHeader(token) {
+    const decoded = /** @type any */ (jwt.decode(token, { complete: true }));
+    return decoded.header;
+  }
+
+  function setKeys(signingKey, keyId, verificationKeys) {
+    config.set('TOKEN_SIGNING_KEY', signingKey || '');
+    config.set('TOKEN_SIGNING_KEY_ID', keyId || '');
+    config.set('TOKEN_VERIFICATION_KEYS', verificationKeys || '');
+    resetKeys();
+  }
+
+  before(async () => {
+    config.set('SECRET', 'test-secret');
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-tokens-'));
+    const rsa = await generateKeyPair('rsa', { modulusLength: 2048, privateKeyEncoding: pem });
+    rsaFile = await writeKey('rsa.pem', rsa.privateKey);
+    const ec = await generateKeyPair('ec', { namedCurve: 'P-256', privateKeyEncoding: pem });
+    ecFile = await writeKey('ec.pem', ec.privateKey);
+    const old = await generateKeyPair('ec', {
+      namedCurve: 'P-256',
+      privateKeyEncoding: pem,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+    });
+    oldPrivateKey = old.privateKey;
+    oldPublicFile = await writeKey('old.pub.pem', old.publicKey);
+    const p384 = await generateKeyPair('ec', { namedCurve: 'P-384', privateKeyEncoding: pem });
+    p384File = await writeKey('p384.pem', p384.privateKey);
+  });
+
+  after(async () => {
+    setKeys();
+    const files = await fs.readdir(dir);
+    await Promise.all(files.map((file) => fs.unlink(path.join(dir, file))));
+    await fs.rmdir(dir);
+  });
+
+  describe('RS256', () => {
+    before(() => setKeys(rsaFile));
+
+    it('signs the token with the RSA key', async () => {
+      const token = await generateToken(user, createInfo);
+      const header = readHeader(token);
+      assert.equal(header.alg, 'RS256');
+      const key = await getSigningKey();
+      assert.equal(header.kid, key.kid, 'has the key id');
+    });
+
+    it('verifies the token', async () => {
+      const token = await generateToken(user, createInfo);
+      const result = await verifyToken(token);
+      assert.equal(result.uid, user.id);
+      assert.deepEqual(result.scopes, createInfo.scopes);
+    });
+  });
+
+  describe('ES256', () => {
+    before(() => setKeys(ecFile));
+
+    it('signs the token with the EC key', async () => {
+      const token = await generateToken(user, createInfo);
+      assert.equal(readHeader(token).alg, 'ES256');
+    });
+
+    it('verifies the token', async () => {
+      const token = await generateToken(user, createInfo);
+      const result = await verifyToken(token);
+      assert.equal(result.uid, user.id);
+    });
+
+    it('rejects keys of other curves', async () => {
+      setKeys(p384File);
+      let error;
+      try {
+        await getSigningKey();
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.message, 'Only P-256 elliptic curve keys are supported.');
+    });
+  });
+
+  describe('key id', () => {
+    before(() => setKeys(rsaFile, 'current', `old=${oldPublicFile}`));
+
+    it('sets the configured key id', async () => {
+      const token = await generateToken(user, createInfo);
+      assert.equal(readHeader(token).kid, 'current');
+    });
+
+    it('verifies tokens of the verification keys', async () => {
+      const token = jwt.sign({ uid: user.id }, oldPrivateKey, { algorithm: 'ES256', keyid: 'old' });
+      const result = await verifyToken(token);
+      assert.equal(result.uid, user.id);
+    });
+
+    it('rejects tokens with an unknown key id', async () => {
+      const token = jwt.sign({ uid: user.id }, oldPrivateKey, { algorithm: 'ES256', keyid: 'unknown' });
+      let error;
+      try {
+        await verifyToken(token);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.message, 'Token signing key is unknown');
+    });
+
+    it('rejects tokens signed with another key than the key id', async () => {
+      const token = jwt.sign({ uid: user.id }, oldPrivateKey, { algorithm: 'ES256', keyid: 'current' });
+      let error;
+      try {
+        await verifyToken(token);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.message, 'Token signing key is unknown');
+    });
+  });
+
+  describe('HS256', () => {
+    before(() => setKeys());
+
+    it('signs the token with the secret', async () => {
+      const token = await generateToken(user, createInfo);
+      const header = readHeader(token);
+      assert.equal(header.alg, 'HS256');
+      assert.isUndefined(header.kid);
+      const result = await verifyToken(token);
+      assert.equal(result.uid, user.id);
+    });
+
+    it('rejects tokens signed with the secret that have a key id', async () => {
+      const token = jwt.sign({ uid: user.id }, 'test-secret', { keyid: 'current' });
+      let error;
+      try {
+        await verifyToken(token);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.message, 'Token signing key is unknown');
+    });
+
+    it('returns an empty key set', async () => {
+      const result = await getJwks();
+      assert.deepEqual(result, { keys: [] });
+    });
+  });
+
+  describe('TOKEN_SECRET_VERIFICATION', () => {
+    afterEach(() => {
+      config.set('TOKEN_SECRET_VERIFICATION', true);
+      setKeys();
+    });
+
+    it('rejects tokens signed with the secret when turned off', async () => {
+      const token = await generateToken(user, createInfo);
+      setKeys(rsaFile);
+      config.set('TOKEN_SECRET_VERIFICATION', 'false');
+      let error;
+      try {
+        await verifyToken(token);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.message, 'Token signing key is no longer accepted');
+    });
+
+    it('verifies tokens signed with the signing key when turned off', async () => {
+      setKeys(rsaFile);
+      config.set('TOKEN_SECRET_VERIFICATION', false);
+      const token = await generateToken(user, createInfo);
+      const result = await verifyToken(token);
+      assert.equal(result.uid, user.id);
+    });
+
+    it('does not sign tokens with the secret when turned off', async () => {
+      config.set('TOKEN_SECRET_VERIFICATION', false);
+      let error;
+      try {
+        await generateToken(user, createInfo);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.message, 'Token signing key is not configured');
+    });
+  });
+
+  describe('failed key reads', () => {
+    afterEach(() => setKeys());
+
+    it('reads the signing key again after a failed read', async () => {
+      const file = path.join(dir, 'restored.pem');
+      setKeys(file);
+      let error;
+      try {
+        await getSigningKey();
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error, 'the first read fails');
+      await fs.copyFile(ecFile, file);
+      const key = await getSigningKey();
+      assert.equal(key.alg, 'ES256', 'reads the restored key');
+    });
+
+    it('reads the verification keys again after a failed read', async () => {
+      const file = path.join(dir, 'restored.pub.pem');
+      setKeys(rsaFile, 'current', `old=${file}`);
+      const token = jwt.sign({ uid: user.id }, oldPrivateKey, { algorithm: 'ES256', keyid: 'old' });
+      let error;
+      try {
+        await verifyToken(token);
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error, 'the first read fails');
+      await fs.copyFile(oldPublicFile, file);
+      const result = await verifyToken(token);
+      assert.equal(result.uid, user.id, 'verifies the token with the restored key');
+    });
+  });
+
+  describe('getJwks()', () => {
+    before(() => setKeys(rsaFile, 'current', `old=${oldPublicFile},${ecFile}`));
+
+    it('returns the verification keys', async () => {
+      const result = await getJwks();
+      assert.lengthOf(result.keys, 3);
+      assert.deepEqual(result.keys.map((key) => key.kid).slice(0, 2), ['current', 'old']);
+    });
+
+    it('returns the RSA key', async () => {
+      const { keys } = await getJwks();
+      const { kty, e, kid, alg, use } = keys[0];
+      assert.deepEqual({ kty, e, kid, alg, use }, {
+        kty: 'RSA',
+        e: 'AQAB',
+        kid: 'current',
+        alg: 'RS256',
+        use: 'sig',
+      });
+      const privateKey = await fs.readFile(rsaFile, 'utf8');
+      const expected = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+      assert.equal(rsaPublicKey(keys[0]), expected, 'has the modulus and the exponent of the key');
+    });
+
+    it('returns the EC key', async () => {
+      const { keys } = await getJwks();
+      const point = ecPoint(oldPrivateKey);
+      assert.deepEqual(keys[1], {
+        kty: 'EC',
+        crv: 'P-256',
+        x: base64url(point.slice(0, 32)),
+        y: base64url(point.slice(32)),
+        kid: 'old',
+        alg: 'ES256',
+        use: 'sig',
+      });
+    });
+
+    it('uses the thumbprint as the default key id', async () => {
+      const { keys } = await getJwks();
+      const { kty, crv, x, y } = keys[2];
+      const hash = crypto.createHash('sha256').update(JSON.stringify({ crv, kty, x, y })).digest();
+      assert.equal(keys[2].kid, base64url(hash));
+    });
+
+    it('does not return private key members', async () => {
+      const { keys } = await getJwks();
+      keys.forEach((key) => {
+        assert.notProperty(key, 'd');
+      });
+    });
+  });
+});
@@ -0,0 +1,216 @@
+import chaiPkg from 'chai';
+import {
+  parseScope, normalizeScope, scopeMatches, hasScope, isValidScope, areScopesValid,
+  isResourceAllowed, parseDuration,
+} from '../index.js';
+
+const { assert } = chaiPkg;
+
+/** @typedef {import('../index').TokenInfo} TokenInfo */
+
+describe('Token scopes', () => {
+  describe('parseScope()', () => {
+    it('parses a resource:action scope', () => {
+      assert.deepEqual(parseScope('tests:write'), { resource: 'tests', action: 'write' });
+    });
+
+    it('parses the action wildcard', () => {
+      assert.deepEqual(parseScope('messages:*'), { resource: 'messages', action: '*' });
+    });
+
+    it('parses the resource wildcard', () => {
+      assert.deepEqual(parseScope('*:read'), { resource: '*', action: 'read' });
+      assert.deepEqual(parseScope('*:*'), { resource: '*', action: '*' });
+    });
+
+    it('maps legacy scopes', () => {
+      assert.deepEqual(parseScope('all'), { resource: '*', action: '*' });
+      assert.deepEqual(parseScope('create-coverage'), { resource: 'coverage', action: 'write' });
+      assert.deepEqual(parseScope('run-test'), { resource: 'tests', action: 'run' });
+    });
+
+    [
+      ['an unknown resource', 'builds2:read'],
+      ['an unknown action', 'components:delete'],
+      ['an action unknown to all resources', '*:publish-all'],
+      ['a scope without the action', 'tests'],
+      ['a scope with more parts', 'tests:read:all'],
+      ['an empty scope', ''],
+    ].forEach(([label, scope]) => {
+      it(`returns null for ${label}`, () => {
+        assert.isNull(parseScope(scope));
+      });
+    });
+
+    it('returns null for a non-string value', () => {
+      assert.isNull(parseScope(/** @type any */ (undefined)));
+      assert.isNull(parseScope(/** @type any */ (1)));
+    });
+
+    [
+      'constructor', '__proto__', 'toString', 'hasOwnProperty',
+      'toString:read', 'constructor:*', '__proto__:read', 'tests:constructor', '*:toString',
+    ].forEach((scope) => {
+      it(`returns null for the "${scope}" prototype property`, () => {
+        assert.isNull(parseScope(scope));
+      });
+    });
+  });
+
+  describe('normalizeScope()', () => {
+    it('returns the resource:action scope', () => {
+      assert.equal(normalizeScope('tests:read'), 'tests:read');
+    });
+
+    it('maps a legacy scope', () => {
+      assert.equal(normalizeScope('delete-message'), 'messages:delete');
+      assert.equal(normalizeScope('all'), '*:*');
+    });
+
+    it('returns null for an invalid scope', () => {
+      assert.isNull(normalizeScope('tests:fly'));
+      assert.isNull(normalizeScope('constructor'));
+    });
+  });
+
+  describe('isValidScope() and areScopesValid()', () => {
+    it('accepts valid scopes', () => {
+      assert.isTrue(isValidScope('coverage:delete'));
+      assert.isTrue(isValidScope('publish-component'));
+      assert.isTrue(areScopesValid(['tests:write', 'messages:*', 'all']));
+    });
+
+    it('rejects invalid scopes', () => {
+      assert.isFalse(isValidScope('tests:fly'));
+      assert.isFalse(areScopesValid(['tests:write', 'other']));
+    });
+
+    it('rejects prototype properties without throwing', () => {
+      assert.isFalse(isValidScope('__proto__'));
+      assert.isFalse(areScopesValid(['tests:read', 'toString:read']));
+    });
+  });
+
+  describe('scopeMatches()', () => {
+    it('matches the same scope', () => {
+      assert.isTrue(scopeMatches('tests:write', 'tests:write'));
+    });
+
+    it('does not match another action', () => {
+      assert.isFalse(scopeMatches('tests:read', 'tests:write'));
+    });
+
+    it('does not match another resource', () => {
+      assert.isFalse(scopeMatches('tests:read', 'messages:read'));
+    });
+
+    it('matches the action wildcard', () => {
+      assert.isTrue(scopeMatches('messages:*', 'messages:delete'));
+    });
+
+    it('matches the resource wildcard', () => {
+      assert.isTrue(scopeMatches('*:read', 'coverage:read'));
+      assert.isFalse(scopeMatches('*:read', 'coverage:write'));
+    });
+
+    it('matches a legacy scope', () => {
+      assert.isTrue(scopeMatches('create-test', 'tests:write'));
+      assert.isTrue(scopeMatches('all', 'builds:write'));
+      assert.isTrue(scopeMatches('coverage:write', 'create-coverage'));
+    });
+
+    it('does not match the administrative resources with the resource wildcard', () => {
+      assert.isFalse(scopeMatches('*:*', 'users:read'));
+      assert.isFalse(scopeMatches('*:read', 'registry:read'));
+      assert.isFalse(scopeMatches('all', 'users:write'));
+    });
+
+    it('matches the administrative resources when granted explicitly', () => {
+      assert.isTrue(scopeMatches('users:*', 'users:delete'));
+      assert.isTrue(scopeMatches('registry:write', 'registry:write'));
+    });
+
+    it('does not match invalid scopes', () => {
+      assert.isFalse(scopeMatches('tests:fly', 'tests:fly'));
+      assert.isFalse(scopeMatches('*:*', 'constructor'));
+    });
+  });
+
+  describe('hasScope()', () => {
+    it('returns true when one of the scopes matches', () => {
+      assert.isTrue(hasScope({ scopes: ['tests:read', 'coverage:*'] }, 'coverage:delete'));
+    });
+
+    it('returns false when no scope matches', () => {
+      assert.isFalse(hasScope({ scopes: ['tests:read'] }, 'tests:write'));
+    });
+
+    it('returns false when the token has no scopes', () => {
+      assert.isFalse(hasScope({}, 'tests:read'));
+    });
+  });
+
+  describe('isResourceAllowed()', () => {
+    const token = /** @type TokenInfo */ ({ uid: 'user', scopes: ['*:*'] });
+
+    it('allows all resources for a token without restrictions', () => {
+      assert.isTrue(isResourceAllowed(token, { org: 'any', component: 'any' }));
+      assert.isTrue(isResourceAllowed(token, {}));
+    });
+
+    it('allows resources of the organizations of the token', () => {
+      const limited = { ...token, orgs: ['Advanced-Rest-Client'] };
+      assert.isTrue(isResourceAllowed(limited, { org: 'advanced-rest-client' }));
+      assert.isFalse(isResourceAllowed(limited, { org: 'api-modeling' }));
+    });
+
+    it('denies resources without an organization for a token limited to organizations', () => {
+      const limited = { ...token, orgs: ['advanced-rest-client'] };
+      assert.isFalse(isResourceAllowed(limited, { component: 'api-console' }));
+    });
+
+    it('allows resources of the components of the token', () => {
+      const limited = { ...token, components: ['api-console'] };
+      assert.isTrue(isResourceAllowed(limited, { org: 'any', component: 'API-Console' }));
+      assert.isFalse(isResourceAllowed(limited, { org: 'any', component: 'api-request' }));
+      assert.isFalse(isResourceAllowed(limited, { org: 'any' }));
+    });
+
+    it('requires both the organization and the component', () => {
+      const limited = { ...token, orgs: ['advanced-rest-client'], components: ['api-console'] };
+      assert.isTrue(isResourceAllowed(limited, { org: 'advanced-rest-client', component: 'api-console' }));
+      assert.isFalse(isResourceAllowed(limited, { org: 'api-modeling', component: 'api-console' }));
+    });
+
+    it('ignores empty restrictions', () => {
+      assert.isTrue(isResourceAllowed({ ...token, orgs: [], components: [] }, { org: 'any' }));
+    });
+  });
+
+  describe('parseDuration()', () => {
+    [
+      [3600, 3600],
+      ['120', 120],
+      ['30s', 30],
+      ['15m', 900],
+      ['2h', 7200],
+      ['1d', 86400],
+      ['1w', 604800],
+      ['1M', 2592000],
+      ['1y', 31536000],
+      [' 7 d ', 604800],
+    ].forEach(([value, expected]) => {
+      it(`reads ${JSON.stringify(value)}`, () => {
+        assert.equal(parseDuration(value), expected);
+      });
+    });
+
+    [
+      0, -1, 1.5, '0', '0d', '-1d', '1.5h', '1x', 'd', '', null, undefined, {},
+    ].forEach((value) => {
+      it(`returns null for ${JSON.stringify(value)}`, () => {
+        assert.isNull(parseDuration(/** @type any */ (value)));
+      });
+    });
+  });
+});
@@ -1,5 +1,6 @@
-import { TokenModel } from '@advanced-rest-client/backend-models';
+import { TokenModel, UserEntity } from '@advanced-rest-client/backend-models';
 import { Response, Request, Router } from 'express';
+import { ResourceContext } from '@advanced-rest-client/api-tokens';
 
 export declare interface QueryResult<T> {
   /**
@@ -62,6 +63,37 @@ export declare class BaseApi {
    */
    ensureAccess(req: Request, scope?: string): Promise<void>;
 
+  /**
+   * Ensures that the current user accepted the current version of the terms of service
+   * before making changes through the API.
+   * Read operations are always allowed. The check is disabled when the `TOS_VERSION`
+   * configuration option is not set.
+   * @returns Resolves when has access, rejects when do not have access.
+   */
+  ensureTos(req: Request): Promise<void>;
+
+  /**
+   * Ensures that the token used to authorize the request is not limited to
+   * other organizations or components than the ones of the resource.
+   * Requests made with a user session are not limited.
+   * @param resource The organization and the component of the resource.
+   * @throws {AccessError} When the token has no access to the resource.
+   */
+  ensureResourceAccess(req: Request, resource: ResourceContext): void;
+
+  /**
+   * Reads the data store entity of the authenticated user.
+   */
+  _readUser(req: Request): Promise<UserEntity|null>;
+
+  /**
+   * Ensures that the current user is an administrator (super user) of the CI.
+   * Tokens are accepted when issued by an administrator and granted the administrative scope.
+   * @param scope The administrative scope required from a token, e.g. `users:read`.
+   * @returns Resolves when has access, rejects when do not have access.
+   */
+  ensureAdmin(req: Request, scope: string): Promise<void>;
+
   /**
    * CORS request middleware.
    */
@@ -1,6 +1,7 @@
-import { verifyToken, isTokenExpired, hasScope } from '@advanced-rest-client/api-tokens';
-import { TokenModel } from '@advanced-rest-client/backend-models';
+import { verifyToken, isTokenExpired, hasScope, isResourceAllowed } from '@advanced-rest-client/api-tokens';
+import { TokenModel, UserModel } from '@advanced-rest-client/backend-models';
 import cors from 'cors';
+import logging from '@advanced-rest-client/arc-platform-logger';
 import { AccessError } from './Errors.js';
 
 /* eslint-disable class-methods-use-this */
@@ -9,8 +10,26 @@ import { AccessError } from './Errors.js';
 /** @typedef {import('../types').SessionRequest} Request */
 /** @typedef {import('express').Router} Router */
 /** @typedef {import('@advanced-rest-client/backend-models').QueryResult} QueryResult */
+/** @typedef {import('@advanced-rest-client/backend-models').UserEntity} UserEntity */
+/** @typedef {import('@advanced-rest-client/api-tokens').ResourceContext} ResourceContext */
 
 let tokenModel;
+let userModel;
+
+/**
+ * HTTP methods that do not change the state of the resources.
+ */
+const readMethods = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * @return {UserModel} The shared instance of the UserModel.
+ */
+function getUserModel() {
+  if (!userModel) {
+    userModel = new UserModel();
+  }
+  return userModel;
+}
 
 /**
  * Base for all API routes
@@ -83,7 +102,7 @@ export class BaseApi {
   async isValidAccess(req, scope) {
     // @ts-ignore
     const { user } = req;
-    if (user && user.orgUser) {
+    if (user && user.orgUser && !user.disabled) {
       return true;
     }
     const auth = req.get('authorization');
@@ -103,17 +122,13 @@ export class BaseApi {
     if (isTokenExpired(detail)) {
       return false;
     }
-    if (scope) {
-      if (!hasScope(detail, 'all')) {
-        if (!hasScope(detail, scope)) {
-          return false;
-        }
-      }
+    if (scope && !hasScope(detail, scope)) {
+      return false;
     }
     let queryResult;
     try {
       queryResult = await this.tokenModel.find(token);
-      if (!queryResult || queryResult.revoked) {
+      if (!queryResult || this.tokenModel.isRevoked(queryResult)) {
         return false;
       }
       // @ts-ignore
@@ -121,10 +136,20 @@ export class BaseApi {
         id: queryResult.issuer.id,
         displayName: queryResult.issuer.displayName,
       };
-      return true;
+      req.tokenInfo = detail;
     } catch (e) {
       return false;
     }
+    try {
+      await this.tokenModel.recordUsage(queryResult, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+    } catch (e) {
+      // the access is granted even when the usage can't be recorded.
+      logging.error(e);
+    }
+    return true;
   }
 
   /**
@@ -144,6 +169,76 @@ export class BaseApi {
     if (!has) {
       throw new AccessError();
     }
+    await this.ensureTos(req);
+  }
+
+  /**
+   * Ensures that the current user accepted the current version of the terms of service
+   * before making changes through the API.
+   * Read operations are always allowed. The check is disabled when the `TOS_VERSION`
+   * configuration option is not set.
+   * @param {Request} req
+   * @return {Promise<void>} Resolves when has access, rejects when do not have access.
+   */
+  async ensureTos(req) {
+    if (readMethods.includes(req.method)) {
+      return;
+    }
+    const model = getUserModel();
+    const version = model.tosVersion;
+    if (!version) {
+      return;
+    }
+    const user = await this._readUser(req);
+    if (!model.hasAcceptedTos(user)) {
+      throw new AccessError(`You have to accept the terms of service (version ${version}) first.`, 403);
+    }
+  }
+
+  /**
+   * Ensures that the token used to authorize the request is not limited to
+   * other organizations or components than the ones of the resource.
+   * Requests made with a user session are not limited.
+   * @param {Request} req
+   * @param {ResourceContext} resource The organization and the component of the resource.
+   * @throws {AccessError} When the token has no access to the resource.
+   */
+  ensureResourceAccess(req, resource) {
+    const { tokenInfo } = req;
+    if (tokenInfo && !isResourceAllowed(tokenInfo, resource)) {
+      throw new AccessError('The token has no access to this resource.', 403);
+    }
+  }
+
+  /**
+   * Reads the data store entity of the authenticated user.
+   * @param {Request} req
+   * @return {Promise<UserEntity|null>}
+   */
+  async _readUser(req) {
+    // @ts-ignore
+    const { user } = req;
+    return getUserModel().get(user.id);
+  }
+
+  /**
+   * Ensures that the current user is an administrator (super user) of the CI.
+   * Tokens are accepted when issued by an administrator and granted the administrative scope.
+   * @param {Request} req
+   * @param {string} scope The administrative scope required from a token, e.g. `users:read`.
+   * @return {Promise<void>} Resolves when has access, rejects when do not have access.
+   */
+  async ensureAdmin(req, scope) {
+    await this.ensureAccess(req, scope);
+    // @ts-ignore
+    const { user } = req;
+    if (user.superUser) {
+      return;
+    }
+    const entity = await this._readUser(req);
+    if (!entity || !entity.superUser) {
+      throw new AccessError('Forbidden', 403);
+    }
   }
 
   /**
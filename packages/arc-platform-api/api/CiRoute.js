@@ -4,6 +4,10 @@ import componentsRoute from './ComponentsApi.js';
 import testsRoute from './TestsApi.js';
 import meRoute from './MeApi.js';
 import tokenRoute from './TokenApi.js';
+import githubRoute from './GithubApi.js';
+import groupsRoute from './GroupsApi.js';
+import registryRoute from './RegistryApi.js';
+import usersRoute from './UsersApi.js';
 
 const router = express.Router();
 export default router;
@@ -13,6 +17,10 @@ router.use('/me', meRoute);
 router.use('/tokeninfo', tokenRoute);
 router.use('/components', componentsRoute);
 router.use('/coverage', coverageRoute);
+router.use('/github', githubRoute);
+router.use('/groups', groupsRoute);
+router.use('/registry', registryRoute);
+router.use('/users', usersRoute);
 
 // Errors
 router.use((req, res) => {
@@ -1,5 +1,6 @@
 import express from 'express';
 import bodyParser from 'body-parser';
+import validator from 'validator';
 import { ComponentModel, DependencyModel } from '@advanced-rest-client/backend-models';
 import logging from '@advanced-rest-client/arc-platform-logger';
 import { BaseApi } from './BaseApi.js';
@@ -7,10 +8,20 @@ import { BaseApi } from './BaseApi.js';
 /** @typedef {import('../types').SessionRequest} Request */
 /** @typedef {import('express').Response} Response */
 /** @typedef {import('@advanced-rest-client/backend-models').VersionQueryOptions} VersionQueryOptions */
+/** @typedef {import('@advanced-rest-client/backend-models').PublishVersionOptions} PublishVersionOptions */
+/** @typedef {import('@advanced-rest-client/backend-models').ChangelogEntity} ChangelogEntity */
+/** @typedef {import('@advanced-rest-client/backend-models').ChangelogQueryOptions} ChangelogQueryOptions */
+/** @typedef {import('@advanced-rest-client/backend-models').DependencyGraph} DependencyGraph */
+/** @typedef {import('@advanced-rest-client/backend-models').DependencyGraphOptions} DependencyGraphOptions */
 
 const router = express.Router();
 export default router;
-router.use(bodyParser.json());
+router.use(bodyParser.json({ limit: '10mb' }));
+
+const graphMaxDepth = 10;
+// Datastore entities are limited to 1 MiB. This leaves room for other properties of the version.
+const maxVersionContentSize = 1000 * 1000;
+const graphFormats = ['json', 'dot', 'mermaid'];
 
 /**
  * A route responsible for Components API.
@@ -52,6 +63,16 @@ class ComponentsApiRoute extends BaseApi {
     return messages.length ? messages.join(' ') : undefined;
   }
 
+  /**
+   * Reads the component's package name from the `scope` and `component` route parameters.
+   * @param {Request} req
+   * @return {string} The component's package name (scope + name)
+   */
+  _readNpmName(req) {
+    const { scope, component } = req.params;
+    return `${scope}/${component}`;
+  }
+
   /**
    * Lists components route.
    * @param {Request} req Request object.
@@ -69,7 +90,11 @@ class ComponentsApiRoute extends BaseApi {
       this.sendError(res, tagError);
       return;
     }
-    const { limit, pageToken, tags, group } = req.query;
+    const { limit, pageToken, tags, group, q } = req.query;
+    if (q !== undefined && typeof q !== 'string') {
+      this.sendError(res, 'The q query parameter should be a string.');
+      return;
+    }
     try {
       const opts = {};
       const typedLimit = Number(limit);
@@ -85,6 +110,9 @@ class ComponentsApiRoute extends BaseApi {
       if (tags) {
         opts.tags = tags;
       }
+      if (q) {
+        opts.q = q;
+      }
       const result = await this.model.queryComponents(opts);
       this.sendQueryResult(result, res);
     } catch (cause) {
@@ -97,6 +125,95 @@ class ComponentsApiRoute extends BaseApi {
     }
   }
 
+  /**
+   * Validates parameters for the component version publish
+   * @param {Request} req
+   * @return {string|undefined} Error message or undefined if valid.
+   */
+  validatePublishComponent(req) {
+    const messages = [];
+    const body = /** @type PublishVersionOptions */ (req.body || {});
+    ['npmName', 'org', 'name', 'version'].forEach((prop) => {
+      const value = body[prop];
+      if (!value) {
+        messages[messages.length] = `The "${prop}" property is required.`;
+      } else if (typeof value !== 'string') {
+        messages[messages.length] = `The "${prop}" property has invalid type.`;
+      }
+    });
+    if (typeof body.version === 'string' && !validator.isSemVer(body.version)) {
+      messages[messages.length] = `"${body.version}" is not a valid semver version.`;
+    }
+    let contentSize = 0;
+    ['changelog', 'docs'].forEach((prop) => {
+      const value = body[prop];
+      if (value !== undefined && typeof value !== 'string') {
+        messages[messages.length] = `The "${prop}" property has invalid type.`;
+      } else if (value) {
+        contentSize += Buffer.byteLength(value);
+      }
+    });
+    if (contentSize > maxVersionContentSize) {
+      messages[messages.length] = `The "changelog" and "docs" properties exceed ${maxVersionContentSize} bytes.`;
+    }
+    ['tags', 'dependencies', 'devDependencies'].forEach((prop) => {
+      const value = body[prop];
+      if (value === undefined) {
+        return;
+      }
+      if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+        messages[messages.length] = `The "${prop}" property should be an array of strings.`;
+      }
+    });
+    return messages.length ? messages.join(' ') : undefined;
+  }
+
+  /**
+   * Registers a new version of a component with its dependencies.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async publishComponent(req, res) {
+    try {
+      await this.ensureAccess(req, 'components:publish');
+      const errors = this.validatePublishComponent(req);
+      if (errors) {
+        this.sendError(res, errors, 400);
+        return;
+      }
+      const { npmName, org, name, version, tags, dependencies, devDependencies, changelog, docs } = req.body;
+      this.ensureResourceAccess(req, { org, component: name });
+      const info = /** @type PublishVersionOptions */ ({
+        npmName,
+        org,
+        name,
+        version,
+      });
+      if (tags) {
+        info.tags = tags;
+      }
+      if (dependencies) {
+        info.dependencies = dependencies;
+      }
+      if (devDependencies) {
+        info.devDependencies = devDependencies;
+      }
+      if (changelog) {
+        info.changelog = changelog;
+      }
+      if (docs) {
+        info.docs = docs;
+      }
+      const result = await this.model.publishVersion(info);
+      res.status(201).send(result);
+    } catch (cause) {
+      logging.error(cause);
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
+
   /**
    * Validates time range
    * @param {Request} req
@@ -174,7 +291,7 @@ class ComponentsApiRoute extends BaseApi {
       const result = await this.model.queryVersions(opts);
       const noDocs = req.query['skip-docs'];
       if (noDocs === 'true') {
-        result[0].forEach((item) => {
+        result.entities.forEach((item) => {
           delete item.docs;
         });
       }
@@ -189,6 +306,184 @@ class ComponentsApiRoute extends BaseApi {
     }
   }
 
+  /**
+   * Route to get a single component.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getComponent(req, res) {
+    const npmName = this._readNpmName(req);
+    try {
+      const resource = await this.model.getComponent(npmName);
+      if (resource) {
+        res.send(resource);
+      } else {
+        this.sendError(res, 'Component not found', 404);
+      }
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Route to list versions of a single component.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async listComponentVersions(req, res) {
+    const errors = this.validatePagination(req);
+    if (errors) {
+      this.sendError(res, errors);
+      return;
+    }
+    const npmName = this._readNpmName(req);
+    const { limit, pageToken } = req.query;
+    const opts = /** @type VersionQueryOptions */ ({});
+    if (limit) {
+      opts.limit = Number(limit);
+    }
+    if (pageToken) {
+      opts.pageToken = String(pageToken);
+    }
+    try {
+      const component = await this.model.getComponent(npmName);
+      if (!component) {
+        this.sendError(res, 'Component not found', 404);
+        return;
+      }
+      const result = await this.model.listVersions(npmName, opts);
+      this.sendQueryResult(result, res);
+    } catch (cause) {
+      logging.error(cause);
+      if (cause.code === 3) {
+        this.sendError(res, 'Invalid pageToken parameter');
+        return;
+      }
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Route to get a single version of a component.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getComponentVersion(req, res) {
+    const { version } = req.params;
+    if (!validator.isSemVer(version)) {
+      this.sendError(res, `"${version}" is not a valid semver version.`);
+      return;
+    }
+    const npmName = this._readNpmName(req);
+    try {
+      const component = await this.model.getComponent(npmName);
+      if (!component) {
+        this.sendError(res, 'Component not found', 404);
+        return;
+      }
+      const resource = await this.model.getVersion(npmName, version);
+      if (resource) {
+        res.send(resource);
+      } else {
+        this.sendError(res, 'Version not found', 404);
+      }
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Route to read changelogs of versions released in a time range.
+   * The `format` query parameter can be `json` (default) or `markdown`.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getChangelog(req, res) {
+    const tagError = this._validateTagParameter(req);
+    if (tagError) {
+      this.sendError(res, tagError);
+      return;
+    }
+    const timeError = this._validateTimeRange(req);
+    if (timeError) {
+      this.sendError(res, timeError);
+      return;
+    }
+    const pageError = this.validatePagination(req);
+    if (pageError) {
+      this.sendError(res, pageError);
+      return;
+    }
+    const { tags, since, until, limit, pageToken, format='json' } = req.query;
+    if (!['json', 'markdown'].includes(String(format))) {
+      this.sendError(res, `"${format}" is not a valid value for the format query parameter.`);
+      return;
+    }
+    const opts = /** @type ChangelogQueryOptions */ ({});
+    if (Array.isArray(tags)) {
+      opts.tags = /** @type string[] */ (tags);
+    }
+    if (since) {
+      opts.since = Number(since);
+    }
+    if (until) {
+      opts.until = Number(until);
+    }
+    if (limit) {
+      opts.limit = Number(limit);
+    }
+    if (pageToken) {
+      opts.pageToken = String(pageToken);
+    }
+    try {
+      const result = await this.model.listChangelog(opts);
+      if (format === 'markdown') {
+        if (result.pageToken) {
+          res.set('X-Page-Token', result.pageToken);
+        }
+        res.type('text/markdown').send(this._changelogToMarkdown(result.entities));
+        return;
+      }
+      const items = result.entities.map(({ npmName, version, created, changelog }) => ({
+        npmName, version, created, changelog,
+      }));
+      this.sendListResult([items, result.pageToken], res);
+    } catch (cause) {
+      logging.error(cause);
+      if (cause.code === 3) {
+        this.sendError(res, 'Invalid pageToken parameter');
+        return;
+      }
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Creates a single markdown document from versions changelog.
+   * @param {ChangelogEntity[]} versions
+   * @return {string}
+   */
+  _changelogToMarkdown(versions) {
+    const parts = ['# Changelog', ''];
+    versions.forEach((item) => {
+      parts.push(`## ${item.npmName} ${item.version}`);
+      parts.push('');
+      if (item.created) {
+        parts.push(`_Released on ${new Date(item.created).toISOString().substr(0, 10)}_`);
+        parts.push('');
+      }
+      parts.push(item.changelog.trim());
+      parts.push('');
+    });
+    return parts.join('\n');
+  }
+
   /**
    * Lists components that depends on this component.
    * @param {Request} req
@@ -197,7 +492,7 @@ class ComponentsApiRoute extends BaseApi {
    */
   async listParentComponents(req, res) {
     const { devDependencies } = req.query;
-    const { npmName } = req.params;
+    const npmName = this._readNpmName(req);
     const dds = devDependencies === 'true';
     try {
       const result = await this.dependencyModel.listParentComponents(npmName, dds);
@@ -219,7 +514,7 @@ class ComponentsApiRoute extends BaseApi {
    * @return {Promise<void>}
    */
   async listDependencies(req, res) {
-    const { npmName } = req.params;
+    const npmName = this._readNpmName(req);
     try {
       const data = await this.dependencyModel.get(npmName);
       if (data) {
@@ -253,13 +548,128 @@ class ComponentsApiRoute extends BaseApi {
       this.sendError(res, cause.message, 500);
     }
   }
+
+  /**
+   * Validates parameters for the dependency graph
+   * @param {Request} req
+   * @return {string|undefined} Error message or undefined if valid.
+   */
+  _validateGraphParameters(req) {
+    const { depth, direction, includeDev, format } = req.query;
+    const messages = [];
+    if (depth !== undefined) {
+      const typedDepth = Number(depth);
+      if (!Number.isInteger(typedDepth) || typedDepth < 1 || typedDepth > graphMaxDepth) {
+        messages.push(`The depth query parameter should be an integer between 1 and ${graphMaxDepth}.`);
+      }
+    }
+    if (direction !== undefined && !['up', 'down'].includes(String(direction))) {
+      messages.push(`"${direction}" is not a valid value for the direction query parameter.`);
+    }
+    if (includeDev !== undefined && !['true', 'false'].includes(String(includeDev))) {
+      messages.push('The includeDev query parameter should be a boolean.');
+    }
+    if (format !== undefined && !graphFormats.includes(String(format))) {
+      messages.push(`"${format}" is not a valid value for the format query parameter.`);
+    }
+    return messages.length ? messages.join(' ') : undefined;
+  }
+
+  /**
+   * Route to read the transitive dependency graph of a component.
+   * The `format` query parameter can be `json` (default), `dot`, or `mermaid`.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getDependencyGraph(req, res) {
+    const errors = this._validateGraphParameters(req);
+    if (errors) {
+      this.sendError(res, errors);
+      return;
+    }
+    const { depth, direction, includeDev, format='json' } = req.query;
+    const npmName = this._readNpmName(req);
+    const opts = /** @type DependencyGraphOptions */ ({
+      includeDev: includeDev === 'true',
+    });
+    if (depth !== undefined) {
+      opts.depth = Number(depth);
+    }
+    if (direction === 'up' || direction === 'down') {
+      opts.direction = direction;
+    }
+    try {
+      const graph = await this.dependencyModel.graph(npmName, opts);
+      if (!graph) {
+        this.sendError(res, 'Component not found', 404);
+        return;
+      }
+      if (format === 'dot') {
+        res.type('text/vnd.graphviz').send(this._graphToDot(graph));
+        return;
+      }
+      if (format === 'mermaid') {
+        res.type('text/plain').send(this._graphToMermaid(graph));
+        return;
+      }
+      res.send(graph);
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Creates a Graphviz DOT document from the dependency graph.
+   * @param {DependencyGraph} graph
+   * @return {string}
+   */
+  _graphToDot(graph) {
+    const parts = ['digraph dependencies {'];
+    graph.nodes.forEach((node) => {
+      const attrs = node.pkg === graph.root ? ' [style=bold]' : '';
+      parts.push(`  "${node.pkg}"${attrs};`);
+    });
+    graph.edges.forEach((edge) => {
+      const attrs = edge.type === 'development' ? ' [style=dashed]' : '';
+      parts.push(`  "${edge.from}" -> "${edge.to}"${attrs};`);
+    });
+    parts.push('}');
+    return parts.join('\n');
+  }
+
+  /**
+   * Creates a Mermaid flowchart from the dependency graph.
+   * @param {DependencyGraph} graph
+   * @return {string}
+   */
+  _graphToMermaid(graph) {
+    const ids = new Map();
+    graph.nodes.forEach((node, i) => ids.set(node.pkg, `n${i}`));
+    const parts = ['graph TD'];
+    graph.nodes.forEach((node) => {
+      parts.push(`  ${ids.get(node.pkg)}["${node.pkg}"]`);
+    });
+    graph.edges.forEach((edge) => {
+      const arrow = edge.type === 'development' ? '-.->' : '-->';
+      parts.push(`  ${ids.get(edge.from)} ${arrow} ${ids.get(edge.to)}`);
+    });
+    return parts.join('\n');
+  }
 }
 
 const api = new ComponentsApiRoute();
 api.setCors(router);
 api.wrapApi(router, [
   ['/', 'listComponents'],
+  ['/', 'publishComponent', 'post'],
   ['/versions', 'listVersions'],
+  ['/changelog', 'getChangelog'],
+  ['/:scope/:component', 'getComponent'],
+  ['/:scope/:component/versions', 'listComponentVersions'],
+  ['/:scope/:component/versions/:version', 'getComponentVersion'],
   ['/:scope/:component/dependees', 'listParentComponents'],
   ['/:scope/:component/dependencies', 'listDependencies'],
+  ['/:scope/:component/graph', 'getDependencyGraph'],
 ]);
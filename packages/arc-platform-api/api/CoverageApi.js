@@ -1,23 +1,23 @@
 import express from 'express';
 import bodyParser from 'body-parser';
 import { BaseApi } from './BaseApi.js';
-import { CoverageModel } from '@advanced-rest-client/backend-models';
+import { CoverageModel, RegistryModel } from '@advanced-rest-client/backend-models';
+import logging from '@advanced-rest-client/arc-platform-logger';
 import background from '../lib/Background.js';
+import { renderBadge, sendBadge, coverageColor, colors } from '../lib/Badge.js';
 
 /** @typedef {import('../types').SessionRequest} Request */
 /** @typedef {import('express').Response} Response */
 /** @typedef {import('@advanced-rest-client/backend-models').CoverageEntity} CoverageEntity */
+/** @typedef {import('@advanced-rest-client/backend-models').CoverageDiff} CoverageDiff */
+/** @typedef {import('@advanced-rest-client/backend-models').CoverageSummaryResult} CoverageSummaryResult */
 
 const router = express.Router();
-router.use(bodyParser.json());
+// coverage reports can be much bigger than the default limit
+router.use(bodyParser.json({ limit: '10mb' }));
+router.use(bodyParser.text({ limit: '10mb' }));
 export default router;
 
-const allowedOrgs = [
-  'advanced-rest-client',
-  'api-modeling',
-  'anypoint-web-components',
-];
-
 /**
  * API route definition for builds.
  */
@@ -28,23 +28,445 @@ class CoverageApi extends BaseApi {
   constructor() {
     super();
     this.model = new CoverageModel();
+    this.registryModel = new RegistryModel();
+  }
+
+  /**
+   * Reads pagination options from the request.
+   * @param {Request} req
+   * @return {object}
+   */
+  _readPagination(req) {
+    const { limit, pageToken } = req.query;
+    const opts = {};
+    if (pageToken) {
+      opts.pageToken = String(pageToken);
+    }
+    if (limit) {
+      opts.limit = Number(limit);
+    }
+    return opts;
+  }
+
+  /**
+   * Route to list coverage runs.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async listRuns(req, res) {
+    const errors = this.validatePagination(req);
+    if (errors) {
+      this.sendError(res, errors);
+      return;
+    }
+    try {
+      const result = await this.model.list(this._readPagination(req));
+      this.sendQueryResult(result, res);
+    } catch (cause) {
+      logging.error(cause);
+      if (cause.code === 3) {
+        this.sendError(res, 'Invalid pageToken parameter');
+        return;
+      }
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Route to get a single coverage run.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getRun(req, res) {
+    const { runId } = req.params;
+    try {
+      const resource = await this.model.get(runId);
+      if (resource) {
+        res.send(resource);
+      } else {
+        this.sendError(res, 'Coverage run not found', 404);
+      }
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Route to list coverage results for each file in a coverage run.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async listRunFiles(req, res) {
+    const errors = this.validatePagination(req);
+    if (errors) {
+      this.sendError(res, errors);
+      return;
+    }
+    const { runId } = req.params;
+    try {
+      const resource = await this.model.get(runId);
+      if (!resource) {
+        this.sendError(res, 'Coverage run not found', 404);
+        return;
+      }
+      const result = await this.model.queryRunFiles(runId, this._readPagination(req));
+      this.sendQueryResult(result, res);
+    } catch (cause) {
+      logging.error(cause);
+      if (cause.code === 3) {
+        this.sendError(res, 'Invalid pageToken parameter');
+        return;
+      }
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Route to delete a coverage run.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async deleteRun(req, res) {
+    const { runId } = req.params;
+    try {
+      await this.ensureAccess(req, 'coverage:delete');
+      const resource = await this.model.get(runId);
+      if (!resource) {
+        this.sendError(res, 'Coverage run not found', 404);
+        return;
+      }
+      this.ensureResourceAccess(req, resource);
+      await this.model.delete(runId);
+      res.sendStatus(204).end();
+      background.dequeueCoverageRun(runId);
+    } catch (cause) {
+      logging.error(cause);
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
+
+  /**
+   * Route to upload a coverage report generated by a test runner for a coverage run.
+   * The report is the body of the request: `lcov.info` as `text/plain`, or Istanbul's
+   * `coverage-final.json` or `coverage-summary.json` as `application/json`.
+   *
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async ingestReport(req, res) {
+    const { runId } = req.params;
+    try {
+      await this.ensureAccess(req, 'coverage:write');
+      const { format } = req.query;
+      if (format && !this.model.parser.formats.includes(/** @type any */ (format))) {
+        const allowed = this.model.parser.formats.join(', ');
+        this.sendError(res, `The "format" parameter must be one of: ${allowed}.`, 400);
+        return;
+      }
+      const resource = await this.model.get(runId);
+      if (!resource) {
+        this.sendError(res, 'Coverage run not found', 404);
+        return;
+      }
+      this.ensureResourceAccess(req, resource);
+      if (resource.status === 'finished') {
+        this.sendError(res, 'Coverage run is already finished', 400);
+        return;
+      }
+      const summary = await this.model.ingestReport(runId, req.body, /** @type any */ (format));
+      res.send({ coverage: summary });
+      background.dequeueCoverageRun(runId);
+    } catch (cause) {
+      logging.error(cause);
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
+
+  /**
+   * Route to get the coverage of the latest version of a component.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getComponentCoverage(req, res) {
+    const { org, component } = req.params;
+    try {
+      const resource = await this.model.getComponentCoverage(org, component);
+      if (resource) {
+        res.send(resource);
+      } else {
+        this.sendError(res, 'Component coverage not found', 404);
+      }
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Route to list the coverage of all versions of a component with the difference
+   * to the previous version.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getComponentCoverageHistory(req, res) {
+    const { org, component } = req.params;
+    try {
+      const items = await this.model.getCoverageHistory(org, component);
+      if (!items.length) {
+        this.sendError(res, 'Component coverage not found', 404);
+        return;
+      }
+      res.send({ items });
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Route to get the coverage of a version of a component.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getVersionCoverage(req, res) {
+    const { org, component, version } = req.params;
+    try {
+      const resource = await this.model.getVersionCoverage(org, component, version);
+      if (resource) {
+        res.send(resource);
+      } else {
+        this.sendError(res, 'Version coverage not found', 404);
+      }
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Validates query parameters of the coverage diff routes.
+   * @param {Request} req
+   * @param {string[]} required The list of required query parameters.
+   * @return {string|undefined} Error message or undefined if valid.
+   */
+  _validateDiffParameters(req, required) {
+    const messages = [];
+    required.forEach((name) => {
+      const value = req.query[name];
+      if (!value || typeof value !== 'string') {
+        messages[messages.length] = `The "${name}" query parameter is required.`;
+      }
+    });
+    const { format='json' } = req.query;
+    if (!['json', 'markdown'].includes(String(format))) {
+      messages[messages.length] = `"${format}" is not a valid value for the format query parameter.`;
+    }
+    return messages.length ? messages.join(' ') : undefined;
+  }
+
+  /**
+   * Sends the coverage diff in the format requested in the `format` query parameter.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {CoverageDiff} diff
+   */
+  _sendDiff(req, res, diff) {
+    if (req.query.format === 'markdown') {
+      res.type('text/markdown').send(this._diffToMarkdown(diff));
+      return;
+    }
+    res.send(diff);
+  }
+
+  /**
+   * Route to compare coverage of two versions of a component file by file.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async diffVersions(req, res) {
+    const errors = this._validateDiffParameters(req, ['base', 'head']);
+    if (errors) {
+      this.sendError(res, errors);
+      return;
+    }
+    const { org, component } = req.params;
+    const base = String(req.query.base);
+    const head = String(req.query.head);
+    try {
+      const diff = await this.model.diffVersions(org, component, base, head);
+      if (!diff) {
+        this.sendError(res, 'Version coverage not found', 404);
+        return;
+      }
+      this._sendDiff(req, res, diff);
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Route to compare coverage of a coverage run with another run file by file.
+   * The `base` query parameter is the id of the run to compare to.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async diffRuns(req, res) {
+    const errors = this._validateDiffParameters(req, ['base']);
+    if (errors) {
+      this.sendError(res, errors);
+      return;
+    }
+    const { runId } = req.params;
+    const base = String(req.query.base);
+    try {
+      const diff = await this.model.diffRuns(base, runId);
+      if (!diff) {
+        this.sendError(res, 'Finished coverage run not found', 404);
+        return;
+      }
+      this._sendDiff(req, res, diff);
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, cause.code || 500);
+    }
+  }
+
+  /**
+   * @param {number=} value The coverage value
+   * @return {string} The value formatted for the markdown report.
+   */
+  _formatPercent(value) {
+    return typeof value === 'number' ? `${value}%` : '-';
+  }
+
+  /**
+   * @param {number=} value The coverage delta
+   * @return {string} The delta formatted for the markdown report.
+   */
+  _formatDelta(value) {
+    if (typeof value !== 'number') {
+      return '-';
+    }
+    return value > 0 ? `+${value}` : String(value);
+  }
+
+  /**
+   * Creates a markdown document from the coverage diff.
+   * @param {CoverageDiff} diff
+   * @return {string}
+   */
+  _diffToMarkdown(diff) {
+    const { base, head } = diff;
+    const types = ['coverage', 'lines', 'branches', 'functions'];
+    const parts = [
+      `# Coverage diff of ${head.org}/${head.component}`,
+      '',
+      `Comparing ${base.version} to ${head.version}.`,
+      '',
+      '| Metric | Base | Head | Delta |',
+      '| --- | --- | --- | --- |',
+    ];
+    types.forEach((type) => {
+      const values = [
+        this._formatPercent(base.coverage[type]),
+        this._formatPercent(head.coverage[type]),
+        this._formatDelta(diff.delta[type]),
+      ];
+      parts.push(`| ${type} | ${values.join(' | ')} |`);
+    });
+    parts.push('');
+    if (diff.changed.length) {
+      parts.push('## Changed files', '');
+      parts.push(`| File | ${types.join(' | ')} |`);
+      parts.push(`| --- | ${types.map(() => '---').join(' | ')} |`);
+      diff.changed.forEach((item) => {
+        const values = types.map((type) => {
+          const oldValue = this._formatPercent(item.base[type]);
+          const newValue = this._formatPercent(item.head[type]);
+          return `${oldValue} → ${newValue} (${this._formatDelta(item.delta[type])})`;
+        });
+        parts.push(`| \`${item.file}\` | ${values.join(' | ')} |`);
+      });
+      parts.push('');
+    }
+    if (diff.added.length) {
+      parts.push('## Added files', '');
+      diff.added.forEach((item) => {
+        parts.push(`- \`${item.file}\` (${this._formatPercent(item.head.coverage)})`);
+      });
+      parts.push('');
+    }
+    if (diff.removed.length) {
+      parts.push('## Removed files', '');
+      diff.removed.forEach((item) => {
+        parts.push(`- \`${item.file}\` (${this._formatPercent(item.base.coverage)})`);
+      });
+      parts.push('');
+    }
+    parts.push(`Files with unchanged coverage: ${diff.unchanged}.`);
+    parts.push('');
+    return parts.join('\n');
+  }
+
+  /**
+   * Route to render the coverage badge of a component. The `version` query parameter
+   * selects a version of the component instead of the latest release.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getCoverageBadge(req, res) {
+    const { org, component } = req.params;
+    const { version } = req.query;
+    try {
+      let resource;
+      if (version) {
+        resource = await this.model.getVersionCoverage(org, component, String(version));
+      } else {
+        resource = await this.model.getComponentCoverage(org, component);
+      }
+      if (!resource || !resource.coverage) {
+        sendBadge(res, renderBadge('coverage', 'unknown', colors.grey), 60);
+        return;
+      }
+      const { coverage } = resource.coverage;
+      sendBadge(res, renderBadge('coverage', `${Math.round(coverage)}%`, coverageColor(coverage)));
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
   }
 
   /**
-   * Route to list builds.
+   * Route to schedule a coverage run.
    * @param {Request} req
    * @param {Response} res
    * @return {Promise<void>}
    */
   async scheduleCoverage(req, res) {
     try {
-      await this.ensureAccess(req, 'create-coverage');
-      const errors = this.validateCreateCoverage(req);
+      await this.ensureAccess(req, 'coverage:write');
+      const errors = await this.validateCreateCoverage(req);
       if (errors) {
         this.sendError(res, errors, 400);
         return;
       }
       const { body, user } = req;
+      this.ensureResourceAccess(req, body);
       const info = /** @type CoverageEntity */ ({
         component: body.component,
         org: body.org,
@@ -69,14 +491,14 @@ class CoverageApi extends BaseApi {
   /**
    * Validates whether the coverage run schedule request is valid.
    * @param {Request} req
-   * @return {string|undefined} Error message or nothing.
+   * @return {Promise<string|undefined>} Error message or nothing.
    */
-  validateCreateCoverage(req) {
+  async validateCreateCoverage(req) {
     const messages = [];
     const body = req.body;
     if (!body.org) {
       messages[messages.length] = 'The "org" property is required.';
-    } else if (allowedOrgs.indexOf(body.org) === -1) {
+    } else if (!(await this.registryModel.isAllowedOrg(body.org))) {
       messages[messages.length] = `"${body.org}" is unknown for this CI.`;
     }
     if (!body.tag) {
@@ -92,5 +514,16 @@ class CoverageApi extends BaseApi {
 const api = new CoverageApi();
 api.setCors(router);
 api.wrapApi(router, [
+  ['/', 'listRuns'],
   ['/', 'scheduleCoverage', 'post'],
+  ['/badge/:org/:component.svg', 'getCoverageBadge'],
+  ['/components/:org/:component', 'getComponentCoverage'],
+  ['/components/:org/:component/history', 'getComponentCoverageHistory'],
+  ['/components/:org/:component/diff', 'diffVersions'],
+  ['/components/:org/:component/versions/:version', 'getVersionCoverage'],
+  ['/:runId', 'getRun'],
+  ['/:runId', 'deleteRun', 'delete'],
+  ['/:runId/files', 'listRunFiles'],
+  ['/:runId/diff', 'diffRuns'],
+  ['/:runId/report', 'ingestReport', 'post'],
 ]);
@@ -0,0 +1,516 @@
+import crypto from 'crypto';
+import express from 'express';
+import bodyParser from 'body-parser';
+import validator from 'validator';
+import { GithubBuildModel, GithubDeliveryModel, TestModel } from '@advanced-rest-client/backend-models';
+import logging from '@advanced-rest-client/arc-platform-logger';
+import config from '@advanced-rest-client/backend-config';
+import { BaseApi } from './BaseApi.js';
+import background from '../lib/Background.js';
+
+/** @typedef {import('../types').SessionRequest} Request */
+/** @typedef {import('express').Response} Response */
+/** @typedef {import('@advanced-rest-client/backend-models').GithubBuild} GithubBuild */
+/** @typedef {import('@advanced-rest-client/backend-models').BottomUpTest} BottomUpTest */
+
+/**
+ * @typedef {Object} DeliveryResult
+ * @property {'processed'|'ignored'|'error'} status The processing status of the delivery
+ * @property {string=} message The message associated with the result
+ * @property {string=} buildId The ID of the created build
+ * @property {string=} testId The ID of the created test
+ */
+
+const router = express.Router();
+export default router;
+router.use(bodyParser.json({
+  // the raw body is required to verify the signature of the webhook delivery
+  verify: (req, res, buf) => {
+    // @ts-ignore
+    req.rawBody = buf;
+  },
+}));
+
+/**
+ * A route for GitHub builds of the components.
+ */
+class GithubApiRoute extends BaseApi {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.model = new GithubBuildModel();
+    this.deliveryModel = new GithubDeliveryModel();
+    this.testModel = new TestModel();
+  }
+
+  /**
+   * Validates parameters for a manual build creation
+   * @param {Request} req
+   * @return {string|undefined} Error message or undefined if valid.
+   */
+  validateCreateBuild(req) {
+    const messages = [];
+    const { sshUrl, component, commit, branch } = req.body;
+    if (!sshUrl) {
+      messages[messages.length] = 'The "sshUrl" property is required.';
+    } else if (typeof sshUrl !== 'string') {
+      messages[messages.length] = 'The "sshUrl" property has invalid type.';
+    }
+    if (!component) {
+      messages[messages.length] = 'The "component" property is required.';
+    } else if (typeof component !== 'string') {
+      messages[messages.length] = 'The "component" property has invalid type.';
+    }
+    if (!commit) {
+      messages[messages.length] = 'The "commit" property is required.';
+    } else if (typeof commit !== 'string') {
+      messages[messages.length] = 'The "commit" property has invalid type.';
+    }
+    if (branch && typeof branch !== 'string') {
+      messages[messages.length] = 'The "branch" property has invalid type.';
+    }
+    return messages.length ? messages.join(' ') : undefined;
+  }
+
+  /**
+   * Inserts a build into the data store and queues it in the background worker.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {string} type The type of the build.
+   * @return {Promise<void>}
+   */
+  async scheduleBuild(req, res, type) {
+    try {
+      await this.ensureAccess(req, 'builds:write');
+      const errors = this.validateCreateBuild(req);
+      if (errors) {
+        this.sendError(res, errors, 400);
+        return;
+      }
+      const { body, user } = req;
+      const info = /** @type GithubBuild */ ({
+        type,
+        repository: body.sshUrl,
+        component: body.component,
+        commit: body.commit,
+        creator: {
+          id: user.id,
+          displayName: user.displayName || '',
+        },
+      });
+      if (type === 'tag' && body.branch) {
+        info.branch = body.branch;
+      }
+      const id = await this.model.insert(info);
+      res.status(201).send({ id });
+      background.queueBuild(id);
+    } catch (cause) {
+      logging.error(cause);
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
+
+  /**
+   * Schedules a build of the `stage` branch.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async scheduleStageBuild(req, res) {
+    await this.scheduleBuild(req, res, 'stage');
+  }
+
+  /**
+   * Schedules a build of the `master` branch.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async scheduleMasterBuild(req, res) {
+    await this.scheduleBuild(req, res, 'master');
+  }
+
+  /**
+   * Schedules a build of a release tag.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async scheduleTagBuild(req, res) {
+    await this.scheduleBuild(req, res, 'tag');
+  }
+
+  /**
+   * Lists builds
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async listBuilds(req, res) {
+    const errors = this.validatePagination(req);
+    if (errors) {
+      this.sendError(res, errors);
+      return;
+    }
+    const { limit, pageToken } = req.query;
+    const opts = {};
+    if (pageToken) {
+      opts.pageToken = String(pageToken);
+    }
+    if (limit) {
+      opts.limit = Number(limit);
+    }
+    try {
+      const result = await this.model.list(opts);
+      this.sendQueryResult(result, res);
+    } catch (cause) {
+      logging.error(cause);
+      if (cause.code === 3) {
+        this.sendError(res, 'Invalid pageToken parameter');
+        return;
+      }
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Route to get a single build
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getBuild(req, res) {
+    const { buildId } = req.params;
+    try {
+      const resource = await this.model.get(buildId);
+      if (resource) {
+        res.send(resource);
+      } else {
+        this.sendError(res, 'Build not found', 404);
+      }
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * A route to reset the build state and re-run the build.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async restartBuild(req, res) {
+    const { buildId } = req.params;
+    try {
+      await this.ensureAccess(req, 'builds:write');
+      const resource = await this.model.get(buildId);
+      if (!resource) {
+        this.sendError(res, 'Build not found', 404);
+        return;
+      }
+      await this.model.resetBuild(buildId);
+      res.sendStatus(204).end();
+      background.queueBuild(buildId);
+    } catch (cause) {
+      logging.error(cause);
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
+
+  /**
+   * Verifies the `X-Hub-Signature-256` header of a webhook delivery against
+   * the raw body of the request.
+   * @param {Request} req
+   * @param {string} secret The webhook secret
+   * @return {boolean} True when the signature is valid.
+   */
+  verifySignature(req, secret) {
+    const signature = req.get('x-hub-signature-256');
+    const { rawBody } = req;
+    if (!signature || !rawBody) {
+      return false;
+    }
+    const hmac = crypto.createHmac('sha256', secret);
+    hmac.update(rawBody);
+    const expected = Buffer.from(`sha256=${hmac.digest('hex')}`);
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * A route for GitHub webhook deliveries.
+   * Each delivery is recorded in the data store. Duplicated deliveries are ignored.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async handleWebhook(req, res) {
+    const secret = config.get('WEBHOOK_SECRET');
+    if (!secret) {
+      this.sendError(res, 'The webhook is not configured', 500);
+      return;
+    }
+    if (!this.verifySignature(req, secret)) {
+      this.sendError(res, 'Invalid signature', 401);
+      return;
+    }
+    const id = req.get('x-github-delivery');
+    const event = req.get('x-github-event');
+    if (!id || !event) {
+      this.sendError(res, 'The "X-GitHub-Delivery" and "X-GitHub-Event" headers are required.', 400);
+      return;
+    }
+    try {
+      const payload = req.rawBody.toString('utf8');
+      const created = await this.deliveryModel.insert(id, { event, payload });
+      if (!created) {
+        res.send({ id, status: 'duplicate' });
+        return;
+      }
+      const result = await this.processDelivery(id, event, req.body);
+      res.send({ id, ...result });
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Processes a delivery and records the result in the data store.
+   * @param {string} id The delivery id
+   * @param {string} event The GitHub event name
+   * @param {any} payload The delivery payload
+   * @param {boolean=} replay Whether this is a replay of the delivery
+   * @return {Promise<DeliveryResult>}
+   */
+  async processDelivery(id, event, payload, replay=false) {
+    let result = /** @type DeliveryResult */ (null);
+    try {
+      result = await this.processEvent(event, payload);
+    } catch (cause) {
+      logging.error(cause);
+      result = {
+        status: 'error',
+        message: cause.message,
+      };
+    }
+    await this.deliveryModel.setResult(id, result, replay);
+    return result;
+  }
+
+  /**
+   * Turns a GitHub event into a queued build or a test.
+   * @param {string} event The GitHub event name
+   * @param {any} payload The delivery payload
+   * @return {Promise<DeliveryResult>}
+   */
+  async processEvent(event, payload) {
+    switch (event) {
+      case 'push': return this.processPush(payload);
+      case 'create': return this.processCreate(payload);
+      case 'status': return this.processStatus(payload);
+      case 'pull_request': return this.processPullRequest(payload);
+      default: return { status: 'ignored', message: `Unsupported event ${event}` };
+    }
+  }
+
+  /**
+   * Schedules a `master` build when the master branch receives a push.
+   * Stage builds are scheduled after a successful status check of the stage branch.
+   * @param {any} payload The `push` event payload
+   * @return {Promise<DeliveryResult>}
+   */
+  async processPush(payload) {
+    if (payload.deleted) {
+      return { status: 'ignored', message: 'The ref has been deleted' };
+    }
+    if (payload.ref !== 'refs/heads/master') {
+      return { status: 'ignored', message: `No builds for ${payload.ref}` };
+    }
+    return this.queueWebhookBuild({
+      type: 'master',
+      repository: payload.repository.ssh_url,
+      component: payload.repository.full_name,
+      commit: payload.after,
+    });
+  }
+
+  /**
+   * Schedules a `tag` build when a tag is created.
+   * @param {any} payload The `create` event payload
+   * @return {Promise<DeliveryResult>}
+   */
+  async processCreate(payload) {
+    if (payload.ref_type !== 'tag') {
+      return { status: 'ignored', message: `No builds for ${payload.ref_type}` };
+    }
+    return this.queueWebhookBuild({
+      type: 'tag',
+      repository: payload.repository.ssh_url,
+      component: payload.repository.full_name,
+      branch: payload.ref,
+    });
+  }
+
+  /**
+   * Schedules a `stage` build when a commit on the stage branch passes the checks.
+   * @param {any} payload The `status` event payload
+   * @return {Promise<DeliveryResult>}
+   */
+  async processStatus(payload) {
+    if (payload.state !== 'success') {
+      return { status: 'ignored', message: `No builds for the ${payload.state} state` };
+    }
+    const branches = /** @type any[] */ (payload.branches || []);
+    if (!branches.some((branch) => branch.name === 'stage')) {
+      return { status: 'ignored', message: 'The commit is not on the stage branch' };
+    }
+    return this.queueWebhookBuild({
+      type: 'stage',
+      repository: payload.repository.ssh_url,
+      component: payload.repository.full_name,
+      commit: payload.sha,
+    });
+  }
+
+  /**
+   * Schedules a bottom-up test when a pull request is opened or updated.
+   * @param {any} payload The `pull_request` event payload
+   * @return {Promise<DeliveryResult>}
+   */
+  async processPullRequest(payload) {
+    if (['opened', 'reopened', 'synchronize'].indexOf(payload.action) === -1) {
+      return { status: 'ignored', message: `No tests for the ${payload.action} action` };
+    }
+    const { pull_request: pr, sender } = payload;
+    const info = /** @type BottomUpTest */ ({
+      type: 'bottom-up',
+      repository: payload.repository.ssh_url,
+      purpose: validator.escape(`Pull request #${pr.number}: ${pr.title}`),
+      creator: {
+        id: 'github',
+        displayName: (sender && sender.login) || 'GitHub',
+      },
+    });
+    const testId = await this.testModel.create(info);
+    background.queueTest(testId);
+    return { status: 'processed', testId };
+  }
+
+  /**
+   * Inserts a build created from a webhook delivery and queues it in the background worker.
+   * @param {GithubBuild} info The build to create
+   * @return {Promise<DeliveryResult>}
+   */
+  async queueWebhookBuild(info) {
+    const buildId = await this.model.insert(info);
+    background.queueBuild(buildId);
+    return { status: 'processed', buildId };
+  }
+
+  /**
+   * Lists recorded webhook deliveries.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async listDeliveries(req, res) {
+    const errors = this.validatePagination(req);
+    if (errors) {
+      this.sendError(res, errors);
+      return;
+    }
+    const { limit, pageToken } = req.query;
+    const opts = {};
+    if (pageToken) {
+      opts.pageToken = String(pageToken);
+    }
+    if (limit) {
+      opts.limit = Number(limit);
+    }
+    try {
+      await this.ensureAccess(req, 'builds:write');
+      const result = await this.deliveryModel.list(opts);
+      this.sendQueryResult(result, res);
+    } catch (cause) {
+      logging.error(cause);
+      if (cause.code === 3) {
+        this.sendError(res, 'Invalid pageToken parameter');
+        return;
+      }
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
+
+  /**
+   * Route to get a single webhook delivery
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getDelivery(req, res) {
+    const { deliveryId } = req.params;
+    try {
+      await this.ensureAccess(req, 'builds:write');
+      const resource = await this.deliveryModel.get(deliveryId);
+      if (resource) {
+        res.send(resource);
+      } else {
+        this.sendError(res, 'Delivery not found', 404);
+      }
+    } catch (cause) {
+      logging.error(cause);
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
+
+  /**
+   * A route to process a recorded webhook delivery again.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async replayDelivery(req, res) {
+    const { deliveryId } = req.params;
+    try {
+      await this.ensureAccess(req, 'builds:write');
+      const resource = await this.deliveryModel.get(deliveryId);
+      if (!resource) {
+        this.sendError(res, 'Delivery not found', 404);
+        return;
+      }
+      const payload = JSON.parse(resource.payload);
+      const result = await this.processDelivery(deliveryId, resource.event, payload, true);
+      res.send({ id: deliveryId, ...result });
+    } catch (cause) {
+      logging.error(cause);
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
+}
+
+const api = new GithubApiRoute();
+api.setCors(router);
+api.wrapApi(router, [
+  ['/manual/stage', 'scheduleStageBuild', 'post'],
+  ['/manual/master', 'scheduleMasterBuild', 'post'],
+  ['/manual/tag', 'scheduleTagBuild', 'post'],
+  ['/builds', 'listBuilds'],
+  ['/builds/:buildId', 'getBuild'],
+  ['/builds/:buildId/restart', 'restartBuild', 'put'],
+  ['/webhook', 'handleWebhook', 'post'],
+  ['/deliveries', 'listDeliveries'],
+  ['/deliveries/:deliveryId', 'getDelivery'],
+  ['/deliveries/:deliveryId/replay', 'replayDelivery', 'put'],
+]);
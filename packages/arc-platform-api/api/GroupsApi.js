@@ -0,0 +1,226 @@
+import express from 'express';
+import bodyParser from 'body-parser';
+import { ComponentModel, GroupModel } from '@advanced-rest-client/backend-models';
+import logging from '@advanced-rest-client/arc-platform-logger';
+import { BaseApi } from './BaseApi.js';
+
+/** @typedef {import('../types').SessionRequest} Request */
+/** @typedef {import('express').Response} Response */
+/** @typedef {import('@advanced-rest-client/backend-models').ComponentEntity} ComponentEntity */
+
+const router = express.Router();
+export default router;
+router.use(bodyParser.json());
+
+/**
+ * A route responsible for browsing components by their groups.
+ */
+class GroupsApiRoute extends BaseApi {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.model = new GroupModel();
+    this.componentModel = new ComponentModel();
+  }
+
+  /**
+   * Reads pagination options from the request.
+   * @param {Request} req
+   * @return {object}
+   */
+  _readPagination(req) {
+    const { limit, pageToken } = req.query;
+    const opts = {};
+    if (pageToken) {
+      opts.pageToken = String(pageToken);
+    }
+    if (limit) {
+      opts.limit = Number(limit);
+    }
+    return opts;
+  }
+
+  /**
+   * Reads a component that belongs to a group.
+   * @param {string} groupId
+   * @param {string} componentId
+   * @return {Promise<ComponentEntity|null>} The component or null when the component is not in the group.
+   */
+  async _readGroupComponent(groupId, componentId) {
+    const component = await this.componentModel.getComponent(componentId);
+    if (!component || component.group !== this.model.slug(groupId)) {
+      return null;
+    }
+    return component;
+  }
+
+  /**
+   * Lists groups route.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async listGroups(req, res) {
+    const errors = this.validatePagination(req);
+    if (errors) {
+      this.sendError(res, errors);
+      return;
+    }
+    try {
+      const result = await this.model.list(this._readPagination(req));
+      this.sendQueryResult(result, res);
+    } catch (cause) {
+      logging.error(cause);
+      if (cause.code === 3) {
+        this.sendError(res, 'Invalid pageToken parameter');
+        return;
+      }
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Route to get a single group
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getGroup(req, res) {
+    const { groupId } = req.params;
+    try {
+      const resource = await this.model.get(groupId);
+      if (resource) {
+        res.send(resource);
+      } else {
+        this.sendError(res, 'Group not found', 404);
+      }
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Lists components of a group.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async listGroupComponents(req, res) {
+    const errors = this.validatePagination(req);
+    if (errors) {
+      this.sendError(res, errors);
+      return;
+    }
+    const { groupId } = req.params;
+    try {
+      const group = await this.model.get(groupId);
+      if (!group) {
+        this.sendError(res, 'Group not found', 404);
+        return;
+      }
+      const opts = this._readPagination(req);
+      opts.group = group.id;
+      const result = await this.componentModel.queryComponents(opts);
+      this.sendQueryResult(result, res);
+    } catch (cause) {
+      logging.error(cause);
+      if (cause.code === 3) {
+        this.sendError(res, 'Invalid pageToken parameter');
+        return;
+      }
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Route to get a single component of a group
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getGroupComponent(req, res) {
+    const { groupId, componentId } = req.params;
+    try {
+      const resource = await this._readGroupComponent(groupId, componentId);
+      if (resource) {
+        res.send(resource);
+      } else {
+        this.sendError(res, 'Component not found', 404);
+      }
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Lists versions of a component of a group.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async listGroupComponentVersions(req, res) {
+    const errors = this.validatePagination(req);
+    if (errors) {
+      this.sendError(res, errors);
+      return;
+    }
+    const { groupId, componentId } = req.params;
+    try {
+      const component = await this._readGroupComponent(groupId, componentId);
+      if (!component) {
+        this.sendError(res, 'Component not found', 404);
+        return;
+      }
+      const result = await this.componentModel.listVersions(component.npmName, this._readPagination(req));
+      this.sendQueryResult(result, res);
+    } catch (cause) {
+      logging.error(cause);
+      if (cause.code === 3) {
+        this.sendError(res, 'Invalid pageToken parameter');
+        return;
+      }
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
+  /**
+   * Route to get a single version of a component of a group
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getGroupComponentVersion(req, res) {
+    const { groupId, componentId, versionId } = req.params;
+    try {
+      const component = await this._readGroupComponent(groupId, componentId);
+      if (!component) {
+        this.sendError(res, 'Component not found', 404);
+        return;
+      }
+      const resource = await this.componentModel.getVersion(component.npmName, versionId);
+      if (resource) {
+        res.send(resource);
+      } else {
+        this.sendError(res, 'Version not found', 404);
+      }
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
+  }
+}
+
+const api = new GroupsApiRoute();
+api.setCors(router);
+api.wrapApi(router, [
+  ['/', 'listGroups'],
+  ['/:groupId', 'getGroup'],
+  ['/:groupId/components', 'listGroupComponents'],
+  ['/:groupId/components/:componentId', 'getGroupComponent'],
+  ['/:groupId/components/:componentId/versions', 'listGroupComponentVersions'],
+  ['/:groupId/components/:componentId/versions/:versionId', 'getGroupComponentVersion'],
+]);
@@ -0,0 +1,39 @@
+import express from 'express';
+import { getJwks } from '@advanced-rest-client/api-tokens';
+import logging from '@advanced-rest-client/arc-platform-logger';
+import { BaseApi } from './BaseApi.js';
+
+/** @typedef {import('../types').SessionRequest} Request */
+/** @typedef {import('express').Response} Response */
+
+const router = express.Router();
+export default router;
+
+/**
+ * A route that publishes the public keys used to verify the API tokens
+ * so other services can verify the tokens without the secret.
+ */
+class JwksApiRoute extends BaseApi {
+  /**
+   * Sends the JSON Web Key Set with the token verification keys.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getKeys(req, res) {
+    try {
+      const result = await getJwks();
+      res.set('Cache-Control', 'public, max-age=3600');
+      res.send(result);
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, 'Unable to read the token verification keys', 500);
+    }
+  }
+}
+
+const api = new JwksApiRoute();
+api.setCors(router);
+api.wrapApi(router, [
+  ['/jwks.json', 'getKeys'],
+]);
@@ -1,14 +1,18 @@
 import express from 'express';
 import bodyParser from 'body-parser';
 import { UserModel } from '@advanced-rest-client/backend-models';
-import { areScopesValid, generateToken, verifyToken } from '@advanced-rest-client/api-tokens';
+import config from '@advanced-rest-client/backend-config';
+import {
+  isValidScope, normalizeScope, parseScope, parseDuration, generateToken, verifyToken, adminResources,
+} from '@advanced-rest-client/api-tokens';
 import validator from 'validator';
 import { BaseApi } from './BaseApi.js';
-import { ClientError } from './Errors.js';
+import { AccessError, ClientError } from './Errors.js';
 
 /** @typedef {import('../types').SessionRequest} Request */
 /** @typedef {import('express').Response} Response */
 /** @typedef {import('@advanced-rest-client/backend-models').UserEntity} UserEntity */
+/** @typedef {import('@advanced-rest-client/api-tokens').TokenCreateInfo} TokenCreateInfo */
 
 const router = express.Router();
 export default router;
@@ -49,6 +53,7 @@ class MeApiRoute extends BaseApi {
         } else {
           const copy = { ...user };
           delete copy.id;
+          copy.tos = this.userModel.hasAcceptedTos(user);
           // @ts-ignore
           copy.loggedIn = true;
           res.send(copy);
@@ -60,6 +65,53 @@ class MeApiRoute extends BaseApi {
     }
   }
 
+  /**
+   * Validates the terms of service acceptance request.
+   * @param {Request} req The request object
+   * @throws {ClientError} when has invalid parameters
+   */
+  _validateTosAccept(req) {
+    const body = req.body || {};
+    const { tosVersion } = this.userModel;
+    if (!body.version || typeof body.version !== 'string') {
+      throw new ClientError('The "version" property is required.');
+    }
+    if (tosVersion && body.version !== tosVersion) {
+      throw new ClientError(`The terms of service version ${body.version} is not the current version (${tosVersion}).`);
+    }
+  }
+
+  /**
+   * API route to record that the current user accepted the terms of service.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async acceptTos(req, res) {
+    try {
+      // the terms are accepted before the user is allowed to make changes so `ensureAccess()` can't be used.
+      const hasAccess = await this.isValidAccess(req);
+      if (!hasAccess) {
+        throw new AccessError();
+      }
+      this._validateTosAccept(req);
+      const sessionUser = /** @type UserEntity */ (req.user);
+      const user = await this.userModel.acceptTos(sessionUser.id, req.body.version);
+      if (!user) {
+        this.sendError(res, 'User not found', 404);
+        return;
+      }
+      res.send({
+        tos: true,
+        tosVersion: user.tosVersion,
+        tosAccepted: user.tosAccepted,
+      });
+    } catch (cause) {
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
+
   /**
    * API route to get current user
    * @param {Request} req
@@ -97,6 +149,7 @@ class MeApiRoute extends BaseApi {
       const now = Date.now();
       result.entities.forEach((item) => {
         item.expired = item.expires <= now;
+        item.revoked = this.tokenModel.isRevoked(item);
       });
       this.sendQueryResult(result, res);
     } catch (e) {
@@ -105,6 +158,28 @@ class MeApiRoute extends BaseApi {
     }
   }
 
+  /**
+   * @return {number} The maximum lifetime of a token in seconds. `0` when tokens may not expire.
+   */
+  get maxTokenLifetime() {
+    return Number(config.get('TOKEN_MAX_LIFETIME') || 0) * 24 * 60 * 60;
+  }
+
+  /**
+   * Reads the lifetime of a new token.
+   * @param {string|number=} expiresIn The requested lifetime of the token.
+   * @return {number|undefined} The number of seconds until the token expires or undefined
+   * when the token does not expire.
+   */
+  _readTokenLifetime(expiresIn) {
+    const max = this.maxTokenLifetime;
+    const seconds = expiresIn ? parseDuration(expiresIn) : null;
+    if (seconds) {
+      return max ? Math.min(seconds, max) : seconds;
+    }
+    return max || undefined;
+  }
+
   /**
    * Validates token create request parameters.
    * @param {Request} req The request object
@@ -113,16 +188,59 @@ class MeApiRoute extends BaseApi {
   _validateTokenCreate(req) {
     const messages = [];
     const body = req.body;
-    if (!body.scopes || !body.scopes.length) {
+    if (!Array.isArray(body.scopes) || !body.scopes.length) {
       messages[messages.length] = 'Token "scope" is required.';
-    } else if (!areScopesValid(body.scopes)) {
-      messages[messages.length] = `Scope "${body.scopes.join(', ')}" is invalid.`;
+    } else {
+      const invalid = body.scopes.filter((scope) => !isValidScope(scope));
+      if (invalid.length) {
+        messages[messages.length] = `Scope "${invalid.join(', ')}" is invalid.`;
+      }
+    }
+    ['orgs', 'components'].forEach((name) => {
+      const value = body[name];
+      if (typeof value === 'undefined') {
+        return;
+      }
+      if (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || !item.trim())) {
+        messages[messages.length] = `The "${name}" property must be a list of names.`;
+      }
+    });
+    if (typeof body.expiresIn !== 'undefined') {
+      const seconds = parseDuration(body.expiresIn);
+      const max = this.maxTokenLifetime;
+      if (!seconds) {
+        messages[messages.length] = 'The "expiresIn" property must be a number of seconds or a duration like "30d".';
+      } else if (max && seconds > max) {
+        messages[messages.length] = `The token lifetime cannot exceed ${config.get('TOKEN_MAX_LIFETIME')} day(s).`;
+      }
     }
     if (messages.length) {
       throw new ClientError(messages.join(' '));
     }
   }
 
+  /**
+   * Ensures that only administrators can create tokens with access to the administrative
+   * resources. These scopes can't be requested with another token.
+   * @param {Request} req The request object
+   * @param {string[]} scopes The normalized scopes of the new token
+   * @return {Promise<void>}
+   * @throws {AccessError} When the user is not allowed to create the token.
+   */
+  async _ensureAdminScopes(req, scopes) {
+    const isAdminScope = scopes.some((scope) => adminResources.includes(parseScope(scope).resource));
+    if (!isAdminScope) {
+      return;
+    }
+    if (req.tokenInfo) {
+      throw new AccessError('Administrative scopes can only be granted from a user session.', 403);
+    }
+    const user = await this._readUser(req);
+    if (!user || !user.superUser) {
+      throw new AccessError('Only administrators can create tokens with administrative scopes.', 403);
+    }
+  }
+
   /**
    * API route to create a token
    * @param {Request} req
@@ -133,14 +251,24 @@ class MeApiRoute extends BaseApi {
     try {
       await this.ensureAccess(req);
       this._validateTokenCreate(req);
-      const opts = {
-        scopes: req.body.scopes,
-      };
-      if (req.body.expiresIn) {
-        opts.expiresIn = req.body.expiresIn;
+      const { orgs, components } = req.body;
+      const opts = /** @type TokenCreateInfo */ ({
+        // legacy scopes are stored as `resource:action` scopes.
+        scopes: Array.from(new Set(req.body.scopes.map((scope) => normalizeScope(scope)))),
+      });
+      await this._ensureAdminScopes(req, opts.scopes);
+      if (orgs && orgs.length) {
+        opts.orgs = orgs.map((item) => item.trim());
+      }
+      if (components && components.length) {
+        opts.components = components.map((item) => item.trim());
+      }
+      const lifetime = this._readTokenLifetime(req.body.expiresIn);
+      if (lifetime) {
+        opts.expires = lifetime;
       }
       const sessionUser = /** @type UserEntity */ (req.user);
-      const token = generateToken(sessionUser, opts);
+      const token = await generateToken(sessionUser, opts);
       const info = await verifyToken(token);
       const name = req.body.name ? validator.escape(req.body.name) : undefined;
       const result = await this.tokenModel.create(sessionUser, info, token, name);
@@ -173,6 +301,7 @@ class MeApiRoute extends BaseApi {
       const resource = await this.tokenModel.get(sessionUser.id, token);
       if (resource) {
         resource.expired = resource.expires <= Date.now();
+        resource.revoked = this.tokenModel.isRevoked(resource);
         res.send(resource);
       } else {
         this.sendError(res, 'Token not found', 404);
@@ -218,6 +347,78 @@ class MeApiRoute extends BaseApi {
     }
   }
 
+  /**
+   * API route to rotate a token.
+   * Issues a new token with the same name, scopes, and restrictions, and revokes
+   * the rotated token after the `TOKEN_ROTATION_GRACE` period.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async rotateUserToken(req, res) {
+    try {
+      await this.ensureAccess(req);
+      const { token } = req.params;
+      const sessionUser = /** @type UserEntity */ (req.user);
+      const resource = await this.tokenModel.get(sessionUser.id, token);
+      if (!resource) {
+        this.sendError(res, 'Token not found', 404);
+        return;
+      }
+      if (resource.replacedBy) {
+        this.sendError(res, 'Token has already been rotated', 400);
+        return;
+      }
+      if (this.tokenModel.isRevoked(resource)) {
+        this.sendError(res, 'Token is revoked', 400);
+        return;
+      }
+      if (resource.expires && resource.expires <= Date.now()) {
+        this.sendError(res, 'Token is expired', 400);
+        return;
+      }
+      const opts = /** @type TokenCreateInfo */ ({
+        scopes: Array.from(new Set(resource.scopes.map((scope) => normalizeScope(scope)).filter((scope) => !!scope))),
+      });
+      // the replacement of an administrative token is granted on the same terms as a new token.
+      await this._ensureAdminScopes(req, opts.scopes);
+      if (resource.orgs) {
+        opts.orgs = resource.orgs;
+      }
+      if (resource.components) {
+        opts.components = resource.components;
+      }
+      // the replacement token has the same lifetime as the rotated token.
+      const lifetime = resource.expires ? Math.round((resource.expires - resource.created) / 1000) : undefined;
+      const expires = this._readTokenLifetime(lifetime);
+      if (expires) {
+        opts.expires = expires;
+      }
+      const value = await generateToken(sessionUser, opts);
+      const info = await verifyToken(value);
+      const result = await this.tokenModel.create(sessionUser, info, value, resource.name, resource.id);
+      const grace = Number(config.get('TOKEN_ROTATION_GRACE') || 0) * 1000;
+      let rotated;
+      try {
+        // marks the token as replaced in a transaction so only one concurrent rotation succeeds.
+        rotated = await this.tokenModel.scheduleRevoke(sessionUser.id, resource.id, Date.now() + grace, result.id);
+      } catch (e) {
+        await this.tokenModel.delete(sessionUser.id, result.id);
+        throw e;
+      }
+      if (!rotated) {
+        await this.tokenModel.delete(sessionUser.id, result.id);
+        this.sendError(res, 'Token not found', 404);
+        return;
+      }
+      result.expired = false;
+      res.send(result);
+    } catch (cause) {
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
+
   /**
    * API route to revoke a token
    * @param {Request} req
@@ -258,9 +459,11 @@ const api = new MeApiRoute();
 api.setCors(router);
 api.wrapApi(router, [
   ['/', 'getCurrentUser'],
+  ['/tos', 'acceptTos', 'post'],
   ['/tokens', 'listUserTokens'],
   ['/tokens', 'createUserToken', 'post'],
-  ['/tokens/:token', 'getUserToken', 'delete'],
-  ['/tokens/:token', 'deleteUserToken'],
+  ['/tokens/:token', 'getUserToken'],
+  ['/tokens/:token', 'deleteUserToken', 'delete'],
   ['/tokens/:token/revoke', 'revokeUserToken', 'post'],
+  ['/tokens/:token/rotate', 'rotateUserToken', 'post'],
 ]);
@@ -178,7 +178,7 @@ class MessagesApiRoute extends BaseApi {
    */
   async createMessage(req, res) {
     try {
-      const hasAccess = await this.isValidAccess(req, 'create-message');
+      const hasAccess = await this.isValidAccess(req, 'messages:write');
       if (!hasAccess) {
         const o = {
           message: 'Unauthorized',
@@ -231,7 +231,7 @@ class MessagesApiRoute extends BaseApi {
   async deleteMessage(req, res) {
     const { messageId } = req.params;
     try {
-      const hasAccess = await this.isValidAccess(req, 'delete-message');
+      const hasAccess = await this.isValidAccess(req, 'messages:delete');
       if (!hasAccess) {
         const o = {
           message: 'Unauthorized',
@@ -0,0 +1,231 @@
+import express from 'express';
+import bodyParser from 'body-parser';
+import { RegistryModel } from '@advanced-rest-client/backend-models';
+import logging from '@advanced-rest-client/arc-platform-logger';
+import { BaseApi } from './BaseApi.js';
+
+/** @typedef {import('../types').SessionRequest} Request */
+/** @typedef {import('express').Response} Response */
+/** @typedef {import('@advanced-rest-client/backend-models').RegistryEntry} RegistryEntry */
+/** @typedef {import('@advanced-rest-client/backend-models').RegistryEntryType} RegistryEntryType */
+
+const router = express.Router();
+export default router;
+router.use(bodyParser.json());
+
+/**
+ * A route to manage the registry of GitHub organizations allowed in the CI
+ * and trusted email domains and addresses.
+ * All routes require an administrator.
+ */
+class RegistryApiRoute extends BaseApi {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.model = new RegistryModel();
+  }
+
+  /**
+   * Reads list options from the request.
+   * @param {Request} req
+   * @return {object}
+   */
+  _readListOptions(req) {
+    const { limit, pageToken, type } = req.query;
+    const opts = {};
+    if (pageToken) {
+      opts.pageToken = String(pageToken);
+    }
+    if (limit) {
+      opts.limit = Number(limit);
+    }
+    if (type) {
+      opts.type = String(type);
+    }
+    return opts;
+  }
+
+  /**
+   * Validates the list request.
+   * @param {Request} req
+   * @return {string|undefined} Error message or nothing.
+   */
+  validateList(req) {
+    const messages = [];
+    const pagination = this.validatePagination(req);
+    if (pagination) {
+      messages[messages.length] = pagination;
+    }
+    const { type } = req.query;
+    if (type && !this.model.entryTypes.includes(/** @type RegistryEntryType */ (type))) {
+      messages[messages.length] = `Unknown registry entry type: ${type}.`;
+    }
+    return messages.length ? messages.join(' ') : undefined;
+  }
+
+  /**
+   * Lists the registry entries.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async listEntries(req, res) {
+    try {
+      await this.ensureAdmin(req, 'registry:read');
+      const errors = this.validateList(req);
+      if (errors) {
+        this.sendError(res, errors);
+        return;
+      }
+      const result = await this.model.list(this._readListOptions(req));
+      this.sendQueryResult(result, res);
+    } catch (cause) {
+      logging.error(cause);
+      if (cause.code === 3) {
+        this.sendError(res, 'Invalid pageToken parameter');
+        return;
+      }
+      this.sendError(res, cause.message, cause.code || 500);
+    }
+  }
+
+  /**
+   * Validates the create entry request.
+   * @param {Request} req
+   * @return {string|undefined} Error message or nothing.
+   */
+  validateCreate(req) {
+    const messages = [];
+    const body = req.body || {};
+    if (!body.type) {
+      messages[messages.length] = 'The "type" property is required.';
+    } else if (!this.model.entryTypes.includes(body.type)) {
+      messages[messages.length] = `Unknown registry entry type: ${body.type}.`;
+    }
+    if (!body.value || typeof body.value !== 'string' || !body.value.trim()) {
+      messages[messages.length] = 'The "value" property is required.';
+    }
+    if (body.description && typeof body.description !== 'string') {
+      messages[messages.length] = 'The "description" property must be a string.';
+    }
+    return messages.length ? messages.join(' ') : undefined;
+  }
+
+  /**
+   * Adds an entry to the registry.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async createEntry(req, res) {
+    try {
+      await this.ensureAdmin(req, 'registry:write');
+      const errors = this.validateCreate(req);
+      if (errors) {
+        this.sendError(res, errors);
+        return;
+      }
+      const { body, user } = req;
+      const info = /** @type RegistryEntry */ ({
+        type: body.type,
+        value: body.value,
+      });
+      if (body.description) {
+        info.description = body.description;
+      }
+      const creator = {
+        id: user.id,
+        displayName: user.displayName || '',
+      };
+      const result = await this.model.insert(info, creator);
+      res.status(201).send(result);
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, cause.code || 500);
+    }
+  }
+
+  /**
+   * Reads a registry entry.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getEntry(req, res) {
+    const { entryId } = req.params;
+    try {
+      await this.ensureAdmin(req, 'registry:read');
+      const resource = await this.model.get(entryId);
+      if (resource) {
+        res.send(resource);
+      } else {
+        this.sendError(res, 'Registry entry not found', 404);
+      }
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, cause.code || 500);
+    }
+  }
+
+  /**
+   * Updates the description of a registry entry.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async updateEntry(req, res) {
+    const { entryId } = req.params;
+    try {
+      await this.ensureAdmin(req, 'registry:write');
+      const body = req.body || {};
+      if (body.description && typeof body.description !== 'string') {
+        this.sendError(res, 'The "description" property must be a string.');
+        return;
+      }
+      const result = await this.model.update(entryId, body.description);
+      if (result) {
+        res.send(result);
+      } else {
+        this.sendError(res, 'Registry entry not found', 404);
+      }
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, cause.code || 500);
+    }
+  }
+
+  /**
+   * Removes an entry from the registry.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async deleteEntry(req, res) {
+    const { entryId } = req.params;
+    try {
+      await this.ensureAdmin(req, 'registry:delete');
+      const resource = await this.model.get(entryId);
+      if (!resource) {
+        this.sendError(res, 'Registry entry not found', 404);
+        return;
+      }
+      await this.model.delete(entryId);
+      res.sendStatus(204).end();
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, cause.code || 500);
+    }
+  }
+}
+
+const api = new RegistryApiRoute();
+api.setCors(router);
+api.wrapApi(router, [
+  ['/', 'listEntries'],
+  ['/', 'createEntry', 'post'],
+  ['/:entryId', 'getEntry'],
+  ['/:entryId', 'updateEntry', 'patch'],
+  ['/:entryId', 'deleteEntry', 'delete'],
+]);
@@ -6,6 +6,7 @@ import { TestModel, TestComponentModel, TestLogModel } from '@advanced-rest-clie
 import logging from '@advanced-rest-client/arc-platform-logger';
 import { BaseApi } from './BaseApi.js';
 import background from '../lib/Background.js';
+import { renderBadge, sendBadge, colors } from '../lib/Badge.js';
 
 /** @typedef {import('../types').SessionRequest} Request */
 /** @typedef {import('express').Response} Response */
@@ -14,6 +15,8 @@ import background from '../lib/Background.js';
 /** @typedef {import('@advanced-rest-client/backend-models').BottomUpTestEntity} BottomUpTestEntity */
 /** @typedef {import('@advanced-rest-client/backend-models').BottomUpTest} BottomUpTest */
 /** @typedef {import('@advanced-rest-client/backend-models').UserEntity} UserEntity */
+/** @typedef {import('@advanced-rest-client/backend-models').TestReport} TestReport */
+/** @typedef {import('@advanced-rest-client/backend-models').TestBrowserResult} TestBrowserResult */
 
 
 const router = express.Router();
@@ -76,6 +79,9 @@ class TestApiRoute extends BaseApi {
     if (!body.repository) {
       messages[messages.length] = `The "repository" property is required.`;
     }
+    if (body.component !== undefined && typeof body.component !== 'string') {
+      messages[messages.length] = `Invalid type "${typeof body.component}" for "component" property.`;
+    }
     return messages.length ? messages.join(' ') : undefined;
   }
 
@@ -89,7 +95,7 @@ class TestApiRoute extends BaseApi {
    */
   async createTest(req, res) {
     try {
-      await this.ensureAccess(req, 'create-test');
+      await this.ensureAccess(req, 'tests:write');
       const errors = this.validateCreateTest(req);
       if (errors) {
         this.sendError(res, errors, 400);
@@ -149,6 +155,12 @@ class TestApiRoute extends BaseApi {
     if (body.purpose) {
       info.purpose = validator.escape(body.purpose);
     }
+    if (typeof body.includeDev === 'boolean') {
+      info.includeDev = body.includeDev;
+    }
+    if (body.component) {
+      info.component = body.component;
+    }
     return info;
   }
 
@@ -206,6 +218,32 @@ class TestApiRoute extends BaseApi {
     }
   }
 
+  /**
+   * Route to render the CI status badge of a component from the latest test result of the component.
+   * The organization is the scope of the component's package without the `@`, the same as in
+   * the coverage badge. A leading `@` is accepted for the badges linked before.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getStatusBadge(req, res) {
+    const { component } = req.params;
+    const org = req.params.org.replace(/^@/, '');
+    try {
+      const result = await this.testsComponentModel.getLatestResult(`@${org}/${component}`);
+      if (!result) {
+        sendBadge(res, renderBadge('ci', 'unknown', colors.grey), 60);
+        return;
+      }
+      const passed = result.status === 'passed';
+      const badge = renderBadge('ci', passed ? 'passing' : 'failing', passed ? colors.brightgreen : colors.red);
+      sendBadge(res, badge);
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, 500);
+    }
+  }
+
   /**
    * Route to delete a test
    * @param {Request} req
@@ -215,7 +253,7 @@ class TestApiRoute extends BaseApi {
   async deleteTest(req, res) {
     const { testId } = req.params;
     try {
-      await this.ensureAccess(req, 'delete-test');
+      await this.ensureAccess(req, 'tests:delete');
       const resource = await this.testModel.get(testId);
       if (!resource) {
         const o = {
@@ -242,7 +280,7 @@ class TestApiRoute extends BaseApi {
   async restartTest(req, res) {
     const { testId } = req.params;
     try {
-      await this.ensureAccess(req, 'create-test');
+      await this.ensureAccess(req, 'tests:write');
       await this.testModel.resetTest(testId);
       res.sendStatus(204).end();
       background.queueTest(testId);
@@ -359,6 +397,235 @@ class TestApiRoute extends BaseApi {
       this.sendError(res, cause.message, 500);
     }
   }
+
+  /**
+   * Reads the test and sends the 404 error when the test does not exist.
+   * @param {string} testId
+   * @param {Response} res
+   * @return {Promise<boolean>} True when the test exists.
+   */
+  async _ensureTest(testId, res) {
+    const entity = await this.testModel.get(testId);
+    if (!entity) {
+      this.sendError(res, 'Test not found', 404);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Reads the test component and sends the 404 error when the component test does not exist.
+   * @param {string} testId
+   * @param {string} componentName
+   * @param {Response} res
+   * @return {Promise<boolean>} True when the test component exists.
+   */
+  async _ensureTestComponent(testId, componentName, res) {
+    const component = await this.testsComponentModel.get(testId, componentName);
+    if (!component) {
+      this.sendError(res, 'Test component not found', 404);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Validates a browser result of the test report.
+   * @param {TestBrowserResult} result
+   * @param {number} index The index of the result in the report
+   * @return {string[]} The list of error messages.
+   */
+  _validateBrowserResult(result, index) {
+    const messages = [];
+    if (!result || typeof result !== 'object') {
+      messages.push(`The results[${index}] property should be an object.`);
+      return messages;
+    }
+    if (!result.browser || typeof result.browser !== 'string') {
+      messages.push(`The "results[${index}].browser" property is required.`);
+    }
+    ['endTime', 'startTime', 'total', 'success', 'failed', 'skipped', 'error'].forEach((prop) => {
+      if (typeof result[prop] !== 'number') {
+        messages.push(`The "results[${index}].${prop}" property should be a number.`);
+      }
+    });
+    ['message', 'logs'].forEach((prop) => {
+      if (result[prop] !== undefined && typeof result[prop] !== 'string') {
+        messages.push(`The "results[${index}].${prop}" property should be a string.`);
+      }
+    });
+    return messages;
+  }
+
+  /**
+   * Validates the test report sent by a test runner.
+   * @param {Request} req
+   * @return {string|undefined} Error message or undefined if valid.
+   */
+  validateTestReport(req) {
+    const body = /** @type TestReport */ (req.body);
+    if (!body || typeof body !== 'object') {
+      return 'The test report is required.';
+    }
+    let messages = [];
+    if (body.error !== undefined && typeof body.error !== 'boolean') {
+      messages.push(`Invalid type "${typeof body.error}" for "error" property.`);
+    }
+    ['total', 'success', 'failed', 'skipped'].forEach((prop) => {
+      const value = body[prop];
+      if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+        messages.push(`The "${prop}" property should be a positive integer.`);
+      }
+    });
+    if (!Array.isArray(body.results)) {
+      messages.push('The "results" property should be an array.');
+    } else {
+      body.results.forEach((result, index) => {
+        messages = messages.concat(this._validateBrowserResult(result, index));
+      });
+    }
+    return messages.length ? messages.join(' ') : undefined;
+  }
+
+  /**
+   * A route for a test runner to mark the test as started.
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async startTest(req, res) {
+    const { testId } = req.params;
+    try {
+      await this.ensureAccess(req, 'tests:run');
+      if (!await this._ensureTest(testId, res)) {
+        return;
+      }
+      await this.testModel.start(testId);
+      res.sendStatus(204).end();
+    } catch (cause) {
+      logging.error(cause);
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
+
+  /**
+   * A route for a test runner to mark the test as finished.
+   * When the body has the `error` property set the test is marked as failed with the `message`.
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async finishTest(req, res) {
+    const { testId } = req.params;
+    const { error, message } = req.body || {};
+    try {
+      await this.ensureAccess(req, 'tests:run');
+      if (error !== undefined && typeof error !== 'boolean') {
+        this.sendError(res, `Invalid type "${typeof error}" for "error" property.`, 400);
+        return;
+      }
+      if (message !== undefined && typeof message !== 'string') {
+        this.sendError(res, `Invalid type "${typeof message}" for "message" property.`, 400);
+        return;
+      }
+      if (!await this._ensureTest(testId, res)) {
+        return;
+      }
+      if (error) {
+        await this.testModel.setTestError(testId, message || 'Test failed');
+      } else {
+        await this.testModel.finish(testId, message);
+      }
+      res.sendStatus(204).end();
+    } catch (cause) {
+      logging.error(cause);
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
+
+  /**
+   * A route for a test runner to mark a component test as started.
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async startTestComponent(req, res) {
+    const { testId, componentName } = req.params;
+    try {
+      await this.ensureAccess(req, 'tests:run');
+      if (!await this._ensureTest(testId, res)) {
+        return;
+      }
+      await this.testsComponentModel.create(testId, componentName);
+      res.sendStatus(204).end();
+    } catch (cause) {
+      logging.error(cause);
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
+
+  /**
+   * A route for a test runner to report the result of a component test.
+   * It stores the result on the component, adds the browser logs, and updates the test counters.
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async reportTestComponent(req, res) {
+    const { testId, componentName } = req.params;
+    const report = /** @type TestReport */ (req.body);
+    try {
+      await this.ensureAccess(req, 'tests:run');
+      const errors = this.validateTestReport(req);
+      if (errors) {
+        this.sendError(res, errors, 400);
+        return;
+      }
+      if (!await this._ensureTestComponent(testId, componentName, res)) {
+        return;
+      }
+      await this.testsComponentModel.updateComponent(testId, componentName, report);
+      if (report.results.length) {
+        await this.testsLogsModel.addLogs(testId, componentName, report.results);
+      }
+      await this.testModel.updateComponentResult(testId, report);
+      res.sendStatus(204).end();
+    } catch (cause) {
+      logging.error(cause);
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
+
+  /**
+   * A route for a test runner to mark a component test as errored,
+   * eg. when the component cannot be installed.
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async errorTestComponent(req, res) {
+    const { testId, componentName } = req.params;
+    const { message } = req.body || {};
+    try {
+      await this.ensureAccess(req, 'tests:run');
+      if (!message || typeof message !== 'string') {
+        this.sendError(res, 'The "message" property is required.', 400);
+        return;
+      }
+      if (!await this._ensureTestComponent(testId, componentName, res)) {
+        return;
+      }
+      await this.testsComponentModel.updateComponentError(testId, componentName, message);
+      await this.testModel.updateComponentResult(testId, {
+        error: true,
+        results: [],
+      });
+      res.sendStatus(204).end();
+    } catch (cause) {
+      logging.error(cause);
+      const status = cause.code || 500;
+      this.sendError(res, cause.message, status);
+    }
+  }
 }
 
 const api = new TestApiRoute();
@@ -366,10 +633,16 @@ api.setCors(router);
 const checkCorsFn = api._processCors;
 router.post('/', cors(checkCorsFn), api.createTest.bind(api));
 router.get('/', cors(checkCorsFn), api.listTest.bind(api));
+router.get('/badge/:org/:component.svg', cors(checkCorsFn), api.getStatusBadge.bind(api));
 router.get('/:testId', cors(checkCorsFn), api.getTest.bind(api));
 router.delete('/:testId', cors(checkCorsFn), api.deleteTest.bind(api));
 router.put('/:testId/restart', cors(checkCorsFn), api.restartTest.bind(api));
+router.put('/:testId/start', cors(checkCorsFn), api.startTest.bind(api));
+router.put('/:testId/finish', cors(checkCorsFn), api.finishTest.bind(api));
 router.get('/:testId/components', cors(checkCorsFn), api.listTestComponents.bind(api));
 router.get('/:testId/components/:componentName', cors(checkCorsFn), api.getTestComponent.bind(api));
+router.put('/:testId/components/:componentName/start', cors(checkCorsFn), api.startTestComponent.bind(api));
+router.post('/:testId/components/:componentName/report', cors(checkCorsFn), api.reportTestComponent.bind(api));
+router.put('/:testId/components/:componentName/error', cors(checkCorsFn), api.errorTestComponent.bind(api));
 router.get('/:testId/components/:componentName/logs', cors(checkCorsFn), api.listLogs.bind(api));
 router.get('/:testId/components/:componentName/logs/:logId', cors(checkCorsFn), api.getLog.bind(api));
@@ -1,6 +1,8 @@
 import cors from 'cors';
 import express from 'express';
-import { verifyToken } from '@advanced-rest-client/api-tokens';
+import bodyParser from 'body-parser';
+import { verifyToken, isTokenExpired, normalizeScope } from '@advanced-rest-client/api-tokens';
+import logging from '@advanced-rest-client/arc-platform-logger';
 import { BaseApi } from './BaseApi.js';
 
 /** @typedef {import('../types').SessionRequest} Request */
@@ -36,9 +38,93 @@ class TokenApiRoute extends BaseApi {
       this.sendError(res, e.message, 400);
     }
   }
+
+  /**
+   * Reads the state of a token as defined in RFC 7662 (OAuth 2.0 Token Introspection).
+   * @param {string} token The token to introspect
+   * @return {Promise<object>} The introspection response.
+   */
+  async _introspect(token) {
+    const inactive = { active: false };
+    let decoded;
+    try {
+      decoded = await verifyToken(token);
+    } catch (e) {
+      return inactive;
+    }
+    if (decoded.exp && isTokenExpired(decoded)) {
+      return inactive;
+    }
+    const resource = await this.tokenModel.find(token);
+    if (!resource || this.tokenModel.isRevoked(resource)) {
+      return inactive;
+    }
+    const scopes = (decoded.scopes || []).map((scope) => normalizeScope(scope)).filter((scope) => !!scope);
+    const result = {
+      active: true,
+      scope: Array.from(new Set(scopes)).join(' '),
+      sub: decoded.uid,
+      iat: decoded.iat,
+      iss: decoded.iss,
+      token_type: 'Bearer',
+    };
+    if (decoded.exp) {
+      result.exp = decoded.exp;
+    }
+    if (resource.name) {
+      result.name = resource.name;
+    }
+    if (decoded.orgs) {
+      result.orgs = decoded.orgs;
+    }
+    if (decoded.components) {
+      result.components = decoded.components;
+    }
+    return result;
+  }
+
+  /**
+   * Token introspection endpoint compatible with RFC 7662.
+   * The token is read from the `token` parameter of the request body.
+   * The request has to be authorized with a user session or a token.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async introspectToken(req, res) {
+    res.set('Cache-Control', 'no-store');
+    if (req.query.token) {
+      this.sendError(res, 'The token must be sent in the request body, not in the query string.', 400);
+      return;
+    }
+    try {
+      const hasAccess = await this.isValidAccess(req);
+      if (!hasAccess) {
+        this.sendError(res, 'Unauthorized', 401);
+        return;
+      }
+      const body = req.body || {};
+      if (!body.token || typeof body.token !== 'string') {
+        this.sendError(res, 'The "token" parameter is required.', 400);
+        return;
+      }
+      const result = await this._introspect(body.token);
+      res.send(result);
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, cause.code || 500);
+    }
+  }
 }
 
 const api = new TokenApiRoute();
 api.setCors(router);
 const checkCorsFn = api._processCors;
 router.get('/', cors(checkCorsFn), api.processToken.bind(api));
+router.post(
+  '/introspect',
+  cors(checkCorsFn),
+  bodyParser.urlencoded({ extended: false }),
+  bodyParser.json(),
+  api.introspectToken.bind(api),
+);
@@ -0,0 +1,201 @@
+import express from 'express';
+import bodyParser from 'body-parser';
+import { UserModel } from '@advanced-rest-client/backend-models';
+import logging from '@advanced-rest-client/arc-platform-logger';
+import { BaseApi } from './BaseApi.js';
+
+/** @typedef {import('../types').SessionRequest} Request */
+/** @typedef {import('express').Response} Response */
+/** @typedef {import('@advanced-rest-client/backend-models').UserEntity} UserEntity */
+/** @typedef {import('@advanced-rest-client/backend-models').UserUpdate} UserUpdate */
+
+const router = express.Router();
+export default router;
+router.use(bodyParser.json());
+
+/**
+ * A route to manage users of the CI.
+ * All routes require an administrator.
+ */
+class UsersApiRoute extends BaseApi {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.model = new UserModel();
+  }
+
+  /**
+   * Reads pagination options from the request.
+   * @param {Request} req
+   * @return {object}
+   */
+  _readPagination(req) {
+    const { limit, pageToken } = req.query;
+    const opts = {};
+    if (pageToken) {
+      opts.pageToken = String(pageToken);
+    }
+    if (limit) {
+      opts.limit = Number(limit);
+    }
+    return opts;
+  }
+
+  /**
+   * Removes properties of the user that should not leave the server.
+   * @param {UserEntity} user
+   * @return {UserEntity}
+   */
+  _toResponse(user) {
+    const copy = { ...user };
+    delete copy.refreshToken;
+    return copy;
+  }
+
+  /**
+   * Lists users.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async listUsers(req, res) {
+    try {
+      await this.ensureAdmin(req, 'users:read');
+      const errors = this.validatePagination(req);
+      if (errors) {
+        this.sendError(res, errors);
+        return;
+      }
+      const result = await this.model.list(this._readPagination(req));
+      result.entities = result.entities.map((item) => this._toResponse(item));
+      this.sendQueryResult(result, res);
+    } catch (cause) {
+      logging.error(cause);
+      if (cause.code === 3) {
+        this.sendError(res, 'Invalid pageToken parameter');
+        return;
+      }
+      this.sendError(res, cause.message, cause.code || 500);
+    }
+  }
+
+  /**
+   * Reads a user.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async getUser(req, res) {
+    const { userId } = req.params;
+    try {
+      await this.ensureAdmin(req, 'users:read');
+      const user = await this.model.get(userId);
+      if (user) {
+        res.send(this._toResponse(user));
+      } else {
+        this.sendError(res, 'User not found', 404);
+      }
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, cause.code || 500);
+    }
+  }
+
+  /**
+   * Validates the update user request.
+   * @param {Request} req
+   * @return {string|undefined} Error message or nothing.
+   */
+  validateUpdate(req) {
+    const messages = [];
+    const body = req.body || {};
+    const properties = ['orgUser', 'superUser', 'disabled'];
+    properties.forEach((name) => {
+      if (typeof body[name] !== 'undefined' && typeof body[name] !== 'boolean') {
+        messages[messages.length] = `The "${name}" property must be a boolean.`;
+      }
+    });
+    if (!messages.length && !properties.some((name) => typeof body[name] === 'boolean')) {
+      messages[messages.length] = 'Nothing to update. Set "orgUser", "superUser", or "disabled" property.';
+    }
+    const { userId } = req.params;
+    const sessionUser = /** @type UserEntity */ (req.user);
+    if (sessionUser.id === userId && (body.superUser === false || body.disabled === true)) {
+      messages[messages.length] = 'You cannot remove your own administrator access.';
+    }
+    return messages.length ? messages.join(' ') : undefined;
+  }
+
+  /**
+   * Updates roles or the status of a user.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async updateUser(req, res) {
+    const { userId } = req.params;
+    try {
+      await this.ensureAdmin(req, 'users:write');
+      const errors = this.validateUpdate(req);
+      if (errors) {
+        this.sendError(res, errors);
+        return;
+      }
+      const { body } = req;
+      const info = /** @type UserUpdate */ ({});
+      ['orgUser', 'superUser', 'disabled'].forEach((name) => {
+        if (typeof body[name] === 'boolean') {
+          info[name] = body[name];
+        }
+      });
+      const user = await this.model.update(userId, info);
+      if (user) {
+        res.send(this._toResponse(user));
+      } else {
+        this.sendError(res, 'User not found', 404);
+      }
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, cause.code || 500);
+    }
+  }
+
+  /**
+   * Removes a user and all tokens issued by the user.
+   * @param {Request} req
+   * @param {Response} res
+   * @return {Promise<void>}
+   */
+  async deleteUser(req, res) {
+    const { userId } = req.params;
+    try {
+      await this.ensureAdmin(req, 'users:delete');
+      const sessionUser = /** @type UserEntity */ (req.user);
+      if (sessionUser.id === userId) {
+        this.sendError(res, 'You cannot remove your own account.');
+        return;
+      }
+      const user = await this.model.get(userId);
+      if (!user) {
+        this.sendError(res, 'User not found', 404);
+        return;
+      }
+      await this.model.delete(userId);
+      res.sendStatus(204).end();
+    } catch (cause) {
+      logging.error(cause);
+      this.sendError(res, cause.message, cause.code || 500);
+    }
+  }
+}
+
+const api = new UsersApiRoute();
+api.setCors(router);
+api.wrapApi(router, [
+  ['/', 'listUsers'],
+  ['/:userId', 'getUser'],
+  ['/:userId', 'updateUser', 'patch'],
+  ['/:userId', 'deleteUser', 'delete'],
+]);
@@ -3,5 +3,16 @@ import { Server } from 'http';
 
 export declare const serverResolve: (value: any) => void;
 export declare const server: Server;
+
+export declare interface SessionStore {
+  get(sid: string, callback: (err: Error|null, session?: object|null) => void): void;
+  set(sid: string, session: object, callback?: (err?: Error) => void): void;
+  destroy(sid: string, callback?: (err?: Error) => void): void;
+}
+
+/**
+ * The store of the user sessions. Memcached in production, in memory otherwise.
+ */
+export declare const sessionStore: SessionStore;
 declare const app: Express;
 export default app;
@@ -22,6 +22,8 @@ import logging from '@advanced-rest-client/arc-platform-logger';
 import { router as Oauth2router } from './lib/oauth2.js';
 import CiRoute from './api/CiRoute.js';
 import ArcApiRoute from './api/ArcApiRoute.js';
+import JwksRoute from './api/JwksApi.js';
+import tokenCleanup from './lib/TokenCleanup.js';
 
 checkApiConfig();
 
@@ -49,12 +51,15 @@ const sessionConfig = {
 };
 
 const memUrl = config.get('MEMCACHE_URL');
-if (IS_PRODUCTION && memUrl) {
+/**
+ * The store of the user sessions. Memcached in production, in memory otherwise.
+ */
+export const sessionStore = IS_PRODUCTION && memUrl ?
   // @ts-ignore
-  sessionConfig.store = new MemcachedStore({
-    hosts: [memUrl],
-  });
-}
+  new MemcachedStore({ hosts: [memUrl] }) :
+  new session.MemoryStore();
+// @ts-ignore
+sessionConfig.store = sessionStore;
 
 app.use(session(sessionConfig));
 // OAuth2
@@ -64,6 +69,7 @@ app.use(Oauth2router);
 // API
 app.use('/v2/app/', ArcApiRoute);
 app.use('/v2/ci/', CiRoute);
+app.use('/.well-known/', JwksRoute);
 // // API console
 // app.use('/', express.static(path.join(__dirname, 'api-docs')));
 app.get('/_ah/health', (req, res) => {
@@ -88,6 +94,7 @@ const server = app.listen(config.get('PORT'), () => {
   // @ts-ignore
   const { port } = server.address();
   logging.info(`App listening on port ${port}`);
+  tokenCleanup.start();
   serverResolve();
 });
 
@@ -0,0 +1,225 @@
+import config from '@advanced-rest-client/backend-config';
+import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
+import OAuth2Strategy, { InternalOAuthError } from 'passport-oauth2';
+
+/** @typedef {import('@advanced-rest-client/backend-models').PassportProfile} PassportProfile */
+/** @typedef {import('@advanced-rest-client/backend-models').Email} Email */
+/** @typedef {import('passport').Strategy} Strategy */
+/** @typedef {(accessToken: string, refreshToken: string, profile: any, done: Function) => void} ProfileCallback */
+
+/**
+ * The list of supported OAuth providers.
+ */
+export const providers = ['google', 'github', 'oidc'];
+
+/**
+ * Reads the list of OAuth providers enabled in the `OAUTH2_PROVIDERS` configuration option.
+ * The first provider is the default one.
+ *
+ * @return {string[]}
+ */
+export function readProviders() {
+  const value = String(config.get('OAUTH2_PROVIDERS') || 'google');
+  return value.split(',').map((item) => item.trim().toLowerCase()).filter((item) => providers.includes(item));
+}
+
+/**
+ * Base class for strategies that read the user profile from a JSON endpoint.
+ */
+class JsonProfileStrategy extends OAuth2Strategy {
+  /**
+   * Makes an authorized GET request to the provider's API.
+   * @param {string} url The URL to read
+   * @param {string} accessToken The user access token
+   * @return {Promise<any>} The parsed response
+   */
+  _fetchJson(url, accessToken) {
+    return new Promise((resolve, reject) => {
+      this._oauth2.get(url, accessToken, (err, body) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        try {
+          resolve(JSON.parse(String(body)));
+        } catch (e) {
+          reject(e);
+        }
+      });
+    });
+  }
+
+  /**
+   * Reads the profile of the user.
+   * @param {string} accessToken The user access token
+   * @return {Promise<PassportProfile>}
+   */
+  async _readProfile(accessToken) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Retrieves the user profile from the provider.
+   * @param {string} accessToken The user access token
+   * @param {Function} done
+   */
+  async userProfile(accessToken, done) {
+    let profile;
+    try {
+      profile = await this._readProfile(accessToken);
+    } catch (e) {
+      done(new InternalOAuthError('Failed to fetch user profile', e));
+      return;
+    }
+    done(null, profile);
+  }
+}
+
+/**
+ * Authenticates users with their GitHub account.
+ * Only emails verified by GitHub are marked as verified in the profile.
+ */
+export class GitHubStrategy extends JsonProfileStrategy {
+  /**
+   * @param {object} options Strategy options with the `clientID`, `clientSecret`, and `callbackURL`.
+   * @param {ProfileCallback} verify The verify callback
+   */
+  constructor(options, verify) {
+    super({
+      authorizationURL: 'https://github.com/login/oauth/authorize',
+      tokenURL: 'https://github.com/login/oauth/access_token',
+      customHeaders: { 'User-Agent': 'arc-backend' },
+      ...options,
+    }, verify);
+    this.name = 'github';
+    this._oauth2.useAuthorizationHeaderforGET(true);
+  }
+
+  /**
+   * Reads the profile of the user.
+   * @param {string} accessToken The user access token
+   * @return {Promise<PassportProfile>}
+   */
+  async _readProfile(accessToken) {
+    const user = await this._fetchJson('https://api.github.com/user', accessToken);
+    let emails = /** @type Email[] */ ([]);
+    try {
+      const list = await this._fetchJson('https://api.github.com/user/emails', accessToken);
+      // the primary email goes first as it is the email of the profile.
+      list.sort((a, b) => Number(!!b.primary) - Number(!!a.primary));
+      emails = list.map((item) => ({ value: item.email, verified: !!item.verified }));
+    } catch (e) {
+      // the `user:email` scope was not granted, the public email can't be trusted.
+      if (user.email) {
+        emails = [{ value: user.email, verified: false }];
+      }
+    }
+    return {
+      provider: 'github',
+      id: String(user.id),
+      displayName: user.name || user.login,
+      emails,
+      photos: user.avatar_url ? [{ value: user.avatar_url }] : [],
+    };
+  }
+}
+
+/**
+ * Authenticates users with a generic OpenID Connect provider.
+ * The profile is read from the provider's user info endpoint.
+ */
+export class OidcStrategy extends JsonProfileStrategy {
+  /**
+   * @param {object} options Strategy options with the `authorizationURL`, `tokenURL`, `userInfoURL`,
+   * `clientID`, `clientSecret`, and `callbackURL`.
+   * @param {ProfileCallback} verify The verify callback
+   */
+  constructor(options, verify) {
+    const { userInfoURL, ...rest } = options;
+    super(rest, verify);
+    this.name = 'oidc';
+    this.userInfoURL = userInfoURL;
+    this._oauth2.useAuthorizationHeaderforGET(true);
+  }
+
+  /**
+   * Reads the profile of the user.
+   * @param {string} accessToken The user access token
+   * @return {Promise<PassportProfile>}
+   */
+  async _readProfile(accessToken) {
+    const info = await this._fetchJson(this.userInfoURL, accessToken);
+    return {
+      provider: 'oidc',
+      id: String(info.sub),
+      displayName: info.name || info.preferred_username || info.email,
+      emails: info.email ? [{ value: info.email, verified: info.email_verified === true }] : [],
+      photos: info.picture ? [{ value: info.picture }] : [],
+    };
+  }
+}
+
+/**
+ * Marks the emails of a Google profile as verified only when Google reports them as verified.
+ * @param {PassportProfile} profile The profile created by the Google strategy
+ * @return {PassportProfile}
+ */
+export function readGoogleProfile(profile) {
+  const emails = (profile.emails || []).map((item) => ({
+    value: item.value,
+    // the user info endpoint may report the flag as a string.
+    verified: item.verified === true || String(item.verified) === 'true',
+  }));
+  return { ...profile, provider: 'google', emails };
+}
+
+/**
+ * Creates the passport strategy for a provider.
+ * @param {string} provider The name of the provider
+ * @param {ProfileCallback} verify The verify callback
+ * @return {Strategy}
+ */
+export function createStrategy(provider, verify) {
+  switch (provider) {
+    case 'google':
+      return new GoogleStrategy({
+        clientID: config.get('OAUTH2_CLIENT_ID'),
+        clientSecret: config.get('OAUTH2_CLIENT_SECRET'),
+        callbackURL: config.get('OAUTH2_CALLBACK'),
+        // @ts-ignore
+        accessType: 'offline',
+      }, (accessToken, refreshToken, profile, done) => {
+        verify(accessToken, refreshToken, readGoogleProfile(profile), done);
+      });
+    case 'github':
+      return new GitHubStrategy({
+        clientID: config.get('GITHUB_OAUTH_CLIENT_ID'),
+        clientSecret: config.get('GITHUB_OAUTH_CLIENT_SECRET'),
+        callbackURL: config.get('GITHUB_OAUTH_CALLBACK'),
+      }, verify);
+    case 'oidc':
+      return new OidcStrategy({
+        authorizationURL: config.get('OIDC_AUTHORIZATION_URL'),
+        tokenURL: config.get('OIDC_TOKEN_URL'),
+        userInfoURL: config.get('OIDC_USERINFO_URL'),
+        clientID: config.get('OIDC_CLIENT_ID'),
+        clientSecret: config.get('OIDC_CLIENT_SECRET'),
+        callbackURL: config.get('OIDC_CALLBACK'),
+      }, verify);
+    default:
+      throw new Error(`Unknown OAuth provider: ${provider}.`);
+  }
+}
+
+/**
+ * @param {string} provider The name of the provider
+ * @return {object} The options passed to `passport.authenticate()` when starting the OAuth flow.
+ */
+export function authenticateOptions(provider) {
+  switch (provider) {
+    case 'google': return { scope: ['email', 'profile'] };
+    case 'github': return { scope: ['read:user', 'user:email'] };
+    case 'oidc': return { scope: String(config.get('OIDC_SCOPE') || 'openid email profile').split(' ') };
+    default: return {};
+  }
+}
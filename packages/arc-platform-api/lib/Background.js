@@ -41,6 +41,11 @@ class Background extends EventEmitter {
      */
     this.topicCoverageProcess = 'apic-coverage';
 
+    /**
+     * @type {string}
+     */
+    this.topicBuildProcess = 'apic-builds';
+
     /**
      * @type {PubSub}
      */
@@ -105,6 +110,34 @@ class Background extends EventEmitter {
     await this.publish(data, this.topicCoverageProcess);
   }
 
+  /**
+   * Queues a component build to be performed by the worker
+   * @param {string} id Datastore id of the build
+   * @return {Promise<void>}
+   */
+  async queueBuild(id) {
+    const data = {
+      action: 'runBuild',
+      id,
+    };
+    await this.publish(data, this.topicBuildProcess);
+  }
+
+  /**
+   * Removes a component build from the queue. This is done by the builds runner
+   * worker.
+   *
+   * @param {string} id The ID of the build
+   * @return {Promise<void>}
+   */
+  async dequeueBuild(id) {
+    const data = {
+      action: 'removeBuild',
+      id,
+    };
+    await this.publish(data, this.topicBuildProcess);
+  }
+
   /**
    * Publishes a message to a topic
    * @param {any} payload The message to send
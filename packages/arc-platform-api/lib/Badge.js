@@ -0,0 +1,118 @@
+/** @typedef {import('express').Response} Response */
+
+/**
+ * Badge colors, the same as used by shields.io.
+ */
+export const colors = {
+  brightgreen: '#4c1',
+  green: '#97ca00',
+  yellowgreen: '#a4a61d',
+  yellow: '#dfb317',
+  orange: '#fe7d37',
+  red: '#e05d44',
+  grey: '#9f9f9f',
+};
+
+/**
+ * Approximated width of a character of the 11px Verdana font.
+ */
+const charWidth = 7;
+
+/**
+ * Horizontal padding of each part of the badge.
+ */
+const padding = 10;
+
+/**
+ * XML entities of the characters that have to be escaped in the badge text.
+ */
+const entities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&apos;',
+};
+
+/**
+ * @param {string} value The value to escape
+ * @return {string} The value safe to use in an XML document.
+ */
+export function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => entities[char]);
+}
+
+/**
+ * Renders a flat, shields style badge.
+ *
+ * @param {string} label The text on the left side of the badge.
+ * @param {string} message The text on the right side of the badge.
+ * @param {string} color The background color of the message.
+ * @return {string} The SVG document.
+ */
+export function renderBadge(label, message, color) {
+  const labelWidth = label.length * charWidth + padding;
+  const messageWidth = message.length * charWidth + padding;
+  const width = labelWidth + messageWidth;
+  const labelX = labelWidth / 2;
+  const messageX = labelWidth + messageWidth / 2;
+  const safeLabel = escapeXml(label);
+  const safeMessage = escapeXml(message);
+  const title = `${safeLabel}: ${safeMessage}`;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">`,
+    `<title>${title}</title>`,
+    '<linearGradient id="s" x2="0" y2="100%">',
+    '<stop offset="0" stop-color="#bbb" stop-opacity=".1"/>',
+    '<stop offset="1" stop-opacity=".1"/>',
+    '</linearGradient>',
+    `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>`,
+    '<g clip-path="url(#r)">',
+    `<rect width="${labelWidth}" height="20" fill="#555"/>`,
+    `<rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${escapeXml(color)}"/>`,
+    `<rect width="${width}" height="20" fill="url(#s)"/>`,
+    '</g>',
+    '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">',
+    `<text x="${labelX}" y="15" fill="#010101" fill-opacity=".3">${safeLabel}</text>`,
+    `<text x="${labelX}" y="14">${safeLabel}</text>`,
+    `<text x="${messageX}" y="15" fill="#010101" fill-opacity=".3">${safeMessage}</text>`,
+    `<text x="${messageX}" y="14">${safeMessage}</text>`,
+    '</g>',
+    '</svg>',
+  ].join('');
+}
+
+/**
+ * @param {number} coverage The coverage in percents.
+ * @return {string} The color of the coverage badge.
+ */
+export function coverageColor(coverage) {
+  if (coverage >= 90) {
+    return colors.brightgreen;
+  }
+  if (coverage >= 80) {
+    return colors.green;
+  }
+  if (coverage >= 70) {
+    return colors.yellowgreen;
+  }
+  if (coverage >= 60) {
+    return colors.yellow;
+  }
+  if (coverage >= 50) {
+    return colors.orange;
+  }
+  return colors.red;
+}
+
+/**
+ * Sends a badge with cache headers so it can be cached by CDNs.
+ *
+ * @param {Response} res The response object
+ * @param {string} svg The badge to send
+ * @param {number=} [maxAge=300] The number of seconds the badge can be cached for.
+ */
+export function sendBadge(res, svg, maxAge=300) {
+  res.set('Cache-Control', `public, max-age=${maxAge}, s-maxage=${maxAge}`);
+  res.type('image/svg+xml').send(svg);
+}
@@ -0,0 +1,74 @@
+import { TokenModel } from '@advanced-rest-client/backend-models';
+import logging from '@advanced-rest-client/arc-platform-logger';
+import config from '@advanced-rest-client/backend-config';
+
+/**
+ * A job that periodically revokes tokens that were not used for the number of days
+ * set in the `TOKEN_UNUSED_DAYS` configuration option.
+ */
+class TokenCleanup {
+  /**
+   * @constructor
+   */
+  constructor() {
+    this.model = new TokenModel();
+    /**
+     * @type {NodeJS.Timeout}
+     */
+    this.timer = undefined;
+  }
+
+  /**
+   * @return {number} The number of days after which unused tokens are revoked. `0` disables the job.
+   */
+  get unusedDays() {
+    return Number(config.get('TOKEN_UNUSED_DAYS') || 0);
+  }
+
+  /**
+   * @return {number} The number of milliseconds between runs of the job.
+   */
+  get interval() {
+    return Number(config.get('TOKEN_CLEANUP_INTERVAL') || 24) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Starts the job. Does nothing when the job is disabled or already started.
+   */
+  start() {
+    if (this.timer || !this.unusedDays) {
+      return;
+    }
+    this.run();
+    this.timer = setInterval(() => this.run(), this.interval);
+    // the job should not keep the process alive.
+    this.timer.unref();
+  }
+
+  /**
+   * Stops the job.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  /**
+   * Revokes unused tokens.
+   * @return {Promise<void>}
+   */
+  async run() {
+    const days = this.unusedDays;
+    try {
+      const count = await this.model.revokeUnused(days);
+      logging.info(`Revoked ${count} token(s) unused for ${days} day(s).`);
+    } catch (e) {
+      logging.error('Unable to revoke unused tokens', e);
+    }
+  }
+}
+
+const instance = new TokenCleanup();
+export default instance;
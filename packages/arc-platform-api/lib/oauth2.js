@@ -1,11 +1,11 @@
 import express from 'express';
-import config from '@advanced-rest-client/backend-config';
 import { UserModel } from '@advanced-rest-client/backend-models';
 import passport from 'passport';
-import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
+import { readProviders, createStrategy, authenticateOptions } from './AuthProviders.js';
 
 /** @typedef {import('../types').SessionRequest} Request */
 /** @typedef {import('express').Response} Response */
+/** @typedef {import('express').RequestHandler} RequestHandler */
 
 const model = new UserModel();
 
@@ -17,28 +17,26 @@ const model = new UserModel();
  */
 async function profileCallback(accessToken, refreshToken, profile, cb) {
   try {
-    const result = await model.findOrCreateUser(profile, refreshToken);
-    cb(null, result);
+    const result = await model.loginUser(profile, refreshToken);
+    // disabled users cannot log in
+    cb(null, result.disabled ? false : result);
   } catch (e) {
     cb(e);
   }
 }
 
-const strategyConfig = {
-  clientID: config.get('OAUTH2_CLIENT_ID'),
-  clientSecret: config.get('OAUTH2_CLIENT_SECRET'),
-  callbackURL: config.get('OAUTH2_CALLBACK'),
-  accessType: 'offline',
-};
+const enabledProviders = readProviders();
 
-// Configure the Google strategy for use by Passport.js.
+// Configure strategies of the providers enabled in the configuration for use by Passport.js.
 //
 // OAuth 2-based strategies require a `verify` function which receives the
-// credential (`accessToken`) for accessing the Google API on the user's behalf,
+// credential (`accessToken`) for accessing the provider's API on the user's behalf,
 // along with the user's profile. The function must invoke `cb` with a user
 // object, which will be set at `req.user` in route handlers after
 // authentication.
-passport.use(new GoogleStrategy(strategyConfig, profileCallback));
+enabledProviders.forEach((provider) => {
+  passport.use(provider, createStrategy(provider, profileCallback));
+});
 
 passport.serializeUser((user, cb) => {
   // @ts-ignore
@@ -48,7 +46,7 @@ passport.serializeUser((user, cb) => {
 passport.deserializeUser(async (id, cb) => {
   try {
     const user = await model.get(id);
-    cb(null, user || false);
+    cb(null, user && !user.disabled ? user : false);
   } catch (e) {
     cb(e);
   }
@@ -74,52 +72,66 @@ export function authRequired(req, res, next) {
   next();
 }
 
-// Begins the authorization flow. The user will be redirected to Google where
-// they can authorize the application to have access to their basic profile
-// information. Upon approval the user is redirected to `/auth/google/callback`.
-// If the `return` query parameter is specified when sending a user to this URL
-// then they will be redirected to that URL when the flow is finished.
-router.get(
-  // Login url
-  '/auth/login',
-  /**
-   * Save the url of the user's current page so the app can redirect back to
-   * it after authorization
-   * @param {Request} req
-   * @param {Response} res
-   * @param {Function} next
-   */
-  (req, res, next) => {
-    if (req.query.return) {
-      req.session.oauth2return = String(req.query.return);
+/**
+ * Save the url of the user's current page so the app can redirect back to
+ * it after authorization
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ */
+function saveReturn(req, res, next) {
+  if (req.query.return) {
+    req.session.oauth2return = String(req.query.return);
+  }
+  next();
+}
+
+/**
+ * Creates a middleware that authenticates the user with a provider.
+ * The provider is the `provider` route parameter or the default provider.
+ *
+ * @param {boolean} start Whether the middleware starts the OAuth flow.
+ * @return {RequestHandler}
+ */
+function authenticate(start) {
+  return (req, res, next) => {
+    const provider = req.params.provider || enabledProviders[0];
+    if (!enabledProviders.includes(provider)) {
+      res.status(404).send({
+        error: true,
+        message: `Unknown login provider: ${provider}`,
+      });
+      return;
     }
-    next();
-  },
+    const options = start ? authenticateOptions(provider) : {};
+    passport.authenticate(provider, options)(req, res, next);
+  };
+}
 
-  // Start OAuth 2 flow using Passport.js
-  passport.authenticate('google', {
-    scope: ['email', 'profile'],
-  }),
-);
+/**
+ * Redirect back to the original page, if any
+ * @param {Request} req
+ * @param {Response} res
+ */
+function finishLogin(req, res) {
+  const redirect = req.session.oauth2return || '/';
+  delete req.session.oauth2return;
+  res.redirect(redirect);
+}
 
-router.get(
-  // OAuth 2 callback url. Use this url to configure your OAuth client in the
-  // Google Developers console
-  '/auth/callback',
+// Begins the authorization flow. The user will be redirected to the provider where
+// they can authorize the application to have access to their basic profile
+// information. Upon approval the user is redirected to `/auth/callback/{provider}`.
+// If the `return` query parameter is specified when sending a user to this URL
+// then they will be redirected to that URL when the flow is finished.
+// The `/auth/login` URL uses the default (first configured) provider.
+router.get('/auth/login', saveReturn, authenticate(true));
+router.get('/auth/login/:provider', saveReturn, authenticate(true));
 
-  // Finish OAuth 2 flow using Passport.js
-  passport.authenticate('google'),
-  /**
-   * Redirect back to the original page, if any
-   * @param {Request} req
-   * @param {Response} res
-   */
-  (req, res) => {
-    const redirect = req.session.oauth2return || '/';
-    delete req.session.oauth2return;
-    res.redirect(redirect);
-  },
-);
+// OAuth 2 callback urls. Use these urls to configure your OAuth clients in the
+// providers' consoles. The `/auth/callback` URL is kept for the default provider.
+router.get('/auth/callback', authenticate(false), finishLogin);
+router.get('/auth/callback/:provider', authenticate(false), finishLogin);
 
 // Deletes the user's credentials and profile from the session.
 // This does not revoke any active tokens.
@@ -0,0 +1,76 @@
+import chaiPkg from 'chai';
+import { renderBadge, escapeXml, coverageColor, colors } from '../lib/Badge.js';
+const { assert } = chaiPkg;
+
+describe('Badge', () => {
+  describe('escapeXml()', () => {
+    it('escapes the XML special characters', () => {
+      assert.equal(escapeXml('<a href="x">Tom & Jerry\'s</a>'),
+        '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    });
+
+    it('returns other characters unchanged', () => {
+      assert.equal(escapeXml('coverage: 90%'), 'coverage: 90%');
+    });
+
+    it('converts the value to a string', () => {
+      assert.equal(escapeXml(/** @type any */ (90)), '90');
+    });
+  });
+
+  describe('renderBadge()', () => {
+    it('renders the SVG document', () => {
+      const result = renderBadge('ci', 'passing', colors.brightgreen);
+      assert.match(result, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/, 'has the svg element');
+      assert.match(result, /<\/svg>$/, 'closes the svg element');
+    });
+
+    it('has the title of the badge', () => {
+      const result = renderBadge('ci', 'passing', colors.brightgreen);
+      assert.include(result, 'aria-label="ci: passing"', 'has the aria label');
+      assert.include(result, '<title>ci: passing</title>', 'has the title');
+    });
+
+    it('has the message color', () => {
+      const result = renderBadge('coverage', '95%', colors.brightgreen);
+      assert.include(result, `fill="${colors.brightgreen}"`);
+    });
+
+    it('computes the width from the texts', () => {
+      // 2 characters of the label and 7 of the message, 7px each, with 10px of padding on each part
+      const result = renderBadge('ci', 'passing', colors.brightgreen);
+      assert.include(result, 'width="83"', 'has the badge width');
+      assert.include(result, '<rect width="24" height="20" fill="#555"/>', 'has the label width');
+      assert.include(result, '<rect x="24" width="59"', 'has the message width');
+    });
+
+    it('escapes the label, the message, and the color', () => {
+      const result = renderBadge('<script>', '"&"', '"/><script>');
+      assert.notInclude(result, '<script>', 'has no injected element');
+      assert.include(result, '&lt;script&gt;', 'has the escaped label');
+      assert.include(result, '&quot;&amp;&quot;', 'has the escaped message');
+      assert.include(result, 'fill="&quot;/&gt;&lt;script&gt;"', 'has the escaped color');
+    });
+  });
+
+  describe('coverageColor()', () => {
+    [
+      [100, colors.brightgreen],
+      [90, colors.brightgreen],
+      [89.99, colors.green],
+      [80, colors.green],
+      [79.99, colors.yellowgreen],
+      [70, colors.yellowgreen],
+      [69.99, colors.yellow],
+      [60, colors.yellow],
+      [59.99, colors.orange],
+      [50, colors.orange],
+      [49.99, colors.red],
+      [0, colors.red],
+    ].forEach(([coverage, color]) => {
+      it(`returns ${color} for ${coverage}%`, () => {
+        assert.equal(coverageColor(Number(coverage)), color);
+      });
+    });
+  });
+});
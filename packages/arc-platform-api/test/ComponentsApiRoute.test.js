@@ -0,0 +1,75 @@
+/* eslint-disable require-jsdoc */
+import chaiPkg from 'chai';
+import { ComponentModel, DependencyModel, UserModel, TokenModel } from '@advanced-rest-client/backend-models';
+import fetch from 'node-fetch';
+import config from '@advanced-rest-client/backend-config';
+import DataHelper from './DataHelper.js';
+import { generateUserToken } from './TokenHelper.js';
+const { assert } = chaiPkg;
+
+/** @typedef {import('@advanced-rest-client/backend-models').TokenEntity} TokenEntity */
+/** @typedef {import('@advanced-rest-client/backend-models').UserEntity} UserEntity */
+
+const port = config.get('PORT');
+const baseUri = `http://localhost:${port}/v2/ci/`;
+const componentsRoute = `${baseUri}components`;
+
+describe('ComponentsApiRoute', () => {
+  let model = /** @type ComponentModel */ (null);
+  let dependencyModel = /** @type DependencyModel */ (null);
+  let userModel = /** @type UserModel */ (null);
+  let tokenModel = /** @type TokenModel */ (null);
+  let token = /** @type TokenEntity */ (null);
+
+  before(async () => {
+    model = new ComponentModel();
+    dependencyModel = new DependencyModel();
+    userModel = new UserModel();
+    tokenModel = new TokenModel();
+    const user = await DataHelper.insertUser(userModel, { ...DataHelper.generateUserEntity(), tos: true });
+    token = await generateUserToken(user, ['components:publish']);
+  });
+
+  after(async () => {
+    await DataHelper.deleteEntities(model, model.componentsKind);
+    await DataHelper.deleteEntities(model, model.versionsKind);
+    await DataHelper.deleteEntities(model, model.changelogKind);
+    await DataHelper.deleteEntities(dependencyModel, dependencyModel.dependencyKind);
+    await DataHelper.deleteEntities(userModel, userModel.userKind);
+    await DataHelper.deleteEntities(tokenModel, tokenModel.tokenKind);
+  });
+
+  describe('POST /', () => {
+    async function publish(body) {
+      return fetch(componentsRoute, {
+        method: 'POST',
+        body: JSON.stringify(body),
+        headers: {
+          'content-type': 'application/json',
+          'authorization': `bearer ${token.token}`,
+        },
+      });
+    }
+
+    it('publishes a version with docs larger than 100kb', async () => {
+      const info = DataHelper.generateComponentVersion();
+      const response = await publish({ ...info, docs: 'a'.repeat(200 * 1024) });
+      assert.equal(response.status, 201, 'has 201 status');
+    });
+
+    it('returns 400 when the docs exceed the entity size', async () => {
+      const info = DataHelper.generateComponentVersion();
+      const response = await publish({ ...info, docs: 'a'.repeat(1024 * 1024) });
+      assert.equal(response.status, 400, 'has 400 status');
+      const result = await response.json();
+      assert.equal(result.message, 'The "changelog" and "docs" properties exceed 1000000 bytes.');
+    });
+
+    it('returns 400 when the changelog and the docs together exceed the entity size', async () => {
+      const info = DataHelper.generateComponentVersion();
+      const content = 'a'.repeat(600 * 1000);
+      const response = await publish({ ...info, docs: content, changelog: content });
+      assert.equal(response.status, 400, 'has 400 status');
+    });
+  });
+});
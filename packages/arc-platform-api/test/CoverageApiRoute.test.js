@@ -0,0 +1,265 @@
+/* eslint-disable require-jsdoc */
+import chaiPkg from 'chai';
+import { CoverageModel, UserModel, TokenModel } from '@advanced-rest-client/backend-models';
+import fetch from 'node-fetch';
+import config from '@advanced-rest-client/backend-config';
+import DataHelper from './DataHelper.js';
+import { generateUserToken } from './TokenHelper.js';
+const { assert } = chaiPkg;
+
+/** @typedef {import('@advanced-rest-client/backend-models').CoverageEntity} CoverageEntity */
+/** @typedef {import('@advanced-rest-client/backend-models').TokenEntity} TokenEntity */
+/** @typedef {import('@advanced-rest-client/backend-models').UserEntity} UserEntity */
+
+const port = config.get('PORT');
+const baseUri = `http://localhost:${port}/v2/ci/`;
+const coverageRoute = `${baseUri}coverage`;
+
+describe('CoverageApiRoute', () => {
+  let model = /** @type CoverageModel */ (null);
+  let userModel = /** @type UserModel */ (null);
+  let tokenModel = /** @type TokenModel */ (null);
+  let user = /** @type UserEntity */ (null);
+
+  before(async () => {
+    model = new CoverageModel();
+    userModel = new UserModel();
+    tokenModel = new TokenModel();
+    user = await DataHelper.insertUser(userModel, { ...DataHelper.generateUserEntity(), tos: true });
+  });
+
+  after(async () => {
+    await DataHelper.deleteEntities(model, model.coverageRunKind);
+    await DataHelper.deleteEntities(model, model.coverageComponentKind);
+    await DataHelper.deleteEntities(model, model.versionsKind);
+    await DataHelper.deleteEntities(model, model.componentsKind);
+    await DataHelper.deleteEntities(userModel, userModel.userKind);
+    await DataHelper.deleteEntities(tokenModel, tokenModel.tokenKind);
+  });
+
+  describe('GET /', () => {
+    before(async () => {
+      await DataHelper.populateCoverageEntities(model, 5);
+    });
+
+    it('returns the list of coverage runs', async () => {
+      const response = await fetch(coverageRoute);
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.typeOf(result.items, 'array', 'has the items');
+      assert.isAtLeast(result.items.length, 5, 'has the runs');
+    });
+
+    it('returns limited results with the page token', async () => {
+      const response = await fetch(`${coverageRoute}?limit=2`);
+      const result = await response.json();
+      assert.lengthOf(result.items, 2, 'has the limited items');
+      assert.typeOf(result.pageToken, 'string', 'has the page token');
+    });
+
+    it('uses the page token', async () => {
+      const response1 = await fetch(`${coverageRoute}?limit=2`);
+      const result1 = await response1.json();
+      const response2 = await fetch(`${coverageRoute}?limit=2&pageToken=${encodeURIComponent(result1.pageToken)}`);
+      const result2 = await response2.json();
+      assert.lengthOf(result2.items, 2, 'has the next page');
+      assert.notDeepEqual(result1.items, result2.items, 'has another page of results');
+    });
+
+    it('returns 400 for invalid limit', async () => {
+      const response = await fetch(`${coverageRoute}?limit=301`);
+      assert.equal(response.status, 400, 'has 400 status');
+      const result = await response.json();
+      assert.equal(result.message, 'Limit out of bounds (0, 300]');
+    });
+  });
+
+  describe('GET /{runId}', () => {
+    let coverageRun = /** @type CoverageEntity */ (null);
+    before(async () => {
+      coverageRun = await model.insert(DataHelper.generateCoverageModel());
+    });
+
+    it('returns the coverage run', async () => {
+      const response = await fetch(`${coverageRoute}/${coverageRun.id}`);
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.equal(result.id, coverageRun.id, 'has the id');
+      assert.equal(result.component, coverageRun.component, 'has the component');
+      assert.equal(result.status, 'queued', 'has the status');
+    });
+
+    it('returns 404 when the run does not exist', async () => {
+      const response = await fetch(`${coverageRoute}/unknown`);
+      assert.equal(response.status, 404, 'has 404 status');
+      const result = await response.json();
+      assert.equal(result.message, 'Coverage run not found');
+    });
+  });
+
+  describe('GET /{runId}/files', () => {
+    let coverageRun = /** @type CoverageEntity */ (null);
+    before(async () => {
+      coverageRun = await model.insert(DataHelper.generateCoverageModel());
+      await model.finishRun(coverageRun.id, DataHelper.generateCoverageReport(3));
+    });
+
+    it('returns the files of the run', async () => {
+      const response = await fetch(`${coverageRoute}/${coverageRun.id}/files`);
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.lengthOf(result.items, 3, 'has the files');
+    });
+
+    it('respects the limit', async () => {
+      const response = await fetch(`${coverageRoute}/${coverageRun.id}/files?limit=1`);
+      const result = await response.json();
+      assert.lengthOf(result.items, 1, 'has the limited files');
+      assert.typeOf(result.pageToken, 'string', 'has the page token');
+    });
+
+    it('returns 404 when the run does not exist', async () => {
+      const response = await fetch(`${coverageRoute}/unknown/files`);
+      assert.equal(response.status, 404, 'has 404 status');
+    });
+  });
+
+  describe('GET /components/{org}/{component}', () => {
+    let coverageRun = /** @type CoverageEntity */ (null);
+    before(async () => {
+      coverageRun = await model.insert(DataHelper.generateCoverageModel());
+      await model.finishRun(coverageRun.id, DataHelper.generateCoverageReport(2));
+    });
+
+    it('returns the coverage of the component', async () => {
+      const response = await fetch(`${coverageRoute}/components/${coverageRun.org}/${coverageRun.component}`);
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.equal(result.version, coverageRun.tag, 'has the version');
+      assert.typeOf(result.coverage, 'object', 'has the coverage');
+    });
+
+    it('returns 404 when the component has no coverage', async () => {
+      const response = await fetch(`${coverageRoute}/components/${coverageRun.org}/unknown`);
+      assert.equal(response.status, 404, 'has 404 status');
+      const result = await response.json();
+      assert.equal(result.message, 'Component coverage not found');
+    });
+
+    it('returns the coverage history of the component', async () => {
+      const response = await fetch(`${coverageRoute}/components/${coverageRun.org}/${coverageRun.component}/history`);
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.lengthOf(result.items, 1, 'has the versions');
+      assert.equal(result.items[0].version, coverageRun.tag, 'has the version');
+    });
+
+    it('returns 404 when the component has no coverage history', async () => {
+      const response = await fetch(`${coverageRoute}/components/${coverageRun.org}/unknown/history`);
+      assert.equal(response.status, 404, 'has 404 status');
+    });
+
+    it('returns the coverage of the component version', async () => {
+      const { org, component, tag } = coverageRun;
+      const response = await fetch(`${coverageRoute}/components/${org}/${component}/versions/${tag}`);
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.equal(result.version, tag, 'has the version');
+      assert.typeOf(result.coverage, 'object', 'has the coverage');
+    });
+
+    it('returns 404 when the version has no coverage', async () => {
+      const { org, component } = coverageRun;
+      const response = await fetch(`${coverageRoute}/components/${org}/${component}/versions/0.0.0-unknown`);
+      assert.equal(response.status, 404, 'has 404 status');
+      const result = await response.json();
+      assert.equal(result.message, 'Version coverage not found');
+    });
+  });
+
+  describe('GET /badge/{org}/{component}.svg', () => {
+    let coverageRun = /** @type CoverageEntity */ (null);
+    before(async () => {
+      coverageRun = await model.insert(DataHelper.generateCoverageModel());
+      await model.finishRun(coverageRun.id, DataHelper.generateCoverageReport(2));
+    });
+
+    it('renders the coverage badge', async () => {
+      const response = await fetch(`${coverageRoute}/badge/${coverageRun.org}/${coverageRun.component}.svg`);
+      assert.equal(response.status, 200, 'has 200 status');
+      assert.include(response.headers.get('content-type'), 'image/svg+xml', 'has the content type');
+      assert.equal(response.headers.get('cache-control'), 'public, max-age=300, s-maxage=300', 'has the cache control');
+      const body = await response.text();
+      assert.include(body, 'coverage: ', 'has the coverage');
+    });
+
+    it('renders the badge of a version', async () => {
+      const { org, component, tag } = coverageRun;
+      const response = await fetch(`${coverageRoute}/badge/${org}/${component}.svg?version=${tag}`);
+      assert.equal(response.status, 200, 'has 200 status');
+      const body = await response.text();
+      assert.notInclude(body, 'coverage: unknown', 'has the coverage');
+    });
+
+    it('renders the unknown coverage badge', async () => {
+      const response = await fetch(`${coverageRoute}/badge/${coverageRun.org}/unknown.svg`);
+      assert.equal(response.status, 200, 'has 200 status');
+      assert.include(response.headers.get('content-type'), 'image/svg+xml', 'has the content type');
+      assert.equal(response.headers.get('cache-control'), 'public, max-age=60, s-maxage=60', 'has the cache control');
+      const body = await response.text();
+      assert.include(body, 'coverage: unknown', 'has the unknown coverage');
+    });
+  });
+
+  describe('DELETE /{runId}', () => {
+    let coverageRun = /** @type CoverageEntity */ (null);
+    beforeEach(async () => {
+      coverageRun = await model.insert(DataHelper.generateCoverageModel());
+    });
+
+    /**
+     * @param {string} id The id of the coverage run
+     * @param {TokenEntity=} token The token to authorize the request with
+     * @return {Promise<any>}
+     */
+    async function deleteRun(id, token) {
+      const headers = /** @type Record<string, string> */ ({});
+      if (token) {
+        headers.authorization = `bearer ${token.token}`;
+      }
+      return fetch(`${coverageRoute}/${id}`, {
+        method: 'DELETE',
+        headers,
+      });
+    }
+
+    it('returns 401 when no token', async () => {
+      const response = await deleteRun(coverageRun.id);
+      assert.equal(response.status, 401, 'has 401 status');
+      const entity = await model.get(coverageRun.id);
+      assert.ok(entity, 'the run is not removed');
+    });
+
+    it('returns 401 when the token has no coverage:delete scope', async () => {
+      const token = await generateUserToken(user, ['coverage:read', 'coverage:write']);
+      const response = await deleteRun(coverageRun.id, token);
+      assert.equal(response.status, 401, 'has 401 status');
+      const entity = await model.get(coverageRun.id);
+      assert.ok(entity, 'the run is not removed');
+    });
+
+    it('returns 404 when the run does not exist', async () => {
+      const token = await generateUserToken(user, ['coverage:delete']);
+      const response = await deleteRun('unknown', token);
+      assert.equal(response.status, 404, 'has 404 status');
+    });
+
+    it('removes the run', async () => {
+      const token = await generateUserToken(user, ['coverage:delete']);
+      const response = await deleteRun(coverageRun.id, token);
+      assert.equal(response.status, 204, 'has 204 status');
+      const entity = await model.get(coverageRun.id);
+      assert.notOk(entity, 'the run is removed');
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { BaseModel, entity, CoverageModel, EditableCoverageEntity, CoverageEntity, CoverageResult, CoverageSummaryResult, CoverageReport, CoverageFileResult, DependencyEntry, DependencyModel, TestReport, TestBrowserResult, TestComponentModel, TestModel, UserEntity, PassportProfile, TokenInfo, TokenModel, AmfTest, BottomUpTest } from '@advanced-rest-client/backend-models';
+import { BaseModel, entity, CoverageModel, EditableCoverageEntity, CoverageEntity, CoverageResult, CoverageSummaryResult, CoverageReport, CoverageFileResult, DependencyEntry, DependencyModel, TestReport, TestBrowserResult, TestComponentModel, TestModel, UserEntity, PassportProfile, TokenInfo, TokenModel, UserModel, AmfTest, BottomUpTest } from '@advanced-rest-client/backend-models';
 
 export declare interface ComponentInsertOptions {
   name?: string;
@@ -51,6 +51,7 @@ export declare class DataHelper {
   populateTests(model: TestModel, sample?: number): Promise<string[]>;
   generatePassportProfile(): PassportProfile;
   generateUserEntity(): UserEntity;
+  insertUser(model: UserModel, user?: UserEntity): Promise<UserEntity>;
   generateToken(user: UserEntity, createInfo: TokenCreateInfo): string;
   verifyToken(token: string): TokenInfo;
   populateTokens(model: TokenModel, user: UserEntity, sample?: number): Promise<string[]>;
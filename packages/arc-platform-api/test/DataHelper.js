@@ -22,6 +22,7 @@ import jwt from 'jsonwebtoken';
 /** @typedef {import('@advanced-rest-client/backend-models').BottomUpTest} BottomUpTest */
 /** @typedef {import('@advanced-rest-client/backend-models').TestModel} TestModel */
 /** @typedef {import('@advanced-rest-client/backend-models').UserEntity} UserEntity */
+/** @typedef {import('@advanced-rest-client/backend-models').UserModel} UserModel */
 /** @typedef {import('@advanced-rest-client/backend-models').PassportProfile} PassportProfile */
 /** @typedef {import('@advanced-rest-client/backend-models').EditableToken} EditableToken */
 /** @typedef {import('@advanced-rest-client/backend-models').TokenEntity} TokenEntity */
@@ -358,7 +359,7 @@ class DataHelper {
       provider: 'google',
       id: chance.word(),
       displayName: chance.name(),
-      emails: [{ value: chance.email() }],
+      emails: [{ value: chance.email(), verified: true }],
       photos: [{ value: chance.url() }],
     };
   }
@@ -379,6 +380,24 @@ class DataHelper {
     };
   }
 
+  /**
+   * Inserts a user into the data store.
+   * @param {UserModel} model
+   * @param {UserEntity=} user The user to insert. A random user is generated when not set.
+   * @return {Promise<UserEntity>} The inserted user.
+   */
+  async insertUser(model, user=this.generateUserEntity()) {
+    const key = model.createUserKey(user.id);
+    const data = { ...user };
+    delete data.id;
+    await model.store.upsert({
+      key,
+      data,
+      excludeFromIndexes: model.excludedIndexes,
+    });
+    return user;
+  }
+
   /**
    * Generates a new JWT.
    * @param {UserEntity} user Session user object
@@ -0,0 +1,199 @@
+/* eslint-disable require-jsdoc */
+import chaiPkg from 'chai';
+import { RegistryModel, UserModel, TokenModel } from '@advanced-rest-client/backend-models';
+import fetch from 'node-fetch';
+import config from '@advanced-rest-client/backend-config';
+import DataHelper from './DataHelper.js';
+import { generateUserToken } from './TokenHelper.js';
+import { createSession } from './SessionHelper.js';
+const { assert } = chaiPkg;
+
+/** @typedef {import('@advanced-rest-client/backend-models').UserEntity} UserEntity */
+
+const port = config.get('PORT');
+const baseUri = `http://localhost:${port}/v2/ci/`;
+const registryRoute = `${baseUri}registry`;
+const entryId = 'domain:registry-route.com';
+
+describe('RegistryApiRoute', () => {
+  let model = /** @type RegistryModel */ (null);
+  let userModel = /** @type UserModel */ (null);
+  let tokenModel = /** @type TokenModel */ (null);
+  let admin = /** @type UserEntity */ (null);
+  let user = /** @type UserEntity */ (null);
+  let adminCookie;
+  let userCookie;
+
+  before(async () => {
+    model = new RegistryModel();
+    userModel = new UserModel();
+    tokenModel = new TokenModel();
+    admin = await DataHelper.insertUser(userModel, { ...DataHelper.generateUserEntity(), superUser: true, tos: true });
+    user = await DataHelper.insertUser(userModel, { ...DataHelper.generateUserEntity(), tos: true });
+    adminCookie = await createSession(admin.id);
+    userCookie = await createSession(user.id);
+  });
+
+  after(async () => {
+    await DataHelper.deleteEntities(userModel, userModel.userKind);
+    await DataHelper.deleteEntities(tokenModel, tokenModel.tokenKind);
+  });
+
+  afterEach(async () => {
+    await model.delete(entryId);
+  });
+
+  async function makeRequest(url, method, body, headers) {
+    return fetch(url, {
+      method,
+      body: body ? JSON.stringify(body) : undefined,
+      headers: {
+        'content-type': 'application/json',
+        ...headers,
+      },
+    });
+  }
+
+  describe('GET /', () => {
+    it('returns 401 when not authorized', async () => {
+      const response = await fetch(registryRoute);
+      assert.equal(response.status, 401, 'has 401 status');
+    });
+
+    it('returns 403 for a user session of a non-administrator', async () => {
+      const response = await makeRequest(registryRoute, 'GET', undefined, { cookie: userCookie });
+      assert.equal(response.status, 403, 'has 403 status');
+    });
+
+    it('lists the entries of the type', async () => {
+      await model.insert({ type: 'domain', value: 'registry-route.com' });
+      const response = await makeRequest(`${registryRoute}?type=domain`, 'GET', undefined, { cookie: adminCookie });
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      const ids = result.items.map((item) => item.id);
+      assert.include(ids, entryId, 'has the entry');
+      assert.isTrue(result.items.every((item) => item.type === 'domain'), 'has entries of the type only');
+    });
+
+    it('returns 400 for an unknown type', async () => {
+      const response = await makeRequest(`${registryRoute}?type=other`, 'GET', undefined, { cookie: adminCookie });
+      assert.equal(response.status, 400, 'has 400 status');
+      const result = await response.json();
+      assert.equal(result.message, 'Unknown registry entry type: other.');
+    });
+  });
+
+  describe('POST /', () => {
+    it('returns 403 for a user session of a non-administrator', async () => {
+      const body = { type: 'domain', value: 'registry-route.com' };
+      const response = await makeRequest(registryRoute, 'POST', body, { cookie: userCookie });
+      assert.equal(response.status, 403, 'has 403 status');
+      const entity = await model.get(entryId);
+      assert.notOk(entity, 'the entry is not created');
+    });
+
+    it('returns 401 for a token of an administrator with the read scope only', async () => {
+      const token = await generateUserToken(admin, ['registry:read']);
+      const body = { type: 'domain', value: 'registry-route.com' };
+      const response = await makeRequest(registryRoute, 'POST', body, { authorization: `bearer ${token.token}` });
+      assert.equal(response.status, 401, 'has 401 status');
+    });
+
+    it('returns 400 when the value is missing', async () => {
+      const response = await makeRequest(registryRoute, 'POST', { type: 'domain' }, { cookie: adminCookie });
+      assert.equal(response.status, 400, 'has 400 status');
+      const result = await response.json();
+      assert.equal(result.message, 'The "value" property is required.');
+    });
+
+    it('creates the entry with the 201 status', async () => {
+      const body = { type: 'domain', value: 'Registry-Route.com', description: 'test' };
+      const response = await makeRequest(registryRoute, 'POST', body, { cookie: adminCookie });
+      assert.equal(response.status, 201, 'has 201 status');
+      const result = await response.json();
+      assert.equal(result.id, entryId, 'has the id');
+      assert.equal(result.value, 'registry-route.com', 'has the normalized value');
+      assert.equal(result.creator.id, admin.id, 'has the creator');
+    });
+
+    it('creates the entry for a token of an administrator with the write scope', async () => {
+      const token = await generateUserToken(admin, ['registry:write']);
+      const body = { type: 'domain', value: 'registry-route.com' };
+      const response = await makeRequest(registryRoute, 'POST', body, { authorization: `bearer ${token.token}` });
+      assert.equal(response.status, 201, 'has 201 status');
+    });
+
+    it('returns 409 when the entry exists', async () => {
+      await model.insert({ type: 'domain', value: 'registry-route.com' });
+      const body = { type: 'domain', value: 'registry-route.com' };
+      const response = await makeRequest(registryRoute, 'POST', body, { cookie: adminCookie });
+      assert.equal(response.status, 409, 'has 409 status');
+    });
+  });
+
+  describe('GET /{entryId}', () => {
+    it('returns the entry', async () => {
+      await model.insert({ type: 'domain', value: 'registry-route.com' });
+      const response = await makeRequest(`${registryRoute}/${entryId}`, 'GET', undefined, { cookie: adminCookie });
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.equal(result.id, entryId);
+    });
+
+    it('returns 404 when the entry does not exist', async () => {
+      const response = await makeRequest(`${registryRoute}/${entryId}`, 'GET', undefined, { cookie: adminCookie });
+      assert.equal(response.status, 404, 'has 404 status');
+    });
+  });
+
+  describe('PATCH /{entryId}', () => {
+    it('updates the description', async () => {
+      await model.insert({ type: 'domain', value: 'registry-route.com', description: 'old' });
+      const url = `${registryRoute}/${entryId}`;
+      const response = await makeRequest(url, 'PATCH', { description: 'new' }, { cookie: adminCookie });
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.equal(result.description, 'new', 'returns the updated entry');
+    });
+
+    it('returns 404 when the entry does not exist', async () => {
+      const url = `${registryRoute}/${entryId}`;
+      const response = await makeRequest(url, 'PATCH', { description: 'new' }, { cookie: adminCookie });
+      assert.equal(response.status, 404, 'has 404 status');
+      const result = await response.json();
+      assert.equal(result.message, 'Registry entry not found');
+    });
+
+    it('returns 403 for a user session of a non-administrator', async () => {
+      await model.insert({ type: 'domain', value: 'registry-route.com', description: 'old' });
+      const url = `${registryRoute}/${entryId}`;
+      const response = await makeRequest(url, 'PATCH', { description: 'new' }, { cookie: userCookie });
+      assert.equal(response.status, 403, 'has 403 status');
+    });
+  });
+
+  describe('DELETE /{entryId}', () => {
+    it('returns 401 for a token of an administrator without the delete scope', async () => {
+      await model.insert({ type: 'domain', value: 'registry-route.com' });
+      const token = await generateUserToken(admin, ['registry:write']);
+      const url = `${registryRoute}/${entryId}`;
+      const response = await makeRequest(url, 'DELETE', undefined, { authorization: `bearer ${token.token}` });
+      assert.equal(response.status, 401, 'has 401 status');
+      const entity = await model.get(entryId);
+      assert.ok(entity, 'the entry is not removed');
+    });
+
+    it('removes the entry', async () => {
+      await model.insert({ type: 'domain', value: 'registry-route.com' });
+      const response = await makeRequest(`${registryRoute}/${entryId}`, 'DELETE', undefined, { cookie: adminCookie });
+      assert.equal(response.status, 204, 'has 204 status');
+      const entity = await model.get(entryId);
+      assert.notOk(entity, 'the entry is removed');
+    });
+
+    it('returns 404 when the entry does not exist', async () => {
+      const response = await makeRequest(`${registryRoute}/${entryId}`, 'DELETE', undefined, { cookie: adminCookie });
+      assert.equal(response.status, 404, 'has 404 status');
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+import { v4 } from 'uuid';
+import config from '@advanced-rest-client/backend-config';
+// @ts-ignore
+import { sessionStore } from '../index.mjs';
+
+/**
+ * Creates a session of a logged in user.
+ * The user has to exist in the data store.
+ * @param {string} userId The id of the session user.
+ * @return {Promise<string>} The value of the `cookie` header with the session cookie.
+ */
+export async function createSession(userId) {
+  const sid = v4();
+  const session = {
+    cookie: { originalMaxAge: null, expires: null, httpOnly: true, path: '/' },
+    passport: { user: userId },
+  };
+  await new Promise((resolve, reject) => {
+    sessionStore.set(sid, session, (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+  // the same signature as the one created by the `express-session` module.
+  const signature = crypto.createHmac('sha256', config.get('SECRET')).update(sid).digest('base64').replace(/=+$/, '');
+  return `connect.sid=${encodeURIComponent(`s:${sid}.${signature}`)}`;
+}
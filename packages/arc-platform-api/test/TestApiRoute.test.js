@@ -1,7 +1,7 @@
 /* eslint-disable require-jsdoc */
 import chaiPkg from 'chai';
 // import Chance from 'chance';
-import { TestModel } from '@advanced-rest-client/backend-models';
+import { TestModel, TestComponentModel } from '@advanced-rest-client/backend-models';
 import fetch from 'node-fetch';
 import config from '@advanced-rest-client/backend-config';
 import DataHelper from './DataHelper.js';
@@ -250,6 +250,47 @@ describe('TestApiRoute', () => {
     });
   });
 
+  describe('/badge/{org}/{component}.svg', () => {
+    const badgeRoute = `${baseUri}tests/badge`;
+    let model = /** @type TestComponentModel */ (null);
+    before(async () => {
+      model = new TestComponentModel();
+      await model.create('badge-test', '@advanced-rest-client/badge-passing');
+      await model.updateComponent('badge-test', '@advanced-rest-client/badge-passing', {
+        ...DataHelper.generateTestReport(), error: false, failed: 0,
+      });
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.componentsKind);
+      await DataHelper.deleteEntities(model, model.componentTestResultKind);
+    });
+
+    it('renders the status badge', async () => {
+      const response = await fetch(`${badgeRoute}/advanced-rest-client/badge-passing.svg`);
+      assert.equal(response.status, 200, 'has 200 status');
+      assert.include(response.headers.get('content-type'), 'image/svg+xml', 'has the content type');
+      assert.equal(response.headers.get('cache-control'), 'public, max-age=300, s-maxage=300', 'has the cache control');
+      const body = await response.text();
+      assert.include(body, 'ci: passing', 'has the status');
+    });
+
+    it('accepts the organization with the @ prefix', async () => {
+      const response = await fetch(`${badgeRoute}/@advanced-rest-client/badge-passing.svg`);
+      const body = await response.text();
+      assert.include(body, 'ci: passing', 'has the status');
+    });
+
+    it('renders the unknown status badge', async () => {
+      const response = await fetch(`${badgeRoute}/advanced-rest-client/unknown.svg`);
+      assert.equal(response.status, 200, 'has 200 status');
+      assert.include(response.headers.get('content-type'), 'image/svg+xml', 'has the content type');
+      assert.equal(response.headers.get('cache-control'), 'public, max-age=60, s-maxage=60', 'has the cache control');
+      const body = await response.text();
+      assert.include(body, 'ci: unknown', 'has the unknown status');
+    });
+  });
+
   describe('/{testId}/restart', () => {
     const testsRoute = `${baseUri}tests`;
 
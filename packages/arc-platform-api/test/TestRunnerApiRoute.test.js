@@ -0,0 +1,302 @@
+/* eslint-disable require-jsdoc */
+import chaiPkg from 'chai';
+import {
+  TestModel, TestComponentModel, TestLogModel, UserModel, TokenModel,
+} from '@advanced-rest-client/backend-models';
+import fetch from 'node-fetch';
+import config from '@advanced-rest-client/backend-config';
+import DataHelper from './DataHelper.js';
+import { generateUserToken } from './TokenHelper.js';
+const { assert } = chaiPkg;
+
+/** @typedef {import('@advanced-rest-client/backend-models').TokenEntity} TokenEntity */
+/** @typedef {import('@advanced-rest-client/backend-models').UserEntity} UserEntity */
+
+const port = config.get('PORT');
+const baseUri = `http://localhost:${port}/v2/ci/`;
+const testsRoute = `${baseUri}tests`;
+const componentName = '@advanced-rest-client/runner-test';
+
+describe('Test runner routes', () => {
+  let testModel = /** @type TestModel */ (null);
+  let componentModel = /** @type TestComponentModel */ (null);
+  let logModel = /** @type TestLogModel */ (null);
+  let userModel = /** @type UserModel */ (null);
+  let tokenModel = /** @type TokenModel */ (null);
+  let user = /** @type UserEntity */ (null);
+  let token = /** @type TokenEntity */ (null);
+  let readToken = /** @type TokenEntity */ (null);
+
+  before(async () => {
+    testModel = new TestModel();
+    componentModel = new TestComponentModel();
+    logModel = new TestLogModel();
+    userModel = new UserModel();
+    tokenModel = new TokenModel();
+    user = await DataHelper.insertUser(userModel, { ...DataHelper.generateUserEntity(), tos: true });
+    token = await generateUserToken(user, ['tests:run']);
+    readToken = await generateUserToken(user, ['tests:read']);
+  });
+
+  after(async () => {
+    await DataHelper.deleteEntities(testModel, testModel.testKind);
+    await DataHelper.deleteEntities(componentModel, componentModel.componentsKind);
+    await DataHelper.deleteEntities(componentModel, componentModel.componentTestResultKind);
+    await DataHelper.deleteEntities(logModel, logModel.testLogsKind);
+    await DataHelper.deleteEntities(userModel, userModel.userKind);
+    await DataHelper.deleteEntities(tokenModel, tokenModel.tokenKind);
+  });
+
+  async function makeRequest(url, method, body, auth=token) {
+    const headers = {
+      'content-type': 'application/json',
+    };
+    if (auth) {
+      headers.authorization = `bearer ${auth.token}`;
+    }
+    return fetch(url, {
+      method,
+      body: body ? JSON.stringify(body) : undefined,
+      headers,
+    });
+  }
+
+  async function createTest() {
+    return testModel.create(DataHelper.generateAmfTestEntity());
+  }
+
+  describe('PUT /{testId}/start', () => {
+    let testId;
+    beforeEach(async () => {
+      testId = await createTest();
+    });
+
+    it('returns 401 when no token', async () => {
+      const response = await makeRequest(`${testsRoute}/${testId}/start`, 'PUT', undefined, null);
+      assert.equal(response.status, 401, 'has 401 status');
+    });
+
+    it('returns 401 when the token has no tests:run scope', async () => {
+      const response = await makeRequest(`${testsRoute}/${testId}/start`, 'PUT', undefined, readToken);
+      assert.equal(response.status, 401, 'has 401 status');
+      const entity = await testModel.get(testId);
+      assert.equal(entity.status, 'queued', 'the test is not started');
+    });
+
+    it('returns 404 when the test does not exist', async () => {
+      const response = await makeRequest(`${testsRoute}/unknown/start`, 'PUT');
+      assert.equal(response.status, 404, 'has 404 status');
+    });
+
+    it('starts the test', async () => {
+      const response = await makeRequest(`${testsRoute}/${testId}/start`, 'PUT');
+      assert.equal(response.status, 204, 'has 204 status');
+      const entity = await testModel.get(testId);
+      assert.equal(entity.status, 'running', 'the test is running');
+    });
+  });
+
+  describe('PUT /{testId}/finish', () => {
+    let testId;
+    beforeEach(async () => {
+      testId = await createTest();
+      await testModel.start(testId);
+    });
+
+    it('returns 401 when the token has no tests:run scope', async () => {
+      const response = await makeRequest(`${testsRoute}/${testId}/finish`, 'PUT', {}, readToken);
+      assert.equal(response.status, 401, 'has 401 status');
+    });
+
+    it('returns 400 when the error property is invalid', async () => {
+      const response = await makeRequest(`${testsRoute}/${testId}/finish`, 'PUT', { error: 'yes' });
+      assert.equal(response.status, 400, 'has 400 status');
+      const result = await response.json();
+      assert.equal(result.message, 'Invalid type "string" for "error" property.');
+    });
+
+    it('returns 404 when the test does not exist', async () => {
+      const response = await makeRequest(`${testsRoute}/unknown/finish`, 'PUT', {});
+      assert.equal(response.status, 404, 'has 404 status');
+    });
+
+    it('finishes the test', async () => {
+      const response = await makeRequest(`${testsRoute}/${testId}/finish`, 'PUT', { message: 'done' });
+      assert.equal(response.status, 204, 'has 204 status');
+      const entity = await testModel.get(testId);
+      assert.equal(entity.status, 'finished', 'the test is finished');
+      assert.equal(entity.message, 'done', 'has the message');
+      assert.notOk(entity.error, 'is not an error');
+    });
+
+    it('finishes the test with an error', async () => {
+      const response = await makeRequest(`${testsRoute}/${testId}/finish`, 'PUT', { error: true, message: 'failed' });
+      assert.equal(response.status, 204, 'has 204 status');
+      const entity = await testModel.get(testId);
+      assert.equal(entity.status, 'finished', 'the test is finished');
+      assert.isTrue(entity.error, 'is an error');
+      assert.equal(entity.message, 'failed', 'has the message');
+    });
+  });
+
+  describe('PUT /{testId}/components/{componentName}/start', () => {
+    let testId;
+    let url;
+    beforeEach(async () => {
+      testId = await createTest();
+      url = `${testsRoute}/${testId}/components/${encodeURIComponent(componentName)}/start`;
+    });
+
+    it('returns 401 when the token has no tests:run scope', async () => {
+      const response = await makeRequest(url, 'PUT', undefined, readToken);
+      assert.equal(response.status, 401, 'has 401 status');
+    });
+
+    it('returns 404 when the test does not exist', async () => {
+      const response = await makeRequest(
+        `${testsRoute}/unknown/components/${encodeURIComponent(componentName)}/start`, 'PUT',
+      );
+      assert.equal(response.status, 404, 'has 404 status');
+    });
+
+    it('starts the component test', async () => {
+      const response = await makeRequest(url, 'PUT');
+      assert.equal(response.status, 204, 'has 204 status');
+      const entity = await componentModel.get(testId, componentName);
+      assert.equal(entity.status, 'running', 'the component test is running');
+    });
+  });
+
+  describe('POST /{testId}/components/{componentName}/report', () => {
+    let testId;
+    let url;
+    beforeEach(async () => {
+      testId = await createTest();
+      await testModel.start(testId);
+      await componentModel.create(testId, componentName);
+      url = `${testsRoute}/${testId}/components/${encodeURIComponent(componentName)}/report`;
+    });
+
+    it('returns 401 when the token has no tests:run scope', async () => {
+      const response = await makeRequest(url, 'POST', DataHelper.generateTestReport(), readToken);
+      assert.equal(response.status, 401, 'has 401 status');
+    });
+
+    it('returns 400 when the results are missing', async () => {
+      const report = DataHelper.generateTestReport();
+      delete report.results;
+      const response = await makeRequest(url, 'POST', report);
+      assert.equal(response.status, 400, 'has 400 status');
+      const result = await response.json();
+      assert.equal(result.message, 'The "results" property should be an array.');
+    });
+
+    it('returns 400 when a browser result is invalid', async () => {
+      const report = DataHelper.generateTestReport(1);
+      delete report.results[0].browser;
+      const response = await makeRequest(url, 'POST', report);
+      assert.equal(response.status, 400, 'has 400 status');
+      const result = await response.json();
+      assert.equal(result.message, 'The "results[0].browser" property is required.');
+    });
+
+    it('returns 404 when the component test does not exist', async () => {
+      const response = await makeRequest(
+        `${testsRoute}/${testId}/components/other/report`, 'POST', DataHelper.generateTestReport(),
+      );
+      assert.equal(response.status, 404, 'has 404 status');
+    });
+
+    it('stores the report', async () => {
+      const report = { ...DataHelper.generateTestReport(2), error: false, failed: 0 };
+      const response = await makeRequest(url, 'POST', report);
+      assert.equal(response.status, 204, 'has 204 status');
+      const component = await componentModel.get(testId, componentName);
+      assert.equal(component.status, 'passed', 'has the component status');
+      assert.equal(component.total, report.total, 'has the total');
+      const logs = await logModel.list(testId, componentName);
+      assert.lengthOf(logs.entities, 2, 'has the logs');
+      const entity = await testModel.get(testId);
+      assert.equal(entity.passed, 1, 'updates the test counter');
+    });
+
+    it('counts a failed report', async () => {
+      const report = { ...DataHelper.generateTestReport(1), error: true };
+      const response = await makeRequest(url, 'POST', report);
+      assert.equal(response.status, 204, 'has 204 status');
+      const component = await componentModel.get(testId, componentName);
+      assert.equal(component.status, 'failed', 'has the component status');
+      const entity = await testModel.get(testId);
+      assert.equal(entity.failed, 1, 'updates the test counter');
+    });
+
+    it('returns 409 when the report is sent again', async () => {
+      const report = { ...DataHelper.generateTestReport(1), error: false, failed: 0 };
+      await makeRequest(url, 'POST', report);
+      const response = await makeRequest(url, 'POST', report);
+      assert.equal(response.status, 409, 'has 409 status');
+      const entity = await testModel.get(testId);
+      assert.equal(entity.passed, 1, 'does not count the report again');
+      const logs = await logModel.list(testId, componentName);
+      assert.lengthOf(logs.entities, 1, 'does not add the logs again');
+    });
+
+    it('returns 409 when the component test is queued', async () => {
+      const other = '@advanced-rest-client/queued-test';
+      await componentModel.queue(testId, [other]);
+      const otherUrl = `${testsRoute}/${testId}/components/${encodeURIComponent(other)}/report`;
+      const response = await makeRequest(otherUrl, 'POST', DataHelper.generateTestReport());
+      assert.equal(response.status, 409, 'has 409 status');
+      const entity = await testModel.get(testId);
+      assert.notOk(entity.passed, 'has no passed counter');
+      assert.notOk(entity.failed, 'has no failed counter');
+    });
+  });
+
+  describe('PUT /{testId}/components/{componentName}/error', () => {
+    let testId;
+    let url;
+    beforeEach(async () => {
+      testId = await createTest();
+      await testModel.start(testId);
+      await componentModel.create(testId, componentName);
+      url = `${testsRoute}/${testId}/components/${encodeURIComponent(componentName)}/error`;
+    });
+
+    it('returns 401 when the token has no tests:run scope', async () => {
+      const response = await makeRequest(url, 'PUT', { message: 'error' }, readToken);
+      assert.equal(response.status, 401, 'has 401 status');
+    });
+
+    it('returns 400 when the message is missing', async () => {
+      const response = await makeRequest(url, 'PUT', {});
+      assert.equal(response.status, 400, 'has 400 status');
+      const result = await response.json();
+      assert.equal(result.message, 'The "message" property is required.');
+    });
+
+    it('returns 404 when the component test does not exist', async () => {
+      const response = await makeRequest(`${testsRoute}/${testId}/components/other/error`, 'PUT', { message: 'e' });
+      assert.equal(response.status, 404, 'has 404 status');
+    });
+
+    it('marks the component test as errored', async () => {
+      const response = await makeRequest(url, 'PUT', { message: 'Unable to install' });
+      assert.equal(response.status, 204, 'has 204 status');
+      const component = await componentModel.get(testId, componentName);
+      assert.equal(component.status, 'failed', 'has the component status');
+      assert.isTrue(component.error, 'is an error');
+      assert.equal(component.message, 'Unable to install', 'has the message');
+      const entity = await testModel.get(testId);
+      assert.equal(entity.failed, 1, 'updates the test counter');
+    });
+
+    it('returns 409 when the component test has a result', async () => {
+      await makeRequest(url, 'PUT', { message: 'Unable to install' });
+      const response = await makeRequest(url, 'PUT', { message: 'Unable to install' });
+      assert.equal(response.status, 409, 'has 409 status');
+      const entity = await testModel.get(testId);
+      assert.equal(entity.failed, 1, 'does not count the error again');
+    });
+  });
+});
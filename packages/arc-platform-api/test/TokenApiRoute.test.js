@@ -0,0 +1,173 @@
+/* eslint-disable require-jsdoc */
+import chaiPkg from 'chai';
+import jwt from 'jsonwebtoken';
+import { UserModel, TokenModel } from '@advanced-rest-client/backend-models';
+import fetch from 'node-fetch';
+import config from '@advanced-rest-client/backend-config';
+import DataHelper from './DataHelper.js';
+import { generateUserToken } from './TokenHelper.js';
+import { createSession } from './SessionHelper.js';
+const { assert } = chaiPkg;
+
+/** @typedef {import('@advanced-rest-client/backend-models').UserEntity} UserEntity */
+
+const port = config.get('PORT');
+const baseUri = `http://localhost:${port}/v2/ci/`;
+
+describe('TokenApiRoute', () => {
+  describe('POST /introspect', () => {
+    const introspectRoute = `${baseUri}tokeninfo/introspect`;
+    let userModel = /** @type UserModel */ (null);
+    let tokenModel = /** @type TokenModel */ (null);
+    let user = /** @type UserEntity */ (null);
+    let cookie;
+
+    before(async () => {
+      userModel = new UserModel();
+      tokenModel = new TokenModel();
+      user = await DataHelper.insertUser(userModel, {
+        ...DataHelper.generateUserEntity(),
+        orgUser: true,
+        tos: true,
+      });
+      cookie = await createSession(user.id);
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(userModel, userModel.userKind);
+      await DataHelper.deleteEntities(tokenModel, tokenModel.tokenKind);
+    });
+
+    /**
+     * @param {string} token The token to introspect
+     * @param {Record<string, string>=} headers The request headers. Defaults to the session cookie.
+     * @return {Promise<any>}
+     */
+    async function introspect(token, headers={ cookie }) {
+      return fetch(introspectRoute, {
+        method: 'POST',
+        body: JSON.stringify({ token }),
+        headers: {
+          'content-type': 'application/json',
+          ...headers,
+        },
+      });
+    }
+
+    it('returns the state of an active token', async () => {
+      const token = await generateUserToken(user, ['tests:read', 'coverage:read'], 3600);
+      const response = await introspect(token.token);
+      assert.equal(response.status, 200, 'has 200 status');
+      assert.equal(response.headers.get('cache-control'), 'no-store', 'is not cached');
+      const result = await response.json();
+      assert.isTrue(result.active, 'is active');
+      assert.equal(result.scope, 'tests:read coverage:read', 'has the scope');
+      assert.equal(result.sub, user.id, 'has the subject');
+      assert.equal(result.token_type, 'Bearer', 'has the token type');
+      assert.equal(result.name, 'test-token', 'has the token name');
+      assert.typeOf(result.exp, 'number', 'has the expiration time');
+      assert.typeOf(result.iat, 'number', 'has the issue time');
+    });
+
+    it('accepts the form encoded body', async () => {
+      const token = await generateUserToken(user, ['tests:read']);
+      const response = await fetch(introspectRoute, {
+        method: 'POST',
+        body: `token=${encodeURIComponent(token.token)}`,
+        headers: {
+          'content-type': 'application/x-www-form-urlencoded',
+          cookie,
+        },
+      });
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.isTrue(result.active, 'is active');
+    });
+
+    it('returns inactive state for a revoked token', async () => {
+      const token = await generateUserToken(user, ['tests:read']);
+      await tokenModel.revoke(user.id, token.id);
+      const response = await introspect(token.token);
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.deepEqual(result, { active: false });
+    });
+
+    it('returns inactive state for an expired token', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const token = jwt.sign({
+        uid: user.id,
+        scopes: ['tests:read'],
+        iat: now - 120,
+        exp: now - 60,
+      }, config.get('SECRET'));
+      await tokenModel.create(user, /** @type any */ (jwt.decode(token)), token, 'expired-token');
+      const response = await introspect(token);
+      const result = await response.json();
+      assert.deepEqual(result, { active: false });
+    });
+
+    it('returns inactive state for a token past the scheduled revocation', async () => {
+      const token = await generateUserToken(user, ['tests:read']);
+      await tokenModel.scheduleRevoke(user.id, token.id, Date.now() - 1000);
+      const response = await introspect(token.token);
+      const result = await response.json();
+      assert.deepEqual(result, { active: false });
+    });
+
+    it('returns active state for a token before the scheduled revocation', async () => {
+      const token = await generateUserToken(user, ['tests:read']);
+      await tokenModel.scheduleRevoke(user.id, token.id, Date.now() + 60000);
+      const response = await introspect(token.token);
+      const result = await response.json();
+      assert.isTrue(result.active, 'is active');
+    });
+
+    it('returns inactive state for a malformed token', async () => {
+      const response = await introspect('not-a-token');
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.deepEqual(result, { active: false });
+    });
+
+    it('returns inactive state for a token that is not stored', async () => {
+      const token = jwt.sign({ uid: user.id, scopes: ['tests:read'] }, config.get('SECRET'));
+      const response = await introspect(token);
+      const result = await response.json();
+      assert.deepEqual(result, { active: false });
+    });
+
+    it('returns 400 when the token is in the query string', async () => {
+      const token = await generateUserToken(user, ['tests:read']);
+      const response = await fetch(`${introspectRoute}?token=${encodeURIComponent(token.token)}`, {
+        method: 'POST',
+        headers: { cookie },
+      });
+      assert.equal(response.status, 400, 'has 400 status');
+      const result = await response.json();
+      assert.isTrue(result.error, 'response is error');
+    });
+
+    it('returns 400 when the token is missing', async () => {
+      const response = await introspect(undefined);
+      assert.equal(response.status, 400, 'has 400 status');
+    });
+
+    it('returns 401 when not authorized', async () => {
+      const token = await generateUserToken(user, ['tests:read']);
+      const response = await introspect(token.token, {});
+      assert.equal(response.status, 401, 'has 401 status');
+      const result = await response.json();
+      assert.isTrue(result.error, 'response is error');
+    });
+
+    it('authorizes the request with a token', async () => {
+      const token = await generateUserToken(user, ['tests:read']);
+      const auth = await generateUserToken(user, ['tests:read']);
+      const response = await introspect(token.token, { authorization: `bearer ${auth.token}` });
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.isTrue(result.active, 'is active');
+    });
+  });
+});
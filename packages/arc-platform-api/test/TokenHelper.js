@@ -17,8 +17,25 @@ export async function generateFullToken() {
     tos: true,
     email: 'test@mulesoft.com',
   });
-  const token = generateToken(sessionUser, opts);
+  const token = await generateToken(sessionUser, opts);
   const info = await verifyToken(token);
   const model = new TokenModel();
   return model.create(sessionUser, info, token, 'test-all-token');
 }
+
+/**
+ * Creates a token issued by the user.
+ * @param {UserEntity} user The token issuer
+ * @param {string[]} scopes The token scopes
+ * @param {number=} expires The token lifetime in seconds
+ */
+export async function generateUserToken(user, scopes, expires) {
+  const opts = {
+    scopes,
+    expires,
+  };
+  const token = await generateToken(user, opts);
+  const info = await verifyToken(token);
+  const model = new TokenModel();
+  return model.create(user, info, token, 'test-token');
+}
@@ -0,0 +1,252 @@
+/* eslint-disable require-jsdoc */
+import chaiPkg from 'chai';
+import { UserModel, TokenModel } from '@advanced-rest-client/backend-models';
+import fetch from 'node-fetch';
+import config from '@advanced-rest-client/backend-config';
+import DataHelper from './DataHelper.js';
+import { generateUserToken } from './TokenHelper.js';
+import { createSession } from './SessionHelper.js';
+const { assert } = chaiPkg;
+
+/** @typedef {import('@advanced-rest-client/backend-models').TokenEntity} TokenEntity */
+/** @typedef {import('@advanced-rest-client/backend-models').UserEntity} UserEntity */
+
+const port = config.get('PORT');
+const baseUri = `http://localhost:${port}/v2/ci/`;
+
+describe('UsersApiRoute', () => {
+  const usersRoute = `${baseUri}users`;
+  let model = /** @type UserModel */ (null);
+  let tokenModel = /** @type TokenModel */ (null);
+  let admin = /** @type UserEntity */ (null);
+  let user = /** @type UserEntity */ (null);
+  let adminCookie;
+  let userCookie;
+
+  before(async () => {
+    model = new UserModel();
+    tokenModel = new TokenModel();
+    admin = await DataHelper.insertUser(model, { ...DataHelper.generateUserEntity(), superUser: true, tos: true });
+    user = await DataHelper.insertUser(model, { ...DataHelper.generateUserEntity(), tos: true });
+    adminCookie = await createSession(admin.id);
+    userCookie = await createSession(user.id);
+  });
+
+  after(async () => {
+    await DataHelper.deleteEntities(model, model.userKind);
+    await DataHelper.deleteEntities(tokenModel, tokenModel.tokenKind);
+  });
+
+  describe('GET /', () => {
+    it('returns 401 when not authorized', async () => {
+      const response = await fetch(usersRoute);
+      assert.equal(response.status, 401, 'has 401 status');
+      const result = await response.json();
+      assert.isTrue(result.error, 'response is error');
+    });
+
+    it('returns 403 for a user session of a non-administrator', async () => {
+      const response = await fetch(usersRoute, {
+        headers: { cookie: userCookie },
+      });
+      assert.equal(response.status, 403, 'has 403 status');
+      const result = await response.json();
+      assert.equal(result.message, 'Forbidden');
+    });
+
+    it('returns 403 for a token of a non-administrator with the users scope', async () => {
+      const token = await generateUserToken(user, ['users:read']);
+      const response = await fetch(usersRoute, {
+        headers: { authorization: `bearer ${token.token}` },
+      });
+      assert.equal(response.status, 403, 'has 403 status');
+    });
+
+    it('returns the list of users for an administrator session', async () => {
+      const response = await fetch(usersRoute, {
+        headers: { cookie: adminCookie },
+      });
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.typeOf(result.items, 'array', 'has the items');
+      const ids = result.items.map((item) => item.id);
+      assert.include(ids, admin.id, 'has the administrator');
+      assert.include(ids, user.id, 'has the user');
+    });
+
+    it('returns 401 for a token of an administrator without the users scope', async () => {
+      const token = await generateUserToken(admin, ['coverage:read']);
+      const response = await fetch(usersRoute, {
+        headers: { authorization: `bearer ${token.token}` },
+      });
+      assert.equal(response.status, 401, 'has 401 status');
+    });
+
+    it('returns 401 for a token of an administrator with the wildcard scope', async () => {
+      const token = await generateUserToken(admin, ['*:*']);
+      const response = await fetch(usersRoute, {
+        headers: { authorization: `bearer ${token.token}` },
+      });
+      assert.equal(response.status, 401, 'has 401 status');
+    });
+
+    it('returns the list of users for a token of an administrator with the users scope', async () => {
+      const token = await generateUserToken(admin, ['users:read']);
+      const response = await fetch(usersRoute, {
+        headers: { authorization: `bearer ${token.token}` },
+      });
+      assert.equal(response.status, 200, 'has 200 status');
+    });
+  });
+
+  describe('PATCH /{userId}', () => {
+    async function makeRequest(id, body, headers) {
+      return fetch(`${usersRoute}/${id}`, {
+        method: 'PATCH',
+        body: JSON.stringify(body),
+        headers: {
+          'content-type': 'application/json',
+          ...headers,
+        },
+      });
+    }
+
+    it('returns 403 for a user session of a non-administrator', async () => {
+      const response = await makeRequest(user.id, { superUser: true }, { cookie: userCookie });
+      assert.equal(response.status, 403, 'has 403 status');
+      const entity = await model.get(user.id);
+      assert.notOk(entity.superUser, 'the user is not promoted');
+    });
+
+    it('returns 401 for a token of an administrator with the read scope only', async () => {
+      const token = await generateUserToken(admin, ['users:read']);
+      const response = await makeRequest(user.id, { orgUser: false }, { authorization: `bearer ${token.token}` });
+      assert.equal(response.status, 401, 'has 401 status');
+    });
+
+    it('updates the user for an administrator session', async () => {
+      const response = await makeRequest(user.id, { orgUser: false }, { cookie: adminCookie });
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.isFalse(result.orgUser, 'returns the updated user');
+    });
+
+    it('updates the user for a token of an administrator with the users scope', async () => {
+      const token = await generateUserToken(admin, ['users:write']);
+      const response = await makeRequest(user.id, { orgUser: true }, { authorization: `bearer ${token.token}` });
+      assert.equal(response.status, 200, 'has 200 status');
+      const entity = await model.get(user.id);
+      assert.isTrue(entity.orgUser, 'the user is updated');
+    });
+  });
+
+  describe('DELETE /{userId}', () => {
+    let other = /** @type UserEntity */ (null);
+    beforeEach(async () => {
+      other = await DataHelper.insertUser(model);
+    });
+
+    it('returns 403 for a user session of a non-administrator', async () => {
+      const response = await fetch(`${usersRoute}/${other.id}`, {
+        method: 'DELETE',
+        headers: { cookie: userCookie },
+      });
+      assert.equal(response.status, 403, 'has 403 status');
+    });
+
+    it('returns 401 for a token of an administrator without the users scope', async () => {
+      const token = await generateUserToken(admin, ['tests:delete']);
+      const response = await fetch(`${usersRoute}/${other.id}`, {
+        method: 'DELETE',
+        headers: { authorization: `bearer ${token.token}` },
+      });
+      assert.equal(response.status, 401, 'has 401 status');
+      const entity = await model.get(other.id);
+      assert.ok(entity, 'the user is not removed');
+    });
+
+    it('removes the user for an administrator session', async () => {
+      const response = await fetch(`${usersRoute}/${other.id}`, {
+        method: 'DELETE',
+        headers: { cookie: adminCookie },
+      });
+      assert.equal(response.status, 204, 'has 204 status');
+      const entity = await model.get(other.id);
+      assert.notOk(entity, 'the user is removed');
+    });
+  });
+
+  describe('Creating tokens with the users scope', () => {
+    const tokensRoute = `${baseUri}me/tokens`;
+
+    async function makeRequest(headers) {
+      return fetch(tokensRoute, {
+        method: 'POST',
+        body: JSON.stringify({ scopes: ['users:read'] }),
+        headers: {
+          'content-type': 'application/json',
+          ...headers,
+        },
+      });
+    }
+
+    it('returns 403 for a non-administrator', async () => {
+      const response = await makeRequest({ cookie: userCookie });
+      assert.equal(response.status, 403, 'has 403 status');
+    });
+
+    it('returns 403 when requested with a token', async () => {
+      const token = await generateUserToken(admin, ['*:*']);
+      const response = await makeRequest({ authorization: `bearer ${token.token}` });
+      assert.equal(response.status, 403, 'has 403 status');
+    });
+
+    it('creates the token for an administrator session', async () => {
+      const response = await makeRequest({ cookie: adminCookie });
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.deepEqual(result.scopes, ['users:read']);
+    });
+  });
+
+  describe('Rotating tokens with the users scope', () => {
+    async function rotate(tokenId, headers) {
+      return fetch(`${baseUri}me/tokens/${tokenId}/rotate`, {
+        method: 'POST',
+        headers,
+      });
+    }
+
+    it('returns 403 when requested with a token', async () => {
+      const adminToken = await generateUserToken(admin, ['users:read']);
+      const auth = await generateUserToken(admin, ['tests:read']);
+      const response = await rotate(adminToken.id, { authorization: `bearer ${auth.token}` });
+      assert.equal(response.status, 403, 'has 403 status');
+      const entity = await tokenModel.get(admin.id, adminToken.id);
+      assert.isUndefined(entity.replacedBy, 'the token is not rotated');
+      assert.isFalse(tokenModel.isRevoked(entity), 'the token is not revoked');
+    });
+
+    it('returns 403 when requested with the token that is rotated', async () => {
+      const adminToken = await generateUserToken(admin, ['users:read']);
+      const response = await rotate(adminToken.id, { authorization: `bearer ${adminToken.token}` });
+      assert.equal(response.status, 403, 'has 403 status');
+    });
+
+    it('returns 403 for a non-administrator', async () => {
+      const userToken = await generateUserToken(user, ['users:read']);
+      const response = await rotate(userToken.id, { cookie: userCookie });
+      assert.equal(response.status, 403, 'has 403 status');
+    });
+
+    it('rotates the token for an administrator session', async () => {
+      const adminToken = await generateUserToken(admin, ['users:read']);
+      const response = await rotate(adminToken.id, { cookie: adminCookie });
+      assert.equal(response.status, 200, 'has 200 status');
+      const result = await response.json();
+      assert.deepEqual(result.scopes, ['users:read']);
+      const entity = await tokenModel.get(admin.id, adminToken.id);
+      assert.equal(entity.replacedBy, result.id, 'the token is replaced');
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import { Request } from 'express';
 import { UserEntity } from '@advanced-rest-client/backend-models';
+import { TokenInfo } from '@advanced-rest-client/api-tokens';
 
 declare interface PassportSession {
   oauth2return?: string;
@@ -8,4 +9,12 @@ declare interface PassportSession {
 export declare interface SessionRequest extends Request {
   user?: UserEntity;
   session?: PassportSession;
+  /**
+   * The raw body of the request, set by the body parser when the body is JSON.
+   */
+  rawBody?: Buffer;
+  /**
+   * The decoded token, set when the request is authorized with a token.
+   */
+  tokenInfo?: TokenInfo;
 }
\ No newline at end of file
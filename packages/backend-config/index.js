@@ -23,6 +23,32 @@ nconf
   'GITHUB_SSH_KEY_PASS',
   'WEBHOOK_SECRET',
   'NPM_TOKEN',
+  'COVERAGE_REGRESSION_THRESHOLD',
+  'REGISTRY_ORGS',
+  'REGISTRY_DOMAINS',
+  'REGISTRY_EMAILS',
+  'ADMIN_EMAILS',
+  'TOS_VERSION',
+  'OAUTH2_PROVIDERS',
+  'GITHUB_OAUTH_CLIENT_ID',
+  'GITHUB_OAUTH_CLIENT_SECRET',
+  'GITHUB_OAUTH_CALLBACK',
+  'OIDC_CLIENT_ID',
+  'OIDC_CLIENT_SECRET',
+  'OIDC_CALLBACK',
+  'OIDC_AUTHORIZATION_URL',
+  'OIDC_TOKEN_URL',
+  'OIDC_USERINFO_URL',
+  'OIDC_SCOPE',
+  'TOKEN_USAGE_WRITE_INTERVAL',
+  'TOKEN_UNUSED_DAYS',
+  'TOKEN_CLEANUP_INTERVAL',
+  'TOKEN_MAX_LIFETIME',
+  'TOKEN_ROTATION_GRACE',
+  'TOKEN_SIGNING_KEY',
+  'TOKEN_SIGNING_KEY_ID',
+  'TOKEN_VERIFICATION_KEYS',
+  'TOKEN_SECRET_VERIFICATION',
 ])
 // 3. Application config file
 .file({ file: 'config.json' })
@@ -34,10 +60,29 @@ nconf
   // Connection url for the Memcache instance used to store session data
   MEMCACHE_URL: 'localhost:11211',
 
+  // Comma separated list of login providers: `google`, `github`, and `oidc`.
+  // The first provider is used by the `/auth/login` route.
+  OAUTH2_PROVIDERS: 'google',
+
+  // Google OAuth client
   OAUTH2_CLIENT_ID: '',
   OAUTH2_CLIENT_SECRET: '',
   OAUTH2_CALLBACK: 'http://localhost:8080/auth/callback',
 
+  // GitHub OAuth application
+  GITHUB_OAUTH_CLIENT_ID: '',
+  GITHUB_OAUTH_CLIENT_SECRET: '',
+  GITHUB_OAUTH_CALLBACK: 'http://localhost:8080/auth/callback/github',
+
+  // A generic OpenID Connect provider
+  OIDC_CLIENT_ID: '',
+  OIDC_CLIENT_SECRET: '',
+  OIDC_CALLBACK: 'http://localhost:8080/auth/callback/oidc',
+  OIDC_AUTHORIZATION_URL: '',
+  OIDC_TOKEN_URL: '',
+  OIDC_USERINFO_URL: '',
+  OIDC_SCOPE: 'openid email profile',
+
   PORT: 8080,
 
   // Set this a secret string of your choosing
@@ -56,6 +101,51 @@ nconf
 
   // GitHub webhook secret
   WEBHOOK_SECRET: '',
+
+  // The number of percentage points the coverage of a component can drop
+  // compared with the previous version before the coverage run is marked as regressed.
+  COVERAGE_REGRESSION_THRESHOLD: 0,
+
+  // Comma separated lists added to the registry in the data store when the registry
+  // is initialized: GitHub organizations allowed in the CI, and email domains and addresses
+  // of trusted (organization) users. Later changes are made with the registry API.
+  REGISTRY_ORGS: 'advanced-rest-client,api-modeling,anypoint-web-components',
+  REGISTRY_DOMAINS: 'mulesoft.com,salesforce.com',
+  REGISTRY_EMAILS: 'jarrodek@gmail.com',
+
+  // Comma separated list of emails of users that become administrators of the CI
+  // when they register. Other administrators are appointed with the users API.
+  ADMIN_EMAILS: '',
+
+  // The version of the terms of service users have to accept before they can make
+  // changes through the API. Changing the version requires users to accept the terms again.
+  // When not set the terms of service are not enforced.
+  TOS_VERSION: '',
+
+  // The minimum number of seconds between writes of the last use of a token to the data store.
+  TOKEN_USAGE_WRITE_INTERVAL: 60,
+  // The number of days after which tokens that were not used are revoked.
+  // When set to `0` unused tokens are not revoked.
+  TOKEN_UNUSED_DAYS: 0,
+  // The number of hours between runs of the job revoking unused tokens.
+  TOKEN_CLEANUP_INTERVAL: 24,
+  // The maximum lifetime of a token in days. Tokens created without the expiration time
+  // expire after this time. When set to `0` tokens may not expire.
+  TOKEN_MAX_LIFETIME: 0,
+  // The number of seconds a rotated token can still be used after the replacement token is issued.
+  TOKEN_ROTATION_GRACE: 3600,
+
+  // The location of a PEM file with the RSA or P-256 EC private key used to sign API tokens
+  // with the RS256 or ES256 algorithm. When not set tokens are signed with the `SECRET`.
+  TOKEN_SIGNING_KEY: '',
+  // The key id (`kid`) of the signing key. Defaults to the JWK thumbprint of the key.
+  TOKEN_SIGNING_KEY_ID: '',
+  // Comma separated list of PEM files with public keys of previous signing keys. Tokens signed
+  // with these keys are still valid. A key id can be set with the `kid=file` syntax.
+  TOKEN_VERIFICATION_KEYS: '',
+  // Whether tokens signed with the `SECRET` are accepted. Set to `false` to retire these tokens
+  // once a signing key is configured and the tokens are replaced with tokens signed with the key.
+  TOKEN_SECRET_VERIFICATION: true,
 });
 
 export default nconf;
@@ -78,10 +168,26 @@ export function checkApiConfig() {
   checkConfig('PORT');
 
   checkConfig('MEMCACHE_URL');
-  checkConfig('OAUTH2_CLIENT_ID');
-  checkConfig('OAUTH2_CLIENT_SECRET');
-  checkConfig('OAUTH2_CALLBACK');
   checkConfig('SECRET');
+  const providers = String(nconf.get('OAUTH2_PROVIDERS')).split(',').map((item) => item.trim());
+  if (providers.includes('google')) {
+    checkConfig('OAUTH2_CLIENT_ID');
+    checkConfig('OAUTH2_CLIENT_SECRET');
+    checkConfig('OAUTH2_CALLBACK');
+  }
+  if (providers.includes('github')) {
+    checkConfig('GITHUB_OAUTH_CLIENT_ID');
+    checkConfig('GITHUB_OAUTH_CLIENT_SECRET');
+    checkConfig('GITHUB_OAUTH_CALLBACK');
+  }
+  if (providers.includes('oidc')) {
+    checkConfig('OIDC_CLIENT_ID');
+    checkConfig('OIDC_CLIENT_SECRET');
+    checkConfig('OIDC_CALLBACK');
+    checkConfig('OIDC_AUTHORIZATION_URL');
+    checkConfig('OIDC_TOKEN_URL');
+    checkConfig('OIDC_USERINFO_URL');
+  }
 }
 
 /**
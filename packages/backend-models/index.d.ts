@@ -25,6 +25,15 @@ export {
   GithubBuildQueryOptions,
   GithubBuildQueryResult,
 } from './src/types/GitHubBuild';
+export { GithubBuildModel } from './src/GithubBuildModel';
+export {
+  GithubDelivery,
+  GithubDeliveryEntity,
+  GithubDeliveryQueryOptions,
+  GithubDeliveryQueryResult,
+} from './src/types/GithubDelivery';
+export { GithubDeliveryModel } from './src/GithubDeliveryModel';
+export { GroupModel, GroupEntity, GroupQueryResult, GroupQueryOptions } from './src/GroupModel';
 export {
   ComponentModel,
   ComponentEntity,
@@ -35,6 +44,11 @@ export {
   ComponentFilterOptions,
   VersionQueryOptions,
   VersionCreateOptions,
+  PublishVersionOptions,
+  VersionContentOptions,
+  ChangelogQueryOptions,
+  ChangelogQueryResult,
+  ChangelogEntity,
 } from './src/ComponentModel';
 export {
   CoverageModel,
@@ -49,16 +63,39 @@ export {
   CoverageComponentVersionEntity,
   CoverageReportEntity,
   CoverageFilesQueryOptions,
+  CoverageDelta,
+  CoverageHistoryEntry,
+  CoverageDiff,
+  CoverageDiffTarget,
+  CoverageFileDiff,
 } from './src/CoverageModel';
+export { CoverageParser, CoverageReportFormat } from './src/CoverageParser';
 export { Creator } from './src/types/Creator';
-export { DependencyModel, DependencyEntity, DependencyEntry } from './src/DependencyModel';
+export {
+  DependencyModel,
+  DependencyEntity,
+  DependencyEntry,
+  DependencyGraph,
+  DependencyGraphNode,
+  DependencyGraphEdge,
+  DependencyGraphOptions,
+} from './src/DependencyModel';
 export { MessageModel, MessageFilter, CreateMessageEntity, MessageEntity, MessageQueryResult } from './src/MessageModel';
-export { PassportProfile } from './src/types/PassportProfile';
+export {
+  RegistryModel,
+  RegistryEntryType,
+  RegistryEntry,
+  RegistryEntryEntity,
+  RegistryQueryResult,
+  RegistryQueryOptions,
+  RegistryLists,
+} from './src/RegistryModel';
+export { PassportProfile, Email } from './src/types/PassportProfile';
 export { TestLogModel, TestLogEntity, TestLogQueryResult, TestLogQueryOptions } from './src/TestLogModel';
 export { TestModel } from './src/TestModel';
 export { BottomUpTest, BottomUpTestEntity, AmfTest, AmfTestEntity, TestQueryResult, TestQueryOptions } from './src/types/ComponentTest'
 export { TestReport, TestBrowserResult } from './src/types/TestReport';
-export { TestComponentModel } from './src/TestComponentModel';
-export { TokenModel, TokenEntity, EditableToken, TokenQueryResult, TokenQueryOptions, TokenInfo } from './src/TokenModel';
-export { UserModel, UserEntity, UserQueryResult, UserQueryOptions } from './src/UserModel';
+export { TestComponentModel, TestComponentResultEntity } from './src/TestComponentModel';
+export { TokenModel, TokenEntity, EditableToken, TokenQueryResult, TokenQueryOptions, TokenInfo, TokenUsage } from './src/TokenModel';
+export { UserModel, UserEntity, UserQueryResult, UserQueryOptions, UserUpdate } from './src/UserModel';
 export { entity } from '@google-cloud/datastore/build/src/entity';
@@ -1,8 +1,13 @@
 export { AnalyticsModel } from './src/AnalyticsModel.js';
 export { ComponentModel } from './src/ComponentModel.js';
 export { CoverageModel } from './src/CoverageModel.js';
+export { CoverageParser } from './src/CoverageParser.js';
 export { DependencyModel } from './src/DependencyModel.js';
+export { GithubBuildModel } from './src/GithubBuildModel.js';
+export { GithubDeliveryModel } from './src/GithubDeliveryModel.js';
+export { GroupModel } from './src/GroupModel.js';
 export { MessageModel } from './src/MessageModel.js';
+export { RegistryModel } from './src/RegistryModel.js';
 export { TestLogModel } from './src/TestLogModel.js';
 export { TestModel } from './src/TestModel.js';
 export { TestComponentModel } from './src/TestComponentModel.js';
@@ -0,0 +1,20 @@
+/* eslint-disable no-console */
+import { ComponentModel } from '../index.js';
+
+/**
+ * A one-off script that creates components groups from the `org` property
+ * of the components stored before the groups were introduced, and sets the group
+ * on the components and their versions.
+ *
+ * Usage: GCLOUD_PROJECT=... node scripts/backfill-groups.js
+ */
+async function backfill() {
+  const model = new ComponentModel();
+  const updated = await model.backfillGroups();
+  console.log(`Updated ${updated} component(s).`);
+}
+
+backfill().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
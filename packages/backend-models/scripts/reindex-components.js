@@ -0,0 +1,19 @@
+/* eslint-disable no-console */
+import { ComponentModel } from '../index.js';
+
+/**
+ * A one-off script that creates the search index of the components stored
+ * before the search was introduced.
+ *
+ * Usage: GCLOUD_PROJECT=... node scripts/reindex-components.js
+ */
+async function reindex() {
+  const model = new ComponentModel();
+  const updated = await model.reindexComponents();
+  console.log(`Updated ${updated} component(s).`);
+}
+
+reindex().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
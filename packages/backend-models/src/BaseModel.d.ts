@@ -84,6 +84,11 @@ export declare class BaseModel {
    */
    get buildKind(): string;
 
+  /**
+   * The kind value for GitHub webhook deliveries
+   */
+   get deliveryKind(): string;
+
   /**
    * The kind value for messages (ARC messages)
    */
@@ -104,6 +109,16 @@ export declare class BaseModel {
    */
    get coverageComponentKind(): string;
 
+  /**
+   * The kind value for the latest test result of a component
+   */
+   get componentTestResultKind(): string;
+
+  /**
+   * The kind value for the changelog of a component version
+   */
+   get changelogKind(): string;
+
   /**
    * The namespace value for users
    */
@@ -174,6 +189,13 @@ export declare class BaseModel {
    */
   createTestComponentKey(testId: string, componentName: string): entity.Key;
 
+  /**
+   * Creates a datastore key for the latest test result of a component.
+   * @param componentName Component name
+   * @returns Datastore key
+   */
+  createComponentTestResultKey(componentName: string): entity.Key;
+
   /**
    * Creates a key for test logs
    *
@@ -191,6 +213,13 @@ export declare class BaseModel {
    */
   createBuildKey(id: string): entity.Key;
 
+  /**
+   * Creates a datastore key for a GitHub webhook delivery.
+   * @param id The delivery id (the `X-GitHub-Delivery` header)
+   * @returns Datastore key
+   */
+  createDeliveryKey(id: string): entity.Key;
+
   /**
    * Creates an key for a coverage result entry for a file
    * @param component The name of the component
@@ -86,6 +86,13 @@ export class BaseModel {
     return 'Build';
   }
 
+  /**
+   * @return {string} The kind value for GitHub webhook deliveries
+   */
+  get deliveryKind() {
+    return 'GithubDelivery';
+  }
+
   /**
    * @return {string} The kind value for messages (ARC messages)
    */
@@ -114,6 +121,20 @@ export class BaseModel {
     return 'ComponentVersionCoverageResult';
   }
 
+  /**
+   * @return {string} The kind value for the latest test result of a component
+   */
+  get componentTestResultKind() {
+    return 'ComponentTestResult';
+  }
+
+  /**
+   * @return {string} The kind value for the changelog of a component version
+   */
+  get changelogKind() {
+    return 'VersionChangelog';
+  }
+
   /**
    * @return {string} The namespace value for users
    */
@@ -215,6 +236,18 @@ export class BaseModel {
     });
   }
 
+  /**
+   * Creates a datastore key for the latest test result of a component.
+   * @param {string} componentName Component name
+   * @return {Key} Datastore key
+   */
+  createComponentTestResultKey(componentName) {
+    return this.store.key({
+      namespace: this.namespace,
+      path: [this.componentTestResultKind, this.slug(componentName)],
+    });
+  }
+
   /**
    * Creates a key for test logs
    *
@@ -242,6 +275,18 @@ export class BaseModel {
     });
   }
 
+  /**
+   * Creates a datastore key for a GitHub webhook delivery.
+   * @param {string} id The delivery id (the `X-GitHub-Delivery` header)
+   * @return {Key} Datastore key
+   */
+  createDeliveryKey(id) {
+    return this.store.key({
+      namespace: this.buildsNamespace,
+      path: [this.deliveryKind, id],
+    });
+  }
+
   /**
    * Creates an key for a coverage result entry for a file
    * @param {string} component The name of the component
@@ -1,5 +1,8 @@
 import { BaseModel, Entity, QueryResult, QueryOptions } from './BaseModel.js';
 import {entity} from '@google-cloud/datastore/build/src/entity';
+import { GroupModel } from './GroupModel.js';
+import { DependencyModel } from './DependencyModel.js';
+import { Transaction } from '@google-cloud/datastore';
 
 export interface ComponentEntity extends Entity {
   /**
@@ -11,6 +14,10 @@ export interface ComponentEntity extends Entity {
    * With combination with the `name` it creates GitHub's URI.
    */
   org: string;
+  /**
+   * The id of the group the component belongs to. It is the normalized `org` value.
+   */
+  group?: string;
   /**
    * The component's package name (scope + name)
    */
@@ -38,6 +45,10 @@ export interface VersionEntity extends Entity {
    * The timestamp when the component was created.
    */
   created: number;
+  /**
+   * The id of the group the component belongs to.
+   */
+  group?: string;
   /**
    * A list of tags associated with the component. For the internal use of the CI.
    */
@@ -46,10 +57,42 @@ export interface VersionEntity extends Entity {
    * The version name of the component.
    */
   version: string;
+  /**
+   * The changelog of the version, in markdown.
+   */
+  changelog?: string;
+  /**
+   * The serialized documentation model of the version.
+   */
+  docs?: string;
+}
+
+export interface ChangelogEntity extends Entity {
+  /**
+   * The component's package name (scope + name)
+   */
+  npmName: string;
+  /**
+   * The version name of the component.
+   */
+  version: string;
+  /**
+   * The timestamp when the version was created.
+   */
+  created: number;
+  /**
+   * A list of tags associated with the component.
+   */
+  tags?: string[];
+  /**
+   * The changelog of the version, in markdown.
+   */
+  changelog: string;
 }
 
 export declare interface ComponentQueryResult extends QueryResult<ComponentEntity> {}
 export declare interface VersionQueryResult extends QueryResult<VersionEntity> {}
+export declare interface ChangelogQueryResult extends QueryResult<ChangelogEntity> {}
 
 export declare interface ComponentQueryOptions extends QueryOptions {}
 
@@ -58,6 +101,15 @@ export declare interface ComponentFilterOptions extends QueryOptions {
    * List of tags to filter the components for.
    */
   tags?: string[];
+  /**
+   * The name or the id of the group to filter the components for.
+   */
+  group?: string;
+  /**
+   * The search query. When set the components are searched by their name, npmName, org, and tags
+   * and the results are ranked by relevance.
+   */
+  q?: string;
 }
 
 export declare interface VersionQueryOptions extends QueryOptions {
@@ -73,7 +125,33 @@ export declare interface VersionQueryOptions extends QueryOptions {
   until?: number;
 }
 
-export declare interface VersionCreateOptions {
+export declare interface VersionContentOptions {
+  /**
+   * The changelog of the version, in markdown.
+   */
+  changelog?: string;
+  /**
+   * The serialized documentation model of the version.
+   */
+  docs?: string;
+}
+
+export declare interface ChangelogQueryOptions extends QueryOptions {
+  /**
+   * A list of tags associated with the component.
+   */
+  tags?: string[];
+  /**
+   * The timestamp of the earliest release to include.
+   */
+  since?: number;
+  /**
+   * The timestamp of the latest release to include.
+   */
+  until?: number;
+}
+
+export declare interface VersionCreateOptions extends VersionContentOptions {
   /**
    * Component version
    */
@@ -91,6 +169,21 @@ export declare interface VersionCreateOptions {
     * With combination with the `name` it creates GitHub's URI.
     */
   org: string;
+  /**
+   * List of tags to add to the component. When not set the component keeps its tags.
+   */
+  tags?: string[];
+}
+
+export declare interface PublishVersionOptions extends VersionCreateOptions {
+  /**
+   * List of package names that are dependencies of this package.
+   */
+  dependencies?: string[];
+  /**
+   * List of package names that are development dependencies of this package.
+   */
+  devDependencies?: string[];
 }
 
 export declare interface TagsProcessOptions {
@@ -116,6 +209,20 @@ export declare class ComponentModel extends BaseModel {
    * Version model excluded indexes
    */
   get versionExcludeIndexes(): string[];
+  /**
+   * Changelog model excluded indexes
+   */
+  get changelogExcludeIndexes(): string[];
+  /**
+   * The maximum length of a search keyword.
+   */
+  get keywordMaxLength(): number;
+  /**
+   * The maximum number of components read from the store to rank the search results.
+   */
+  get searchCandidatesLimit(): number;
+  groupModel: GroupModel;
+  dependencyModel: DependencyModel;
   constructor();
 
   /**
@@ -131,6 +238,22 @@ export declare class ComponentModel extends BaseModel {
    */
   createVersionKey(npmName: string, version: string): entity.Key;
 
+  /**
+   * Creates datastore key for the changelog of a version.
+   * @param npmName The component's NPM name.
+   * @param version Component version
+   */
+  createChangelogKey(npmName: string, version: string): entity.Key;
+
+  /**
+   * Creates the changelog entity of a version.
+   * @param npmName The component's package name (scope + name)
+   * @param version Component version
+   * @param model The version entity
+   * @returns The entity to save or undefined when the version has no changelog.
+   */
+  _createChangelogEntity(npmName: string, version: string, model: object): object|undefined;
+
   /**
    * Finds largest non-pre-release version in the list of versions.
    * @param range List of semver versions.
@@ -162,6 +285,35 @@ export declare class ComponentModel extends BaseModel {
    */
   queryComponents(opts?: ComponentFilterOptions): Promise<ComponentQueryResult>;
 
+  /**
+   * Searches for components which name, npmName, org, or tags match the query.
+   * Each word of the query must match the beginning of a word in any of these properties.
+   * The results are ranked: exact name matches first, then name prefix matches,
+   * then matches on the name's words, and finally matches on the remaining properties.
+   *
+   * Because the results are ranked the page token is an offset in the ranked results
+   * rather than a datastore cursor. To bound the cost of a request only the first
+   * `searchCandidatesLimit` matching components are ranked so a query that matches more
+   * components than that should be narrowed down.
+   *
+   * @param opts Query options
+   * @returns Promise resolved to a list of components.
+   */
+  searchComponents(opts: ComponentFilterOptions): Promise<ComponentQueryResult>;
+  _readSearchOffset(pageToken?: string): number;
+  _rankComponent(component: ComponentEntity, q: string, tokens: string[]): number;
+
+  /**
+   * Creates the search index of a component. The index is a list of all prefixes
+   * of the tokens of the component's name, npmName, org, and tags.
+   *
+   * @param component The component's properties.
+   * @returns The list of search keywords.
+   */
+  createKeywords(component: object): string[];
+  _tokenize(value: string): string[];
+  _setKeywords(model: object): boolean;
+
   /**
    * Lists names of API components (with `apic` tag)
    * @returns Promise resolved to a list of names.
@@ -200,8 +352,20 @@ export declare class ComponentModel extends BaseModel {
    * Creates a new version of API component in the data store.
    *
    * @param info Version description
+   * @param transaction When set the entities are read and saved in this transaction
+   * and they are committed with the transaction.
+   */
+  addVersion(info: VersionCreateOptions, transaction?: Transaction): Promise<void>;
+
+  /**
+   * Adds a version of a component together with the component's dependencies.
+   * The group, the component, the version, and the dependencies are stored in a single
+   * transaction so either all of them are stored or none.
+   *
+   * @param info Version description
+   * @returns The updated component.
    */
-  addVersion(info: VersionCreateOptions): Promise<void>;
+  publishVersion(info: PublishVersionOptions): Promise<ComponentEntity>;
 
   /**
    * Returns component definition.
@@ -219,9 +383,11 @@ export declare class ComponentModel extends BaseModel {
    * @param version Component version
    * @param key Key of the entity.
    * @param tags Tags processing options
+   * @param transaction When set the entity is saved in this transaction
+   * and it is committed with the transaction.
    * @returns Generated model.
    */
-  createComponent(name: string, org: string, npmName: string, version: string, key: entity.Key, tags?: TagsProcessOptions): Promise<ComponentEntity>;
+  createComponent(name: string, org: string, npmName: string, version: string, key: entity.Key, tags?: TagsProcessOptions, transaction?: Transaction): Promise<ComponentEntity>;
 
   /**
    * Test if component data are already stored and creates a model if not.
@@ -232,8 +398,10 @@ export declare class ComponentModel extends BaseModel {
    * With combination with the `name` it creates GitHub's URI.
    * @param npmName The component's package name (scope + name)
    * @param tags Tags processing options
+   * @param transaction When set the entities are read and saved in this transaction
+   * and they are committed with the transaction.
    */
-   ensureComponent(version: string, name: string, org: string, npmName: string, tags?: TagsProcessOptions): Promise<ComponentEntity>;
+   ensureComponent(version: string, name: string, org: string, npmName: string, tags?: TagsProcessOptions, transaction?: Transaction): Promise<ComponentEntity>;
 
   /**
    * Adds a new version to the component model.
@@ -241,9 +409,18 @@ export declare class ComponentModel extends BaseModel {
    * @param version Version number
    * @param key Datastore key
    * @param tagOpts Tags processing options
+   * @param transaction When set the entity is saved in this transaction
+   * and it is committed with the transaction.
    * @returns updated model
    */
-  addComponentVersion(model: ComponentEntity, version: string, key: entity.Key, tagOpts?: TagsProcessOptions): Promise<ComponentEntity>;
+  addComponentVersion(model: ComponentEntity, version: string, key: entity.Key, tagOpts?: TagsProcessOptions, transaction?: Transaction): Promise<ComponentEntity>;
+
+  /**
+   * Sets the `changelog` and `docs` on a version entity, when defined.
+   * @param model The version entity
+   * @param content The content to set
+   */
+  _setVersionContent(model: object, content?: VersionContentOptions): void;
 
   /**
    * Replaces/creates version in the data store
@@ -251,8 +428,11 @@ export declare class ComponentModel extends BaseModel {
    * @param parent Parent component
    * @param version Component version
    * @param npmName The component's package name (scope + name)
+   * @param content The changelog and the docs of the version
+   * @param transaction When set the entities are read and saved in this transaction
+   * and they are committed with the transaction.
    */
-  ensureVersion(parent: ComponentEntity, version: string, npmName: string): Promise<void>;
+  ensureVersion(parent: ComponentEntity, version: string, npmName: string, content?: VersionContentOptions, transaction?: Transaction): Promise<void>;
 
   /**
    * Creates component version entity.
@@ -260,8 +440,11 @@ export declare class ComponentModel extends BaseModel {
    * @param parent Parent component
    * @param version Component version
    * @param npmName The component's package name (scope + name)
+   * @param content The changelog and the docs of the version
+   * @param transaction When set the entities are saved in this transaction
+   * and they are committed with the transaction.
    */
-  createVersion(parent: ComponentEntity, version: string, npmName: string): Promise<void>;
+  createVersion(parent: ComponentEntity, version: string, npmName: string, content?: VersionContentOptions, transaction?: Transaction): Promise<void>;
 
   /**
    * Returns component definition.
@@ -276,10 +459,46 @@ export declare class ComponentModel extends BaseModel {
    */
   queryVersions(opts?: VersionQueryOptions): Promise<VersionQueryResult>;
 
+  /**
+   * Lists changelog of the versions released in a time range.
+   * The changelog entities are stored separately from the versions so the query does not
+   * read the documentation of the versions.
+   *
+   * @param opts Query options
+   * @returns Changelog entries ordered from the most recent.
+   */
+  listChangelog(opts?: ChangelogQueryOptions): Promise<ChangelogQueryResult>;
+
   /**
    * Updates properties of a component entity
    * @param npmName The component's package name (scope + name)
    * @param props Properties to update
    */
   updateComponentProperties(npmName: string, props: object): Promise<void>;
+
+  /**
+   * Derives groups from the `org` property of the components stored before
+   * the groups were introduced. It creates missing group entities and sets
+   * the `group` property on the components and their versions that do not have it.
+   *
+   * @returns The number of updated components.
+   */
+  backfillGroups(): Promise<number>;
+
+  /**
+   * Sets the `group` property on the versions of a component that do not have it.
+   *
+   * @param key The key of the component
+   * @param group The id of the group of the component
+   * @returns The number of updated versions.
+   */
+  _backfillVersionGroups(key: entity.Key, group: string): Promise<number>;
+
+  /**
+   * Creates the search index of the components stored before the search was introduced
+   * or which index is outdated.
+   *
+   * @returns The number of updated components.
+   */
+  reindexComponents(): Promise<number>;
 }
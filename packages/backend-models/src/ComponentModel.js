@@ -1,7 +1,10 @@
 import semver from 'semver';
 import { BaseModel } from './BaseModel.js';
+import { GroupModel } from './GroupModel.js';
+import { DependencyModel } from './DependencyModel.js';
 
 /** @typedef {import('@google-cloud/datastore/build/src/entity').entity.Key} Key */
+/** @typedef {import('@google-cloud/datastore').Transaction} Transaction */
 /** @typedef {import('./ComponentModel').ComponentQueryResult} ComponentQueryResult */
 /** @typedef {import('./ComponentModel').VersionQueryResult} VersionQueryResult */
 /** @typedef {import('./ComponentModel').ComponentEntity} ComponentEntity */
@@ -11,6 +14,11 @@ import { BaseModel } from './BaseModel.js';
 /** @typedef {import('./ComponentModel').VersionQueryOptions} VersionQueryOptions */
 /** @typedef {import('./ComponentModel').VersionCreateOptions} VersionCreateOptions */
 /** @typedef {import('./ComponentModel').TagsProcessOptions} TagsProcessOptions */
+/** @typedef {import('./ComponentModel').PublishVersionOptions} PublishVersionOptions */
+/** @typedef {import('./ComponentModel').VersionContentOptions} VersionContentOptions */
+/** @typedef {import('./ComponentModel').ChangelogQueryOptions} ChangelogQueryOptions */
+/** @typedef {import('./ComponentModel').ChangelogQueryResult} ChangelogQueryResult */
+/** @typedef {import('./ComponentModel').ChangelogEntity} ChangelogEntity */
 
 /**
  * A model for catalog items.
@@ -21,6 +29,8 @@ export class ComponentModel extends BaseModel {
    */
   constructor() {
     super('api-components');
+    this.groupModel = new GroupModel();
+    this.dependencyModel = new DependencyModel();
   }
 
   /**
@@ -34,7 +44,80 @@ export class ComponentModel extends BaseModel {
    * @return {string[]} Version model excluded indexes
    */
   get versionExcludeIndexes() {
-    return ['npmName', 'version'];
+    return ['npmName', 'version', 'changelog', 'docs'];
+  }
+
+  /**
+   * @return {string[]} Changelog model excluded indexes
+   */
+  get changelogExcludeIndexes() {
+    return ['npmName', 'version', 'changelog'];
+  }
+
+  /**
+   * @return {number} The maximum length of a search keyword.
+   */
+  get keywordMaxLength() {
+    return 32;
+  }
+
+  /**
+   * @return {number} The maximum number of components read from the store to rank the search results.
+   */
+  get searchCandidatesLimit() {
+    return 300;
+  }
+
+  /**
+   * Splits a value into lowercase alphanumeric search tokens.
+   * @param {string} value The value to tokenize.
+   * @return {string[]}
+   */
+  _tokenize(value) {
+    if (!value) {
+      return [];
+    }
+    return String(value).toLowerCase().split(/[^a-z0-9]+/).filter((item) => !!item);
+  }
+
+  /**
+   * Creates the search index of a component. The index is a list of all prefixes
+   * of the tokens of the component's name, npmName, org, and tags.
+   *
+   * @param {object} component The component's properties.
+   * @return {string[]} The list of search keywords.
+   */
+  createKeywords(component) {
+    const { name, npmName, org, tags } = component;
+    const values = [name, npmName, org];
+    if (Array.isArray(tags)) {
+      values.push(...tags);
+    }
+    const result = new Set();
+    values.forEach((value) => {
+      this._tokenize(value).forEach((token) => {
+        const max = Math.min(token.length, this.keywordMaxLength);
+        for (let i = 1; i <= max; i++) {
+          result.add(token.substr(0, i));
+        }
+      });
+    });
+    return Array.from(result).sort();
+  }
+
+  /**
+   * Sets the `keywords` on a component entity.
+   * @param {object} model The component entity
+   * @return {boolean} True when the keywords changed.
+   */
+  _setKeywords(model) {
+    const keywords = this.createKeywords(model);
+    const current = Array.isArray(model.keywords) ? model.keywords : [];
+    const changed = current.length !== keywords.length || keywords.some((item, i) => item !== current[i]);
+    if (changed) {
+      model.keywords = keywords;
+    }
+    return changed;
   }
 
   /**
@@ -66,6 +149,57 @@ export class ComponentModel extends BaseModel {
     });
   }
 
+  /**
+   * Creates datastore key for the changelog of a version.
+   * @param {string} npmName The component's NPM name.
+   * @param {string} version Component version
+   * @return {Key}
+   */
+  createChangelogKey(npmName, version) {
+    return this.store.key({
+      namespace: this.namespace,
+      path: [
+        this.componentsKind,
+        this.slug(npmName),
+        this.versionsKind,
+        version,
+        this.changelogKind,
+        version,
+      ],
+    });
+  }
+
+  /**
+   * Creates the changelog entity of a version.
+   * The changelog is stored next to the version so the changelog can be listed
+   * without reading the docs of the versions.
+   *
+   * @param {string} npmName The component's package name (scope + name)
+   * @param {string} version Component version
+   * @param {object} model The version entity
+   * @return {object|undefined} The entity to save or undefined when the version has no changelog.
+   */
+  _createChangelogEntity(npmName, version, model) {
+    const { changelog, created, tags } = model;
+    if (typeof changelog !== 'string') {
+      return undefined;
+    }
+    const data = {
+      npmName,
+      version,
+      created,
+      changelog,
+    };
+    if (Array.isArray(tags)) {
+      data.tags = tags;
+    }
+    return {
+      key: this.createChangelogKey(npmName, version),
+      data,
+      excludeFromIndexes: this.changelogExcludeIndexes,
+    };
+  }
+
   /**
    * Finds largest non-pre-release version in the list of versions.
    * @param {string[]} range List of semver versions.
@@ -96,6 +230,7 @@ export class ComponentModel extends BaseModel {
    */
   _fromComponentDatastore(item) {
     delete item.ref;
+    delete item.keywords;
     item.id = item[this.store.KEY].name;
     item.version = this.findLatestVersion(item.versions);
     return item;
@@ -134,9 +269,15 @@ export class ComponentModel extends BaseModel {
    * @return {Promise<ComponentQueryResult>} Promise resolved to a list of components.
    */
   async queryComponents(opts) {
-    const { limit=this.listLimit, pageToken, tags } = opts;
+    const { limit=this.listLimit, pageToken, tags, group, q } = opts;
+    if (q) {
+      return this.searchComponents(opts);
+    }
     let query = this.store.createQuery(this.namespace, this.componentsKind);
     query = query.order('name', { descending: false });
+    if (group) {
+      query = query.filter('group', '=', this.slug(group));
+    }
     if (Array.isArray(tags)) {
       tags.forEach((tag) => {
         query = query.filter('tags', '=', String(tag));
@@ -155,6 +296,115 @@ export class ComponentModel extends BaseModel {
     };
   }
 
+  /**
+   * Searches for components which name, npmName, org, or tags match the query.
+   * Each word of the query must match the beginning of a word in any of these properties.
+   * The results are ranked: exact name matches first, then name prefix matches,
+   * then matches on the name's words, and finally matches on the remaining properties.
+   *
+   * Because the results are ranked the page token is an offset in the ranked results
+   * rather than a datastore cursor. To bound the cost of a request only the first
+   * `searchCandidatesLimit` matching components are ranked so a query that matches more
+   * components than that should be narrowed down.
+   *
+   * @param {ComponentFilterOptions} opts Query options
+   * @return {Promise<ComponentQueryResult>} Promise resolved to a list of components.
+   */
+  async searchComponents(opts) {
+    const { limit=this.listLimit, pageToken, tags, group, q } = opts;
+    const offset = this._readSearchOffset(pageToken);
+    const tokens = Array.from(new Set(this._tokenize(q)));
+    if (!tokens.length) {
+      return {
+        entities: [],
+      };
+    }
+    let query = this.store.createQuery(this.namespace, this.componentsKind);
+    tokens.forEach((token) => {
+      query = query.filter('keywords', '=', token.substr(0, this.keywordMaxLength));
+    });
+    if (group) {
+      query = query.filter('group', '=', this.slug(group));
+    }
+    if (Array.isArray(tags)) {
+      tags.forEach((tag) => {
+        query = query.filter('tags', '=', String(tag));
+      });
+    }
+    query = query.limit(this.searchCandidatesLimit);
+    const [entitiesRaw] = await this.store.runQuery(query);
+    const matches = entitiesRaw.map(this._fromComponentDatastore.bind(this));
+    const ranked = matches.map((item) => ({
+      item,
+      rank: this._rankComponent(item, q, tokens),
+    }));
+    ranked.sort((a, b) => {
+      if (a.rank !== b.rank) {
+        return b.rank - a.rank;
+      }
+      return String(a.item.name).localeCompare(String(b.item.name));
+    });
+    const entities = ranked.slice(offset, offset + limit).map(({ item }) => item);
+    const next = offset + limit;
+    return {
+      entities,
+      pageToken: next < ranked.length ? Buffer.from(String(next)).toString('base64') : undefined,
+    };
+  }
+
+  /**
+   * Reads the offset of the ranked search results from the page token.
+   * @param {string=} pageToken
+   * @return {number}
+   */
+  _readSearchOffset(pageToken) {
+    if (!pageToken) {
+      return 0;
+    }
+    const offset = Number(Buffer.from(pageToken, 'base64').toString());
+    if (!Number.isInteger(offset) || offset < 0) {
+      const error = new Error('Invalid page token');
+      // @ts-ignore
+      error.code = 3;
+      throw error;
+    }
+    return offset;
+  }
+
+  /**
+   * Computes the search rank of a component.
+   * @param {ComponentEntity} component The component
+   * @param {string} q The search query
+   * @param {string[]} tokens The tokens of the search query
+   * @return {number} The rank. The higher the better the match.
+   */
+  _rankComponent(component, q, tokens) {
+    const name = String(component.name || '').toLowerCase();
+    const query = String(q).trim().toLowerCase();
+    let rank = 0;
+    if (name === query) {
+      rank += 100;
+    } else if (name.startsWith(query)) {
+      rank += 50;
+    }
+    const nameTokens = this._tokenize(name);
+    const otherValues = [component.npmName, component.org, ...(component.tags || [])];
+    const otherTokens = otherValues.reduce((all, value) => all.concat(this._tokenize(value)), []);
+    tokens.forEach((token) => {
+      if (nameTokens.includes(token)) {
+        rank += 10;
+      } else if (nameTokens.some((item) => item.startsWith(token))) {
+        rank += 5;
+      }
+      if (otherTokens.includes(token)) {
+        rank += 2;
+      } else if (otherTokens.some((item) => item.startsWith(token))) {
+        rank += 1;
+      }
+    });
+    return rank;
+  }
+
   /**
    * Lists names of API components (with `apic` tag)
    * @return {Promise<ComponentEntity[]>} Promise resolved to a list of names.
@@ -196,7 +446,6 @@ export class ComponentModel extends BaseModel {
     delete item.ref;
     const key = item[this.store.KEY];
     item.id = key.name;
-    item.group = key.parent.parent.name;
     return item;
   }
 
@@ -210,7 +459,6 @@ export class ComponentModel extends BaseModel {
     const { limit=this.listLimit, pageToken } = opts;
     const key = this.createComponentKey(nameName);
     let query = this.store.createQuery(this.namespace, this.versionsKind).hasAncestor(key);
-    query = query.order('name', { descending: false });
     query = query.order('created', {
       descending: true,
     });
@@ -231,14 +479,46 @@ export class ComponentModel extends BaseModel {
    * Creates a new version of API component in the data store.
    *
    * @param {VersionCreateOptions} info Version description
+   * @param {Transaction=} transaction When set the entities are read and saved in this transaction
+   * and they are committed with the transaction.
    * @return {Promise<void>}
    */
-  async addVersion(info) {
-    const { npmName, version, name, org } = info;
+  async addVersion(info, transaction) {
+    const { npmName, version, name, org, tags, changelog, docs } = info;
     const cmp = await this.ensureComponent(version, name, org, npmName, {
+      tags,
       keepTags: true,
-    });
-    await this.ensureVersion(cmp, version, npmName);
+    }, transaction);
+    await this.ensureVersion(cmp, version, npmName, { changelog, docs }, transaction);
+  }
+
+  /**
+   * Adds a version of a component together with the component's dependencies.
+   * The group, the component, the version, and the dependencies are stored in a single
+   * transaction so either all of them are stored or none.
+   *
+   * @param {PublishVersionOptions} info Version description
+   * @return {Promise<ComponentEntity>} The updated component.
+   */
+  async publishVersion(info) {
+    const { npmName, name, org, dependencies, devDependencies } = info;
+    const transaction = this.store.transaction();
+    try {
+      await transaction.run();
+      await this.addVersion(info, transaction);
+      await this.dependencyModel.set({
+        org,
+        name,
+        pkg: npmName,
+        dependencies,
+        devDependencies,
+      }, transaction);
+      await transaction.commit();
+    } catch (e) {
+      transaction.rollback();
+      throw e;
+    }
+    return this.getComponent(npmName);
   }
 
   /**
@@ -265,9 +545,11 @@ export class ComponentModel extends BaseModel {
    * @param {string} version Component version
    * @param {Key} key Key of the entity.
    * @param {TagsProcessOptions=} tags Components tags.
+   * @param {Transaction=} transaction When set the entity is saved in this transaction
+   * and it is committed with the transaction.
    * @return {Promise<ComponentEntity>} Generated model.
    */
-  async createComponent(name, org, npmName, version, key, tags={}) {
+  async createComponent(name, org, npmName, version, key, tags={}, transaction) {
     const data = [
       {
         name: 'name',
@@ -279,6 +561,11 @@ export class ComponentModel extends BaseModel {
         value: org,
         excludeFromIndexes: true,
       },
+      {
+        name: 'group',
+        value: this.slug(org),
+        excludeFromIndexes: false,
+      },
       {
         name: 'npmName',
         value: npmName,
@@ -302,10 +589,23 @@ export class ComponentModel extends BaseModel {
         excludeFromIndexes: false,
       });
     }
+    data.push({
+      name: 'keywords',
+      value: this.createKeywords({ name, npmName, org, tags: tags.tags }),
+      excludeFromIndexes: false,
+    });
     const entity = {
       key,
       data,
     };
+    if (transaction) {
+      transaction.save(entity);
+      const entry = { [this.store.KEY]: key };
+      data.forEach((item) => {
+        entry[item.name] = item.value;
+      });
+      return this._fromComponentDatastore(entry);
+    }
     await this.store.upsert(entity);
     const [entry] = await this.store.get(key);
     if (entry) {
@@ -322,20 +622,27 @@ export class ComponentModel extends BaseModel {
    * With combination with the `name` it creates GitHub's URI.
    * @param {string} npmName The component's package name (scope + name)
    * @param {TagsProcessOptions=} tags Components options.
+   * @param {Transaction=} transaction When set the entities are read and saved in this transaction
+   * and they are committed with the transaction.
    * @return {Promise<ComponentEntity>}
    */
-  async ensureComponent(version, name, org, npmName, tags) {
+  async ensureComponent(version, name, org, npmName, tags, transaction) {
+    await this.groupModel.ensureGroup(org, transaction);
     const key = this.createComponentKey(npmName);
     let data;
-    try {
-      [data] = await this.store.get(key);
-    } catch (e) {
-      // ...
+    if (transaction) {
+      [data] = await transaction.get(key);
+    } else {
+      try {
+        [data] = await this.store.get(key);
+      } catch (e) {
+        // ...
+      }
     }
     if (!data) {
-      return this.createComponent(name, org, npmName, version, key, tags);
+      return this.createComponent(name, org, npmName, version, key, tags, transaction);
     }
-    return this.addComponentVersion(data, version, key, tags);
+    return this.addComponentVersion(data, version, key, tags, transaction);
   }
 
   /**
@@ -344,14 +651,20 @@ export class ComponentModel extends BaseModel {
    * @param {string} version Version number
    * @param {Key} key Datastore key for a component
    * @param {TagsProcessOptions=} tagOpts Components tags.
+   * @param {Transaction=} transaction When set the entity is saved in this transaction
+   * and it is committed with the transaction.
    * @return {Promise<ComponentEntity>} updated model
    */
-  async addComponentVersion(model, version, key, tagOpts={}) {
+  async addComponentVersion(model, version, key, tagOpts={}, transaction) {
     const { tags, keepTags } = tagOpts;
     if (!model.versions) {
       model.versions = [];
     }
     let changed = false;
+    if (!model.group && model.org) {
+      model.group = this.slug(model.org);
+      changed = true;
+    }
     if (Array.isArray(tags) && tags.length) {
       model.tags = tags;
       changed = true;
@@ -359,6 +672,9 @@ export class ComponentModel extends BaseModel {
       changed = true;
       delete model.tags;
     }
+    if (this._setKeywords(model)) {
+      changed = true;
+    }
 
     if (!model.versions.includes(version)) {
       model.versions[model.versions.length] = version;
@@ -375,6 +691,11 @@ export class ComponentModel extends BaseModel {
         data: model,
         excludeFromIndexes: this.componentExcludeIndexes,
       };
+      if (transaction) {
+        transaction.save(entity);
+        // the saved entity is serialized on commit so the returned model is a copy.
+        return this._fromComponentDatastore({ ...model, [this.store.KEY]: key });
+      }
       await this.store.update(entity);
       const [updated] = await this.store.get(key);
       return this._fromComponentDatastore(updated);
@@ -382,26 +703,52 @@ export class ComponentModel extends BaseModel {
     return model;
   }
 
+  /**
+   * Sets the `changelog` and `docs` on a version entity, when defined.
+   * @param {object} model The version entity
+   * @param {VersionContentOptions=} [content={}] The content to set
+   */
+  _setVersionContent(model, content={}) {
+    const { changelog, docs } = content;
+    if (typeof changelog === 'string') {
+      model.changelog = changelog;
+    }
+    if (typeof docs === 'string') {
+      model.docs = docs;
+    }
+  }
+
   /**
    * Replaces/creates version in the data store
    *
    * @param {ComponentEntity} parent Parent component
    * @param {string} version Component version
    * @param {string} npmName The component's package name (scope + name)
+   * @param {VersionContentOptions=} content The changelog and the docs of the version
+   * @param {Transaction=} transaction When set the entities are read and saved in this transaction
+   * and they are committed with the transaction.
    * @return {Promise<void>}
    */
-  async ensureVersion(parent, version, npmName) {
+  async ensureVersion(parent, version, npmName, content, transaction) {
     const key = this.createVersionKey(npmName, version);
     let model = /** @type VersionEntity */ (null);
-    try {
-      [model] = await this.store.get(key);
-    } catch (_) {
-      // ...
+    if (transaction) {
+      [model] = await transaction.get(key);
+    } else {
+      try {
+        [model] = await this.store.get(key);
+      } catch (_) {
+        // ...
+      }
     }
     if (!model) {
-      return this.createVersion(parent, version, npmName);
+      return this.createVersion(parent, version, npmName, content, transaction);
     }
     model.created = Date.now();
+    this._setVersionContent(model, content);
+    if (parent.group) {
+      model.group = parent.group;
+    }
     if (Array.isArray(parent.tags)) {
       model.tags = parent.tags;
     } else if (model.tags) {
@@ -412,7 +759,18 @@ export class ComponentModel extends BaseModel {
       data: model,
       excludeFromIndexes: this.versionExcludeIndexes,
     };
+    const changelogEntity = this._createChangelogEntity(npmName, version, model);
+    if (transaction) {
+      transaction.save(entity);
+      if (changelogEntity) {
+        transaction.save(changelogEntity);
+      }
+      return;
+    }
     await this.store.update(entity);
+    if (changelogEntity) {
+      await this.store.upsert(changelogEntity);
+    }
   }
 
   /**
@@ -421,10 +779,14 @@ export class ComponentModel extends BaseModel {
    * @param {ComponentEntity} parent Parent component
    * @param {string} version Component version
    * @param {string} npmName The component's package name (scope + name)
+   * @param {VersionContentOptions=} [content={}] The changelog and the docs of the version
+   * @param {Transaction=} transaction When set the entities are saved in this transaction
+   * and they are committed with the transaction.
    * @return {Promise<void>}
    */
-  async createVersion(parent, version, npmName) {
+  async createVersion(parent, version, npmName, content={}, transaction) {
     const key = this.createVersionKey(npmName, version);
+    const created = Date.now();
     const data = [
       {
         name: 'npmName',
@@ -433,7 +795,7 @@ export class ComponentModel extends BaseModel {
       },
       {
         name: 'created',
-        value: Date.now(),
+        value: created,
         excludeFromIndexes: false,
       },
       {
@@ -442,6 +804,13 @@ export class ComponentModel extends BaseModel {
         excludeFromIndexes: true,
       },
     ];
+    if (parent.group) {
+      data.push({
+        name: 'group',
+        value: parent.group,
+        excludeFromIndexes: false,
+      });
+    }
     if (parent.tags) {
       data.push({
         name: 'tags',
@@ -449,11 +818,40 @@ export class ComponentModel extends BaseModel {
         value: parent.tags,
       });
     }
+    if (typeof content.changelog === 'string') {
+      data.push({
+        name: 'changelog',
+        value: content.changelog,
+        excludeFromIndexes: true,
+      });
+    }
+    if (typeof content.docs === 'string') {
+      data.push({
+        name: 'docs',
+        value: content.docs,
+        excludeFromIndexes: true,
+      });
+    }
     const entity = {
       key,
       data,
     };
+    const changelogEntity = this._createChangelogEntity(npmName, version, {
+      created,
+      tags: parent.tags,
+      changelog: content.changelog,
+    });
+    if (transaction) {
+      transaction.save(entity);
+      if (changelogEntity) {
+        transaction.save(changelogEntity);
+      }
+      return;
+    }
     await this.store.upsert(entity);
+    if (changelogEntity) {
+      await this.store.upsert(changelogEntity);
+    }
   }
 
   /**
@@ -502,12 +900,45 @@ export class ComponentModel extends BaseModel {
       query = query.start(pageToken);
     }
     const [entitiesRaw, queryInfo] = await this.store.runQuery(query);
-    const entities = /** @type VersionEntity[] */ (entitiesRaw.map((item) => {
-      const key = item[this.store.KEY];
-      item.id = key.name;
-      item.group = key.parent.parent.name;
-      return item;
-    }));
+    const entities = /** @type VersionEntity[] */ (entitiesRaw.map(this._fromVersionDatastore.bind(this)));
+    const newPageToken = queryInfo.moreResults !== this.NO_MORE_RESULTS ? queryInfo.endCursor : undefined;
+    return {
+      entities,
+      pageToken: newPageToken,
+    };
+  }
+
+  /**
+   * Lists changelog of the versions released in a time range.
+   * The changelog entities are stored separately from the versions so the query does not
+   * read the documentation of the versions.
+   *
+   * @param {ChangelogQueryOptions=} [opts={}] Query options
+   * @return {Promise<ChangelogQueryResult>} Changelog entries ordered from the most recent.
+   */
+  async listChangelog(opts={}) {
+    const { limit=this.listLimit, pageToken, tags, since, until } = opts;
+    let query = this.store.createQuery(this.namespace, this.changelogKind);
+    query = query.order('created', {
+      descending: true,
+    });
+    if (tags && tags.length) {
+      tags.forEach((tag) => {
+        query = query.filter('tags', '=', tag);
+      });
+    }
+    if (since) {
+      query = query.filter('created', '>=', Number(since));
+    }
+    if (until) {
+      query = query.filter('created', '<=', Number(until));
+    }
+    query = query.limit(limit);
+    if (pageToken) {
+      query = query.start(pageToken);
+    }
+    const [entitiesRaw, queryInfo] = await this.store.runQuery(query);
+    const entities = /** @type ChangelogEntity[] */ (entitiesRaw.map(this._fromVersionDatastore.bind(this)));
     const newPageToken = queryInfo.moreResults !== this.NO_MORE_RESULTS ? queryInfo.endCursor : undefined;
     return {
       entities,
@@ -530,6 +961,7 @@ export class ComponentModel extends BaseModel {
       Object.keys(props).forEach((k) => {
         entity[k] = props[k];
       });
+      this._setKeywords(entity);
       transaction.save({
         key,
         data: entity,
@@ -541,4 +973,111 @@ export class ComponentModel extends BaseModel {
       throw e;
     }
   }
+
+  /**
+   * Derives groups from the `org` property of the components stored before
+   * the groups were introduced. It creates missing group entities and sets
+   * the `group` property on the components and their versions that do not have it.
+   *
+   * @return {Promise<number>} The number of updated components.
+   */
+  async backfillGroups() {
+    let updated = 0;
+    let pageToken;
+    do {
+      let query = this.store.createQuery(this.namespace, this.componentsKind);
+      query = query.limit(100);
+      if (pageToken) {
+        query = query.start(pageToken);
+      }
+      const [entities, queryInfo] = await this.store.runQuery(query);
+      for (const item of entities) {
+        if (!item.org) {
+          continue;
+        }
+        await this.groupModel.ensureGroup(item.org);
+        const group = item.group || this.slug(item.org);
+        const versions = await this._backfillVersionGroups(item[this.store.KEY], group);
+        if (item.group) {
+          if (versions) {
+            updated++;
+          }
+          continue;
+        }
+        item.group = group;
+        await this.store.update({
+          key: item[this.store.KEY],
+          data: item,
+          excludeFromIndexes: this.componentExcludeIndexes,
+        });
+        updated++;
+      }
+      pageToken = queryInfo.moreResults !== this.NO_MORE_RESULTS ? queryInfo.endCursor : undefined;
+    } while (pageToken);
+    return updated;
+  }
+
+  /**
+   * Sets the `group` property on the versions of a component that do not have it.
+   *
+   * @param {Key} key The key of the component
+   * @param {string} group The id of the group of the component
+   * @return {Promise<number>} The number of updated versions.
+   */
+  async _backfillVersionGroups(key, group) {
+    let updated = 0;
+    let pageToken;
+    do {
+      let query = this.store.createQuery(this.namespace, this.versionsKind).hasAncestor(key);
+      // the data store accepts up to 500 mutations in a single commit.
+      query = query.limit(500);
+      if (pageToken) {
+        query = query.start(pageToken);
+      }
+      const [entities, queryInfo] = await this.store.runQuery(query);
+      const changed = entities.filter((item) => !item.group).map((item) => ({
+        key: item[this.store.KEY],
+        data: { ...item, group },
+        excludeFromIndexes: this.versionExcludeIndexes,
+      }));
+      if (changed.length) {
+        await this.store.update(changed);
+        updated += changed.length;
+      }
+      pageToken = queryInfo.moreResults !== this.NO_MORE_RESULTS ? queryInfo.endCursor : undefined;
+    } while (pageToken);
+    return updated;
+  }
+
+  /**
+   * Creates the search index of the components stored before the search was introduced
+   * or which index is outdated.
+   *
+   * @return {Promise<number>} The number of updated components.
+   */
+  async reindexComponents() {
+    let updated = 0;
+    let pageToken;
+    do {
+      let query = this.store.createQuery(this.namespace, this.componentsKind);
+      query = query.limit(100);
+      if (pageToken) {
+        query = query.start(pageToken);
+      }
+      const [entities, queryInfo] = await this.store.runQuery(query);
+      for (const item of entities) {
+        if (!this._setKeywords(item)) {
+          continue;
+        }
+        await this.store.update({
+          key: item[this.store.KEY],
+          data: item,
+          excludeFromIndexes: this.componentExcludeIndexes,
+        });
+        updated++;
+      }
+      pageToken = queryInfo.moreResults !== this.NO_MORE_RESULTS ? queryInfo.endCursor : undefined;
+    } while (pageToken);
+    return updated;
+  }
 }
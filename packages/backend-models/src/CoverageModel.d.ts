@@ -2,6 +2,7 @@ import { BaseModel, Entity, QueryResult, QueryOptions } from './BaseModel.js';
 import { entity } from '@google-cloud/datastore/build/src/entity';
 import { Transaction } from '@google-cloud/datastore';
 import { Creator } from './types/Creator';
+import { CoverageParser, CoverageReportFormat } from './CoverageParser';
 
 export declare interface EditableCoverageEntity {
   /**
@@ -43,6 +44,23 @@ export declare interface CoverageEntity extends EditableCoverageEntity, Entity {
    * Timestamp when the test started
    */
   startTime?: number;
+  /**
+   * Set when the run is finished. Whether the coverage of lines, branches, or functions
+   * dropped compared with the previous version more than the configured threshold.
+   */
+  regressed?: boolean;
+  /**
+   * The list of metrics (`lines`, `branches`, `functions`) that regressed.
+   */
+  regressions?: string[];
+  /**
+   * The version the coverage was compared with.
+   */
+  previousVersion?: string;
+  /**
+   * The difference of coverage compared with the previous version.
+   */
+  delta?: CoverageDelta;
   /**
    * Timestamp when the test finished
    */
@@ -76,6 +94,114 @@ export declare interface CoverageSummaryResult {
   coverage: number;
 }
 
+/**
+ * The difference of coverage between two versions in percentage points.
+ * Metrics missing in any of the versions are not set.
+ */
+export declare interface CoverageDelta {
+  functions?: number;
+  lines?: number;
+  branches?: number;
+  coverage?: number;
+}
+
+export declare interface CoverageHistoryEntry {
+  /**
+   * The version of the component
+   */
+  version: string;
+  /**
+   * The id of the coverage run that generated the coverage.
+   */
+  coverageId: string;
+  /**
+   * Coverage summary of the version.
+   */
+  coverage: CoverageSummaryResult;
+  /**
+   * Whether the coverage regressed compared with the previous version.
+   */
+  regressed: boolean;
+  /**
+   * The difference of coverage compared with the previous version in the history.
+   * Not set for the first version.
+   */
+  delta?: CoverageDelta;
+}
+
+export declare interface CoverageDiffTarget {
+  /**
+   * GitHub organization of the component.
+   */
+  org: string;
+  /**
+   * The name of the component
+   */
+  component: string;
+  /**
+   * The version of the component
+   */
+  version: string;
+  /**
+   * The id of the coverage run that generated the coverage.
+   */
+  coverageId: string;
+  /**
+   * Coverage summary of the version.
+   */
+  coverage: CoverageSummaryResult;
+}
+
+export declare interface CoverageFileDiff {
+  /**
+   * The file name
+   */
+  file: string;
+  /**
+   * The coverage of the file in the base version. Not set for added files.
+   */
+  base?: CoverageSummaryResult;
+  /**
+   * The coverage of the file in the head version. Not set for removed files.
+   */
+  head?: CoverageSummaryResult;
+  /**
+   * The difference of coverage of the file. Only set for files in both versions.
+   */
+  delta?: CoverageDelta;
+}
+
+export declare interface CoverageDiff {
+  /**
+   * The version compared to.
+   */
+  base: CoverageDiffTarget;
+  /**
+   * The compared version.
+   */
+  head: CoverageDiffTarget;
+  /**
+   * The difference of the summary coverage.
+   */
+  delta: CoverageDelta;
+  /**
+   * Files that are only in the head version.
+   */
+  added: CoverageFileDiff[];
+  /**
+   * Files that are only in the base version.
+   */
+  removed: CoverageFileDiff[];
+  /**
+   * Files which coverage changed, the files that lost the most coverage first.
+   */
+  changed: CoverageFileDiff[];
+  /**
+   * The number of files which coverage has not changed.
+   */
+  unchanged: number;
+}
+
 export declare interface CoverageFileResult {
   /**
    * Covered number
@@ -138,6 +264,7 @@ export declare interface CoverageResult {
 export declare interface CoverageComponentVersionEntity extends CoverageRelatedEntity, Entity {
   coverage: CoverageSummaryResult,
   version: string;
+  regressed?: boolean;
 }
 export declare interface CoverageComponentEntity extends CoverageRelatedEntity, Entity {
   /**
@@ -156,6 +283,18 @@ export declare interface CoverageComponentEntity extends CoverageRelatedEntity,
 export class CoverageModel extends BaseModel {
   constructor();
 
+  /**
+   * The parser of the coverage reports.
+   */
+  parser: CoverageParser;
+
+  /**
+   * The number of percentage points the coverage of lines, branches, or functions
+   * can drop, compared with the previous version, before a run is marked as regressed.
+   * Set with the `COVERAGE_REGRESSION_THRESHOLD` configuration option. Default to `0`.
+   */
+  regressionThreshold: number;
+
   /**
    * Lists test runs
    *
@@ -197,6 +336,37 @@ export class CoverageModel extends BaseModel {
    */
   finishRun(runId: string, coverage: CoverageResult): Promise<void>;
 
+  /**
+   * Parses a coverage report generated by a test runner and marks the coverage run
+   * as finished with the parsed results.
+   *
+   * @param runId The id of the coverage run
+   * @param report The content of the `lcov.info`, `coverage-final.json`, or `coverage-summary.json` file.
+   * @param format The format of the report. Detected from the content when not set.
+   * @returns The summary of the ingested coverage.
+   * @throws {Error} With `code` set to `400` when the report cannot be parsed.
+   */
+  ingestReport(runId: string, report: string|object, format?: CoverageReportFormat): Promise<CoverageSummaryResult>;
+
+  /**
+   * Compares the coverage of a run with the coverage of the previous version of the component
+   * and sets the `regressed` flag on the run when lines, branches, or functions coverage dropped
+   * more than the `regressionThreshold`.
+   *
+   * @param item Coverage run model
+   * @param summary The coverage summary of the run
+   * @param previous The coverage of the previous version, if any.
+   */
+  _setRegression(item: CoverageEntity, summary: CoverageSummaryResult, previous: CoverageHistoryEntry|null): void;
+
+  /**
+   * Computes the difference of coverage between two summaries.
+   * @param previous The older coverage
+   * @param current The newer coverage
+   * @returns Values in percentage points. Metrics missing in any of the summaries are not set.
+   */
+  _coverageDelta(previous: CoverageSummaryResult, current: CoverageSummaryResult): CoverageDelta;
+
   /**
    * Updates values on the coverage run and stores the data in a transaction.
    * @param transaction Datastore transaction
@@ -255,6 +425,100 @@ export class CoverageModel extends BaseModel {
    */
   getVersionCoverage(org: string, component: string, version: string): Promise<CoverageComponentVersionEntity|null>;
 
+  /**
+   * Reads coverage results of all files of a component version.
+   * @param org The component's organization
+   * @param component The component name
+   * @param version The version of the component
+   */
+  listVersionFiles(org: string, component: string, version: string): Promise<CoverageReportEntity[]>;
+
+  /**
+   * Compares coverage of two versions of a component file by file.
+   * @param org The component's organization
+   * @param component The component name
+   * @param base The version to compare to
+   * @param head The version to compare
+   * @returns The diff or null when any of the versions has no coverage.
+   */
+  diffVersions(org: string, component: string, base: string, head: string): Promise<CoverageDiff|null>;
+
+  /**
+   * Compares coverage of two finished coverage runs file by file.
+   * The file coverage is stored per component version, so both runs have to be of different
+   * versions and each run has to be the latest run of its version.
+   *
+   * @param baseRunId The id of the coverage run to compare to
+   * @param headRunId The id of the coverage run to compare
+   * @returns The diff or null when any of the runs does not exist or is not finished.
+   * @throws When the runs are of the same version (code 400) or the file coverage of a run
+   * was replaced by a later run of the version (code 409).
+   */
+  diffRuns(baseRunId: string, headRunId: string): Promise<CoverageDiff|null>;
+
+  /**
+   * Ensures that the file coverage of the component version was reported by the run.
+   * @param item A finished coverage run
+   * @throws When the file coverage was replaced by a later run of the version.
+   */
+  _ensureRunFiles(item: CoverageEntity): Promise<void>;
+
+  /**
+   * @param item A finished coverage run
+   */
+  _runDiffTarget(item: CoverageEntity): CoverageDiffTarget;
+
+  /**
+   * Reads the file coverage reported by the coverage run of a diff target.
+   * Files of the version that were reported by other runs are ignored.
+   */
+  _listTargetFiles(target: CoverageDiffTarget): Promise<CoverageReportEntity[]>;
+
+  /**
+   * Reads files coverage of both diff targets and compares them.
+   */
+  _diffTargets(base: CoverageDiffTarget, head: CoverageDiffTarget): Promise<CoverageDiff>;
+
+  /**
+   * Creates a diff of coverage of a single file.
+   * @param file The file name
+   * @param base The coverage of the file in the base version, if any.
+   * @param head The coverage of the file in the head version, if any.
+   */
+  _createFileDiff(file: string, base: CoverageReport|null, head: CoverageReport|null): CoverageFileDiff;
+
+  /**
+   * @param base The coverage of the file in the base version
+   * @param head The coverage of the file in the head version
+   * @returns True when the hit or found count of any metric is different.
+   */
+  _isFileChanged(base: CoverageReport, head: CoverageReport): boolean;
+
+  /**
+   * Computes the coverage summary of a file from the hit and found counts.
+   * @param report The file coverage
+   * @returns Metrics that have no occurrences are not set.
+   */
+  _fileSummary(report: CoverageReport): CoverageSummaryResult;
+
+  /**
+   * Reads coverage of all versions of a component, sorted in the semver order.
+   * Each entry has the `delta` of the coverage compared with the previous version.
+   *
+   * @param org The component's organization
+   * @param component The component name
+   */
+  getCoverageHistory(org: string, component: string): Promise<CoverageHistoryEntry[]>;
+
+  /**
+   * Reads the coverage of the closest version of a component that is lower than the given version.
+   *
+   * @param org The component's organization
+   * @param component The component name
+   * @param version The version to find the previous version for.
+   */
+  _readPreviousVersionCoverage(org: string, component: string, version: string): Promise<CoverageHistoryEntry|null>;
+
   /**
    * Removes the coverage run.
    * @param runId The id of the coverage run
@@ -1,6 +1,8 @@
 import semver from 'semver';
 import { v4 } from 'uuid';
+import config from '@advanced-rest-client/backend-config';
 import { BaseModel } from './BaseModel.js';
+import { CoverageParser } from './CoverageParser.js';
 
 /** @typedef {import('@google-cloud/datastore/build/src/entity').entity.Key} Key */
 /** @typedef {import('@google-cloud/datastore').Transaction} Transaction */
@@ -9,6 +11,16 @@ import { BaseModel } from './BaseModel.js';
 /** @typedef {import('./CoverageModel').CoverageQueryResult} CoverageQueryResult */
 /** @typedef {import('./CoverageModel').CoverageQueryOptions} CoverageQueryOptions */
 /** @typedef {import('./CoverageModel').CoverageResult} CoverageResult */
+/** @typedef {import('./CoverageParser').CoverageReportFormat} CoverageReportFormat */
+/** @typedef {import('./CoverageModel').CoverageSummaryResult} CoverageSummaryResult */
+/** @typedef {import('./CoverageModel').CoverageDelta} CoverageDelta */
+/** @typedef {import('./CoverageModel').CoverageHistoryEntry} CoverageHistoryEntry */
+/** @typedef {import('./CoverageModel').CoverageReport} CoverageReport */
+/** @typedef {import('./CoverageModel').CoverageReportEntity} CoverageReportEntity */
+/** @typedef {import('./CoverageModel').CoverageFileResult} CoverageFileResult */
+/** @typedef {import('./CoverageModel').CoverageDiff} CoverageDiff */
+/** @typedef {import('./CoverageModel').CoverageDiffTarget} CoverageDiffTarget */
+/** @typedef {import('./CoverageModel').CoverageFileDiff} CoverageFileDiff */
 /** @typedef {import('./CoverageModel').CoverageFilesQueryOptions} CoverageFilesQueryOptions */
 /** @typedef {import('./CoverageModel').CoverageComponentVersionEntity} CoverageComponentVersionEntity */
 /** @typedef {import('./CoverageModel').CoverageComponentEntity} CoverageComponentEntity */
@@ -41,6 +53,13 @@ const excludedIndexes = [
   'coverage.lines',
   'coverage.branches',
   'coverage.coverage',
+  'previousVersion',
+  'delta',
+  'delta.functions',
+  'delta.lines',
+  'delta.branches',
+  'delta.coverage',
+  'regressions',
 ];
 
 /**
@@ -52,6 +71,13 @@ export class CoverageModel extends BaseModel {
    */
   constructor() {
     super('api-components-coverage');
+    this.parser = new CoverageParser();
+    /**
+     * The number of percentage points the coverage of lines, branches, or functions
+     * can drop, compared with the previous version, before a run is marked as regressed.
+     * @type {number}
+     */
+    this.regressionThreshold = Number(config.get('COVERAGE_REGRESSION_THRESHOLD')) || 0;
   }
 
   /**
@@ -192,6 +218,8 @@ export class CoverageModel extends BaseModel {
       await transaction.run();
       const data = await transaction.get(key);
       const item = /** @type CoverageEntity */ (data[0]);
+      const previous = await this._readPreviousVersionCoverage(item.org, item.component, item.tag);
+      this._setRegression(item, coverage.summary, previous);
       this._finishRunSummary(transaction, key, item, coverage);
       this._addComponentCoverageRun(transaction, item, coverage, runId);
       this._addComponentVersionCoverage(transaction, item, coverage, runId);
@@ -203,6 +231,73 @@ export class CoverageModel extends BaseModel {
     }
   }
 
+  /**
+   * Parses a coverage report generated by a test runner and marks the coverage run
+   * as finished with the parsed results.
+   *
+   * @param {string} runId The id of the coverage run
+   * @param {string|object} report The content of the `lcov.info`, `coverage-final.json`,
+   * or `coverage-summary.json` file.
+   * @param {CoverageReportFormat=} format The format of the report. Detected from the content when not set.
+   * @return {Promise<CoverageSummaryResult>} The summary of the ingested coverage.
+   */
+  async ingestReport(runId, report, format) {
+    let coverage;
+    try {
+      coverage = this.parser.parse(report, format);
+    } catch (cause) {
+      cause.code = 400;
+      throw cause;
+    }
+    await this.finishRun(runId, coverage);
+    return coverage.summary;
+  }
+
+  /**
+   * Compares the coverage of a run with the coverage of the previous version of the component
+   * and sets the `regressed` flag on the run when lines, branches, or functions coverage dropped
+   * more than the `regressionThreshold`.
+   *
+   * @param {CoverageEntity} item Coverage run model
+   * @param {CoverageSummaryResult} summary The coverage summary of the run
+   * @param {CoverageHistoryEntry|null} previous The coverage of the previous version, if any.
+   */
+  _setRegression(item, summary, previous) {
+    if (!previous) {
+      item.regressed = false;
+      delete item.previousVersion;
+      delete item.delta;
+      delete item.regressions;
+      return;
+    }
+    const delta = this._coverageDelta(previous.coverage, summary);
+    const regressions = ['lines', 'branches', 'functions'].filter((type) => (
+      typeof delta[type] === 'number' && delta[type] < -this.regressionThreshold
+    ));
+    item.previousVersion = previous.version;
+    item.delta = delta;
+    item.regressed = regressions.length > 0;
+    item.regressions = regressions;
+  }
+
+  /**
+   * Computes the difference of coverage between two summaries.
+   * @param {CoverageSummaryResult} previous The older coverage
+   * @param {CoverageSummaryResult} current The newer coverage
+   * @return {CoverageDelta} Values in percentage points. Metrics missing in any of the summaries are not set.
+   */
+  _coverageDelta(previous, current) {
+    const result = {};
+    ['coverage', 'lines', 'branches', 'functions'].forEach((type) => {
+      const oldValue = previous[type];
+      const newValue = current[type];
+      if (typeof oldValue === 'number' && typeof newValue === 'number') {
+        result[type] = Math.round((newValue - oldValue) * 100) / 100;
+      }
+    });
+    return result;
+  }
+
   /**
    * Updates values on the coverage run and stores the data in a transaction.
    * @param {Transaction} transaction Datastore transaction
@@ -312,7 +407,7 @@ export class CoverageModel extends BaseModel {
    */
   _addComponentVersionCoverage(transaction, item, coverage, coverageId) {
     const { summary } = coverage;
-    const { component, tag, org } = item;
+    const { component, tag, org, regressed = false } = item;
     const key = this.createComponentVersionCoverageKey(component, org, tag);
     transaction.save({
       key,
@@ -324,11 +419,13 @@ export class CoverageModel extends BaseModel {
         'coverage.coverage',
         'version',
         'coverageId',
+        'regressed',
       ],
       data: {
         coverage: summary,
         version: tag,
         coverageId,
+        regressed,
       },
     });
   }
@@ -350,6 +447,259 @@ export class CoverageModel extends BaseModel {
     return null;
   }
 
+  /**
+   * Reads coverage results of all files of a component version.
+   * @param {string} org The component's organization
+   * @param {string} component The component name
+   * @param {string} version The version of the component
+   * @return {Promise<CoverageReportEntity[]>}
+   */
+  async listVersionFiles(org, component, version) {
+    const key = this.createComponentVersionCoverageKey(component, org, version);
+    let query = this.store.createQuery(this.coverageNamespace, this.coverageComponentKind);
+    query = query.hasAncestor(key);
+    const [entitiesRaw] = await this.store.runQuery(query);
+    return entitiesRaw.map(this.fromDatastore.bind(this));
+  }
+
+  /**
+   * Compares coverage of two versions of a component file by file.
+   * @param {string} org The component's organization
+   * @param {string} component The component name
+   * @param {string} base The version to compare to
+   * @param {string} head The version to compare
+   * @return {Promise<CoverageDiff|null>} The diff or null when any of the versions has no coverage.
+   */
+  async diffVersions(org, component, base, head) {
+    const [baseCoverage, headCoverage] = await Promise.all([
+      this.getVersionCoverage(org, component, base),
+      this.getVersionCoverage(org, component, head),
+    ]);
+    if (!baseCoverage || !headCoverage) {
+      return null;
+    }
+    return this._diffTargets(
+      { org, component, version: base, coverageId: baseCoverage.coverageId, coverage: baseCoverage.coverage },
+      { org, component, version: head, coverageId: headCoverage.coverageId, coverage: headCoverage.coverage },
+    );
+  }
+
+  /**
+   * Compares coverage of two finished coverage runs file by file.
+   * The file coverage is stored per component version, so both runs have to be of different
+   * versions and each run has to be the latest run of its version.
+   *
+   * @param {string} baseRunId The id of the coverage run to compare to
+   * @param {string} headRunId The id of the coverage run to compare
+   * @return {Promise<CoverageDiff|null>} The diff or null when any of the runs does not exist or is not finished.
+   * @throws {Error} When the runs are of the same version (code 400) or the file coverage of a run
+   * was replaced by a later run of the version (code 409).
+   */
+  async diffRuns(baseRunId, headRunId) {
+    const [baseRun, headRun] = await Promise.all([
+      this.get(baseRunId),
+      this.get(headRunId),
+    ]);
+    if (!baseRun || !headRun || !baseRun.coverage || !headRun.coverage) {
+      return null;
+    }
+    if (baseRun.org === headRun.org && baseRun.component === headRun.component && baseRun.tag === headRun.tag) {
+      const message = 'Both coverage runs are of the same component version. Compare runs of different versions.';
+      const error = new Error(message);
+      // @ts-ignore
+      error.code = 400;
+      throw error;
+    }
+    await Promise.all([this._ensureRunFiles(baseRun), this._ensureRunFiles(headRun)]);
+    return this._diffTargets(this._runDiffTarget(baseRun), this._runDiffTarget(headRun));
+  }
+
+  /**
+   * Ensures that the file coverage of the component version was reported by the run.
+   * @param {CoverageEntity} item A finished coverage run
+   * @return {Promise<void>}
+   * @throws {Error} When the file coverage was replaced by a later run of the version.
+   */
+  async _ensureRunFiles(item) {
+    const versionCoverage = await this.getVersionCoverage(item.org, item.component, item.tag);
+    if (!versionCoverage || versionCoverage.coverageId !== item.id) {
+      const message = `The file coverage of the run ${item.id} was replaced by a later run of version ${item.tag}.`;
+      const error = new Error(message);
+      // @ts-ignore
+      error.code = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {CoverageEntity} item A finished coverage run
+   * @return {CoverageDiffTarget}
+   */
+  _runDiffTarget(item) {
+    const { org, component, tag, id, coverage } = item;
+    return {
+      org,
+      component,
+      version: tag,
+      coverageId: id,
+      coverage,
+    };
+  }
+
+  /**
+   * Reads the file coverage reported by the coverage run of a diff target.
+   * Files of the version that were reported by other runs are ignored.
+   * @param {CoverageDiffTarget} target
+   * @return {Promise<CoverageReportEntity[]>}
+   */
+  async _listTargetFiles(target) {
+    const files = await this.listVersionFiles(target.org, target.component, target.version);
+    return files.filter((item) => item.coverageId === target.coverageId);
+  }
+
+  /**
+   * Reads files coverage of both diff targets and compares them.
+   * @param {CoverageDiffTarget} base
+   * @param {CoverageDiffTarget} head
+   * @return {Promise<CoverageDiff>}
+   */
+  async _diffTargets(base, head) {
+    const [baseFiles, headFiles] = await Promise.all([
+      this._listTargetFiles(base),
+      this._listTargetFiles(head),
+    ]);
+    const baseMap = new Map(baseFiles.map((item) => [item.file, item]));
+    const headMap = new Map(headFiles.map((item) => [item.file, item]));
+    const result = /** @type CoverageDiff */ ({
+      base,
+      head,
+      delta: this._coverageDelta(base.coverage, head.coverage),
+      added: [],
+      removed: [],
+      changed: [],
+      unchanged: 0,
+    });
+    headFiles.forEach((item) => {
+      if (!baseMap.has(item.file)) {
+        result.added.push(this._createFileDiff(item.file, null, item));
+      }
+    });
+    baseFiles.forEach((item) => {
+      const headItem = headMap.get(item.file);
+      if (!headItem) {
+        result.removed.push(this._createFileDiff(item.file, item, null));
+        return;
+      }
+      if (this._isFileChanged(item, headItem)) {
+        result.changed.push(this._createFileDiff(item.file, item, headItem));
+      } else {
+        result.unchanged++;
+      }
+    });
+    result.added.sort((a, b) => a.file.localeCompare(b.file));
+    result.removed.sort((a, b) => a.file.localeCompare(b.file));
+    // files that lost the most coverage go first
+    result.changed.sort((a, b) => (a.delta.coverage || 0) - (b.delta.coverage || 0) || a.file.localeCompare(b.file));
+    return result;
+  }
+
+  /**
+   * Creates a diff of coverage of a single file.
+   * @param {string} file The file name
+   * @param {CoverageReport|null} base The coverage of the file in the base version, if any.
+   * @param {CoverageReport|null} head The coverage of the file in the head version, if any.
+   * @return {CoverageFileDiff}
+   */
+  _createFileDiff(file, base, head) {
+    const result = /** @type CoverageFileDiff */ ({ file });
+    if (base) {
+      result.base = this._fileSummary(base);
+    }
+    if (head) {
+      result.head = this._fileSummary(head);
+    }
+    if (base && head) {
+      result.delta = this._coverageDelta(result.base, result.head);
+    }
+    return result;
+  }
+
+  /**
+   * @param {CoverageReport} base The coverage of the file in the base version
+   * @param {CoverageReport} head The coverage of the file in the head version
+   * @return {boolean} True when the hit or found count of any metric is different.
+   */
+  _isFileChanged(base, head) {
+    return ['lines', 'branches', 'functions'].some((type) => {
+      const baseValue = base[type] || {};
+      const headValue = head[type] || {};
+      return baseValue.hit !== headValue.hit || baseValue.found !== headValue.found;
+    });
+  }
+
+  /**
+   * Computes the coverage summary of a file from the hit and found counts.
+   * @param {CoverageReport} report The file coverage
+   * @return {CoverageSummaryResult} Metrics that have no occurrences are not set.
+   */
+  _fileSummary(report) {
+    const result = /** @type CoverageSummaryResult */ ({ coverage: report.coverage });
+    ['lines', 'branches', 'functions'].forEach((type) => {
+      const value = /** @type CoverageFileResult */ (report[type]);
+      if (value && value.found) {
+        result[type] = Math.round(value.hit / value.found * 10000) / 100;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Reads coverage of all versions of a component, sorted in the semver order.
+   * Each entry has the `delta` of the coverage compared with the previous version.
+   *
+   * @param {string} org The component's organization
+   * @param {string} component The component name
+   * @return {Promise<CoverageHistoryEntry[]>}
+   */
+  async getCoverageHistory(org, component) {
+    const key = this.createComponentCoverageKey(component, org);
+    let query = this.store.createQuery(this.coverageNamespace, this.versionsKind);
+    query = query.hasAncestor(key);
+    const [entitiesRaw] = await this.store.runQuery(query);
+    const entries = entitiesRaw.filter((entity) => !!semver.valid(entity.version));
+    entries.sort((a, b) => semver.compare(a.version, b.version));
+    return entries.map((entity, index) => {
+      const { version, coverageId, coverage, regressed = false } = entity;
+      const result = /** @type CoverageHistoryEntry */ ({
+        version,
+        coverageId,
+        coverage,
+        regressed,
+      });
+      if (index > 0) {
+        result.delta = this._coverageDelta(entries[index - 1].coverage, coverage);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Reads the coverage of the closest version of a component that is lower than the given version.
+   *
+   * @param {string} org The component's organization
+   * @param {string} component The component name
+   * @param {string} version The version to find the previous version for.
+   * @return {Promise<CoverageHistoryEntry|null>}
+   */
+  async _readPreviousVersionCoverage(org, component, version) {
+    if (!semver.valid(version)) {
+      return null;
+    }
+    const history = await this.getCoverageHistory(org, component);
+    const previous = history.filter((entry) => semver.lt(entry.version, version));
+    return previous.length ? previous[previous.length - 1] : null;
+  }
+
   /**
    * Creates coverage data entry for a component, if version is greater than
    * the current stored in the data store.
@@ -0,0 +1,98 @@
+import { CoverageResult, CoverageReport, CoverageFileResult, CoverageSummaryResult } from './CoverageModel';
+
+export declare type CoverageReportFormat = 'lcov' | 'istanbul' | 'summary';
+
+/**
+ * Parses coverage reports produced by test runners into the coverage results
+ * accepted by the `CoverageModel`.
+ *
+ * Supported formats are:
+ * - `lcov` - the `lcov.info` file
+ * - `istanbul` - the Istanbul `coverage-final.json` file
+ * - `summary` - the Istanbul `coverage-summary.json` file
+ */
+export class CoverageParser {
+  /**
+   * The list of supported report formats.
+   */
+  readonly formats: CoverageReportFormat[];
+
+  /**
+   * Parses a coverage report.
+   *
+   * @param report The report file content. JSON reports can be already parsed.
+   * @param format The format of the report. When not set it is detected from the content.
+   * @throws {Error} When the report is invalid or has no files.
+   */
+  parse(report: string|object, format?: CoverageReportFormat): CoverageResult;
+
+  /**
+   * Detects the format of a coverage report.
+   * @param report The report file content.
+   */
+  detectFormat(report: string|object): CoverageReportFormat;
+
+  /**
+   * Parses the `lcov.info` report.
+   * When the summary records (`LF`, `LH`, etc) are missing the values are computed
+   * from the detail records (`DA`, `FNDA`, `BRDA`).
+   *
+   * @param report The content of the report.
+   */
+  parseLcov(report: string): CoverageReport[];
+
+  /**
+   * Counts a detail record of the lcov report.
+   * @param result The result to update
+   * @param hits The number of hits of the record. `-` means the branch was not taken.
+   */
+  _count(result: CoverageFileResult, hits: string): void;
+
+  /**
+   * @param hit The value of the lcov's hit record.
+   * @param found The value of the lcov's found record.
+   * @param computed The value computed from the detail records.
+   */
+  _readLcovResult(hit: number|undefined, found: number|undefined, computed: CoverageFileResult): CoverageFileResult;
+
+  /**
+   * Parses the Istanbul `coverage-final.json` report.
+   * @param report The parsed report.
+   */
+  parseIstanbul(report: object): CoverageReport[];
+
+  /**
+   * @param hits The list of hit counters
+   */
+  _countHits(hits: number[]): CoverageFileResult;
+
+  /**
+   * Parses the Istanbul `coverage-summary.json` report.
+   * @param report The parsed report.
+   */
+  parseSummary(report: object): CoverageReport[];
+
+  /**
+   * @param value A metric of the Istanbul summary report, eg `{ total, covered, skipped, pct }`
+   */
+  _readSummaryResult(value?: object): CoverageFileResult;
+
+  /**
+   * Creates a coverage report for a file.
+   * @param file The file the report is for.
+   * @param results The `lines`, `functions`, and `branches` results.
+   */
+  _createReport(file: string, results: { lines: CoverageFileResult, functions: CoverageFileResult, branches: CoverageFileResult }): CoverageReport;
+
+  /**
+   * Computes the summary of the coverage of all files.
+   * @param details The coverage of the files
+   * @returns Metrics that have no occurrences have the `null` value.
+   */
+  summarize(details: CoverageReport[]): CoverageSummaryResult;
+
+  /**
+   * @returns The percent value rounded to 2 decimal places. When nothing is found it is 100.
+   */
+  _percent(hit: number, found: number): number;
+}
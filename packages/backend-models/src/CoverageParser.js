@@ -0,0 +1,292 @@
+/** @typedef {import('./CoverageModel').CoverageResult} CoverageResult */
+/** @typedef {import('./CoverageModel').CoverageReport} CoverageReport */
+/** @typedef {import('./CoverageModel').CoverageFileResult} CoverageFileResult */
+/** @typedef {import('./CoverageModel').CoverageSummaryResult} CoverageSummaryResult */
+/** @typedef {import('./CoverageParser').CoverageReportFormat} CoverageReportFormat */
+
+/**
+ * Parses coverage reports produced by test runners into the coverage results
+ * accepted by the `CoverageModel`.
+ *
+ * Supported formats are:
+ * - `lcov` - the `lcov.info` file
+ * - `istanbul` - the Istanbul `coverage-final.json` file
+ * - `summary` - the Istanbul `coverage-summary.json` file
+ */
+export class CoverageParser {
+  /**
+   * @return {CoverageReportFormat[]} The list of supported report formats.
+   */
+  get formats() {
+    return ['lcov', 'istanbul', 'summary'];
+  }
+
+  /**
+   * Parses a coverage report.
+   *
+   * @param {string|object} report The report file content. JSON reports can be already parsed.
+   * @param {CoverageReportFormat=} format The format of the report. When not set it is detected from the content.
+   * @return {CoverageResult}
+   */
+  parse(report, format) {
+    let data = report;
+    const type = format || this.detectFormat(report);
+    if (type !== 'lcov' && typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        throw new Error('The coverage report is not a valid JSON.');
+      }
+    }
+    let details;
+    switch (type) {
+      case 'lcov': details = this.parseLcov(String(data)); break;
+      case 'istanbul': details = this.parseIstanbul(data); break;
+      case 'summary': details = this.parseSummary(data); break;
+      default: throw new Error(`Unknown coverage report format: ${type}.`);
+    }
+    if (!details.length) {
+      throw new Error('The coverage report has no files.');
+    }
+    return {
+      summary: this.summarize(details),
+      details,
+    };
+  }
+
+  /**
+   * Detects the format of a coverage report.
+   * @param {string|object} report The report file content.
+   * @return {CoverageReportFormat}
+   */
+  detectFormat(report) {
+    let data = report;
+    if (typeof data === 'string') {
+      if (!data.trim().startsWith('{')) {
+        return 'lcov';
+      }
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        return 'lcov';
+      }
+    }
+    const total = data && data.total;
+    if (total && total.lines && typeof total.lines.pct !== 'undefined') {
+      return 'summary';
+    }
+    return 'istanbul';
+  }
+
+  /**
+   * Parses the `lcov.info` report.
+   * When the summary records (`LF`, `LH`, etc) are missing the values are computed
+   * from the detail records (`DA`, `FNDA`, `BRDA`).
+   *
+   * @param {string} report The content of the report.
+   * @return {CoverageReport[]}
+   */
+  parseLcov(report) {
+    const result = [];
+    const records = report.split(/^end_of_record\s*$/m);
+    records.forEach((record) => {
+      const values = {};
+      const computed = {
+        lines: { hit: 0, found: 0 },
+        functions: { hit: 0, found: 0 },
+        branches: { hit: 0, found: 0 },
+      };
+      record.split(/\r?\n/).forEach((line) => {
+        const index = line.indexOf(':');
+        if (index === -1) {
+          return;
+        }
+        const tag = line.substr(0, index).trim();
+        const value = line.substr(index + 1).trim();
+        switch (tag) {
+          case 'TN':
+          case 'SF':
+            values[tag] = value;
+            break;
+          case 'LF': case 'LH': case 'FNF': case 'FNH': case 'BRF': case 'BRH':
+            values[tag] = Number(value);
+            break;
+          case 'DA':
+            this._count(computed.lines, value.split(',')[1]);
+            break;
+          case 'FNDA':
+            this._count(computed.functions, value.split(',')[0]);
+            break;
+          case 'BRDA':
+            this._count(computed.branches, value.split(',')[3]);
+            break;
+          default:
+        }
+      });
+      if (!values.SF) {
+        return;
+      }
+      const fileReport = this._createReport(values.SF, {
+        lines: this._readLcovResult(values.LH, values.LF, computed.lines),
+        functions: this._readLcovResult(values.FNH, values.FNF, computed.functions),
+        branches: this._readLcovResult(values.BRH, values.BRF, computed.branches),
+      });
+      if (values.TN) {
+        fileReport.title = values.TN;
+      }
+      result.push(fileReport);
+    });
+    return result;
+  }
+
+  /**
+   * Counts a detail record of the lcov report.
+   * @param {CoverageFileResult} result The result to update
+   * @param {string} hits The number of hits of the record. `-` means the branch was not taken.
+   */
+  _count(result, hits) {
+    result.found++;
+    const value = Number(hits);
+    if (!Number.isNaN(value) && value > 0) {
+      result.hit++;
+    }
+  }
+
+  /**
+   * @param {number|undefined} hit The value of the lcov's hit record.
+   * @param {number|undefined} found The value of the lcov's found record.
+   * @param {CoverageFileResult} computed The value computed from the detail records.
+   * @return {CoverageFileResult}
+   */
+  _readLcovResult(hit, found, computed) {
+    if (typeof hit === 'number' && typeof found === 'number') {
+      return { hit, found };
+    }
+    return computed;
+  }
+
+  /**
+   * Parses the Istanbul `coverage-final.json` report.
+   * @param {object} report The parsed report.
+   * @return {CoverageReport[]}
+   */
+  parseIstanbul(report) {
+    if (!report || typeof report !== 'object') {
+      throw new Error('The coverage report is not a valid Istanbul report.');
+    }
+    return Object.keys(report).map((key) => {
+      const item = report[key];
+      const file = item.path || key;
+      const functions = this._countHits(Object.values(item.f || {}));
+      const branches = this._countHits(Object.values(item.b || {}).reduce((all, hits) => all.concat(hits), []));
+      let lineHits = item.l;
+      if (!lineHits) {
+        lineHits = {};
+        const statements = item.statementMap || {};
+        Object.keys(statements).forEach((id) => {
+          const { line } = statements[id].start;
+          const hits = (item.s || {})[id] || 0;
+          lineHits[line] = Math.max(lineHits[line] || 0, hits);
+        });
+      }
+      const lines = this._countHits(Object.values(lineHits));
+      return this._createReport(file, { lines, functions, branches });
+    });
+  }
+
+  /**
+   * @param {number[]} hits The list of hit counters
+   * @return {CoverageFileResult}
+   */
+  _countHits(hits) {
+    return {
+      hit: hits.filter((value) => value > 0).length,
+      found: hits.length,
+    };
+  }
+
+  /**
+   * Parses the Istanbul `coverage-summary.json` report.
+   * @param {object} report The parsed report.
+   * @return {CoverageReport[]}
+   */
+  parseSummary(report) {
+    if (!report || typeof report !== 'object') {
+      throw new Error('The coverage report is not a valid Istanbul summary report.');
+    }
+    return Object.keys(report).filter((key) => key !== 'total').map((file) => {
+      const item = report[file];
+      return this._createReport(file, {
+        lines: this._readSummaryResult(item.lines),
+        functions: this._readSummaryResult(item.functions),
+        branches: this._readSummaryResult(item.branches),
+      });
+    });
+  }
+
+  /**
+   * @param {object=} value A metric of the Istanbul summary report, eg `{ total, covered, skipped, pct }`
+   * @return {CoverageFileResult}
+   */
+  _readSummaryResult(value) {
+    return {
+      hit: (value && value.covered) || 0,
+      found: (value && value.total) || 0,
+    };
+  }
+
+  /**
+   * Creates a coverage report for a file.
+   * @param {string} file The file the report is for.
+   * @param {object} results The `lines`, `functions`, and `branches` results.
+   * @return {CoverageReport}
+   */
+  _createReport(file, results) {
+    const { lines, functions, branches } = results;
+    return {
+      file,
+      lines,
+      functions,
+      branches,
+      coverage: this._percent(
+        lines.hit + functions.hit + branches.hit,
+        lines.found + functions.found + branches.found,
+      ),
+    };
+  }
+
+  /**
+   * Computes the summary of the coverage of all files.
+   * @param {CoverageReport[]} details The coverage of the files
+   * @return {CoverageSummaryResult} Metrics that have no occurrences have the `null` value.
+   */
+  summarize(details) {
+    const totals = { hit: 0, found: 0 };
+    const result = { coverage: 0 };
+    ['lines', 'functions', 'branches'].forEach((type) => {
+      let hit = 0;
+      let found = 0;
+      details.forEach((item) => {
+        hit += item[type].hit;
+        found += item[type].found;
+      });
+      result[type] = found ? this._percent(hit, found) : null;
+      totals.hit += hit;
+      totals.found += found;
+    });
+    result.coverage = this._percent(totals.hit, totals.found);
+    return result;
+  }
+
+  /**
+   * @param {number} hit
+   * @param {number} found
+   * @return {number} The percent value rounded to 2 decimal places. When nothing is found it is 100.
+   */
+  _percent(hit, found) {
+    if (!found) {
+      return 100;
+    }
+    return Math.round(hit / found * 10000) / 100;
+  }
+}
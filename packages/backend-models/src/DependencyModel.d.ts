@@ -1,5 +1,6 @@
 import { BaseModel, Entity } from './BaseModel.js';
 import {entity} from '@google-cloud/datastore/build/src/entity';
+import { Transaction } from '@google-cloud/datastore';
 
 export declare interface DependencyEntry {
   /**
@@ -35,6 +36,77 @@ export declare interface DependencyEntity extends DependencyEntry, Entity {
   production?: boolean;
 }
 
+export declare interface DependencyGraphOptions {
+  /**
+   * The maximum distance from the component to walk. Default to 3.
+   */
+  depth?: number;
+  /**
+   * `down` walks the dependencies of the component, `up` walks the components that depend on it.
+   * Default to `down`.
+   */
+  direction?: 'up' | 'down';
+  /**
+   * Whether to include the development dependencies.
+   */
+  includeDev?: boolean;
+}
+
+export declare interface DependencyGraphNode {
+  /**
+   * The full name of the package (scope + name)
+   */
+  pkg: string;
+  /**
+   * The distance of the node from the root of the graph.
+   */
+  depth: number;
+  /**
+   * Github organization of the package, when the package is in the data store.
+   */
+  org?: string;
+  /**
+   * Github repository name, when the package is in the data store.
+   */
+  name?: string;
+}
+
+export declare interface DependencyGraphEdge {
+  /**
+   * The package that has the dependency.
+   */
+  from: string;
+  /**
+   * The dependency.
+   */
+  to: string;
+  type: 'production' | 'development';
+}
+
+/**
+ * A component related to a graph node, used internally when walking the graph.
+ */
+export declare interface DependencyGraphRelation {
+  pkg: string;
+  entity: DependencyEntity|null;
+  type: 'production' | 'development';
+}
+
+export declare interface DependencyGraph {
+  /**
+   * The package the graph was built for.
+   */
+  root: string;
+  direction: 'up' | 'down';
+  depth: number;
+  nodes: DependencyGraphNode[];
+  edges: DependencyGraphEdge[];
+  /**
+   * The list of cycles in the graph. Each cycle starts and ends with the same package.
+   */
+  cycles: string[][];
+}
+
 /**
  * A model for catalog items.
  */
@@ -54,9 +126,11 @@ export class DependencyModel extends BaseModel {
   /**
    * Adds new dependency
    * @param entry The entry to insert
+   * @param transaction When set the entity is saved in this transaction
+   * and it is committed with the transaction.
    * @returns The id of the created entity
    */
-  set(entry: DependencyEntry): Promise<string>;
+  set(entry: DependencyEntry, transaction?: Transaction): Promise<string>;
 
   /**
    * Lists dependencies that would be a parent for a component.
@@ -65,6 +139,14 @@ export class DependencyModel extends BaseModel {
    */
   listParentComponents(dependency: string, includeDev?: boolean): Promise<DependencyEntity[]>;
 
+  /**
+   * Lists all components that depend on a component, directly or transitively.
+   * @param dependency The component name
+   * @param includeDev Whether or not to include dev dependencies in the query
+   * @returns The list of package names, closest parents first.
+   */
+  listAllParentComponents(dependency: string, includeDev?: boolean): Promise<string[]>;
+
   /**
    * Lists dev dependencies that would be a parent for a component.
    * @param dependency The component name
@@ -76,4 +158,21 @@ export class DependencyModel extends BaseModel {
    * @param component Component name.
    */
   get(component: string): Promise<DependencyEntity|null>;
+
+  /**
+   * Builds a transitive dependency graph of a component.
+   * When the `direction` is `down` it walks the dependencies of the component,
+   * and when it is `up` it walks the components that depend on the component.
+   *
+   * Edges always point from a component to its dependency.
+   *
+   * @param pkg The full NPM component name (scope + name)
+   * @param opts Graph options
+   * @returns The graph or null when the component is not found.
+   */
+  graph(pkg: string, opts?: DependencyGraphOptions): Promise<DependencyGraph|null>;
+  _createGraphNode(pkg: string, entity: DependencyEntity|null, depth: number): DependencyGraphNode;
+  _readGraphChildren(entity: DependencyEntity|null, includeDev: boolean): Promise<DependencyGraphRelation[]>;
+  _readGraphParents(pkg: string, includeDev: boolean): Promise<DependencyGraphRelation[]>;
+  _findCycles(edges: DependencyGraphEdge[]): string[][];
 }
@@ -3,6 +3,12 @@ import { BaseModel } from './BaseModel.js';
 /** @typedef {import('@google-cloud/datastore/build/src/entity').entity.Key} Key */
 /** @typedef {import('./DependencyModel').DependencyEntity} DependencyEntity */
 /** @typedef {import('./DependencyModel').DependencyEntry} DependencyEntry */
+/** @typedef {import('@google-cloud/datastore').Transaction} Transaction */
+/** @typedef {import('./DependencyModel').DependencyGraph} DependencyGraph */
+/** @typedef {import('./DependencyModel').DependencyGraphNode} DependencyGraphNode */
+/** @typedef {import('./DependencyModel').DependencyGraphEdge} DependencyGraphEdge */
+/** @typedef {import('./DependencyModel').DependencyGraphOptions} DependencyGraphOptions */
+/** @typedef {import('./DependencyModel').DependencyGraphRelation} DependencyGraphRelation */
 
 /**
  * A model for catalog items.
@@ -30,9 +36,11 @@ export class DependencyModel extends BaseModel {
   /**
    * Adds new dependency
    * @param {DependencyEntry} entry The entry to insert
+   * @param {Transaction=} transaction When set the entity is saved in this transaction
+   * and it is committed with the transaction.
    * @return {Promise<string>} The id of the created entity
    */
-  async set(entry) {
+  async set(entry, transaction) {
     const { dependencies, devDependencies, org, pkg, name } = entry;
     const key = this._createKey(pkg);
     const results = [
@@ -70,7 +78,11 @@ export class DependencyModel extends BaseModel {
       key,
       data: results,
     };
-    await this.store.upsert(entity);
+    if (transaction) {
+      transaction.save(entity);
+    } else {
+      await this.store.upsert(entity);
+    }
     return key.name;
   }
 
@@ -101,6 +113,33 @@ export class DependencyModel extends BaseModel {
     return deps;
   }
 
+  /**
+   * Lists all components that depend on a component, directly or transitively.
+   * @param {string} dependency The component name
+   * @param {boolean=} includeDev Whether or not to include dev dependencies in the query
+   * @return {Promise<string[]>} The list of package names, closest parents first.
+   */
+  async listAllParentComponents(dependency, includeDev) {
+    const result = [];
+    const visited = new Set([dependency]);
+    let level = [dependency];
+    while (level.length) {
+      const next = [];
+      for (const pkg of level) {
+        const parents = await this.listParentComponents(pkg, includeDev);
+        parents.forEach((item) => {
+          if (!visited.has(item.pkg)) {
+            visited.add(item.pkg);
+            result.push(item.pkg);
+            next.push(item.pkg);
+          }
+        });
+      }
+      level = next;
+    }
+    return result;
+  }
+
   /**
    * Lists dev dependencies that would be a parent for a component.
    * @param {string} dependency The component name
@@ -133,4 +172,149 @@ export class DependencyModel extends BaseModel {
     }
     return null;
   }
+
+  /**
+   * Builds a transitive dependency graph of a component.
+   * When the `direction` is `down` it walks the dependencies of the component,
+   * and when it is `up` it walks the components that depend on the component.
+   *
+   * Edges always point from a component to its dependency.
+   *
+   * @param {string} pkg The full NPM component name (scope + name)
+   * @param {DependencyGraphOptions=} [opts={}] Graph options
+   * @return {Promise<DependencyGraph|null>} The graph or null when the component is not found.
+   */
+  async graph(pkg, opts={}) {
+    const { depth=3, direction='down', includeDev=false } = opts;
+    const root = await this.get(pkg);
+    if (!root) {
+      return null;
+    }
+    const nodes = /** @type Map<string, DependencyGraphNode> */ (new Map());
+    const edges = /** @type DependencyGraphEdge[] */ ([]);
+    nodes.set(pkg, this._createGraphNode(pkg, root, 0));
+    let level = [{ pkg, entity: root }];
+    for (let current = 1; current <= depth && level.length; current++) {
+      const next = [];
+      for (const item of level) {
+        const related = direction === 'up' ?
+          await this._readGraphParents(item.pkg, includeDev) :
+          await this._readGraphChildren(item.entity, includeDev);
+        for (const { pkg: relatedPkg, entity, type } of related) {
+          if (direction === 'up') {
+            edges.push({ from: relatedPkg, to: item.pkg, type });
+          } else {
+            edges.push({ from: item.pkg, to: relatedPkg, type });
+          }
+          if (!nodes.has(relatedPkg)) {
+            nodes.set(relatedPkg, this._createGraphNode(relatedPkg, entity, current));
+            next.push({ pkg: relatedPkg, entity });
+          }
+        }
+      }
+      level = next;
+    }
+    return {
+      root: pkg,
+      direction,
+      depth,
+      nodes: Array.from(nodes.values()),
+      edges,
+      cycles: this._findCycles(edges),
+    };
+  }
+
+  /**
+   * @param {string} pkg The full NPM component name
+   * @param {DependencyEntity|null} entity The dependency entity of the component, if any.
+   * @param {number} depth The distance of the node from the root
+   * @return {DependencyGraphNode}
+   */
+  _createGraphNode(pkg, entity, depth) {
+    const node = /** @type DependencyGraphNode */ ({
+      pkg,
+      depth,
+    });
+    if (entity) {
+      node.org = entity.org;
+      node.name = entity.name;
+    }
+    return node;
+  }
+
+  /**
+   * Reads dependencies of a component for the graph.
+   * @param {DependencyEntity|null} entity The dependency entity of the component
+   * @param {boolean} includeDev Whether to include the dev dependencies
+   * @return {Promise<DependencyGraphRelation[]>}
+   */
+  async _readGraphChildren(entity, includeDev) {
+    if (!entity) {
+      return [];
+    }
+    const list = /** @type DependencyGraphRelation[] */ ([]);
+    (entity.dependencies || []).forEach((pkg) => list.push({ pkg, type: 'production', entity: null }));
+    if (includeDev) {
+      (entity.devDependencies || []).forEach((pkg) => list.push({ pkg, type: 'development', entity: null }));
+    }
+    const entities = await Promise.all(list.map(({ pkg }) => this.get(pkg)));
+    return list.map((item, i) => ({ ...item, entity: entities[i] }));
+  }
+
+  /**
+   * Reads parents of a component for the graph.
+   * @param {string} pkg The full NPM component name
+   * @param {boolean} includeDev Whether to include the components having the component as a dev dependency
+   * @return {Promise<DependencyGraphRelation[]>}
+   */
+  async _readGraphParents(pkg, includeDev) {
+    const parents = await this.listParentComponents(pkg, includeDev);
+    return parents.map((entity) => /** @type DependencyGraphRelation */ ({
+      pkg: entity.pkg,
+      entity,
+      type: entity.development ? 'development' : 'production',
+    }));
+  }
+
+  /**
+   * Finds cycles in the graph.
+   * @param {DependencyGraphEdge[]} edges The graph edges
+   * @return {Array<string[]>} The list of cycles. Each cycle starts and ends with the same component.
+   */
+  _findCycles(edges) {
+    const adjacency = new Map();
+    edges.forEach(({ from, to }) => {
+      if (!adjacency.has(from)) {
+        adjacency.set(from, []);
+      }
+      adjacency.get(from).push(to);
+    });
+    const cycles = [];
+    const visited = new Set();
+    const stack = [];
+    const onStack = new Set();
+    /**
+     * @param {string} node
+     */
+    const visit = (node) => {
+      visited.add(node);
+      stack.push(node);
+      onStack.add(node);
+      (adjacency.get(node) || []).forEach((next) => {
+        if (onStack.has(next)) {
+          cycles.push([...stack.slice(stack.indexOf(next)), next]);
+        } else if (!visited.has(next)) {
+          visit(next);
+        }
+      });
+      stack.pop();
+      onStack.delete(node);
+    };
+    Array.from(adjacency.keys()).forEach((node) => {
+      if (!visited.has(node)) {
+        visit(node);
+      }
+    });
+    return cycles;
+  }
 }
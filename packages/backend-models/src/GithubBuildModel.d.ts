@@ -0,0 +1,70 @@
+import { BaseModel } from './BaseModel.js';
+import { GithubBuild, GithubBuildEntity, GithubBuildQueryOptions, GithubBuildQueryResult } from './types/GitHubBuild';
+
+/**
+ * A model for GitHub builds of the components.
+ */
+export class GithubBuildModel extends BaseModel {
+  constructor();
+
+  /**
+   * Model properties excluded from indexes
+   */
+  readonly excludedIndexes: string[];
+
+  /**
+   * Lists builds scheduled in the data store.
+   * @param opts Query options
+   */
+  list(opts?: GithubBuildQueryOptions): Promise<GithubBuildQueryResult>;
+
+  /**
+   * Inserts a build to the data store in the `queued` state.
+   * NOTE, this won't schedule a build in the corresponding background application.
+   *
+   * @param info Entity description
+   * @returns The key value of the generated identifier for the entity
+   */
+  insert(info: GithubBuild): Promise<string>;
+
+  /**
+   * Gets build definition from the store.
+   * @param id The ID of the build.
+   */
+  get(id: string): Promise<GithubBuildEntity|null>;
+
+  /**
+   * Marks the build as started
+   * @param id The ID of the build.
+   */
+  start(id: string): Promise<void>;
+
+  /**
+   * Marks the build as ended
+   * @param id The ID of the build.
+   * @param message Optional message to add to the result.
+   */
+  finish(id: string, message?: string): Promise<void>;
+
+  /**
+   * Marks the build as an error
+   * @param id The ID of the build.
+   * @param message The error message from the build
+   */
+  setBuildError(id: string, message: string): Promise<void>;
+
+  /**
+   * Resets the build state so it can be restarted.
+   * NOTE, it won't schedule a build in the corresponding background application.
+   *
+   * @param id The ID of the build to reset.
+   */
+  resetBuild(id: string): Promise<void>;
+
+  /**
+   * Updates build properties in a transaction
+   * @param id The ID of the build.
+   * @param props A properties to update
+   */
+  updateBuildProperties(id: string, props: object): Promise<void>;
+}
@@ -0,0 +1,247 @@
+import { v4 } from 'uuid';
+import { BaseModel } from './BaseModel.js';
+
+/** @typedef {import('./types/GitHubBuild').GithubBuild} GithubBuild */
+/** @typedef {import('./types/GitHubBuild').GithubBuildEntity} GithubBuildEntity */
+/** @typedef {import('./types/GitHubBuild').GithubBuildQueryOptions} GithubBuildQueryOptions */
+/** @typedef {import('./types/GitHubBuild').GithubBuildQueryResult} GithubBuildQueryResult */
+
+/**
+ * A model for GitHub builds of the components.
+ */
+export class GithubBuildModel extends BaseModel {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super('apic-github-builds');
+  }
+
+  /**
+   * @return {string[]} Model properties excluded from indexes
+   */
+  get excludedIndexes() {
+    return [
+      'type',
+      'status',
+      'repository',
+      'component',
+      'commit',
+      'branch',
+      'error',
+      'message',
+      'started',
+      'ended',
+      'creator.id',
+      'creator.displayName',
+    ];
+  }
+
+  /**
+   * Lists builds scheduled in the data store.
+   * @param {GithubBuildQueryOptions=} [opts={}] Query options
+   * @return {Promise<GithubBuildQueryResult>}
+   */
+  async list(opts={}) {
+    const { limit=this.listLimit, pageToken } = opts;
+    let query = this.store.createQuery(this.namespace, this.buildKind);
+    query = query.limit(limit);
+    query = query.order('created', {
+      descending: true,
+    });
+    if (pageToken) {
+      query = query.start(pageToken);
+    }
+    const [entitiesRaw, queryInfo] = await this.store.runQuery(query);
+    const entities = /** @type GithubBuildEntity[] */ (entitiesRaw.map(this.fromDatastore.bind(this)));
+    const newPageToken = queryInfo.moreResults !== this.NO_MORE_RESULTS ? queryInfo.endCursor : undefined;
+    return {
+      entities,
+      pageToken: newPageToken,
+    };
+  }
+
+  /**
+   * Inserts a build to the data store in the `queued` state.
+   * NOTE, this won't schedule a build in the corresponding background application.
+   *
+   * @param {GithubBuild} info Entity description
+   * @return {Promise<string>} The key value of the generated identifier for the entity
+   */
+  async insert(info) {
+    const keyName = v4();
+    const key = this.createBuildKey(keyName);
+    const results = [
+      {
+        name: 'type',
+        value: info.type,
+        excludeFromIndexes: true,
+      },
+      {
+        name: 'repository',
+        value: info.repository,
+        excludeFromIndexes: true,
+      },
+      {
+        name: 'created',
+        value: Date.now(),
+      },
+      {
+        name: 'status',
+        value: 'queued',
+        excludeFromIndexes: true,
+      },
+    ];
+    if (info.component) {
+      results.push({
+        name: 'component',
+        value: info.component,
+        excludeFromIndexes: true,
+      });
+    }
+    if (info.commit) {
+      results.push({
+        name: 'commit',
+        value: info.commit,
+        excludeFromIndexes: true,
+      });
+    }
+    if (info.branch) {
+      results.push({
+        name: 'branch',
+        value: info.branch,
+        excludeFromIndexes: true,
+      });
+    }
+    if (info.creator) {
+      results.push({
+        name: 'creator',
+        // @ts-ignore
+        value: info.creator,
+        excludeFromIndexes: true,
+      });
+    }
+    const entity = {
+      key,
+      data: results,
+    };
+    await this.store.upsert(entity);
+    return keyName;
+  }
+
+  /**
+   * Gets build definition from the store.
+   * @param {string} id The ID of the build.
+   * @return {Promise<GithubBuildEntity|null>}
+   */
+  async get(id) {
+    const key = this.createBuildKey(id);
+    const [entity] = await this.store.get(key);
+    if (entity) {
+      return this.fromDatastore(entity);
+    }
+    return null;
+  }
+
+  /**
+   * Marks the build as started
+   *
+   * @param {string} id The ID of the build.
+   * @return {Promise<void>}
+   */
+  async start(id) {
+    await this.updateBuildProperties(id, {
+      status: 'running',
+      started: Date.now(),
+    });
+  }
+
+  /**
+   * Marks the build as ended
+   * @param {string} id The ID of the build.
+   * @param {string=} message Optional message to add to the result.
+   * @return {Promise<void>}
+   */
+  async finish(id, message) {
+    const props = {
+      status: 'finished',
+      ended: Date.now(),
+    };
+    if (message) {
+      props.message = message;
+    }
+    await this.updateBuildProperties(id, props);
+  }
+
+  /**
+   * Marks the build as an error
+   * @param {string} id The ID of the build.
+   * @param {string} message The error message from the build
+   * @return {Promise<void>}
+   */
+  async setBuildError(id, message) {
+    await this.updateBuildProperties(id, {
+      status: 'finished',
+      ended: Date.now(),
+      error: true,
+      message,
+    });
+  }
+
+  /**
+   * Resets the build state so it can be restarted.
+   * NOTE, it won't schedule a build in the corresponding background application.
+   *
+   * @param {string} id The ID of the build to reset.
+   * @return {Promise<void>}
+   */
+  async resetBuild(id) {
+    const transaction = this.store.transaction();
+    const key = this.createBuildKey(id);
+    try {
+      await transaction.run();
+      const [entity] = await transaction.get(key);
+      entity.status = 'queued';
+      delete entity.started;
+      delete entity.ended;
+      delete entity.error;
+      delete entity.message;
+      transaction.save({
+        key,
+        data: entity,
+        excludeFromIndexes: this.excludedIndexes,
+      });
+      await transaction.commit();
+    } catch (e) {
+      transaction.rollback();
+      throw e;
+    }
+  }
+
+  /**
+   * Updates build properties in a transaction
+   * @param {string} id The ID of the build.
+   * @param {object} props A properties to update
+   * @return {Promise<void>}
+   */
+  async updateBuildProperties(id, props) {
+    const transaction = this.store.transaction();
+    const key = this.createBuildKey(id);
+    try {
+      await transaction.run();
+      const [entity] = await transaction.get(key);
+      Object.keys(props).forEach((k) => {
+        entity[k] = props[k];
+      });
+      transaction.save({
+        key,
+        data: entity,
+        excludeFromIndexes: this.excludedIndexes,
+      });
+      await transaction.commit();
+    } catch (cause) {
+      transaction.rollback();
+      throw cause;
+    }
+  }
+}
@@ -0,0 +1,48 @@
+import { BaseModel } from './BaseModel.js';
+import { GithubDelivery, GithubDeliveryEntity, GithubDeliveryQueryOptions, GithubDeliveryQueryResult } from './types/GithubDelivery';
+
+/**
+ * A model for GitHub webhook deliveries.
+ * The delivery id (the `X-GitHub-Delivery` header) is the key name of the entity
+ * so each delivery is recorded only once.
+ */
+export class GithubDeliveryModel extends BaseModel {
+  constructor();
+
+  /**
+   * Model properties excluded from indexes
+   */
+  readonly excludedIndexes: string[];
+
+  /**
+   * Lists deliveries recorded in the data store.
+   * @param opts Query options
+   */
+  list(opts?: GithubDeliveryQueryOptions): Promise<GithubDeliveryQueryResult>;
+
+  /**
+   * Records a delivery in the data store, unless a delivery with the same id
+   * has already been recorded.
+   *
+   * @param id The delivery id.
+   * @param info The delivery description
+   * @returns True when the delivery was recorded, false when it is a duplicate.
+   */
+  insert(id: string, info: GithubDelivery): Promise<boolean>;
+
+  /**
+   * Reads a delivery from the store.
+   * @param id The delivery id.
+   */
+  get(id: string): Promise<GithubDeliveryEntity|null>;
+
+  /**
+   * Records the result of processing the delivery.
+   * The result replaces the result of a previous processing of the delivery
+   * so a replay does not keep, for example, the `buildId` of the previous run.
+   * @param id The delivery id.
+   * @param props The properties to set on the delivery, eg. `status`, `message`, `buildId`.
+   * @param replay Whether the result comes from replaying the delivery.
+   */
+  setResult(id: string, props: object, replay?: boolean): Promise<void>;
+}
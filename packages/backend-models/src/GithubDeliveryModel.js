@@ -0,0 +1,148 @@
+import { BaseModel } from './BaseModel.js';
+
+/** @typedef {import('./types/GithubDelivery').GithubDelivery} GithubDelivery */
+/** @typedef {import('./types/GithubDelivery').GithubDeliveryEntity} GithubDeliveryEntity */
+/** @typedef {import('./types/GithubDelivery').GithubDeliveryQueryOptions} GithubDeliveryQueryOptions */
+/** @typedef {import('./types/GithubDelivery').GithubDeliveryQueryResult} GithubDeliveryQueryResult */
+
+/**
+ * A model for GitHub webhook deliveries.
+ * The delivery id (the `X-GitHub-Delivery` header) is the key name of the entity
+ * so each delivery is recorded only once.
+ */
+export class GithubDeliveryModel extends BaseModel {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super('apic-github-builds');
+  }
+
+  /**
+   * @return {string[]} Model properties excluded from indexes
+   */
+  get excludedIndexes() {
+    return [
+      'event',
+      'payload',
+      'status',
+      'message',
+      'buildId',
+      'testId',
+      'replays',
+    ];
+  }
+
+  /**
+   * Lists deliveries recorded in the data store.
+   * @param {GithubDeliveryQueryOptions=} [opts={}] Query options
+   * @return {Promise<GithubDeliveryQueryResult>}
+   */
+  async list(opts={}) {
+    const { limit=this.listLimit, pageToken } = opts;
+    let query = this.store.createQuery(this.namespace, this.deliveryKind);
+    query = query.limit(limit);
+    query = query.order('received', {
+      descending: true,
+    });
+    if (pageToken) {
+      query = query.start(pageToken);
+    }
+    const [entitiesRaw, queryInfo] = await this.store.runQuery(query);
+    const entities = /** @type GithubDeliveryEntity[] */ (entitiesRaw.map(this.fromDatastore.bind(this)));
+    const newPageToken = queryInfo.moreResults !== this.NO_MORE_RESULTS ? queryInfo.endCursor : undefined;
+    return {
+      entities,
+      pageToken: newPageToken,
+    };
+  }
+
+  /**
+   * Records a delivery in the data store, unless a delivery with the same id
+   * has already been recorded.
+   *
+   * @param {string} id The delivery id.
+   * @param {GithubDelivery} info The delivery description
+   * @return {Promise<boolean>} True when the delivery was recorded, false when it is a duplicate.
+   */
+  async insert(id, info) {
+    const transaction = this.store.transaction();
+    const key = this.createDeliveryKey(id);
+    try {
+      await transaction.run();
+      const [existing] = await transaction.get(key);
+      if (existing) {
+        await transaction.rollback();
+        return false;
+      }
+      const entity = {
+        event: info.event,
+        payload: info.payload,
+        received: Date.now(),
+        status: 'received',
+        replays: 0,
+      };
+      transaction.save({
+        key,
+        data: entity,
+        excludeFromIndexes: this.excludedIndexes,
+      });
+      await transaction.commit();
+      return true;
+    } catch (e) {
+      transaction.rollback();
+      throw e;
+    }
+  }
+
+  /**
+   * Reads a delivery from the store.
+   * @param {string} id The delivery id.
+   * @return {Promise<GithubDeliveryEntity|null>}
+   */
+  async get(id) {
+    const key = this.createDeliveryKey(id);
+    const [entity] = await this.store.get(key);
+    if (entity) {
+      return this.fromDatastore(entity);
+    }
+    return null;
+  }
+
+  /**
+   * Records the result of processing the delivery.
+   * The result replaces the result of a previous processing of the delivery
+   * so a replay does not keep, for example, the `buildId` of the previous run.
+   * @param {string} id The delivery id.
+   * @param {object} props The properties to set on the delivery, eg. `status`, `message`, `buildId`.
+   * @param {boolean=} replay Whether the result comes from replaying the delivery.
+   * @return {Promise<void>}
+   */
+  async setResult(id, props, replay=false) {
+    const transaction = this.store.transaction();
+    const key = this.createDeliveryKey(id);
+    try {
+      await transaction.run();
+      const [entity] = await transaction.get(key);
+      const data = {
+        event: entity.event,
+        payload: entity.payload,
+        received: entity.received,
+        replays: entity.replays || 0,
+        ...props,
+      };
+      if (replay) {
+        data.replays += 1;
+      }
+      transaction.save({
+        key,
+        data,
+        excludeFromIndexes: this.excludedIndexes,
+      });
+      await transaction.commit();
+    } catch (cause) {
+      transaction.rollback();
+      throw cause;
+    }
+  }
+}
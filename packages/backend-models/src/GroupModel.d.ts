@@ -0,0 +1,58 @@
+import { BaseModel, Entity, QueryResult, QueryOptions } from './BaseModel.js';
+import {entity} from '@google-cloud/datastore/build/src/entity';
+import { Transaction } from '@google-cloud/datastore';
+
+export interface GroupEntity extends Entity {
+  /**
+   * The name of the group. This is the GitHub organization name.
+   */
+  name: string;
+  /**
+   * The timestamp when the group was created.
+   */
+  created: number;
+}
+
+export declare interface GroupQueryResult extends QueryResult<GroupEntity> {}
+export declare interface GroupQueryOptions extends QueryOptions {}
+
+/**
+ * A model for components groups. A group is the GitHub organization
+ * the component is in.
+ */
+export declare class GroupModel extends BaseModel {
+  constructor();
+
+  /**
+   * Group model excluded indexes
+   */
+  get excludedIndexes(): string[];
+
+  /**
+   * @param name The name of the group (the GitHub organization)
+   * @returns A key for a group
+   */
+  createGroupKey(name: string): entity.Key;
+
+  /**
+   * Lists groups.
+   *
+   * @param opts Query options
+   * @returns Promise resolved to a list of groups.
+   */
+  list(opts?: GroupQueryOptions): Promise<GroupQueryResult>;
+
+  /**
+   * Returns group definition.
+   * @param name The name or the id of the group
+   */
+  get(name: string): Promise<GroupEntity|null>;
+
+  /**
+   * Creates a group entity when it does not exist.
+   * @param name The name of the group (the GitHub organization)
+   * @param transaction When set the entity is read and saved in this transaction
+   * and it is committed with the transaction.
+   */
+  ensureGroup(name: string, transaction?: Transaction): Promise<GroupEntity>;
+}
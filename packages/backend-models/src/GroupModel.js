@@ -0,0 +1,107 @@
+import { BaseModel } from './BaseModel.js';
+
+/** @typedef {import('@google-cloud/datastore/build/src/entity').entity.Key} Key */
+/** @typedef {import('@google-cloud/datastore').Transaction} Transaction */
+/** @typedef {import('./GroupModel').GroupEntity} GroupEntity */
+/** @typedef {import('./GroupModel').GroupQueryResult} GroupQueryResult */
+/** @typedef {import('./GroupModel').GroupQueryOptions} GroupQueryOptions */
+
+/**
+ * A model for components groups. A group is the GitHub organization
+ * the component is in.
+ */
+export class GroupModel extends BaseModel {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super('api-components');
+  }
+
+  /**
+   * @return {string[]} Group model excluded indexes
+   */
+  get excludedIndexes() {
+    return ['created'];
+  }
+
+  /**
+   * @param {string} name The name of the group (the GitHub organization)
+   * @return {Key} A key for a group
+   */
+  createGroupKey(name) {
+    return this.store.key({
+      namespace: this.namespace,
+      path: [this.organizationKind, this.slug(name)],
+    });
+  }
+
+  /**
+   * Lists groups.
+   *
+   * @param {GroupQueryOptions=} [opts={}] Query options
+   * @return {Promise<GroupQueryResult>} Promise resolved to a list of groups.
+   */
+  async list(opts={}) {
+    const { limit=this.listLimit, pageToken } = opts;
+    let query = this.store.createQuery(this.namespace, this.organizationKind);
+    query = query.order('name', {
+      descending: false,
+    });
+    query = query.limit(limit);
+    if (pageToken) {
+      query = query.start(pageToken);
+    }
+    const [entitiesRaw, queryInfo] = await this.store.runQuery(query);
+    const entities = /** @type GroupEntity[] */ (entitiesRaw.map(this.fromDatastore.bind(this)));
+    const newPageToken = queryInfo.moreResults !== this.NO_MORE_RESULTS ? queryInfo.endCursor : undefined;
+    return {
+      entities,
+      pageToken: newPageToken,
+    };
+  }
+
+  /**
+   * Returns group definition.
+   * @param {string} name The name or the id of the group
+   * @return {Promise<GroupEntity|null>}
+   */
+  async get(name) {
+    const key = this.createGroupKey(name);
+    const [entity] = await this.store.get(key);
+    if (entity) {
+      return this.fromDatastore(entity);
+    }
+    return null;
+  }
+
+  /**
+   * Creates a group entity when it does not exist.
+   * @param {string} name The name of the group (the GitHub organization)
+   * @param {Transaction=} transaction When set the entity is read and saved in this transaction
+   * and it is committed with the transaction.
+   * @return {Promise<GroupEntity>}
+   */
+  async ensureGroup(name, transaction) {
+    const key = this.createGroupKey(name);
+    const [existing] = transaction ? await transaction.get(key) : await this.store.get(key);
+    if (existing) {
+      return this.fromDatastore(existing);
+    }
+    const entity = {
+      key,
+      data: {
+        name,
+        created: Date.now(),
+      },
+      excludeFromIndexes: this.excludedIndexes,
+    };
+    if (transaction) {
+      transaction.save(entity);
+      const created = /** @type any */ ({ ...entity.data, [this.store.KEY]: key });
+      return this.fromDatastore(created);
+    }
+    await this.store.upsert(entity);
+    return this.get(name);
+  }
+}
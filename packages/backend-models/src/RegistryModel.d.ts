@@ -0,0 +1,203 @@
+import { BaseModel, Entity, QueryResult, QueryOptions } from './BaseModel.js';
+import {entity} from '@google-cloud/datastore/build/src/entity';
+import { Creator } from './types/Creator';
+
+/**
+ * The type of a registry entry:
+ * - `org` - a GitHub organization allowed in the CI
+ * - `domain` - an email domain of trusted users
+ * - `email` - an email address of a trusted user
+ */
+export declare type RegistryEntryType = 'org' | 'domain' | 'email';
+
+export declare interface RegistryEntry {
+  /**
+   * The type of the entry.
+   */
+  type: RegistryEntryType;
+  /**
+   * The organization name, the email domain, or the email address.
+   */
+  value: string;
+  /**
+   * Optional description of the entry.
+   */
+  description?: string;
+}
+
+export declare interface RegistryEntryEntity extends RegistryEntry, Entity {
+  /**
+   * The timestamp when the entry was created.
+   */
+  created: number;
+  /**
+   * The user that created the entry.
+   */
+  creator?: Creator;
+}
+
+export declare interface RegistryQueryResult extends QueryResult<RegistryEntryEntity> {}
+export declare interface RegistryQueryOptions extends QueryOptions {
+  /**
+   * Limits the result to entries of the type.
+   */
+  type?: RegistryEntryType;
+}
+
+export declare interface RegistryLists {
+  /**
+   * GitHub organizations allowed in the CI.
+   */
+  orgs: string[];
+  /**
+   * Email domains of trusted users.
+   */
+  domains: string[];
+  /**
+   * Email addresses of trusted users.
+   */
+  emails: string[];
+}
+
+/**
+ * A model for the registry of GitHub organizations allowed in the CI
+ * and email domains and addresses of trusted (organization) users.
+ */
+export declare class RegistryModel extends BaseModel {
+  constructor();
+
+  /**
+   * The kind value for the registry entries
+   */
+  get registryEntryKind(): string;
+
+  /**
+   * The kind value for the state of the registry
+   */
+  get registryStateKind(): string;
+
+  /**
+   * The configuration settings with the initial entries of each type.
+   */
+  get defaultSettings(): Record<RegistryEntryType, string>;
+
+  /**
+   * The list of types of the registry entries.
+   */
+  get entryTypes(): RegistryEntryType[];
+
+  /**
+   * Model properties excluded from indexes
+   */
+  get excludedIndexes(): string[];
+
+  /**
+   * The number of milliseconds the registry lists are cached for.
+   * The registry lists are cached in each instance of the API. The cache is cleared when
+   * the registry changes, but only in the instance that made the change. Other instances
+   * use the previous lists until the cache expires.
+   */
+  get cacheTime(): number;
+
+  /**
+   * @param id The id of the registry entry.
+   * @returns A key for a registry entry
+   */
+  createRegistryEntryKey(id: string): entity.Key;
+
+  /**
+   * Normalizes the value of a registry entry.
+   * Values are case insensitive and domains are stored without the leading `@`.
+   *
+   * @param type The type of the entry
+   * @param value The value to normalize
+   */
+  normalizeValue(type: RegistryEntryType, value: string): string;
+
+  /**
+   * @param type The type of the entry
+   * @param value The value of the entry
+   * @returns The id of the registry entry.
+   */
+  createEntryId(type: RegistryEntryType, value: string): string;
+
+  /**
+   * @returns The key of the entity that records the initialization of the registry.
+   */
+  createRegistryStateKey(): entity.Key;
+
+  /**
+   * Adds the configuration defaults (`REGISTRY_ORGS`, `REGISTRY_DOMAINS`, and `REGISTRY_EMAILS`
+   * comma separated values) to the registry when the registry is initialized.
+   * This happens once. Later the registry contains only the entries managed by administrators,
+   * so a removed default entry is not trusted again.
+   */
+  initialize(): Promise<void>;
+
+  /**
+   * Lists registry entries.
+   * @param opts Query options
+   */
+  list(opts?: RegistryQueryOptions): Promise<RegistryQueryResult>;
+
+  /**
+   * Reads a registry entry.
+   * @param id The id of the entry
+   */
+  get(id: string): Promise<RegistryEntryEntity|null>;
+
+  /**
+   * Adds an entry to the registry.
+   * @param info The entry to add
+   * @param creator The user that adds the entry
+   * @returns The created entry
+   * @throws {Error} With the `409` code when the entry already exists.
+   */
+  insert(info: RegistryEntry, creator?: Creator): Promise<RegistryEntryEntity>;
+
+  /**
+   * Updates the description of a registry entry.
+   * @param id The id of the entry
+   * @param description The new description. An empty value removes the description.
+   * @returns The updated entry or null when the entry does not exist.
+   */
+  update(id: string, description: string): Promise<RegistryEntryEntity|null>;
+
+  /**
+   * Removes an entry from the registry.
+   * @param id The id of the entry
+   */
+  delete(id: string): Promise<void>;
+
+  /**
+   * Clears the cached registry lists so the next read uses the data store.
+   */
+  invalidateCache(): void;
+
+  /**
+   * Reads lists of allowed organizations and trusted email domains and addresses.
+   * The lists are cached for the `cacheTime`.
+   * The registry is initialized with the configuration defaults on the first read.
+   */
+  getRegistry(): Promise<RegistryLists>;
+
+  /**
+   * @param entities The registry entries
+   * @param type The type of entries to read
+   * @returns The values of the entries of the type
+   */
+  _readList(entities: RegistryEntryEntity[], type: RegistryEntryType): string[];
+
+  /**
+   * @param org The name of a GitHub organization
+   * @returns True when the organization is allowed in the CI.
+   */
+  isAllowedOrg(org: string): Promise<boolean>;
+
+  /**
+   * @param email An email address
+   * @param registry The registry lists
+   * @returns True when the email is a trusted address or is in a trusted domain.
+   */
+  isTrustedEmail(email: string, registry: RegistryLists): boolean;
+}
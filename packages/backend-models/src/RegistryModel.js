@@ -0,0 +1,378 @@
+import config from '@advanced-rest-client/backend-config';
+import { BaseModel } from './BaseModel.js';
+
+/** @typedef {import('@google-cloud/datastore/build/src/entity').entity.Key} Key */
+/** @typedef {import('./RegistryModel').RegistryEntry} RegistryEntry */
+/** @typedef {import('./RegistryModel').RegistryEntryEntity} RegistryEntryEntity */
+/** @typedef {import('./RegistryModel').RegistryEntryType} RegistryEntryType */
+/** @typedef {import('./RegistryModel').RegistryQueryOptions} RegistryQueryOptions */
+/** @typedef {import('./RegistryModel').RegistryQueryResult} RegistryQueryResult */
+/** @typedef {import('./RegistryModel').RegistryLists} RegistryLists */
+/** @typedef {import('./types/Creator').Creator} Creator */
+
+/**
+ * The registry lists read from the data store, shared by all instances of the model.
+ * @type {{ value: RegistryLists, expires: number }|null}
+ */
+let cache = null;
+
+/**
+ * A model for the registry of GitHub organizations allowed in the CI
+ * and email domains and addresses of trusted (organization) users.
+ */
+export class RegistryModel extends BaseModel {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super('api-components-registry');
+  }
+
+  /**
+   * @return {string} The kind value for the registry entries
+   */
+  get registryEntryKind() {
+    return 'RegistryEntry';
+  }
+
+  /**
+   * @return {string} The kind value for the state of the registry
+   */
+  get registryStateKind() {
+    return 'RegistryState';
+  }
+
+  /**
+   * @return {Object<RegistryEntryType, string>} The configuration settings with the initial entries of each type.
+   */
+  get defaultSettings() {
+    return {
+      org: 'REGISTRY_ORGS',
+      domain: 'REGISTRY_DOMAINS',
+      email: 'REGISTRY_EMAILS',
+    };
+  }
+
+  /**
+   * @return {RegistryEntryType[]} The list of types of the registry entries.
+   */
+  get entryTypes() {
+    return ['org', 'domain', 'email'];
+  }
+
+  /**
+   * @return {string[]} Model properties excluded from indexes
+   */
+  get excludedIndexes() {
+    return ['value', 'description', 'created', 'creator', 'creator.id', 'creator.displayName'];
+  }
+
+  /**
+   * The registry lists are cached in each instance of the API. The cache is cleared when
+   * the registry changes, but only in the instance that made the change. Other instances
+   * use the previous lists until the cache expires.
+   * @return {number} The number of milliseconds the registry lists are cached for.
+   */
+  get cacheTime() {
+    return 10 * 1000;
+  }
+
+  /**
+   * @param {string} id The id of the registry entry.
+   * @return {Key} A key for a registry entry
+   */
+  createRegistryEntryKey(id) {
+    return this.store.key({
+      namespace: this.namespace,
+      path: [this.registryEntryKind, id],
+    });
+  }
+
+  /**
+   * Normalizes the value of a registry entry.
+   * Values are case insensitive and domains are stored without the leading `@`.
+   *
+   * @param {RegistryEntryType} type The type of the entry
+   * @param {string} value The value to normalize
+   * @return {string}
+   */
+  normalizeValue(type, value) {
+    let result = String(value).trim().toLowerCase();
+    if (type === 'domain' && result[0] === '@') {
+      result = result.substr(1);
+    }
+    return result;
+  }
+
+  /**
+   * @param {RegistryEntryType} type The type of the entry
+   * @param {string} value The value of the entry
+   * @return {string} The id of the registry entry.
+   */
+  createEntryId(type, value) {
+    return `${type}:${this.normalizeValue(type, value)}`;
+  }
+
+  /**
+   * @return {Key} The key of the entity that records the initialization of the registry.
+   */
+  createRegistryStateKey() {
+    return this.store.key({
+      namespace: this.namespace,
+      path: [this.registryStateKind, 'initialized'],
+    });
+  }
+
+  /**
+   * Adds the configuration defaults (`REGISTRY_ORGS`, `REGISTRY_DOMAINS`, and `REGISTRY_EMAILS`
+   * comma separated values) to the registry when the registry is initialized.
+   * This happens once. Later the registry contains only the entries managed by administrators,
+   * so a removed default entry is not trusted again.
+   *
+   * @return {Promise<void>}
+   */
+  async initialize() {
+    const stateKey = this.createRegistryStateKey();
+    const [state] = await this.store.get(stateKey);
+    if (state) {
+      return;
+    }
+    const entries = [];
+    this.entryTypes.forEach((type) => {
+      const defaults = String(config.get(this.defaultSettings[type]) || '');
+      defaults.split(',').map((item) => this.normalizeValue(type, item)).filter((item) => !!item).forEach((value) => {
+        entries.push({ type, value });
+      });
+    });
+    const keys = entries.map((item) => this.createRegistryEntryKey(this.createEntryId(item.type, item.value)));
+    const transaction = this.store.transaction();
+    try {
+      await transaction.run();
+      const [current] = await transaction.get(stateKey);
+      if (current) {
+        await transaction.rollback();
+        return;
+      }
+      const [existing] = keys.length ? await transaction.get(keys) : [[]];
+      const existingIds = existing.map((item) => item[this.store.KEY].name);
+      entries.forEach((item, index) => {
+        const key = keys[index];
+        if (existingIds.includes(key.name)) {
+          return;
+        }
+        transaction.save({
+          key,
+          data: { ...item, created: Date.now(), description: 'Added from the configuration.' },
+          excludeFromIndexes: this.excludedIndexes,
+        });
+      });
+      transaction.save({
+        key: stateKey,
+        data: { initialized: Date.now() },
+        excludeFromIndexes: ['initialized'],
+      });
+      await transaction.commit();
+    } catch (e) {
+      transaction.rollback();
+      throw e;
+    }
+  }
+
+  /**
+   * Lists registry entries.
+   * @param {RegistryQueryOptions=} [opts={}] Query options
+   * @return {Promise<RegistryQueryResult>}
+   */
+  async list(opts={}) {
+    await this.initialize();
+    const { limit=this.listLimit, pageToken, type } = opts;
+    let query = this.store.createQuery(this.namespace, this.registryEntryKind);
+    if (type) {
+      query = query.filter('type', '=', type);
+    }
+    query = query.limit(limit);
+    if (pageToken) {
+      query = query.start(pageToken);
+    }
+    const [entitiesRaw, queryInfo] = await this.store.runQuery(query);
+    const entities = /** @type RegistryEntryEntity[] */ (entitiesRaw.map(this.fromDatastore.bind(this)));
+    const newPageToken = queryInfo.moreResults !== this.NO_MORE_RESULTS ? queryInfo.endCursor : undefined;
+    return {
+      entities,
+      pageToken: newPageToken,
+    };
+  }
+
+  /**
+   * Reads a registry entry.
+   * @param {string} id The id of the entry
+   * @return {Promise<RegistryEntryEntity|null>}
+   */
+  async get(id) {
+    const key = this.createRegistryEntryKey(id);
+    const [entity] = await this.store.get(key);
+    if (entity) {
+      return this.fromDatastore(entity);
+    }
+    return null;
+  }
+
+  /**
+   * Adds an entry to the registry.
+   * @param {RegistryEntry} info The entry to add
+   * @param {Creator=} creator The user that adds the entry
+   * @return {Promise<RegistryEntryEntity>} The created entry
+   * @throws {Error} With the `409` code when the entry already exists.
+   */
+  async insert(info, creator) {
+    const { type, description } = info;
+    const value = this.normalizeValue(type, info.value);
+    const id = this.createEntryId(type, value);
+    const key = this.createRegistryEntryKey(id);
+    const data = /** @type RegistryEntryEntity */ ({
+      type,
+      value,
+      created: Date.now(),
+    });
+    if (description) {
+      data.description = description;
+    }
+    if (creator) {
+      data.creator = creator;
+    }
+    await this.initialize();
+    const transaction = this.store.transaction();
+    try {
+      await transaction.run();
+      const [existing] = await transaction.get(key);
+      if (existing) {
+        const error = new Error(`The ${type} "${value}" is already in the registry.`);
+        // @ts-ignore
+        error.code = 409;
+        throw error;
+      }
+      transaction.save({
+        key,
+        data,
+        excludeFromIndexes: this.excludedIndexes,
+      });
+      await transaction.commit();
+    } catch (e) {
+      transaction.rollback();
+      throw e;
+    }
+    this.invalidateCache();
+    return this.get(id);
+  }
+
+  /**
+   * Updates the description of a registry entry.
+   * @param {string} id The id of the entry
+   * @param {string} description The new description. An empty value removes the description.
+   * @return {Promise<RegistryEntryEntity|null>} The updated entry or null when the entry does not exist.
+   */
+  async update(id, description) {
+    const key = this.createRegistryEntryKey(id);
+    const transaction = this.store.transaction();
+    try {
+      await transaction.run();
+      const [entity] = await transaction.get(key);
+      if (!entity) {
+        await transaction.rollback();
+        return null;
+      }
+      if (description) {
+        entity.description = description;
+      } else {
+        delete entity.description;
+      }
+      transaction.save({
+        key,
+        data: entity,
+        excludeFromIndexes: this.excludedIndexes,
+      });
+      await transaction.commit();
+    } catch (e) {
+      transaction.rollback();
+      throw e;
+    }
+    this.invalidateCache();
+    return this.get(id);
+  }
+
+  /**
+   * Removes an entry from the registry.
+   * @param {string} id The id of the entry
+   * @return {Promise<void>}
+   */
+  async delete(id) {
+    const key = this.createRegistryEntryKey(id);
+    await this.store.delete(key);
+    this.invalidateCache();
+  }
+
+  /**
+   * Clears the cached registry lists so the next read uses the data store.
+   */
+  invalidateCache() {
+    cache = null;
+  }
+
+  /**
+   * Reads lists of allowed organizations and trusted email domains and addresses.
+   * The lists are cached for the `cacheTime`.
+   * The registry is initialized with the configuration defaults on the first read.
+   *
+   * @return {Promise<RegistryLists>}
+   */
+  async getRegistry() {
+    if (cache && cache.expires > Date.now()) {
+      return cache.value;
+    }
+    await this.initialize();
+    const query = this.store.createQuery(this.namespace, this.registryEntryKind);
+    const [entities] = await this.store.runQuery(query);
+    const value = {
+      orgs: this._readList(entities, 'org'),
+      domains: this._readList(entities, 'domain'),
+      emails: this._readList(entities, 'email'),
+    };
+    cache = {
+      value,
+      expires: Date.now() + this.cacheTime,
+    };
+    return value;
+  }
+
+  /**
+   * @param {RegistryEntryEntity[]} entities The registry entries
+   * @param {RegistryEntryType} type The type of entries to read
+   * @return {string[]} The values of the entries of the type
+   */
+  _readList(entities, type) {
+    return entities.filter((item) => item.type === type).map((item) => item.value);
+  }
+
+  /**
+   * @param {string} org The name of a GitHub organization
+   * @return {Promise<boolean>} True when the organization is allowed in the CI.
+   */
+  async isAllowedOrg(org) {
+    const { orgs } = await this.getRegistry();
+    return orgs.includes(this.normalizeValue('org', org));
+  }
+
+  /**
+   * @param {string} email An email address
+   * @param {RegistryLists} registry The registry lists
+   * @return {boolean} True when the email is a trusted address or is in a trusted domain.
+   */
+  isTrustedEmail(email, registry) {
+    const value = this.normalizeValue('email', email);
+    if (registry.emails.includes(value)) {
+      return true;
+    }
+    const domain = value.substr(value.lastIndexOf('@') + 1);
+    return value.includes('@') && registry.domains.includes(domain);
+  }
+}
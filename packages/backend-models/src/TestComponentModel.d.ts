@@ -1,4 +1,5 @@
 import { BaseModel, Entity, QueryResult, QueryOptions } from './BaseModel.js';
+import { Transaction } from '@google-cloud/datastore';
 import { TestReport } from './types/TestReport';
 
 export declare interface BaseTestComponentEntity {
@@ -7,8 +8,18 @@ export declare interface BaseTestComponentEntity {
 
 export declare interface TestComponentEntity extends Entity, BaseTestComponentEntity {
   component: string;
+  /**
+   * The status of the component test. Components planned to be tested are `queued`.
+   */
   status: string;
-  startTime: number;
+  /**
+   * Not set when the test is `queued`.
+   */
+  startTime?: number;
+  /**
+   * Set when the component test has a result.
+   */
+  endTime?: number;
   /**
    * Number of total tests performed in the run
    */
@@ -39,6 +50,30 @@ export declare interface TestComponentEntity extends Entity, BaseTestComponentEn
   message?: string;
 }
 
+/**
+ * The latest test result of a component, regardless of the test it was performed in.
+ */
+export declare interface TestComponentResultEntity extends Entity, BaseTestComponentEntity {
+  /**
+   * The ID of the test the result comes from.
+   */
+  testId: string;
+  /**
+   * The status of the component test, `passed` or `failed`.
+   */
+  status: string;
+  /**
+   * Timestamp of when the result was reported.
+   */
+  endTime: number;
+  total?: number;
+  success?: number;
+  failed?: number;
+  skipped?: number;
+  error?: boolean;
+  message?: string;
+}
+
 export declare interface TestComponentQueryResult extends QueryResult<TestComponentEntity> {}
 
 export declare interface TestComponentQueryOptions extends QueryOptions {}
@@ -57,6 +92,13 @@ export class TestComponentModel extends BaseModel {
    */
   create(testId: string, componentName: string): Promise<void>
 
+  /**
+   * Creates "queued" tests for components that are planned to be tested in a test run.
+   * @param testId The ID of the test
+   * @param components The names of the components (scope + name)
+   */
+  queue(testId: string, components: string[]): Promise<void>;
+
   /**
    * Reads the model data from the data store
    * @param {string} testId The ID of the test
@@ -70,6 +112,7 @@ export class TestComponentModel extends BaseModel {
    * @param testId The ID of the test
    * @param componentName The name of the component associated with the test
    * @param report The name of the component associated with the test
+   * @throws {Error} With the `409` code when the component test is not running.
    */
   updateComponent(testId: string, componentName: string, report: TestReport): Promise<void>;
 
@@ -79,9 +122,32 @@ export class TestComponentModel extends BaseModel {
    * @param testId The ID of the test
    * @param componentName The name of the component associated with the test
    * @param message Error message
+   * @throws {Error} With the `409` code when the component test is not running.
    */
   updateComponentError(testId: string, componentName: string, message: string): Promise<void>;
 
+  /**
+   * Throws when the component test is not running so the result of the test is reported only once.
+   * @param entity The component test
+   * @throws {Error} With the `404` code when the component test does not exist
+   * or with the `409` code when it is not running.
+   */
+  _ensureRunning(entity: TestComponentEntity): void;
+
+  /**
+   * Stores the result of a component test as the latest test result of the component.
+   * @param transaction Datastore transaction
+   * @param testId The ID of the test
+   * @param entity The component test with the result
+   */
+  _saveLatestResult(transaction: Transaction, testId: string, entity: TestComponentEntity): void;
+
+  /**
+   * Reads the latest test result of a component.
+   * @param component The name of the component (scope + name)
+   */
+  getLatestResult(component: string): Promise<TestComponentResultEntity|null>;
+
   /**
    * Lists component tests
    * @param testId [description]
@@ -4,9 +4,15 @@ import { BaseModel } from './BaseModel.js';
 /** @typedef {import('./TestComponentModel').TestComponentEntity} TestComponentEntity */
 /** @typedef {import('./TestComponentModel').TestComponentQueryOptions} TestComponentQueryOptions */
 /** @typedef {import('./TestComponentModel').TestComponentQueryResult} TestComponentQueryResult */
+/** @typedef {import('./TestComponentModel').TestComponentResultEntity} TestComponentResultEntity */
+/** @typedef {import('@google-cloud/datastore').Transaction} Transaction */
 
 const excludedIndexes = [
-  'total', 'success', 'failed', 'skipped', 'status', 'hasLogs', 'message', 'error', 'startTime',
+  'total', 'success', 'failed', 'skipped', 'status', 'hasLogs', 'message', 'error', 'startTime', 'endTime',
+];
+
+const resultExcludedIndexes = [
+  'component', 'testId', 'status', 'endTime', 'total', 'success', 'failed', 'skipped', 'error', 'message',
 ];
 
 /**
@@ -67,6 +73,34 @@ export class TestComponentModel extends BaseModel {
     }
   }
 
+  /**
+   * Creates "queued" tests for components that are planned to be tested in a test run.
+   * @param {string} testId The ID of the test
+   * @param {string[]} components The names of the components (scope + name)
+   * @return {Promise<void>}
+   */
+  async queue(testId, components) {
+    const entities = components.map((component) => ({
+      key: this.createTestComponentKey(testId, component),
+      data: [
+        {
+          name: 'component',
+          value: component,
+          excludeFromIndexes: true,
+        },
+        {
+          name: 'status',
+          value: 'queued',
+          excludeFromIndexes: true,
+        },
+      ],
+    }));
+    // the data store accepts up to 500 mutations in a single commit.
+    for (let i = 0; i < entities.length; i += 500) {
+      await this.store.upsert(entities.slice(i, i + 500));
+    }
+  }
+
   /**
    * Reads the model data from the data store
    * @param {string} testId The ID of the test
@@ -88,6 +122,7 @@ export class TestComponentModel extends BaseModel {
    * @param {string} component The name of the component associated with the test (scope + name)
    * @param {TestReport} report The name of the component associated with the test
    * @return {Promise<void>}
+   * @throws {Error} With the `409` code when the component test is not running.
    */
   async updateComponent(testId, component, report) {
     const transaction = this.store.transaction();
@@ -96,6 +131,7 @@ export class TestComponentModel extends BaseModel {
       await transaction.run();
       const data = await transaction.get(key);
       const entity = /** @type TestComponentEntity */ (data[0]);
+      this._ensureRunning(entity);
       let status = report.error ? 'failed' : 'passed';
       if (!report.error && report.failed) {
         status = 'failed';
@@ -106,11 +142,13 @@ export class TestComponentModel extends BaseModel {
       entity.failed = report.failed;
       entity.skipped = report.skipped;
       entity.hasLogs = !!report.results.length;
+      entity.endTime = Date.now();
       transaction.save({
         key,
         data: entity,
         excludeFromIndexes: excludedIndexes,
       });
+      this._saveLatestResult(transaction, testId, entity);
       await transaction.commit();
     } catch (cause) {
       transaction.rollback();
@@ -125,6 +163,7 @@ export class TestComponentModel extends BaseModel {
    * @param {string} component The name of the component associated with the test (scope + name)
    * @param {string} message Error message
    * @return {Promise<void>}
+   * @throws {Error} With the `409` code when the component test is not running.
    */
   async updateComponentError(testId, component, message) {
     const transaction = this.store.transaction();
@@ -133,21 +172,86 @@ export class TestComponentModel extends BaseModel {
       await transaction.run();
       const data = await transaction.get(key);
       const entity = /** @type TestComponentEntity */ (data[0]);
+      this._ensureRunning(entity);
       entity.status = 'failed';
       entity.error = true;
       entity.hasLogs = false;
       entity.message = message;
+      entity.endTime = Date.now();
       transaction.save({
         key,
         data: entity,
         excludeFromIndexes: excludedIndexes,
       });
+      this._saveLatestResult(transaction, testId, entity);
       await transaction.commit();
     } catch (cause) {
       transaction.rollback();
+      throw cause;
+    }
+  }
+
+  /**
+   * Throws when the component test is not running so the result of the test is reported only once.
+   * @param {TestComponentEntity} entity The component test
+   * @throws {Error} With the `404` code when the component test does not exist
+   * or with the `409` code when it is not running.
+   */
+  _ensureRunning(entity) {
+    if (!entity) {
+      const error = new Error('Test component not found');
+      // @ts-ignore
+      error.code = 404;
+      throw error;
+    }
+    if (entity.status !== 'running') {
+      const error = new Error(`The component test is ${entity.status}, not running`);
+      // @ts-ignore
+      error.code = 409;
+      throw error;
     }
   }
 
+  /**
+   * Stores the result of a component test as the latest test result of the component.
+   * @param {Transaction} transaction Datastore transaction
+   * @param {string} testId The ID of the test
+   * @param {TestComponentEntity} entity The component test with the result
+   */
+  _saveLatestResult(transaction, testId, entity) {
+    const { component, status, endTime } = entity;
+    const data = /** @type TestComponentResultEntity */ ({
+      component,
+      testId,
+      status,
+      endTime,
+    });
+    ['total', 'success', 'failed', 'skipped', 'error', 'message'].forEach((prop) => {
+      if (typeof entity[prop] !== 'undefined') {
+        data[prop] = entity[prop];
+      }
+    });
+    transaction.save({
+      key: this.createComponentTestResultKey(component),
+      data,
+      excludeFromIndexes: resultExcludedIndexes,
+    });
+  }
+
+  /**
+   * Reads the latest test result of a component.
+   * @param {string} component The name of the component (scope + name)
+   * @return {Promise<TestComponentResultEntity|null>}
+   */
+  async getLatestResult(component) {
+    const key = this.createComponentTestResultKey(component);
+    const [existing] = await this.store.get(key);
+    if (existing) {
+      return this.fromDatastore(existing);
+    }
+    return null;
+  }
+
   /**
    * Lists component tests
    * @param {string} testId The ID of the test
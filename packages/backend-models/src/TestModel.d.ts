@@ -1,4 +1,6 @@
 import { BaseModel, Entity, QueryResult, QueryOptions } from './BaseModel.js';
+import { DependencyModel } from './DependencyModel.js';
+import { TestComponentModel } from './TestComponentModel.js';
 import { TestReport } from './types/TestReport';
 import { entity } from '@google-cloud/datastore/build/src/entity';
 import { Transaction } from '@google-cloud/datastore';
@@ -26,6 +28,8 @@ export class TestModel extends BaseModel {
    * @return Model properties excluded from indexes
    */
   readonly excludedIndexes: string[];
+  dependencyModel: DependencyModel;
+  testComponentModel: TestComponentModel;
 
   /**
    * Lists test scheduled in the data store.
@@ -44,6 +48,8 @@ export class TestModel extends BaseModel {
 
   /**
    * Insets a test to the data store.
+   * It resolves the components that depend on the tested component, stores the list
+   * on the test, and creates the "queued" component tests.
    * NOTE, it won't schedule a test in the corresponding background application.
    *
    * @param info Entity description
@@ -51,6 +57,17 @@ export class TestModel extends BaseModel {
    */
   insertBottomUp(info: BottomUpTest): Promise<string>;
 
+  /**
+   * Reads the name of a component from the GitHub repository URL.
+   * Components are published under the scope that is the name of the GitHub organization
+   * so the `git@github.com:advanced-rest-client/arc-icons.git` repository
+   * is the `@advanced-rest-client/arc-icons` component.
+   *
+   * @param repository The ssh or http uri to the repository
+   * @returns The name of the component (scope + name) or undefined when not a GitHub repository.
+   */
+  readRepositoryComponent(repository: string): string|undefined;
+
   /**
    * Insets a test to the data store.
    * NOTE, it won't schedule a test in the corresponding background application.
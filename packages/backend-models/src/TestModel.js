@@ -1,5 +1,7 @@
 import { v4 } from 'uuid';
 import { BaseModel } from './BaseModel.js';
+import { DependencyModel } from './DependencyModel.js';
+import { TestComponentModel } from './TestComponentModel.js';
 
 /** @typedef {import('@google-cloud/datastore/build/src/entity').entity.Key} Key */
 /** @typedef {import('@google-cloud/datastore').Transaction} Transaction */
@@ -20,6 +22,8 @@ export class TestModel extends BaseModel {
    */
   constructor() {
     super('api-components-tests');
+    this.dependencyModel = new DependencyModel();
+    this.testComponentModel = new TestComponentModel();
   }
 
   /**
@@ -33,6 +37,8 @@ export class TestModel extends BaseModel {
       'passed',
       'failed',
       'repository',
+      'component',
+      'components[]',
       'includeDev',
       'amfBranch',
       'error',
@@ -85,6 +91,9 @@ export class TestModel extends BaseModel {
 
   /**
    * Inserts a test that is a "bottom-up" test.
+   * It resolves the components that depend on the tested component, stores the list
+   * on the test, and creates the "queued" component tests.
+   *
    * @param {BottomUpTest} info The create object
    * @return {Promise<string>} A promise resolved to the generated test id.
    */
@@ -126,14 +135,54 @@ export class TestModel extends BaseModel {
         excludeFromIndexes: true,
       });
     }
+    const component = info.component || this.readRepositoryComponent(info.repository);
+    let components = [];
+    if (component) {
+      components = await this.dependencyModel.listAllParentComponents(component, !!info.includeDev);
+      results.push({
+        name: 'component',
+        value: component,
+        excludeFromIndexes: true,
+      });
+    }
+    results.push({
+      name: 'components',
+      // @ts-ignore
+      value: components,
+      excludeFromIndexes: true,
+    });
+    // @ts-ignore
+    results.push({
+      name: 'size',
+      value: components.length,
+      excludeFromIndexes: true,
+    });
     const entity = {
       key,
       data: results,
     };
     await this.store.upsert(entity);
+    await this.testComponentModel.queue(keyName, components);
     return keyName;
   }
 
+  /**
+   * Reads the name of a component from the GitHub repository URL.
+   * Components are published under the scope that is the name of the GitHub organization
+   * so the `git@github.com:advanced-rest-client/arc-icons.git` repository
+   * is the `@advanced-rest-client/arc-icons` component.
+   *
+   * @param {string} repository The ssh or http uri to the repository
+   * @return {string|undefined} The name of the component (scope + name) or undefined when not a GitHub repository.
+   */
+  readRepositoryComponent(repository) {
+    const match = /github\.com[:/]([^/]+)\/([^/]+?)(?:\.git)?\/?$/.exec(String(repository || ''));
+    if (!match) {
+      return;
+    }
+    return `@${match[1]}/${match[2]}`.toLowerCase();
+  }
+
   /**
    * Inserts a test that is a "bottom-up" test.
    * @param {AmfTest} info The create object
@@ -188,13 +237,19 @@ export class TestModel extends BaseModel {
   async resetTest(testId) {
     const transaction = this.store.transaction();
     const key = this.createTestKey(testId);
+    let components = /** @type string[] */ ([]);
     try {
       await transaction.run();
       const [entity] = await transaction.get(key);
       entity.status = 'queued';
       delete entity.passed;
       delete entity.failed;
-      delete entity.size;
+      if (Array.isArray(entity.components)) {
+        ({ components } = entity);
+        entity.size = components.length;
+      } else {
+        delete entity.size;
+      }
       delete entity.started;
       delete entity.ended;
       delete entity.error;
@@ -211,6 +266,7 @@ export class TestModel extends BaseModel {
       transaction.rollback();
       throw e;
     }
+    await this.testComponentModel.queue(testId, components);
   }
 
   /**
@@ -26,6 +26,14 @@ export declare interface TokenInfo {
    * Token issuer.
    */
   iss: string;
+  /**
+   * The organizations the token is limited to.
+   */
+  orgs?: string[];
+  /**
+   * The components the token is limited to.
+   */
+  components?: string[];
 }
 
 export declare interface TokenIssuer {
@@ -46,6 +54,14 @@ export declare interface EditableToken {
    * List of scopes the token has.
    */
   scopes: string[];
+  /**
+   * When set the token can only access resources of these organizations.
+   */
+  orgs?: string[];
+  /**
+   * When set the token can only access resources of these components.
+   */
+  components?: string[];
 }
 
 export declare interface TokenEntity extends EditableToken, Entity {
@@ -69,6 +85,48 @@ export declare interface TokenEntity extends EditableToken, Entity {
    * Whether the token is expired.
    */
   expired?: boolean;
+  /**
+   * The timestamp of the last use of the token.
+   */
+  lastUsed?: number;
+  /**
+   * The number of times the token was used.
+   */
+  useCount?: number;
+  /**
+   * The IP address of the client that used the token last time.
+   */
+  lastIp?: string;
+  /**
+   * The user agent of the client that used the token last time.
+   */
+  lastUserAgent?: string;
+  /**
+   * The timestamp after which the token is revoked. Set when the token was rotated.
+   */
+  revokeAt?: number;
+  /**
+   * The id of the token that replaced this token.
+   */
+  replacedBy?: string;
+  /**
+   * The id of the token replaced by this token.
+   */
+  replaces?: string;
+}
+
+/**
+ * The client that used a token.
+ */
+export declare interface TokenUsage {
+  /**
+   * The IP address of the client.
+   */
+  ip?: string;
+  /**
+   * The user agent of the client.
+   */
+  userAgent?: string;
 }
 
 export declare interface TokenQueryResult extends QueryResult<TokenEntity> {}
@@ -81,10 +139,22 @@ export declare interface TokenQueryOptions extends QueryOptions {}
 export class TokenModel extends BaseModel {
   constructor();
 
+  /**
+   * The number of tokens read in a single query when revoking unused tokens.
+   * The data store accepts up to 500 mutations in a single commit.
+   */
+  revokePageSize: number;
+
   /**
    * Model properties excluded from indexes
    */
   readonly excludedIndexesToken: string[];
+
+  /**
+   * The minimum number of milliseconds between writes of the token usage.
+   * Read from the `TOKEN_USAGE_WRITE_INTERVAL` configuration option (in seconds).
+   */
+  readonly usageWriteInterval: number;
   /**
    * Finds a token in the data store.
    * @param token token
@@ -113,9 +183,10 @@ export class TokenModel extends BaseModel {
    * @param tokenInfo Decrypted token info
    * @param token The token
    * @param name Optional name for the token
+   * @param replaces The id of the token replaced by this token when rotating a token.
    * @returns Promise resolved to the token object.
    */
-  create(user: UserEntity, tokenInfo: object, token: string, name?: string): Promise<TokenEntity>;
+  create(user: UserEntity, tokenInfo: object, token: string, name?: string, replaces?: string): Promise<TokenEntity>;
 
   /**
    * Sets `revoked` status on a token.
@@ -129,4 +200,65 @@ export class TokenModel extends BaseModel {
    * @param tokenId
    */
   delete(userId: string, tokenId: string): Promise<void>;
+
+  /**
+   * Reads all tokens issued by a user.
+   * @param userId Owner id
+   * @returns The raw data store entities.
+   */
+  _listAll(userId: string): Promise<object[]>;
+
+  /**
+   * Sets `revoked` status on all tokens issued by a user.
+   * @param userId Owner id
+   */
+  revokeAll(userId: string): Promise<void>;
+
+  /**
+   * Schedules revocation of a token replaced by another token.
+   * The token is revoked immediately when the time has passed.
+   * When `replacedBy` is set the call fails with a 400 error when the token has already been replaced,
+   * so concurrent rotations of the same token cannot both succeed.
+   *
+   * @param userId Owner id
+   * @param tokenId Token id
+   * @param time The timestamp after which the token is revoked.
+   * @param replacedBy The id of the token that replaces this token.
+   * @returns The updated token or null when the token does not exist.
+   */
+  scheduleRevoke(userId: string, tokenId: string, time: number, replacedBy?: string): Promise<TokenEntity|null>;
+
+  /**
+   * @param token The token read from the data store.
+   * @returns True when the token was revoked or its scheduled revocation time has passed.
+   */
+  isRevoked(token: TokenEntity): boolean;
+
+  /**
+   * Removes all tokens issued by a user.
+   * @param userId Owner id
+   */
+  deleteAll(userId: string): Promise<void>;
+
+  /**
+   * Records the use of a token.
+   * To limit the number of writes to the data store the usage is written at most once
+   * in the `usageWriteInterval`. Uses in between are counted in memory and added to the
+   * `useCount` with the next write.
+   *
+   * @param token The token read from the data store.
+   * @param usage The client that used the token.
+   * @returns True when the usage was written to the data store.
+   */
+  recordUsage(token: TokenEntity, usage?: TokenUsage): Promise<boolean>;
+
+  /**
+   * Sets `revoked` status on all tokens that were not used for the number of days.
+   * Tokens that were never used are revoked when they were created before that time.
+   * Tokens are read in pages of `revokePageSize` tokens.
+   *
+   * @param days The number of days of inactivity after which a token is revoked.
+   * @returns The number of revoked tokens.
+   */
+  revokeUnused(days: number): Promise<number>;
 }
@@ -1,4 +1,5 @@
 import { v4 } from 'uuid';
+import config from '@advanced-rest-client/backend-config';
 import { BaseModel } from './BaseModel.js';
 
 /** @typedef {import('./TokenModel').TokenEntity} TokenEntity */
@@ -7,6 +8,12 @@ import { BaseModel } from './BaseModel.js';
 /** @typedef {import('./TokenModel').TokenQueryOptions} TokenQueryOptions */
 /** @typedef {import('./UserModel').UserEntity} UserEntity */
 /** @typedef {import('./TokenModel').TokenInfo} TokenInfo */
+/** @typedef {import('./TokenModel').TokenUsage} TokenUsage */
+
+/**
+ * The number of uses of a token not yet written to the data store, keyed by the token id.
+ */
+const pendingUses = new Map();
 
 /**
  * A model representing user created authentication model
@@ -17,13 +24,29 @@ export class TokenModel extends BaseModel {
    */
   constructor() {
     super('api-components-users');
+    /**
+     * The number of tokens read in a single query when revoking unused tokens.
+     * The data store accepts up to 500 mutations in a single commit.
+     * @type {number}
+     */
+    this.revokePageSize = 500;
   }
 
   /**
    * @return {string[]} Model properties excluded from indexes
    */
   get excludedIndexesToken() {
-    return ['name', 'expires', 'issuer', 'scopes', 'revoked'];
+    return [
+      'name', 'expires', 'issuer', 'scopes', 'revoked', 'orgs[]', 'components[]',
+      'lastUsed', 'useCount', 'lastIp', 'lastUserAgent', 'revokeAt', 'replacedBy', 'replaces',
+    ];
+  }
+
+  /**
+   * @return {number} The minimum number of milliseconds between writes of the token usage.
+   */
+  get usageWriteInterval() {
+    return Number(config.get('TOKEN_USAGE_WRITE_INTERVAL') || 0) * 1000;
   }
 
   /**
@@ -32,9 +55,10 @@ export class TokenModel extends BaseModel {
    * @param {TokenInfo} tokenInfo Decrypted token info
    * @param {string} token The token
    * @param {string=} name Optional name for the token
+   * @param {string=} replaces The id of the token replaced by this token when rotating a token.
    * @return {Promise<TokenEntity>} Promise resolved to the token object.
    */
-  async create(user, tokenInfo, token, name) {
+  async create(user, tokenInfo, token, name, replaces) {
     const id = v4();
     const key = this.createUserTokenKey(user.id, id);
 
@@ -68,6 +92,16 @@ export class TokenModel extends BaseModel {
         excludeFromIndexes: false,
       },
     ];
+    ['orgs', 'components'].forEach((property) => {
+      const value = tokenInfo[property];
+      if (Array.isArray(value) && value.length) {
+        results[results.length] = {
+          name: property,
+          value,
+          excludeFromIndexes: true,
+        };
+      }
+    });
     if (tokenInfo.exp) {
       results[results.length] = {
         name: 'expires',
@@ -82,6 +116,13 @@ export class TokenModel extends BaseModel {
         excludeFromIndexes: true,
       };
     }
+    if (replaces) {
+      results[results.length] = {
+        name: 'replaces',
+        value: replaces,
+        excludeFromIndexes: true,
+      };
+    }
     const entity = {
       key,
       data: results,
@@ -174,6 +215,65 @@ export class TokenModel extends BaseModel {
     }
   }
 
+  /**
+   * Schedules revocation of a token replaced by another token.
+   * The token is revoked immediately when the time has passed.
+   * When `replacedBy` is set the call fails with a 400 error when the token has already been replaced,
+   * so concurrent rotations of the same token cannot both succeed.
+   *
+   * @param {string} userId Owner id
+   * @param {string} tokenId Token id
+   * @param {number} time The timestamp after which the token is revoked.
+   * @param {string=} replacedBy The id of the token that replaces this token.
+   * @return {Promise<TokenEntity|null>} The updated token or null when the token does not exist.
+   */
+  async scheduleRevoke(userId, tokenId, time, replacedBy) {
+    const transaction = this.store.transaction();
+    const key = this.createUserTokenKey(userId, tokenId);
+    try {
+      await transaction.run();
+      const [token] = await transaction.get(key);
+      if (!token) {
+        await transaction.rollback();
+        return null;
+      }
+      if (replacedBy && token.replacedBy) {
+        const error = new Error('Token has already been rotated');
+        // @ts-ignore
+        error.code = 400;
+        throw error;
+      }
+      token.revokeAt = time;
+      if (time <= Date.now()) {
+        token.revoked = true;
+      }
+      if (replacedBy) {
+        token.replacedBy = replacedBy;
+      }
+      transaction.save({
+        key,
+        data: token,
+        excludeFromIndexes: this.excludedIndexesToken,
+      });
+      await transaction.commit();
+    } catch (e) {
+      transaction.rollback();
+      throw e;
+    }
+    return this.get(userId, tokenId);
+  }
+
+  /**
+   * @param {TokenEntity} token The token read from the data store.
+   * @return {boolean} True when the token was revoked or its scheduled revocation time has passed.
+   */
+  isRevoked(token) {
+    if (token.revoked) {
+      return true;
+    }
+    return !!token.revokeAt && token.revokeAt <= Date.now();
+  }
+
   /**
    * Removes a token from the data store
    * @param {string} userId
@@ -184,4 +284,141 @@ export class TokenModel extends BaseModel {
     const key = this.createUserTokenKey(userId, tokenId);
     await this.store.delete(key);
   }
+
+  /**
+   * Reads all tokens issued by a user.
+   * @param {string} userId Owner id
+   * @return {Promise<object[]>} The raw data store entities.
+   */
+  async _listAll(userId) {
+    const ancestorKey = this.createUserKey(userId);
+    const query = this.store.createQuery(this.namespace, this.tokenKind).hasAncestor(ancestorKey);
+    const [entities] = await this.store.runQuery(query);
+    return entities;
+  }
+
+  /**
+   * Sets `revoked` status on all tokens issued by a user.
+   * @param {string} userId Owner id
+   * @return {Promise<void>}
+   */
+  async revokeAll(userId) {
+    const tokens = await this._listAll(userId);
+    const entities = tokens.filter((item) => !item.revoked).map((item) => ({
+      key: item[this.store.KEY],
+      data: { ...item, revoked: true },
+      excludeFromIndexes: this.excludedIndexesToken,
+    }));
+    // the data store accepts up to 500 mutations in a single commit.
+    for (let i = 0; i < entities.length; i += 500) {
+      await this.store.upsert(entities.slice(i, i + 500));
+    }
+  }
+
+  /**
+   * Removes all tokens issued by a user.
+   * @param {string} userId Owner id
+   * @return {Promise<void>}
+   */
+  async deleteAll(userId) {
+    const tokens = await this._listAll(userId);
+    const keys = tokens.map((item) => item[this.store.KEY]);
+    // the data store accepts up to 500 mutations in a single commit.
+    for (let i = 0; i < keys.length; i += 500) {
+      await this.store.delete(keys.slice(i, i + 500));
+    }
+  }
+
+  /**
+   * Records the use of a token.
+   * To limit the number of writes to the data store the usage is written at most once
+   * in the `usageWriteInterval`. Uses in between are counted in memory and added to the
+   * `useCount` with the next write.
+   *
+   * @param {TokenEntity} token The token read from the data store.
+   * @param {TokenUsage=} usage The client that used the token.
+   * @return {Promise<boolean>} True when the usage was written to the data store.
+   */
+  async recordUsage(token, usage={}) {
+    const now = Date.now();
+    const uses = (pendingUses.get(token.id) || 0) + 1;
+    if (token.lastUsed && now - token.lastUsed < this.usageWriteInterval) {
+      pendingUses.set(token.id, uses);
+      return false;
+    }
+    pendingUses.delete(token.id);
+    const key = this.createUserTokenKey(token.issuer.id, token.id);
+    const transaction = this.store.transaction();
+    try {
+      await transaction.run();
+      const [entity] = await transaction.get(key);
+      if (!entity) {
+        await transaction.rollback();
+        return false;
+      }
+      entity.lastUsed = now;
+      entity.useCount = (entity.useCount || 0) + uses;
+      if (usage.ip) {
+        entity.lastIp = usage.ip;
+      }
+      if (usage.userAgent) {
+        entity.lastUserAgent = String(usage.userAgent).substr(0, 512);
+      }
+      transaction.save({
+        key,
+        data: entity,
+        excludeFromIndexes: this.excludedIndexesToken,
+      });
+      await transaction.commit();
+    } catch (e) {
+      transaction.rollback();
+      throw e;
+    }
+    return true;
+  }
+
+  /**
+   * Sets `revoked` status on all tokens that were not used for the number of days.
+   * Tokens that were never used are revoked when they were created before that time.
+   *
+   * The `revoked` property is not indexed once a token is updated, so the query
+   * reads tokens by the indexed `created` property. A token not used since the threshold
+   * was created before it.
+   *
+   * Tokens are read in pages of `revokePageSize` tokens.
+   *
+   * @param {number} days The number of days of inactivity after which a token is revoked.
+   * @return {Promise<number>} The number of revoked tokens.
+   */
+  async revokeUnused(days) {
+    const threshold = Date.now() - days * 24 * 60 * 60 * 1000;
+    let revoked = 0;
+    let pageToken;
+    do {
+      let query = this.store.createQuery(this.namespace, this.tokenKind);
+      query = query.filter('created', '<', threshold);
+      query = query.limit(this.revokePageSize);
+      if (pageToken) {
+        query = query.start(pageToken);
+      }
+      const [tokens, queryInfo] = await this.store.runQuery(query);
+      const entities = [];
+      for (const item of tokens) {
+        if (item.revoked || (item.lastUsed || item.created) >= threshold) {
+          continue;
+        }
+        entities.push({
+          key: item[this.store.KEY],
+          data: { ...item, revoked: true },
+          excludeFromIndexes: this.excludedIndexesToken,
+        });
+      }
+      if (entities.length) {
+        await this.store.upsert(entities);
+        revoked += entities.length;
+      }
+      pageToken = queryInfo.moreResults !== this.NO_MORE_RESULTS ? queryInfo.endCursor : undefined;
+    } while (pageToken);
+    return revoked;
+  }
 }
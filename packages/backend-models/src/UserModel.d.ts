@@ -1,5 +1,7 @@
 import { BaseModel, Entity, QueryResult, QueryOptions } from './BaseModel.js';
 import { PassportProfile, Email } from './types/PassportProfile';
+import { RegistryModel, RegistryLists } from './RegistryModel';
+import { TokenModel } from './TokenModel';
 
 export declare interface UserEntity extends Entity {
   /**
@@ -18,6 +20,14 @@ export declare interface UserEntity extends Entity {
    * Whether the user accepted terms of service
    */
   tos: boolean;
+  /**
+   * The version of the accepted terms of service.
+   */
+  tosVersion?: string;
+  /**
+   * The timestamp when the user accepted the terms of service.
+   */
+  tosAccepted?: number;
   /**
    * OAuth refresh token, if received.
    */
@@ -27,6 +37,51 @@ export declare interface UserEntity extends Entity {
    * Might be not set for entries created in the previous version of the system.
    */
   email?: string;
+  /**
+   * Whether the user is an administrator of the CI.
+   */
+  superUser?: boolean;
+  /**
+   * The `orgUser` role set by an administrator.
+   * When set the role is not computed from the verified emails when the user logs in.
+   */
+  orgUserGrant?: boolean;
+  /**
+   * The `superUser` role set by an administrator.
+   * When set the role is not granted from the `ADMIN_EMAILS` configuration when the user logs in.
+   */
+  superUserGrant?: boolean;
+  /**
+   * Whether the user account is disabled.
+   * Disabled users cannot log in and their tokens are revoked.
+   */
+  disabled?: boolean;
+  /**
+   * The timestamp of the last login of the user.
+   */
+  lastLogin?: number;
+  /**
+   * The ids of the identities in OAuth providers linked with the user.
+   * Google identities are not prefixed, other identities are `{provider}:{id}` values.
+   */
+  identities?: string[];
+  /**
+   * The list of lowercase verified emails received from all providers of the user.
+   */
+  verifiedEmails?: string[];
+  /**
+   * The verified emails received from the providers as `{provider}:{email}` values.
+   */
+  providerEmails?: string[];
+}
+
+/**
+ * The properties of a user that can be changed by an administrator.
+ */
+export declare interface UserUpdate {
+  orgUser?: boolean;
+  superUser?: boolean;
+  disabled?: boolean;
 }
 
 export declare interface UserQueryResult extends QueryResult<UserEntity> {}
@@ -45,9 +100,19 @@ export class UserModel extends BaseModel {
   readonly excludedIndexes: string[];
 
   /**
-   * Allowed registration domain.
+   * The current version of the terms of service. Empty when not configured.
    */
-  readonly orgDomains: string[];
+  readonly tosVersion: string;
+
+  /**
+   * The registry of trusted email domains and addresses.
+   */
+  registryModel: RegistryModel;
+
+  /**
+   * The model of the tokens issued by users.
+   */
+  tokenModel: TokenModel;
 
   /**
    * Lookups and returns user object.
@@ -61,18 +126,33 @@ export class UserModel extends BaseModel {
    * is organization user and therefore has create rights.
    *
    * @param emails List of emails received from the OAuth response.
+   * @param registry Trusted email domains and addresses.
    * @returns Whether the user is allowed organization user
    */
-  _processUserPermissions(emails: Email[]): boolean;
+  _processUserPermissions(emails: Email[], registry: RegistryLists): boolean;
 
-  _extractEmail(emails: Email[]): string|null;
+  /**
+   * Extracts user email for the profile from the profile emails received from oauth.
+   * A trusted email is preferred over other emails.
+   *
+   * @param emails List of emails received from the OAuth response.
+   * @param registry Trusted email domains and addresses.
+   */
+  _extractEmail(emails: Email[], registry: RegistryLists): string|null;
+
+  /**
+   * @param email The email of the user
+   * @returns True when the email is in the `ADMIN_EMAILS` configuration.
+   */
+  _isAdminEmail(email: string|null): boolean;
 
   /**
    * Extracts profile information from OAuth2 response.
    * @param profile Profile data returned by Passport.
+   * @param registry Trusted email domains and addresses.
    * @returns User model
    */
-  extractOauthProfile(profile: PassportProfile): UserEntity;
+  extractOauthProfile(profile: PassportProfile, registry: RegistryLists): UserEntity;
 
   /**
    * Creates a user.
@@ -89,4 +169,113 @@ export class UserModel extends BaseModel {
    * @returns Promise resolved to user profile info.
    */
   findOrCreateUser(profile: PassportProfile, refreshToken?: string): Promise<UserEntity>;
+
+  /**
+   * @param emails List of emails received from the OAuth response.
+   * @returns Lowercase emails that were marked as verified by the provider.
+   */
+  _verifiedEmails(emails: Email[]): string[];
+
+  /**
+   * Creates the id of the user's identity in the OAuth provider.
+   * Google identities are not prefixed as the users registered with Google
+   * before other providers were supported use Google's id as the user id.
+   *
+   * @param profile Profile data returned by Passport.
+   */
+  identityId(profile: PassportProfile): string;
+
+  /**
+   * Replaces the emails of the provider in the list of emails received from all
+   * providers of the user.
+   *
+   * @param providerEmails Stored emails as `{provider}:{email}` values.
+   * @param profile Profile data returned by Passport.
+   * @returns Updated `{provider}:{email}` values.
+   */
+  _mergeProviderEmails(providerEmails: string[]|undefined, profile: PassportProfile): string[];
+
+  /**
+   * @param providerEmails Emails as `{provider}:{email}` values.
+   * @returns The list of unique verified emails of the user.
+   */
+  _readVerifiedEmails(providerEmails: string[]): string[];
+
+  /**
+   * Finds the first user with a property value.
+   * @param name The name of the indexed property
+   * @param value The value to search for
+   */
+  _findByProperty(name: string, value: string): Promise<UserEntity|null>;
+
+  /**
+   * Finds the user for the profile received from an OAuth provider.
+   * The user is the one registered with this identity, or the one that has linked this identity,
+   * or the one that has one of the profile's verified emails. The last case links a new identity
+   * with an existing account.
+   *
+   * @param profile Profile data returned by Passport.
+   */
+  findUser(profile: PassportProfile): Promise<UserEntity|null>;
+
+  /**
+   * Updates the stored user with the profile received from the OAuth provider
+   * and records the login time. The identity is linked with the user when it wasn't linked before.
+   * The `orgUser` role is computed again from the verified emails received from all
+   * providers the user has logged in with. When the user loses the role all user tokens are revoked.
+   * Roles set by an administrator with `update()` are kept and are not computed from the emails.
+   *
+   * @param profile Response from OAuth authentication from Passport.
+   * @param refreshToken OAuth refresh token. When not set the stored token is kept.
+   * @param userId The id of the user. Defaults to the id of the profile's identity.
+   * @returns The updated user or null when the user does not exist.
+   */
+  refreshProfile(profile: PassportProfile, refreshToken?: string, userId?: string): Promise<UserEntity|null>;
+
+  /**
+   * Updates the profile of an existing user or creates a new user when the user logs in.
+   * An identity of a new provider is linked with an existing user by a verified email.
+   *
+   * @param profile Response from OAuth authentication from Passport.
+   * @param refreshToken OAuth refresh token. Not required.
+   * @returns Promise resolved to user profile info.
+   */
+  loginUser(profile: PassportProfile, refreshToken?: string): Promise<UserEntity>;
+
+  /**
+   * Lists users of the system.
+   * @param opts Query options
+   */
+  list(opts?: UserQueryOptions): Promise<UserQueryResult>;
+
+  /**
+   * Updates roles and the status of a user.
+   * The roles set here are kept when the user logs in again.
+   * When the user gets disabled all user tokens are revoked.
+   *
+   * @param id User ID.
+   * @param info The properties to change.
+   * @returns The updated user or null when the user does not exist.
+   */
+  update(id: string, info: UserUpdate): Promise<UserEntity|null>;
+
+  /**
+   * Removes a user and all tokens issued by the user.
+   * @param id User ID.
+   */
+  delete(id: string): Promise<void>;
+
+  /**
+   * Records acceptance of the terms of service.
+   * @param id User ID.
+   * @param version The version of the accepted terms of service.
+   * @returns The updated user or null when the user does not exist.
+   */
+  acceptTos(id: string, version: string): Promise<UserEntity|null>;
+
+  /**
+   * Checks whether the user accepted the current version of the terms of service.
+   * When the version is not configured any acceptance is valid.
+   */
+  hasAcceptedTos(user: UserEntity): boolean;
 }
@@ -1,11 +1,16 @@
+import config from '@advanced-rest-client/backend-config';
 import { BaseModel } from './BaseModel.js';
+import { RegistryModel } from './RegistryModel.js';
+import { TokenModel } from './TokenModel.js';
 
 /** @typedef {import('@google-cloud/datastore/build/src/entity').entity.Key} Key */
 /** @typedef {import('./types/PassportProfile').PassportProfile} PassportProfile */
 /** @typedef {import('./types/PassportProfile').Email} Email */
 /** @typedef {import('./UserModel').UserEntity} UserEntity */
-
-const externalEmails = ['jarrodek@gmail.com'];
+/** @typedef {import('./UserModel').UserQueryOptions} UserQueryOptions */
+/** @typedef {import('./UserModel').UserQueryResult} UserQueryResult */
+/** @typedef {import('./UserModel').UserUpdate} UserUpdate */
+/** @typedef {import('./RegistryModel').RegistryLists} RegistryLists */
 
 /**
  * Model representing an User in the system.
@@ -16,20 +21,25 @@ export class UserModel extends BaseModel {
    */
   constructor() {
     super('api-components-users');
+    this.registryModel = new RegistryModel();
+    this.tokenModel = new TokenModel();
   }
 
   /**
    * @return {string[]} Model properties excluded from indexes
    */
   get excludedIndexes() {
-    return ['displayName', 'orgUser', 'superUser', 'imageUrl', 'email'];
+    return [
+      'displayName', 'orgUser', 'superUser', 'imageUrl', 'email', 'tos', 'tosVersion', 'tosAccepted',
+      'refreshToken', 'disabled', 'lastLogin', 'providerEmails[]', 'orgUserGrant', 'superUserGrant',
+    ];
   }
 
   /**
-   * @return {string[]} Allowed registration domain.
+   * @return {string} The current version of the terms of service. Empty when not configured.
    */
-  get orgDomains() {
-    return ['@mulesoft.com', '@salesforce.com'];
+  get tosVersion() {
+    return String(config.get('TOS_VERSION') || '');
   }
 
   /**
@@ -55,74 +65,117 @@ export class UserModel extends BaseModel {
    * is organization user and therefore has create rights.
    *
    * @param {Email[]} emails List of emails received from the OAuth response.
+   * @param {RegistryLists} registry Trusted email domains and addresses.
    * @return {boolean} Whether the user is allowed organization user
    */
-  _processUserPermissions(emails) {
+  _processUserPermissions(emails, registry) {
     if (!Array.isArray(emails)) {
       return false;
     }
-    let orgUser = false;
-    const domains = this.orgDomains;
-    for (let i = 0; i < emails.length; i++) {
-      if (orgUser) {
-        break;
-      }
-      const info = emails[i];
-      if (!info || !info.value) {
-        continue;
-      }
-      if (externalEmails.indexOf(info.value) !== -1) {
-        orgUser = true;
-        break;
-      }
-      for (let j = 0, jLen = domains.length; j < jLen; j++) {
-        if (info.value.indexOf(domains[j]) !== -1) {
-          orgUser = true;
-          break;
-        }
-      }
+    return this._verifiedEmails(emails).some((email) => this.registryModel.isTrustedEmail(email, registry));
+  }
+
+  /**
+   * @param {Email[]} emails List of emails received from the OAuth response.
+   * @return {string[]} Lowercase emails that were marked as verified by the provider.
+   */
+  _verifiedEmails(emails) {
+    if (!Array.isArray(emails)) {
+      return [];
     }
-    return orgUser;
+    const verified = emails.filter((info) => !!info && !!info.value && info.verified === true);
+    return verified.map((info) => String(info.value).toLowerCase());
   }
 
   /**
-   * Extracts user email for the profile from the profile emails received from oauth
-   * @param {Email[]} emails [description]
-   * @return {string|null} [description]
+   * Creates the id of the user's identity in the OAuth provider.
+   * Google identities are not prefixed as the users registered with Google
+   * before other providers were supported use Google's id as the user id.
+   *
+   * @param {PassportProfile} profile Profile data returned by Passport.
+   * @return {string}
    */
-  _extractEmail(emails) {
+  identityId(profile) {
+    const { provider='google', id } = profile;
+    if (provider === 'google') {
+      return id;
+    }
+    return `${provider}:${id}`;
+  }
+
+  /**
+   * Replaces the emails of the provider in the list of emails received from all
+   * providers of the user.
+   *
+   * @param {string[]|undefined} providerEmails Stored emails as `{provider}:{email}` values.
+   * @param {PassportProfile} profile Profile data returned by Passport.
+   * @return {string[]} Updated `{provider}:{email}` values.
+   */
+  _mergeProviderEmails(providerEmails, profile) {
+    const provider = profile.provider || 'google';
+    const prefix = `${provider}:`;
+    const result = (providerEmails || []).filter((item) => !item.startsWith(prefix));
+    this._verifiedEmails(profile.emails).forEach((email) => result.push(`${prefix}${email}`));
+    return result;
+  }
+
+  /**
+   * @param {string[]} providerEmails Emails as `{provider}:{email}` values.
+   * @return {string[]} The list of unique verified emails of the user.
+   */
+  _readVerifiedEmails(providerEmails) {
+    const emails = providerEmails.map((item) => item.substr(item.indexOf(':') + 1));
+    return Array.from(new Set(emails));
+  }
+
+  /**
+   * Extracts user email for the profile from the profile emails received from oauth.
+   * A trusted email is preferred over other emails.
+   *
+   * @param {Email[]} emails List of emails received from the OAuth response.
+   * @param {RegistryLists} registry Trusted email domains and addresses.
+   * @return {string|null} The email to store with the profile
+   */
+  _extractEmail(emails, registry) {
     if (!Array.isArray(emails)) {
       return null;
     }
-    const domains = this.orgDomains;
     let email;
     for (let i = 0; i < emails.length; i++) {
       const info = emails[i];
-      if (!info || !info.value) {
+      if (!info || !info.value || info.verified === false) {
         continue;
       }
       email = String(info.value);
-      if (externalEmails.indexOf(email) !== -1) {
+      if (this.registryModel.isTrustedEmail(email, registry)) {
         return email;
       }
-      for (let j = 0, jLen = domains.length; j < jLen; j++) {
-        if (info.value.indexOf(domains[j]) !== -1) {
-          return email;
-        }
-      }
     }
     return email || null;
   }
 
+  /**
+   * @param {string|null} email The email of the user
+   * @return {boolean} True when the email is in the `ADMIN_EMAILS` configuration.
+   */
+  _isAdminEmail(email) {
+    if (!email) {
+      return false;
+    }
+    const admins = String(config.get('ADMIN_EMAILS') || '').split(',').map((item) => item.trim().toLowerCase());
+    return admins.includes(email.toLowerCase());
+  }
+
   /**
    * Extracts profile information from OAuth2 response.
    * @param {PassportProfile} profile Profile data returned by Passport.
+   * @param {RegistryLists} registry Trusted email domains and addresses.
    * @return {UserEntity} User model
    */
-  extractOauthProfile(profile) {
+  extractOauthProfile(profile, registry) {
     const emails = profile.emails || [];
-    const orgUser = this._processUserPermissions(emails);
-    const email = this._extractEmail(emails);
+    const orgUser = this._processUserPermissions(emails, registry);
+    const email = this._extractEmail(emails, registry);
     let imageUrl = '';
     if (profile.photos && profile.photos.length) {
       imageUrl = profile.photos[0].value;
@@ -144,8 +197,9 @@ export class UserModel extends BaseModel {
    * @return {Promise<string>} A promise resolved to user id.
    */
   async createUser(profile, refreshToken) {
-    const id = profile.id;
-    const copy = this.extractOauthProfile(profile);
+    const id = this.identityId(profile);
+    const registry = await this.registryModel.getRegistry();
+    const copy = this.extractOauthProfile(profile, registry);
     const key = this.createUserKey(id);
     const results = [
       {
@@ -163,7 +217,30 @@ export class UserModel extends BaseModel {
         value: false,
         excludeFromIndexes: true,
       },
+      {
+        name: 'lastLogin',
+        value: Date.now(),
+        excludeFromIndexes: true,
+      },
+      {
+        name: 'identities',
+        value: [id],
+        excludeFromIndexes: false,
+      },
     ];
+    const providerEmails = this._mergeProviderEmails([], profile);
+    if (providerEmails.length) {
+      results[results.length] = {
+        name: 'providerEmails',
+        value: providerEmails,
+        excludeFromIndexes: true,
+      };
+      results[results.length] = {
+        name: 'verifiedEmails',
+        value: this._readVerifiedEmails(providerEmails),
+        excludeFromIndexes: false,
+      };
+    }
     if (refreshToken) {
       results[results.length] = {
         name: 'refreshToken',
@@ -185,6 +262,13 @@ export class UserModel extends BaseModel {
         excludeFromIndexes: true,
       };
     }
+    if (this._isAdminEmail(copy.email)) {
+      results[results.length] = {
+        name: 'superUser',
+        value: true,
+        excludeFromIndexes: true,
+      };
+    }
     const entity = {
       key,
       data: results,
@@ -207,4 +291,273 @@ export class UserModel extends BaseModel {
     }
     return user;
   }
+
+  /**
+   * Finds the first user with a property value.
+   * @param {string} name The name of the indexed property
+   * @param {string} value The value to search for
+   * @return {Promise<UserEntity|null>}
+   */
+  async _findByProperty(name, value) {
+    let query = this.store.createQuery(this.namespace, this.userKind);
+    query = query.filter(name, '=', value);
+    query = query.limit(1);
+    const [entities] = await this.store.runQuery(query);
+    if (entities && entities.length) {
+      return this.fromDatastore(entities[0]);
+    }
+    return null;
+  }
+
+  /**
+   * Finds the user for the profile received from an OAuth provider.
+   * The user is the one registered with this identity, or the one that has linked this identity,
+   * or the one that has one of the profile's verified emails. The last case links a new identity
+   * with an existing account.
+   *
+   * @param {PassportProfile} profile Profile data returned by Passport.
+   * @return {Promise<UserEntity|null>}
+   */
+  async findUser(profile) {
+    const identity = this.identityId(profile);
+    const registered = await this.get(identity);
+    if (registered) {
+      return registered;
+    }
+    const linked = await this._findByProperty('identities', identity);
+    if (linked) {
+      return linked;
+    }
+    const emails = this._verifiedEmails(profile.emails);
+    for (let i = 0; i < emails.length; i++) {
+      const user = await this._findByProperty('verifiedEmails', emails[i]);
+      if (user) {
+        return user;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Updates the stored user with the profile received from the OAuth provider
+   * and records the login time. The identity is linked with the user when it wasn't linked before.
+   * The `orgUser` role is computed again from the verified emails received from all
+   * providers the user has logged in with. When the user loses the role all user tokens are revoked.
+   * Roles set by an administrator with `update()` are kept and are not computed from the emails.
+   *
+   * @param {PassportProfile} profile Response from OAuth authentication from Passport.
+   * @param {string=} refreshToken OAuth refresh token. When not set the stored token is kept.
+   * @param {string=} userId The id of the user. Defaults to the id of the profile's identity.
+   * @return {Promise<UserEntity|null>} The updated user or null when the user does not exist.
+   */
+  async refreshProfile(profile, refreshToken, userId=this.identityId(profile)) {
+    const registry = await this.registryModel.getRegistry();
+    const copy = this.extractOauthProfile(profile, registry);
+    const identity = this.identityId(profile);
+    const key = this.createUserKey(userId);
+    const transaction = this.store.transaction();
+    let revoked = false;
+    try {
+      await transaction.run();
+      const [entity] = await transaction.get(key);
+      if (!entity) {
+        await transaction.rollback();
+        return null;
+      }
+      const identities = entity.identities || [userId];
+      if (!identities.includes(identity)) {
+        identities.push(identity);
+      }
+      entity.identities = identities;
+      const providerEmails = this._mergeProviderEmails(entity.providerEmails, profile);
+      const verifiedEmails = this._readVerifiedEmails(providerEmails);
+      if (providerEmails.length) {
+        entity.providerEmails = providerEmails;
+        entity.verifiedEmails = verifiedEmails;
+      } else {
+        delete entity.providerEmails;
+        delete entity.verifiedEmails;
+      }
+      const orgUser = typeof entity.orgUserGrant === 'boolean' ?
+        entity.orgUserGrant :
+        verifiedEmails.some((email) => this.registryModel.isTrustedEmail(email, registry));
+      revoked = !!entity.orgUser && !orgUser;
+      entity.displayName = copy.displayName;
+      entity.orgUser = orgUser;
+      entity.lastLogin = Date.now();
+      if (copy.imageUrl) {
+        entity.imageUrl = copy.imageUrl;
+      } else {
+        delete entity.imageUrl;
+      }
+      if (copy.email) {
+        entity.email = copy.email;
+      } else {
+        delete entity.email;
+      }
+      if (refreshToken) {
+        entity.refreshToken = refreshToken;
+      }
+      if (typeof entity.superUserGrant === 'boolean') {
+        entity.superUser = entity.superUserGrant;
+      } else if (this._isAdminEmail(copy.email)) {
+        entity.superUser = true;
+      }
+      transaction.save({
+        key,
+        data: entity,
+        excludeFromIndexes: this.excludedIndexes,
+      });
+      await transaction.commit();
+    } catch (e) {
+      transaction.rollback();
+      throw e;
+    }
+    if (revoked) {
+      await this.tokenModel.revokeAll(userId);
+    }
+    return this.get(userId);
+  }
+
+  /**
+   * Updates the profile of an existing user or creates a new user when the user logs in.
+   * An identity of a new provider is linked with an existing user by a verified email.
+   *
+   * @param {PassportProfile} profile Response from OAuth authentication from Passport.
+   * @param {string=} refreshToken OAuth refresh token. Not required.
+   * @return {Promise<UserEntity>} Promise resolved to user profile info.
+   */
+  async loginUser(profile, refreshToken) {
+    const user = await this.findUser(profile);
+    if (user) {
+      return this.refreshProfile(profile, refreshToken, user.id);
+    }
+    const id = await this.createUser(profile, refreshToken);
+    return this.get(id);
+  }
+
+  /**
+   * Lists users of the system.
+   * @param {UserQueryOptions=} [opts={}] Query options
+   * @return {Promise<UserQueryResult>}
+   */
+  async list(opts={}) {
+    const { limit=this.listLimit, pageToken } = opts;
+    let query = this.store.createQuery(this.namespace, this.userKind);
+    query = query.limit(limit);
+    if (pageToken) {
+      query = query.start(pageToken);
+    }
+    const [entitiesRaw, queryInfo] = await this.store.runQuery(query);
+    const entities = /** @type UserEntity[] */ (entitiesRaw.map(this.fromDatastore.bind(this)));
+    const newPageToken = queryInfo.moreResults !== this.NO_MORE_RESULTS ? queryInfo.endCursor : undefined;
+    return {
+      entities,
+      pageToken: newPageToken,
+    };
+  }
+
+  /**
+   * Updates roles and the status of a user.
+   * The roles set here are kept when the user logs in again.
+   * When the user gets disabled all user tokens are revoked.
+   *
+   * @param {string} id User ID.
+   * @param {UserUpdate} info The properties to change.
+   * @return {Promise<UserEntity|null>} The updated user or null when the user does not exist.
+   */
+  async update(id, info) {
+    const key = this.createUserKey(id);
+    const transaction = this.store.transaction();
+    try {
+      await transaction.run();
+      const [entity] = await transaction.get(key);
+      if (!entity) {
+        await transaction.rollback();
+        return null;
+      }
+      ['orgUser', 'superUser', 'disabled'].forEach((name) => {
+        if (typeof info[name] === 'boolean') {
+          entity[name] = info[name];
+        }
+      });
+      // roles set by an administrator are not computed again when the user logs in
+      if (typeof info.orgUser === 'boolean') {
+        entity.orgUserGrant = info.orgUser;
+      }
+      if (typeof info.superUser === 'boolean') {
+        entity.superUserGrant = info.superUser;
+      }
+      transaction.save({
+        key,
+        data: entity,
+        excludeFromIndexes: this.excludedIndexes,
+      });
+      await transaction.commit();
+    } catch (e) {
+      transaction.rollback();
+      throw e;
+    }
+    if (info.disabled === true) {
+      await this.tokenModel.revokeAll(id);
+    }
+    return this.get(id);
+  }
+
+  /**
+   * Removes a user and all tokens issued by the user.
+   * @param {string} id User ID.
+   * @return {Promise<void>}
+   */
+  async delete(id) {
+    await this.tokenModel.deleteAll(id);
+    const key = this.createUserKey(id);
+    await this.store.delete(key);
+  }
+
+  /**
+   * Records acceptance of the terms of service.
+   * @param {string} id User ID.
+   * @param {string} version The version of the accepted terms of service.
+   * @return {Promise<UserEntity|null>} The updated user or null when the user does not exist.
+   */
+  async acceptTos(id, version) {
+    const key = this.createUserKey(id);
+    const transaction = this.store.transaction();
+    try {
+      await transaction.run();
+      const [entity] = await transaction.get(key);
+      if (!entity) {
+        await transaction.rollback();
+        return null;
+      }
+      entity.tos = true;
+      entity.tosVersion = version;
+      entity.tosAccepted = Date.now();
+      transaction.save({
+        key,
+        data: entity,
+        excludeFromIndexes: this.excludedIndexes,
+      });
+      await transaction.commit();
+    } catch (e) {
+      transaction.rollback();
+      throw e;
+    }
+    return this.get(id);
+  }
+
+  /**
+   * Checks whether the user accepted the current version of the terms of service.
+   * When the version is not configured any acceptance is valid.
+   * @param {UserEntity} user
+   * @return {boolean}
+   */
+  hasAcceptedTos(user) {
+    if (!user || !user.tos) {
+      return false;
+    }
+    const { tosVersion } = this;
+    return !tosVersion || user.tosVersion === tosVersion;
+  }
 }
@@ -105,6 +105,17 @@ export declare interface BottomUpTest extends BaseTest {
    * Whether or not to include dev dependencies in the test.
    */
   includeDev?: boolean;
+  /**
+   * The name of the tested component (scope + name).
+   * When not set it is read from the GitHub repository URL.
+   */
+  component?: string;
+  /**
+   * The list of components that depend on the tested component, directly or transitively.
+   * These are the components being tested in this run.
+   * @readonly This is ignored when creating / updating an entity
+   */
+  components?: string[];
 }
 
 /**
@@ -1,4 +1,5 @@
 import { BaseModel, Entity, QueryResult, QueryOptions } from '../BaseModel.js';
+import { Creator } from './Creator';
 
 export declare interface GithubBuild {
   /**
@@ -9,6 +10,22 @@ export declare interface GithubBuild {
    * The type of the build
    */
   type: 'stage' | 'master' | 'tag';
+  /**
+   * Full name of the component, with the organization name
+   */
+  component?: string;
+  /**
+   * The commit sha the build is performed for.
+   */
+  commit?: string;
+  /**
+   * The name of the tag associated with the build.
+   */
+  branch?: string;
+  /**
+   * If the build is scheduled by a person then this person's info.
+   */
+  creator?: Creator;
   /**
    * Timestamp when the entry was created.
    * @readonly This is ignored when creating / updating an entity
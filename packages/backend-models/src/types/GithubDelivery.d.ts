@@ -0,0 +1,47 @@
+import { Entity, QueryResult, QueryOptions } from '../BaseModel.js';
+
+/**
+ * A definition of a webhook delivery received from GitHub.
+ */
+export declare interface GithubDelivery {
+  /**
+   * The name of the GitHub event (the `X-GitHub-Event` header).
+   */
+  event: string;
+  /**
+   * The raw body of the delivery, as received from GitHub.
+   */
+  payload: string;
+  /**
+   * Timestamp when the delivery was received.
+   * @readonly This is ignored when creating / updating an entity
+   */
+  received?: number;
+  /**
+   * The processing status of the delivery. Defaults to `received`.
+   * @readonly This is ignored when creating / updating an entity
+   */
+  status?: 'received' | 'processed' | 'ignored' | 'error';
+  /**
+   * A message associated with the processing result.
+   */
+  message?: string;
+  /**
+   * The ID of the build created from this delivery, if any.
+   */
+  buildId?: string;
+  /**
+   * The ID of the test created from this delivery, if any.
+   */
+  testId?: string;
+  /**
+   * The number of times the delivery has been replayed.
+   * @readonly This is ignored when creating / updating an entity
+   */
+  replays?: number;
+}
+
+export declare interface GithubDeliveryEntity extends GithubDelivery, Entity {}
+
+export declare interface GithubDeliveryQueryOptions extends QueryOptions {}
+export declare interface GithubDeliveryQueryResult extends QueryResult<GithubDeliveryEntity> {}
@@ -39,6 +39,7 @@ describe('BaseModel', () => {
       ['userKind', 'User'],
       ['tokenKind', 'Jwt'],
       ['buildKind', 'Build'],
+      ['deliveryKind', 'GithubDelivery'],
       ['messageKind', 'Messages'],
       ['dependencyKind', 'Dependency'],
       ['coverageRunKind', 'CoverageTest'],
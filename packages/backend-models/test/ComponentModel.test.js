@@ -58,7 +58,7 @@ describe('ComponentModel', () => {
     });
 
     [
-      'npmName', 'version',
+      'npmName', 'version', 'changelog', 'docs',
     ]
     .forEach((name) => {
       it(`has ${name}`, () => {
@@ -230,6 +230,12 @@ describe('ComponentModel', () => {
       const result = await model.createComponent(name, org, npmName, '0.1.0', key);
       assert.deepEqual(result.npmName, npmName);
     });
+
+    it('adds group', async () => {
+      const key = model.createComponentKey(npmName);
+      const result = await model.createComponent(name, org, npmName, '0.1.0', key);
+      assert.equal(result.group, 'advanced-rest-client');
+    });
   });
 
   describe('getComponent()', () => {
@@ -284,6 +290,14 @@ describe('ComponentModel', () => {
       assert.typeOf(result, 'object', 'entity is an object');
       assert.equal(result.name, newName);
     });
+
+    it('creates the group', async () => {
+      await model.ensureComponent('1.2.3', 'other name', 'Other Org', `@other/package`);
+      const result = await model.groupModel.get('Other Org');
+      assert.typeOf(result, 'object', 'group is an object');
+      assert.equal(result.name, 'Other Org');
+      await DataHelper.deleteEntities(model, model.organizationKind);
+    });
   });
 
   describe('addVersion()', () => {
@@ -309,6 +323,30 @@ describe('ComponentModel', () => {
       const result = await model.getVersion(version.npmName, version.version);
       assert.typeOf(result, 'object');
     });
+
+    it('stores the entities when the transaction is committed', async () => {
+      const version = DataHelper.generateComponentVersion();
+      const transaction = model.store.transaction();
+      await transaction.run();
+      await model.addVersion(version, transaction);
+      const pending = await model.getComponent(version.npmName);
+      assert.equal(pending, null, 'the component is not stored before the commit');
+      await transaction.commit();
+      const component = await model.getComponent(version.npmName);
+      assert.deepEqual(component.versions, [version.version], 'the component is stored');
+      const result = await model.getVersion(version.npmName, version.version);
+      assert.typeOf(result, 'object', 'the version is stored');
+    });
+
+    it('does not store the entities when the transaction is rolled back', async () => {
+      const version = DataHelper.generateComponentVersion();
+      const transaction = model.store.transaction();
+      await transaction.run();
+      await model.addVersion(version, transaction);
+      await transaction.rollback();
+      const component = await model.getComponent(version.npmName);
+      assert.equal(component, null);
+    });
   });
 
   describe('ensureVersion()', () => {
@@ -319,6 +357,7 @@ describe('ComponentModel', () => {
 
     afterEach(async () => {
       await DataHelper.deleteEntities(model, model.componentsKind);
+      await DataHelper.deleteEntities(model, model.changelogKind);
     });
 
     it('updates version that already exists', async () => {
@@ -375,6 +414,44 @@ describe('ComponentModel', () => {
       const result = await model.getVersion(version.npmName, version.version);
       assert.isUndefined(result.tags);
     });
+
+    it('adds "changelog" and "docs" to a new version', async () => {
+      const version = DataHelper.generateComponentVersion();
+      await model.addVersion(version);
+      const parent = await model.getComponent(version.npmName);
+      await model.ensureVersion(parent, '2.0.0', version.npmName, { changelog: '# 2.0.0', docs: '{}' });
+      const result = await model.getVersion(version.npmName, '2.0.0');
+      assert.equal(result.changelog, '# 2.0.0');
+      assert.equal(result.docs, '{}');
+    });
+
+    it('updates "changelog" and "docs" of an existing version', async () => {
+      const version = DataHelper.generateComponentVersion();
+      await model.addVersion({ ...version, changelog: 'old', docs: 'old' });
+      const parent = await model.getComponent(version.npmName);
+      await model.ensureVersion(parent, version.version, version.npmName, { changelog: 'new' });
+      const result = await model.getVersion(version.npmName, version.version);
+      assert.equal(result.changelog, 'new');
+      assert.equal(result.docs, 'old');
+    });
+
+    it('updates the changelog entry of an existing version', async () => {
+      const version = DataHelper.generateComponentVersion();
+      await model.addVersion({ ...version, changelog: 'old' });
+      const parent = await model.getComponent(version.npmName);
+      await model.ensureVersion(parent, version.version, version.npmName, { changelog: 'new' });
+      const result = await model.listChangelog();
+      const entry = result.entities.find((item) => item.npmName === version.npmName);
+      assert.equal(entry.changelog, 'new');
+    });
+
+    it('stores large "docs" values', async () => {
+      const version = DataHelper.generateComponentVersion();
+      const docs = 'a'.repeat(10000);
+      await model.addVersion({ ...version, docs });
+      const result = await model.getVersion(version.npmName, version.version);
+      assert.equal(result.docs, docs);
+    });
   });
 
   describe('addComponentVersion()', () => {
@@ -432,4 +509,412 @@ describe('ComponentModel', () => {
       assert.isUndefined(result.tags);
     });
   });
+
+  describe('publishVersion()', () => {
+    let model = /** @type ComponentModel */ (null);
+    const info = {
+      npmName: '@advanced-rest-client/publish-test',
+      name: 'publish-test',
+      org: 'advanced-rest-client',
+      version: '1.0.0',
+      tags: ['arc'],
+      dependencies: ['@advanced-rest-client/other'],
+      devDependencies: ['@advanced-rest-client/dev'],
+    };
+
+    beforeEach(() => {
+      model = new ComponentModel();
+    });
+
+    afterEach(async () => {
+      await DataHelper.deleteEntities(model, model.componentsKind);
+      await DataHelper.deleteEntities(model, model.versionsKind);
+      await DataHelper.deleteEntities(model, model.organizationKind);
+      await DataHelper.deleteEntities(model, model.dependencyKind);
+    });
+
+    it('returns the component', async () => {
+      const result = await model.publishVersion(info);
+      assert.equal(result.npmName, info.npmName);
+      assert.equal(result.version, '1.0.0');
+      assert.deepEqual(result.versions, ['1.0.0']);
+      assert.deepEqual(result.tags, ['arc']);
+      assert.equal(result.group, 'advanced-rest-client');
+    });
+
+    it('creates the version', async () => {
+      await model.publishVersion(info);
+      const result = await model.getVersion(info.npmName, info.version);
+      assert.equal(result.version, '1.0.0');
+      assert.typeOf(result.created, 'number');
+      assert.deepEqual(result.tags, ['arc']);
+    });
+
+    it('creates the group', async () => {
+      await model.publishVersion(info);
+      const result = await model.groupModel.get(info.org);
+      assert.equal(result.name, info.org);
+    });
+
+    it('stores the dependencies', async () => {
+      await model.publishVersion(info);
+      const result = await model.dependencyModel.get(info.npmName);
+      assert.deepEqual(result.dependencies, info.dependencies);
+      assert.deepEqual(result.devDependencies, info.devDependencies);
+    });
+
+    it('adds a version to an existing component', async () => {
+      await model.publishVersion(info);
+      const result = await model.publishVersion({ ...info, version: '1.1.0', tags: undefined });
+      assert.deepEqual(result.versions, ['1.0.0', '1.1.0']);
+      assert.equal(result.version, '1.1.0');
+      assert.deepEqual(result.tags, ['arc'], 'keeps the tags');
+    });
+  });
+
+  describe('listVersions()', () => {
+    let model = /** @type ComponentModel */ (null);
+    const npmName = '@advanced-rest-client/versions-test';
+    before(async () => {
+      model = new ComponentModel();
+      await model.addVersion({ npmName, version: '1.0.0', name: 'versions-test', org: 'advanced-rest-client' });
+      await model.addVersion({ npmName, version: '1.1.0', name: 'versions-test', org: 'advanced-rest-client' });
+      await model.addVersion({ npmName: '@other/package', version: '1.0.0', name: 'package', org: 'other' });
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.componentsKind);
+      await DataHelper.deleteEntities(model, model.versionsKind);
+      await DataHelper.deleteEntities(model, model.organizationKind);
+    });
+
+    it('returns versions of the component', async () => {
+      const result = await model.listVersions(npmName);
+      assert.lengthOf(result.entities, 2);
+    });
+
+    it('returns the most recent version first', async () => {
+      const result = await model.listVersions(npmName);
+      assert.equal(result.entities[0].id, '1.1.0');
+    });
+
+    it('respects the limit', async () => {
+      const result = await model.listVersions(npmName, { limit: 1 });
+      assert.lengthOf(result.entities, 1);
+    });
+  });
+
+  describe('listChangelog()', () => {
+    let model = /** @type ComponentModel */ (null);
+    before(async () => {
+      model = new ComponentModel();
+      await model.addVersion({ npmName: '@a/a', version: '1.0.0', name: 'a', org: 'a', changelog: 'a 1.0.0' });
+      await model.addVersion({ npmName: '@a/a', version: '1.1.0', name: 'a', org: 'a' });
+      await model.addVersion({
+        npmName: '@b/b', version: '1.0.0', name: 'b', org: 'b', changelog: 'b 1.0.0', docs: '{}',
+      });
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.componentsKind);
+      await DataHelper.deleteEntities(model, model.versionsKind);
+      await DataHelper.deleteEntities(model, model.changelogKind);
+      await DataHelper.deleteEntities(model, model.organizationKind);
+      await DataHelper.deleteEntities(model, model.dependencyKind);
+    });
+
+    it('returns versions with a changelog', async () => {
+      const result = await model.listChangelog();
+      assert.lengthOf(result.entities, 2);
+      assert.equal(result.entities[0].changelog, 'b 1.0.0');
+      assert.equal(result.entities[1].changelog, 'a 1.0.0');
+    });
+
+    it('does not return docs', async () => {
+      const result = await model.listChangelog();
+      assert.notProperty(result.entities[0], 'docs');
+    });
+
+    it('respects the time range', async () => {
+      const result = await model.listChangelog({ since: Date.now() + 1000 });
+      assert.lengthOf(result.entities, 0);
+    });
+
+    it('respects the limit', async () => {
+      const result = await model.listChangelog({ limit: 1 });
+      assert.lengthOf(result.entities, 1);
+      assert.equal(result.entities[0].changelog, 'b 1.0.0');
+      assert.typeOf(result.pageToken, 'string', 'has the page token');
+    });
+
+    it('returns the next page', async () => {
+      const page = await model.listChangelog({ limit: 1 });
+      const result = await model.listChangelog({ limit: 1, pageToken: page.pageToken });
+      assert.lengthOf(result.entities, 1);
+      assert.equal(result.entities[0].changelog, 'a 1.0.0');
+    });
+
+    it('filters by the tags of the component', async () => {
+      await model.publishVersion({
+        npmName: '@c/c', version: '1.0.0', name: 'c', org: 'c', tags: ['apic'], changelog: 'c 1.0.0',
+      });
+      const result = await model.listChangelog({ tags: ['apic'] });
+      assert.lengthOf(result.entities, 1);
+      assert.equal(result.entities[0].npmName, '@c/c');
+      assert.equal(result.entities[0].id, '1.0.0');
+    });
+  });
+
+  describe('queryComponents()', () => {
+    let model = /** @type ComponentModel */ (null);
+    before(async () => {
+      model = new ComponentModel();
+      await model.ensureComponent('1.0.0', 'c1', 'org-a', '@org-a/c1');
+      await model.ensureComponent('1.0.0', 'c2', 'org-a', '@org-a/c2');
+      await model.ensureComponent('1.0.0', 'c3', 'org-b', '@org-b/c3');
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.componentsKind);
+      await DataHelper.deleteEntities(model, model.organizationKind);
+    });
+
+    it('returns all components', async () => {
+      const result = await model.queryComponents({});
+      assert.lengthOf(result.entities, 3);
+    });
+
+    it('filters by the group', async () => {
+      const result = await model.queryComponents({ group: 'org-a' });
+      assert.lengthOf(result.entities, 2);
+      result.entities.forEach((item) => {
+        assert.equal(item.group, 'org-a');
+      });
+    });
+  });
+
+  describe('backfillGroups()', () => {
+    let model = /** @type ComponentModel */ (null);
+    let created = /** @type ComponentInsertResult */ (null);
+    beforeEach(async () => {
+      model = new ComponentModel();
+      created = await DataHelper.insertComponent(model, { org: 'Legacy Org' });
+    });
+
+    afterEach(async () => {
+      await DataHelper.deleteEntities(model, model.componentsKind);
+      await DataHelper.deleteEntities(model, model.organizationKind);
+    });
+
+    it('returns the number of updated components', async () => {
+      const result = await model.backfillGroups();
+      assert.equal(result, 1);
+    });
+
+    it('sets the group on the component', async () => {
+      await model.backfillGroups();
+      const result = await model.getComponent(created.npmName);
+      assert.equal(result.group, 'legacy-org');
+    });
+
+    it('creates the group entity', async () => {
+      await model.backfillGroups();
+      const result = await model.groupModel.get('legacy-org');
+      assert.equal(result.name, 'Legacy Org');
+    });
+
+    it('ignores components that have a group', async () => {
+      await model.backfillGroups();
+      const result = await model.backfillGroups();
+      assert.equal(result, 0);
+    });
+
+    describe('versions', () => {
+      async function insertVersion(npmName, version) {
+        await model.store.upsert({
+          key: model.createVersionKey(npmName, version),
+          data: {
+            npmName,
+            version,
+            created: Date.now(),
+          },
+          excludeFromIndexes: model.versionExcludeIndexes,
+        });
+      }
+
+      afterEach(async () => {
+        await DataHelper.deleteEntities(model, model.versionsKind);
+      });
+
+      it('sets the group on the versions', async () => {
+        await insertVersion(created.npmName, '1.0.0');
+        await insertVersion(created.npmName, '1.1.0');
+        await model.backfillGroups();
+        const v1 = await model.getVersion(created.npmName, '1.0.0');
+        const v2 = await model.getVersion(created.npmName, '1.1.0');
+        assert.equal(v1.group, 'legacy-org', 'has the group of the first version');
+        assert.equal(v2.group, 'legacy-org', 'has the group of the second version');
+      });
+
+      it('sets the group on the versions of a component that has a group', async () => {
+        await model.backfillGroups();
+        await insertVersion(created.npmName, '1.0.0');
+        const result = await model.backfillGroups();
+        assert.equal(result, 1, 'counts the component');
+        const version = await model.getVersion(created.npmName, '1.0.0');
+        assert.equal(version.group, 'legacy-org', 'has the group');
+      });
+
+      it('returns the number of updated versions', async () => {
+        await insertVersion(created.npmName, '1.0.0');
+        await insertVersion(created.npmName, '1.1.0');
+        const result = await model._backfillVersionGroups(created.key, 'legacy-org');
+        assert.equal(result, 2);
+      });
+    });
+  });
+
+  describe('createKeywords()', () => {
+    let model = /** @type ComponentModel */ (null);
+    beforeEach(() => {
+      model = new ComponentModel();
+    });
+
+    it('adds prefixes of the name tokens', () => {
+      const result = model.createKeywords({ name: 'api-request' });
+      assert.include(result, 'a');
+      assert.include(result, 'api');
+      assert.include(result, 'req');
+      assert.include(result, 'request');
+    });
+
+    it('adds tokens of the npmName, org, and tags', () => {
+      const result = model.createKeywords({
+        name: 'a', npmName: '@scope/pkg', org: 'Org', tags: ['apic'],
+      });
+      assert.include(result, 'scope');
+      assert.include(result, 'pkg');
+      assert.include(result, 'org');
+      assert.include(result, 'apic');
+    });
+
+    it('does not include duplicates', () => {
+      const result = model.createKeywords({ name: 'request', npmName: '@request/request' });
+      assert.lengthOf(result.filter((item) => item === 'request'), 1);
+    });
+  });
+
+  describe('queryComponents() with a search query', () => {
+    let model = /** @type ComponentModel */ (null);
+    before(async () => {
+      model = new ComponentModel();
+      await model.ensureComponent('1.0.0', 'api-request-editor', 'org-a', '@org-a/api-request-editor');
+      await model.ensureComponent('1.0.0', 'request', 'org-a', '@org-a/request');
+      await model.ensureComponent('1.0.0', 'requests-list', 'org-b', '@org-b/requests-list');
+      await model.ensureComponent('1.0.0', 'url-editor', 'org-b', '@org-b/url-editor', {
+        tags: ['request'],
+      });
+      await model.ensureComponent('1.0.0', 'other', 'org-b', '@org-b/other');
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.componentsKind);
+      await DataHelper.deleteEntities(model, model.organizationKind);
+    });
+
+    it('returns matching components', async () => {
+      const result = await model.queryComponents({ q: 'request' });
+      assert.lengthOf(result.entities, 4);
+    });
+
+    it('ranks the results', async () => {
+      const result = await model.queryComponents({ q: 'request' });
+      const names = result.entities.map((item) => item.name);
+      assert.deepEqual(names, ['request', 'requests-list', 'api-request-editor', 'url-editor']);
+    });
+
+    it('matches name prefix', async () => {
+      const result = await model.queryComponents({ q: 'api-req' });
+      assert.lengthOf(result.entities, 1);
+      assert.equal(result.entities[0].name, 'api-request-editor');
+    });
+
+    it('requires all query tokens', async () => {
+      const result = await model.queryComponents({ q: 'request editor' });
+      assert.lengthOf(result.entities, 2);
+    });
+
+    it('combines with the group filter', async () => {
+      const result = await model.queryComponents({ q: 'request', group: 'org-b' });
+      assert.lengthOf(result.entities, 2);
+    });
+
+    it('does not return the keywords', async () => {
+      const result = await model.queryComponents({ q: 'request' });
+      assert.notProperty(result.entities[0], 'keywords');
+    });
+
+    it('paginates the ranked results', async () => {
+      const result1 = await model.queryComponents({ q: 'request', limit: 3 });
+      assert.lengthOf(result1.entities, 3);
+      assert.typeOf(result1.pageToken, 'string');
+      const result2 = await model.queryComponents({ q: 'request', limit: 3, pageToken: result1.pageToken });
+      assert.lengthOf(result2.entities, 1);
+      assert.equal(result2.entities[0].name, 'url-editor');
+      assert.isUndefined(result2.pageToken);
+    });
+
+    it('ranks up to the candidates limit', async () => {
+      class LimitedModel extends ComponentModel {
+        get searchCandidatesLimit() {
+          return 2;
+        }
+      }
+      const limited = new LimitedModel();
+      const result = await limited.queryComponents({ q: 'request' });
+      assert.lengthOf(result.entities, 2);
+      assert.isUndefined(result.pageToken);
+    });
+
+    it('throws for invalid page token', async () => {
+      let error;
+      try {
+        await model.queryComponents({ q: 'request', pageToken: 'invalid' });
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.code, 3);
+    });
+  });
+
+  describe('reindexComponents()', () => {
+    let model = /** @type ComponentModel */ (null);
+    let created = /** @type ComponentInsertResult */ (null);
+    beforeEach(async () => {
+      model = new ComponentModel();
+      created = await DataHelper.insertComponent(model, { name: 'legacy-component' });
+    });
+
+    afterEach(async () => {
+      await DataHelper.deleteEntities(model, model.componentsKind);
+    });
+
+    it('returns the number of updated components', async () => {
+      const result = await model.reindexComponents();
+      assert.equal(result, 1);
+    });
+
+    it('makes the component searchable', async () => {
+      await model.reindexComponents();
+      const result = await model.queryComponents({ q: 'legacy' });
+      assert.lengthOf(result.entities, 1);
+      assert.equal(result.entities[0].npmName, created.npmName);
+    });
+
+    it('ignores indexed components', async () => {
+      await model.reindexComponents();
+      const result = await model.reindexComponents();
+      assert.equal(result, 0);
+    });
+  });
 });
@@ -288,6 +288,368 @@ describe('CoverageModel', () => {
     });
   });
 
+  describe('getCoverageHistory()', () => {
+    const org = 'history-org';
+    const component = 'history-component';
+    const summaries = {
+      '1.0.0': { coverage: 80, lines: 80, functions: 70, branches: 60 },
+      '1.0.1': { coverage: 82, lines: 84.5, functions: 70, branches: 55.25 },
+      '0.9.0': { coverage: 70, lines: 72, functions: 60 },
+    };
+
+    let model = /** @type CoverageModel */ (null);
+    before(async () => {
+      model = new CoverageModel();
+      for (const tag of ['1.0.0', '1.0.1', '0.9.0']) {
+        const created = await model.insert({ org, component, tag });
+        await model.finishRun(created.id, {
+          summary: summaries[tag],
+          details: DataHelper.generateCoverageReportDetails(),
+        });
+      }
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.coverageRunKind);
+    });
+
+    it('returns versions in the semver order', async () => {
+      const result = await model.getCoverageHistory(org, component);
+      assert.deepEqual(result.map((item) => item.version), ['0.9.0', '1.0.0', '1.0.1']);
+    });
+
+    it('has the coverage of each version', async () => {
+      const result = await model.getCoverageHistory(org, component);
+      assert.deepEqual(result[1].coverage, summaries['1.0.0']);
+      assert.typeOf(result[1].coverageId, 'string');
+    });
+
+    it('has no delta for the first version', async () => {
+      const result = await model.getCoverageHistory(org, component);
+      assert.isUndefined(result[0].delta);
+    });
+
+    it('computes the delta with the previous version', async () => {
+      const result = await model.getCoverageHistory(org, component);
+      assert.deepEqual(result[2].delta, {
+        coverage: 2,
+        lines: 4.5,
+        functions: 0,
+        branches: -4.75,
+      });
+    });
+
+    it('skips metrics missing in any version', async () => {
+      const result = await model.getCoverageHistory(org, component);
+      assert.notProperty(result[1].delta, 'branches');
+    });
+
+    it('returns an empty list for unknown component', async () => {
+      const result = await model.getCoverageHistory(org, 'unknown');
+      assert.deepEqual(result, []);
+    });
+  });
+
+  describe('finishRun() regression', () => {
+    const org = 'regression-org';
+    let component = '';
+    let index = 0;
+    const summary = { coverage: 80, lines: 80, functions: 80, branches: 80 };
+
+    let model = /** @type CoverageModel */ (null);
+    beforeEach(async () => {
+      index++;
+      component = `regression-component-${index}`;
+      model = new CoverageModel();
+      const created = await model.insert({ org, component, tag: '1.0.0' });
+      await model.finishRun(created.id, {
+        summary,
+        details: DataHelper.generateCoverageReportDetails(),
+      });
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.coverageRunKind);
+    });
+
+    it('is not regressed without a previous version', async () => {
+      const created = await model.insert({ org, component: 'regression-other', tag: '1.0.0' });
+      await model.finishRun(created.id, DataHelper.generateCoverageReport());
+      const result = await model.get(created.id);
+      assert.isFalse(result.regressed);
+      assert.isUndefined(result.previousVersion);
+    });
+
+    it('marks the run as regressed when lines coverage drops', async () => {
+      const created = await model.insert({ org, component, tag: '1.1.0' });
+      await model.finishRun(created.id, {
+        summary: { ...summary, lines: 79 },
+        details: DataHelper.generateCoverageReportDetails(),
+      });
+      const result = await model.get(created.id);
+      assert.isTrue(result.regressed, 'is regressed');
+      assert.deepEqual(result.regressions, ['lines'], 'has the regressions');
+      assert.equal(result.previousVersion, '1.0.0', 'has the previous version');
+      assert.equal(result.delta.lines, -1, 'has the delta');
+    });
+
+    it('is not regressed when the coverage increases', async () => {
+      const created = await model.insert({ org, component, tag: '1.1.0' });
+      await model.finishRun(created.id, {
+        summary: { ...summary, branches: 90 },
+        details: DataHelper.generateCoverageReportDetails(),
+      });
+      const result = await model.get(created.id);
+      assert.isFalse(result.regressed);
+      assert.deepEqual(result.regressions, []);
+    });
+
+    it('respects the regression threshold', async () => {
+      model.regressionThreshold = 2;
+      const created = await model.insert({ org, component, tag: '1.1.0' });
+      await model.finishRun(created.id, {
+        summary: { ...summary, functions: 78.5 },
+        details: DataHelper.generateCoverageReportDetails(),
+      });
+      const result = await model.get(created.id);
+      assert.isFalse(result.regressed);
+    });
+
+    it('stores the regressed flag on the version coverage', async () => {
+      const created = await model.insert({ org, component, tag: '1.1.0' });
+      await model.finishRun(created.id, {
+        summary: { ...summary, branches: 10 },
+        details: DataHelper.generateCoverageReportDetails(),
+      });
+      const result = await model.getVersionCoverage(org, component, '1.1.0');
+      assert.isTrue(result.regressed);
+    });
+  });
+
+  describe('diffVersions() and diffRuns()', () => {
+    const org = 'diff-org';
+    const component = 'diff-component';
+    const file = (name, lines, branches, functions) => ({
+      file: name,
+      lines: { hit: lines, found: 10 },
+      branches: { hit: branches, found: 10 },
+      functions: { hit: functions, found: 10 },
+      coverage: Math.round((lines + branches + functions) / 30 * 10000) / 100,
+    });
+    let model = /** @type CoverageModel */ (null);
+    let baseRun = /** @type CoverageEntity */ (null);
+    let headRun = /** @type CoverageEntity */ (null);
+    before(async () => {
+      model = new CoverageModel();
+      baseRun = await model.insert({ org, component, tag: '1.0.0' });
+      await model.finishRun(baseRun.id, {
+        summary: { coverage: 60, lines: 60, branches: 60, functions: 60 },
+        details: [
+          file('a.js', 10, 10, 10), file('b.js', 8, 8, 8), file('removed.js', 0, 0, 0), file('same.js', 5, 5, 5),
+        ],
+      });
+      headRun = await model.insert({ org, component, tag: '1.1.0' });
+      await model.finishRun(headRun.id, {
+        summary: { coverage: 70, lines: 70, branches: 65, functions: 75 },
+        details: [
+          file('a.js', 5, 10, 8), file('b.js', 9, 8, 8), file('added.js', 10, 10, 10), file('same.js', 5, 5, 5),
+        ],
+      });
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.coverageRunKind);
+    });
+
+    it('returns null when a version has no coverage', async () => {
+      const result = await model.diffVersions(org, component, '1.0.0', '2.0.0');
+      assert.equal(result, null);
+    });
+
+    it('has the base and head', async () => {
+      const result = await model.diffVersions(org, component, '1.0.0', '1.1.0');
+      assert.equal(result.base.version, '1.0.0', 'has base version');
+      assert.equal(result.base.coverageId, baseRun.id, 'has base coverageId');
+      assert.equal(result.head.version, '1.1.0', 'has head version');
+    });
+
+    it('has the summary delta', async () => {
+      const result = await model.diffVersions(org, component, '1.0.0', '1.1.0');
+      assert.deepEqual(result.delta, { coverage: 10, lines: 10, branches: 5, functions: 15 });
+    });
+
+    it('lists added files', async () => {
+      const result = await model.diffVersions(org, component, '1.0.0', '1.1.0');
+      assert.deepEqual(result.added.map((item) => item.file), ['added.js']);
+      assert.equal(result.added[0].head.lines, 100);
+      assert.isUndefined(result.added[0].base);
+    });
+
+    it('lists removed files', async () => {
+      const result = await model.diffVersions(org, component, '1.0.0', '1.1.0');
+      assert.deepEqual(result.removed.map((item) => item.file), ['removed.js']);
+      assert.isUndefined(result.removed[0].head);
+    });
+
+    it('lists changed files starting with the biggest loss', async () => {
+      const result = await model.diffVersions(org, component, '1.0.0', '1.1.0');
+      assert.deepEqual(result.changed.map((item) => item.file), ['a.js', 'b.js']);
+      assert.deepEqual(result.changed[0].delta, {
+        coverage: -23.33,
+        lines: -50,
+        branches: 0,
+        functions: -20,
+      });
+    });
+
+    it('counts unchanged files', async () => {
+      const result = await model.diffVersions(org, component, '1.0.0', '1.1.0');
+      assert.equal(result.unchanged, 1);
+    });
+
+    it('compares coverage runs', async () => {
+      const result = await model.diffRuns(baseRun.id, headRun.id);
+      assert.equal(result.base.version, '1.0.0', 'has base version');
+      assert.equal(result.head.coverageId, headRun.id, 'has head coverageId');
+      assert.lengthOf(result.changed, 2, 'has changed files');
+    });
+
+    it('returns null when a run does not exist', async () => {
+      const result = await model.diffRuns(baseRun.id, 'other');
+      assert.equal(result, null);
+    });
+
+    it('throws when the runs are of the same version', async () => {
+      let error;
+      try {
+        await model.diffRuns(headRun.id, headRun.id);
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error, 'throws the error');
+      assert.equal(error.code, 400, 'has the code');
+    });
+
+    describe('a version with another run', () => {
+      let rerun = /** @type CoverageEntity */ (null);
+      before(async () => {
+        rerun = await model.insert({ org, component, tag: '1.1.0' });
+        await model.finishRun(rerun.id, {
+          summary: { coverage: 70, lines: 70, branches: 65, functions: 75 },
+          details: [file('a.js', 5, 10, 8), file('b.js', 9, 8, 8), file('same.js', 5, 5, 5)],
+        });
+      });
+
+      it('throws when the file coverage of a run was replaced', async () => {
+        let error;
+        try {
+          await model.diffRuns(baseRun.id, headRun.id);
+        } catch (e) {
+          error = e;
+        }
+        assert.ok(error, 'throws the error');
+        assert.equal(error.code, 409, 'has the code');
+      });
+
+      it('compares only the files of the run', async () => {
+        const result = await model.diffRuns(baseRun.id, rerun.id);
+        assert.equal(result.head.coverageId, rerun.id, 'has head coverageId');
+        assert.deepEqual(result.added, [], 'has no files of the previous run');
+        assert.deepEqual(result.removed.map((item) => item.file), ['removed.js']);
+      });
+
+      it('compares only the files of the latest run of a version', async () => {
+        const result = await model.diffVersions(org, component, '1.0.0', '1.1.0');
+        assert.deepEqual(result.added, [], 'has no files of the previous run');
+      });
+    });
+  });
+
+  describe('ingestReport()', () => {
+    after(async () => {
+      const inst = new CoverageModel();
+      await DataHelper.deleteEntities(inst, inst.coverageRunKind);
+    });
+
+    const lcov = [
+      'TN:',
+      'SF:src/a.js',
+      'FNF:2',
+      'FNH:1',
+      'LF:10',
+      'LH:5',
+      'BRF:0',
+      'BRH:0',
+      'end_of_record',
+      'TN:',
+      'SF:src/b.js',
+      'FNF:2',
+      'FNH:2',
+      'LF:10',
+      'LH:10',
+      'BRF:0',
+      'BRH:0',
+      'end_of_record',
+    ].join('\n');
+
+    let model = /** @type CoverageModel */ (null);
+    let generated = /** @type CoverageEntity */ (null);
+    beforeEach(async () => {
+      model = new CoverageModel();
+      [generated] = await DataHelper.populateCoverageEntities(model, 1);
+    });
+
+    it('finishes the run', async () => {
+      await model.ingestReport(generated.id, lcov);
+      const result = await model.get(generated.id);
+      assert.equal(result.status, 'finished');
+    });
+
+    it('sets the parsed coverage summary', async () => {
+      await model.ingestReport(generated.id, lcov);
+      const result = await model.get(generated.id);
+      assert.deepEqual(result.coverage, {
+        coverage: 75,
+        lines: 75,
+        functions: 75,
+      });
+    });
+
+    it('returns the parsed coverage summary', async () => {
+      const result = await model.ingestReport(generated.id, lcov, 'lcov');
+      assert.equal(result.coverage, 75);
+    });
+
+    it('adds file results', async () => {
+      await model.ingestReport(generated.id, lcov);
+      const files = await model.queryRunFiles(generated.id);
+      assert.lengthOf(files.entities, 2, 'has 2 entities');
+    });
+
+    it('throws with code 400 when the report is invalid', async () => {
+      let error;
+      try {
+        await model.ingestReport(generated.id, '{invalid', 'istanbul');
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error, 'throws an error');
+      assert.equal(error.code, 400);
+    });
+
+    it('does not finish the run when the report is invalid', async () => {
+      let thrown = false;
+      try {
+        await model.ingestReport(generated.id, '', 'lcov');
+      } catch (e) {
+        thrown = true;
+      }
+      assert.isTrue(thrown);
+      const result = await model.get(generated.id);
+      assert.notEqual(result.status, 'finished');
+    });
+  });
+
   describe('queryRunFiles()', () => {
     let generated = /** @type CoverageEntity */ (null);
     let coverage = /** @type CoverageResult */ (null);
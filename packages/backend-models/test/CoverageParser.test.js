@@ -0,0 +1,229 @@
+import pkg from 'chai';
+const { assert } = pkg;
+import { CoverageParser } from '../index.js';
+
+describe('CoverageParser', () => {
+  const lcov = [
+    'TN:test-title',
+    'SF:src/a.js',
+    'FN:1,a',
+    'FN:5,b',
+    'FNDA:2,a',
+    'FNDA:0,b',
+    'FNF:2',
+    'FNH:1',
+    'DA:1,2',
+    'DA:2,2',
+    'DA:5,0',
+    'DA:6,0',
+    'LF:4',
+    'LH:2',
+    'BRDA:2,0,0,1',
+    'BRDA:2,0,1,0',
+    'BRF:2',
+    'BRH:1',
+    'end_of_record',
+    'TN:',
+    'SF:src/b.js',
+    'DA:1,1',
+    'DA:2,0',
+    'FNDA:1,c',
+    'BRDA:1,0,0,1',
+    'BRDA:1,0,1,-',
+    'end_of_record',
+    '',
+  ].join('\n');
+
+  const istanbul = {
+    '/project/src/a.js': {
+      path: '/project/src/a.js',
+      statementMap: {
+        0: { start: { line: 1, column: 0 }, end: { line: 1, column: 10 } },
+        1: { start: { line: 1, column: 11 }, end: { line: 1, column: 20 } },
+        2: { start: { line: 2, column: 0 }, end: { line: 2, column: 10 } },
+      },
+      s: { 0: 0, 1: 3, 2: 0 },
+      f: { 0: 1, 1: 0 },
+      b: { 0: [1, 0], 1: [2, 2] },
+    },
+  };
+
+  const summary = {
+    'total': {
+      lines: { total: 10, covered: 5, skipped: 0, pct: 50 },
+      functions: { total: 0, covered: 0, skipped: 0, pct: 100 },
+      branches: { total: 4, covered: 4, skipped: 0, pct: 100 },
+    },
+    'src/a.js': {
+      lines: { total: 10, covered: 5, skipped: 0, pct: 50 },
+      functions: { total: 0, covered: 0, skipped: 0, pct: 100 },
+      branches: { total: 4, covered: 4, skipped: 0, pct: 100 },
+    },
+  };
+
+  describe('detectFormat()', () => {
+    let parser = /** @type CoverageParser */ (null);
+    beforeEach(() => {
+      parser = new CoverageParser();
+    });
+
+    it('detects lcov report', () => {
+      assert.equal(parser.detectFormat(lcov), 'lcov');
+    });
+
+    it('detects Istanbul report', () => {
+      assert.equal(parser.detectFormat(JSON.stringify(istanbul)), 'istanbul');
+    });
+
+    it('detects parsed Istanbul report', () => {
+      assert.equal(parser.detectFormat(istanbul), 'istanbul');
+    });
+
+    it('detects summary report', () => {
+      assert.equal(parser.detectFormat(JSON.stringify(summary)), 'summary');
+    });
+  });
+
+  describe('parseLcov()', () => {
+    let parser = /** @type CoverageParser */ (null);
+    beforeEach(() => {
+      parser = new CoverageParser();
+    });
+
+    it('returns a report for each file', () => {
+      const result = parser.parseLcov(lcov);
+      assert.lengthOf(result, 2);
+      assert.equal(result[0].file, 'src/a.js');
+      assert.equal(result[1].file, 'src/b.js');
+    });
+
+    it('reads the summary records', () => {
+      const [result] = parser.parseLcov(lcov);
+      assert.deepEqual(result.lines, { hit: 2, found: 4 }, 'has lines');
+      assert.deepEqual(result.functions, { hit: 1, found: 2 }, 'has functions');
+      assert.deepEqual(result.branches, { hit: 1, found: 2 }, 'has branches');
+    });
+
+    it('computes the results when summary records are missing', () => {
+      const [, result] = parser.parseLcov(lcov);
+      assert.deepEqual(result.lines, { hit: 1, found: 2 }, 'has lines');
+      assert.deepEqual(result.functions, { hit: 1, found: 1 }, 'has functions');
+      assert.deepEqual(result.branches, { hit: 1, found: 2 }, 'has branches');
+    });
+
+    it('computes the file coverage', () => {
+      const [result] = parser.parseLcov(lcov);
+      assert.equal(result.coverage, 50);
+    });
+
+    it('sets the title from the test name', () => {
+      const [result1, result2] = parser.parseLcov(lcov);
+      assert.equal(result1.title, 'test-title');
+      assert.isUndefined(result2.title);
+    });
+  });
+
+  describe('parseIstanbul()', () => {
+    let parser = /** @type CoverageParser */ (null);
+    beforeEach(() => {
+      parser = new CoverageParser();
+    });
+
+    it('returns a report for each file', () => {
+      const result = parser.parseIstanbul(istanbul);
+      assert.lengthOf(result, 1);
+      assert.equal(result[0].file, '/project/src/a.js');
+    });
+
+    it('computes lines from statements', () => {
+      const [result] = parser.parseIstanbul(istanbul);
+      assert.deepEqual(result.lines, { hit: 1, found: 2 });
+    });
+
+    it('computes functions', () => {
+      const [result] = parser.parseIstanbul(istanbul);
+      assert.deepEqual(result.functions, { hit: 1, found: 2 });
+    });
+
+    it('computes branches', () => {
+      const [result] = parser.parseIstanbul(istanbul);
+      assert.deepEqual(result.branches, { hit: 3, found: 4 });
+    });
+
+    it('computes the file coverage', () => {
+      const [result] = parser.parseIstanbul(istanbul);
+      assert.equal(result.coverage, 62.5);
+    });
+  });
+
+  describe('parseSummary()', () => {
+    let parser = /** @type CoverageParser */ (null);
+    beforeEach(() => {
+      parser = new CoverageParser();
+    });
+
+    it('ignores the total entry', () => {
+      const result = parser.parseSummary(summary);
+      assert.lengthOf(result, 1);
+      assert.equal(result[0].file, 'src/a.js');
+    });
+
+    it('reads the metrics', () => {
+      const [result] = parser.parseSummary(summary);
+      assert.deepEqual(result.lines, { hit: 5, found: 10 }, 'has lines');
+      assert.deepEqual(result.functions, { hit: 0, found: 0 }, 'has functions');
+      assert.deepEqual(result.branches, { hit: 4, found: 4 }, 'has branches');
+      assert.equal(result.coverage, 64.29, 'has coverage');
+    });
+  });
+
+  describe('parse()', () => {
+    let parser = /** @type CoverageParser */ (null);
+    beforeEach(() => {
+      parser = new CoverageParser();
+    });
+
+    it('returns the summary and details', () => {
+      const result = parser.parse(lcov);
+      assert.typeOf(result.summary, 'object', 'has summary');
+      assert.lengthOf(result.details, 2, 'has details');
+    });
+
+    it('computes the summary from all files', () => {
+      const { summary: result } = parser.parse(lcov);
+      assert.equal(result.lines, 50, 'has lines');
+      assert.equal(result.functions, 66.67, 'has functions');
+      assert.equal(result.branches, 50, 'has branches');
+      assert.equal(result.coverage, 53.85, 'has coverage');
+    });
+
+    it('sets null for metrics without occurrences', () => {
+      const { summary: result } = parser.parse(summary, 'summary');
+      assert.isNull(result.functions);
+    });
+
+    it('parses JSON string reports', () => {
+      const result = parser.parse(JSON.stringify(istanbul), 'istanbul');
+      assert.lengthOf(result.details, 1);
+    });
+
+    it('throws when the JSON report is invalid', () => {
+      assert.throws(() => {
+        parser.parse('{invalid', 'istanbul');
+      }, 'The coverage report is not a valid JSON.');
+    });
+
+    it('throws when the report has no files', () => {
+      assert.throws(() => {
+        parser.parse('', 'lcov');
+      }, 'The coverage report has no files.');
+    });
+
+    it('throws when the format is unknown', () => {
+      assert.throws(() => {
+        // @ts-ignore
+        parser.parse(lcov, 'other');
+      });
+    });
+  });
+});
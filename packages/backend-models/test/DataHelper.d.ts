@@ -9,6 +9,10 @@ import { UserEntity } from '../src/UserModel';
 import { PassportProfile } from '../src/types/PassportProfile';
 import { TokenInfo, TokenModel } from '../src/TokenModel';
 import { AmfTest, BottomUpTest } from '../src/types/ComponentTest';
+import { GithubBuild } from '../src/types/GitHubBuild';
+import { GithubBuildModel } from '../src/GithubBuildModel';
+import { GithubDelivery } from '../src/types/GithubDelivery';
+import { GithubDeliveryModel } from '../src/GithubDeliveryModel';
 
 export declare interface ComponentInsertOptions {
   name?: string;
@@ -59,6 +63,10 @@ export declare class DataHelper {
   generateAmfTestEntity(): AmfTest;
   generateBottomUpTestEntity(): BottomUpTest;
   populateTests(model: TestModel, sample?: number): Promise<string[]>;
+  generateGithubBuildEntity(): GithubBuild;
+  populateBuilds(model: GithubBuildModel, sample?: number): Promise<string[]>;
+  generateGithubDeliveryEntity(): GithubDelivery;
+  populateDeliveries(model: GithubDeliveryModel, sample?: number): Promise<string[]>;
   generatePassportProfile(): PassportProfile;
   generateUserEntity(): UserEntity;
   generateToken(user: UserEntity, createInfo: TokenCreateInfo): string;
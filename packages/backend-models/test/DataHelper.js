@@ -21,6 +21,10 @@ import jwt from 'jsonwebtoken';
 /** @typedef {import('../src/types/ComponentTest').AmfTest} AmfTest */
 /** @typedef {import('../src/types/ComponentTest').BottomUpTest} BottomUpTest */
 /** @typedef {import('../src/TestModel').TestModel} TestModel */
+/** @typedef {import('../src/types/GitHubBuild').GithubBuild} GithubBuild */
+/** @typedef {import('../src/GithubBuildModel').GithubBuildModel} GithubBuildModel */
+/** @typedef {import('../src/types/GithubDelivery').GithubDelivery} GithubDelivery */
+/** @typedef {import('../src/GithubDeliveryModel').GithubDeliveryModel} GithubDeliveryModel */
 /** @typedef {import('../src/UserModel').UserEntity} UserEntity */
 /** @typedef {import('../src/types/PassportProfile').PassportProfile} PassportProfile */
 /** @typedef {import('../src/TokenModel').EditableToken} EditableToken */
@@ -54,6 +58,27 @@ class DataHelper {
     await model.store.delete(keys);
   }
 
+  /**
+   * @param {BaseModel} model
+   * @param {string} name
+   * @return {Promise<Key>}
+   */
+  async insertComponentGroup(model, name) {
+    const key = model.store.key({
+      namespace: model.namespace,
+      path: [model.organizationKind, model.slug(name)],
+    });
+    const entity = {
+      key,
+      data: {
+        name,
+        created: Date.now(),
+      },
+    };
+    await model.store.upsert(entity);
+    return key;
+  }
+
   /**
    * @param {BaseModel} model
    * @param {ComponentInsertOptions=} opts
@@ -349,6 +374,92 @@ class DataHelper {
     return keys;
   }
 
+  /**
+   * @return {GithubBuild}
+   */
+  generateGithubBuildEntity() {
+    const name = chance.word();
+    return {
+      type: chance.pick(['stage', 'master', 'tag']),
+      repository: `git@github.com:advanced-rest-client/${name}.git`,
+      component: `advanced-rest-client/${name}`,
+      commit: chance.hash(),
+      branch: '1.0.0',
+      creator: {
+        id: chance.guid(),
+        displayName: chance.name(),
+      },
+    };
+  }
+
+  /**
+   * @param {GithubBuildModel} model
+   * @param {number=} sample
+   * @return {Promise<string[]>}
+   */
+  async populateBuilds(model, sample=25) {
+    const transaction = model.store.transaction();
+    await transaction.run();
+    const keys = [];
+    Array(sample).fill(0).forEach(() => {
+      const key = model.createBuildKey(chance.guid());
+      const info = this.generateGithubBuildEntity();
+      info.created = Date.now();
+      info.status = 'queued';
+      const entity = {
+        key,
+        data: info,
+      };
+      transaction.save(entity);
+      keys.push(key.name);
+    });
+    await transaction.commit();
+    return keys;
+  }
+
+  /**
+   * @return {GithubDelivery}
+   */
+  generateGithubDeliveryEntity() {
+    const name = chance.word();
+    return {
+      event: 'push',
+      payload: JSON.stringify({
+        ref: 'refs/heads/master',
+        after: chance.hash(),
+        repository: {
+          full_name: `advanced-rest-client/${name}`,
+          ssh_url: `git@github.com:advanced-rest-client/${name}.git`,
+        },
+      }),
+    };
+  }
+
+  /**
+   * @param {GithubDeliveryModel} model
+   * @param {number=} sample
+   * @return {Promise<string[]>}
+   */
+  async populateDeliveries(model, sample=25) {
+    const transaction = model.store.transaction();
+    await transaction.run();
+    const keys = [];
+    Array(sample).fill(0).forEach(() => {
+      const key = model.createDeliveryKey(chance.guid());
+      const info = this.generateGithubDeliveryEntity();
+      info.received = Date.now();
+      info.status = 'received';
+      const entity = {
+        key,
+        data: info,
+      };
+      transaction.save(entity);
+      keys.push(key.name);
+    });
+    await transaction.commit();
+    return keys;
+  }
+
   /**
    * @return {PassportProfile}
    */
@@ -357,7 +468,7 @@ class DataHelper {
       provider: 'google',
       id: chance.word(),
       displayName: chance.name(),
-      emails: [{ value: chance.email() }],
+      emails: [{ value: chance.email(), verified: true }],
       photos: [{ value: chance.url() }],
     };
   }
@@ -208,4 +208,109 @@ describe('DependencyModel', () => {
       assert.isTrue(result[0].development);
     });
   });
+
+  describe('listAllParentComponents()', () => {
+    let model = /** @type DependencyModel */ (null);
+    beforeEach(() => {
+      model = new DependencyModel();
+    });
+
+    before(async () => {
+      const m = new DependencyModel();
+      // b -> a, c -> b, d -(dev)-> c, a -> c (cycle)
+      await m.set({ org: 'p', name: 'a', pkg: '@p/a', dependencies: ['@p/c'] });
+      await m.set({ org: 'p', name: 'b', pkg: '@p/b', dependencies: ['@p/a'] });
+      await m.set({ org: 'p', name: 'c', pkg: '@p/c', dependencies: ['@p/b'] });
+      await m.set({ org: 'p', name: 'd', pkg: '@p/d', devDependencies: ['@p/c'] });
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.dependencyKind);
+    });
+
+    it('returns transitive parents', async () => {
+      const result = await model.listAllParentComponents('@p/a');
+      assert.deepEqual(result, ['@p/b', '@p/c']);
+    });
+
+    it('includes dev dependencies', async () => {
+      const result = await model.listAllParentComponents('@p/a', true);
+      assert.deepEqual(result, ['@p/b', '@p/c', '@p/d']);
+    });
+  });
+
+  describe('graph()', () => {
+    let model = /** @type DependencyModel */ (null);
+    beforeEach(() => {
+      model = new DependencyModel();
+    });
+
+    before(async () => {
+      const m = new DependencyModel();
+      // a -> b -> c -> a, b -(dev)-> d, c -> @ext/lib
+      await m.set({ org: 'o', name: 'a', pkg: '@o/a', dependencies: ['@o/b'] });
+      await m.set({ org: 'o', name: 'b', pkg: '@o/b', dependencies: ['@o/c'], devDependencies: ['@o/d'] });
+      await m.set({ org: 'o', name: 'c', pkg: '@o/c', dependencies: ['@o/a', '@ext/lib'] });
+      await m.set({ org: 'o', name: 'd', pkg: '@o/d' });
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.dependencyKind);
+    });
+
+    it('returns null when the component is not found', async () => {
+      const result = await model.graph('@o/unknown');
+      assert.equal(result, null);
+    });
+
+    it('walks the dependencies', async () => {
+      const result = await model.graph('@o/a');
+      const pkgs = result.nodes.map((item) => item.pkg);
+      assert.sameMembers(pkgs, ['@o/a', '@o/b', '@o/c', '@ext/lib']);
+    });
+
+    it('sets the depth of the nodes', async () => {
+      const result = await model.graph('@o/a');
+      const node = result.nodes.find((item) => item.pkg === '@o/c');
+      assert.equal(node.depth, 2);
+    });
+
+    it('sets the org and name of the known nodes', async () => {
+      const result = await model.graph('@o/a');
+      const known = result.nodes.find((item) => item.pkg === '@o/b');
+      assert.equal(known.org, 'o');
+      assert.equal(known.name, 'b');
+      const external = result.nodes.find((item) => item.pkg === '@ext/lib');
+      assert.isUndefined(external.org);
+    });
+
+    it('respects the depth', async () => {
+      const result = await model.graph('@o/a', { depth: 1 });
+      const pkgs = result.nodes.map((item) => item.pkg);
+      assert.sameMembers(pkgs, ['@o/a', '@o/b']);
+    });
+
+    it('includes the dev dependencies', async () => {
+      const result = await model.graph('@o/a', { includeDev: true });
+      const edge = result.edges.find((item) => item.to === '@o/d');
+      assert.deepEqual(edge, { from: '@o/b', to: '@o/d', type: 'development' });
+    });
+
+    it('detects cycles', async () => {
+      const result = await model.graph('@o/a');
+      assert.deepEqual(result.cycles, [['@o/a', '@o/b', '@o/c', '@o/a']]);
+    });
+
+    it('walks the dependees', async () => {
+      const result = await model.graph('@o/c', { direction: 'up', depth: 1 });
+      assert.deepEqual(result.edges, [{ from: '@o/b', to: '@o/c', type: 'production' }]);
+    });
+
+    it('walks the dependees transitively', async () => {
+      const result = await model.graph('@o/c', { direction: 'up' });
+      const pkgs = result.nodes.map((item) => item.pkg);
+      assert.sameMembers(pkgs, ['@o/c', '@o/b', '@o/a']);
+      assert.lengthOf(result.cycles, 1);
+    });
+  });
 });
@@ -0,0 +1,217 @@
+import Emulator from 'google-datastore-emulator';
+import pkg from 'chai';
+const { assert } = pkg;
+import { GithubBuildModel } from '../index.js';
+import DataHelper from './DataHelper.js';
+
+/** @typedef {import('../src/types/GitHubBuild').GithubBuildEntity} GithubBuildEntity */
+
+describe('GithubBuildModel', () => {
+  process.env.GCLOUD_PROJECT = 'advancedrestclient-1155';
+  let emulator;
+  before(async () => {
+    const options = {};
+    emulator = new Emulator(options);
+    return emulator.start();
+  });
+
+  after(() => emulator.stop());
+
+  /**
+   * @param {GithubBuildModel} model
+   * @param {string} id
+   * @return {Promise<GithubBuildEntity>}
+   */
+  async function getEntry(model, id) {
+    const key = model.createBuildKey(id);
+    const [result] = await model.store.get(key);
+    return model.fromDatastore(result);
+  }
+
+  describe('constructor()', () => {
+    it('sets namespace', () => {
+      const model = new GithubBuildModel();
+      assert.equal(model.namespace, 'apic-github-builds');
+    });
+  });
+
+  describe('insert()', () => {
+    let model = /** @type GithubBuildModel */ (null);
+    beforeEach(() => {
+      model = new GithubBuildModel();
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.buildKind);
+    });
+
+    it('returns the id of the created entity', async () => {
+      const info = DataHelper.generateGithubBuildEntity();
+      const id = await model.insert(info);
+      assert.typeOf(id, 'string');
+    });
+
+    it('adds "type" property', async () => {
+      const info = DataHelper.generateGithubBuildEntity();
+      const id = await model.insert(info);
+      const result = await getEntry(model, id);
+      assert.equal(result.type, info.type);
+    });
+
+    it('adds "repository" property', async () => {
+      const info = DataHelper.generateGithubBuildEntity();
+      const id = await model.insert(info);
+      const result = await getEntry(model, id);
+      assert.equal(result.repository, info.repository);
+    });
+
+    it('adds "status" property', async () => {
+      const info = DataHelper.generateGithubBuildEntity();
+      const id = await model.insert(info);
+      const result = await getEntry(model, id);
+      assert.equal(result.status, 'queued');
+    });
+
+    it('adds "created" property', async () => {
+      const info = DataHelper.generateGithubBuildEntity();
+      const id = await model.insert(info);
+      const result = await getEntry(model, id);
+      assert.typeOf(result.created, 'number');
+    });
+
+    it('adds "component", "commit", and "branch" properties', async () => {
+      const info = DataHelper.generateGithubBuildEntity();
+      const id = await model.insert(info);
+      const result = await getEntry(model, id);
+      assert.equal(result.component, info.component);
+      assert.equal(result.commit, info.commit);
+      assert.equal(result.branch, info.branch);
+    });
+
+    it('adds "creator" property', async () => {
+      const info = DataHelper.generateGithubBuildEntity();
+      const id = await model.insert(info);
+      const result = await getEntry(model, id);
+      assert.deepEqual(result.creator, info.creator);
+    });
+  });
+
+  describe('list()', () => {
+    before(async () => {
+      const m = new GithubBuildModel();
+      await DataHelper.populateBuilds(m);
+    });
+
+    after(async () => {
+      const m = new GithubBuildModel();
+      await DataHelper.deleteEntities(m, m.buildKind);
+    });
+
+    let model = /** @type GithubBuildModel */ (null);
+    beforeEach(() => {
+      model = new GithubBuildModel();
+    });
+
+    it('returns query result', async () => {
+      const result = await model.list();
+      assert.typeOf(result, 'object', 'result is an object');
+      assert.typeOf(result.pageToken, 'string', 'has page token');
+      assert.typeOf(result.entities, 'array', 'has entities');
+    });
+
+    it('respects the limit', async () => {
+      const result = await model.list({
+        limit: 10,
+      });
+      assert.lengthOf(result.entities, 10, 'has 10 entities');
+    });
+
+    it('respects the page token', async () => {
+      const result1 = await model.list({
+        limit: 10,
+      });
+      const result2 = await model.list({
+        limit: 100,
+        pageToken: result1.pageToken,
+      });
+      assert.lengthOf(result2.entities, 15, 'has the remaining entities');
+    });
+  });
+
+  describe('get()', () => {
+    let created = /** @type string[] */ (null);
+    before(async () => {
+      const m = new GithubBuildModel();
+      created = await DataHelper.populateBuilds(m, 2);
+    });
+
+    after(async () => {
+      const m = new GithubBuildModel();
+      await DataHelper.deleteEntities(m, m.buildKind);
+    });
+
+    let model = /** @type GithubBuildModel */ (null);
+    beforeEach(() => {
+      model = new GithubBuildModel();
+    });
+
+    it('returns an entity', async () => {
+      const result = await model.get(created[0]);
+      assert.typeOf(result, 'object');
+    });
+
+    it('returns null when not found', async () => {
+      const result = await model.get('not-found');
+      assert.equal(result, null);
+    });
+  });
+
+  describe('state changes', () => {
+    after(async () => {
+      const m = new GithubBuildModel();
+      await DataHelper.deleteEntities(m, m.buildKind);
+    });
+
+    let model = /** @type GithubBuildModel */ (null);
+    let id;
+    beforeEach(async () => {
+      model = new GithubBuildModel();
+      id = await model.insert(DataHelper.generateGithubBuildEntity());
+    });
+
+    it('start() sets the running state', async () => {
+      await model.start(id);
+      const result = await getEntry(model, id);
+      assert.equal(result.status, 'running');
+      assert.typeOf(result.started, 'number');
+    });
+
+    it('finish() sets the finished state', async () => {
+      await model.finish(id, 'done');
+      const result = await getEntry(model, id);
+      assert.equal(result.status, 'finished');
+      assert.typeOf(result.ended, 'number');
+      assert.equal(result.message, 'done');
+    });
+
+    it('setBuildError() sets the error state', async () => {
+      await model.setBuildError(id, 'failed');
+      const result = await getEntry(model, id);
+      assert.equal(result.status, 'finished');
+      assert.isTrue(result.error);
+      assert.equal(result.message, 'failed');
+    });
+
+    it('resetBuild() restores the queued state', async () => {
+      await model.start(id);
+      await model.setBuildError(id, 'failed');
+      await model.resetBuild(id);
+      const result = await getEntry(model, id);
+      assert.equal(result.status, 'queued');
+      assert.isUndefined(result.error);
+      assert.isUndefined(result.message);
+      assert.isUndefined(result.started);
+      assert.isUndefined(result.ended);
+    });
+  });
+});
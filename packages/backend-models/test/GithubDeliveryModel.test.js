@@ -0,0 +1,211 @@
+import Emulator from 'google-datastore-emulator';
+import pkg from 'chai';
+const { assert } = pkg;
+import { GithubDeliveryModel } from '../index.js';
+import DataHelper from './DataHelper.js';
+
+/** @typedef {import('../src/types/GithubDelivery').GithubDeliveryEntity} GithubDeliveryEntity */
+
+describe('GithubDeliveryModel', () => {
+  process.env.GCLOUD_PROJECT = 'advancedrestclient-1155';
+  let emulator;
+  before(async () => {
+    const options = {};
+    emulator = new Emulator(options);
+    return emulator.start();
+  });
+
+  after(() => emulator.stop());
+
+  /**
+   * @param {GithubDeliveryModel} model
+   * @param {string} id
+   * @return {Promise<GithubDeliveryEntity>}
+   */
+  async function getEntry(model, id) {
+    const key = model.createDeliveryKey(id);
+    const [result] = await model.store.get(key);
+    return model.fromDatastore(result);
+  }
+
+  describe('constructor()', () => {
+    it('sets namespace', () => {
+      const model = new GithubDeliveryModel();
+      assert.equal(model.namespace, 'apic-github-builds');
+    });
+  });
+
+  describe('insert()', () => {
+    let model = /** @type GithubDeliveryModel */ (null);
+    beforeEach(() => {
+      model = new GithubDeliveryModel();
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.deliveryKind);
+    });
+
+    it('returns true when the delivery is recorded', async () => {
+      const info = DataHelper.generateGithubDeliveryEntity();
+      const result = await model.insert('delivery-1', info);
+      assert.isTrue(result);
+    });
+
+    it('returns false for a duplicated delivery', async () => {
+      const info = DataHelper.generateGithubDeliveryEntity();
+      await model.insert('delivery-2', info);
+      const result = await model.insert('delivery-2', info);
+      assert.isFalse(result);
+    });
+
+    it('does not override a duplicated delivery', async () => {
+      const info1 = DataHelper.generateGithubDeliveryEntity();
+      const info2 = DataHelper.generateGithubDeliveryEntity();
+      await model.insert('delivery-3', info1);
+      await model.insert('delivery-3', info2);
+      const result = await getEntry(model, 'delivery-3');
+      assert.equal(result.payload, info1.payload);
+    });
+
+    it('stores the delivery properties', async () => {
+      const info = DataHelper.generateGithubDeliveryEntity();
+      await model.insert('delivery-4', info);
+      const result = await getEntry(model, 'delivery-4');
+      assert.equal(result.event, info.event, 'has the event');
+      assert.equal(result.payload, info.payload, 'has the payload');
+      assert.equal(result.status, 'received', 'has the status');
+      assert.typeOf(result.received, 'number', 'has the received');
+      assert.equal(result.replays, 0, 'has the replays');
+    });
+  });
+
+  describe('list()', () => {
+    before(async () => {
+      const m = new GithubDeliveryModel();
+      await DataHelper.populateDeliveries(m);
+    });
+
+    after(async () => {
+      const m = new GithubDeliveryModel();
+      await DataHelper.deleteEntities(m, m.deliveryKind);
+    });
+
+    let model = /** @type GithubDeliveryModel */ (null);
+    beforeEach(() => {
+      model = new GithubDeliveryModel();
+    });
+
+    it('returns query result', async () => {
+      const result = await model.list();
+      assert.typeOf(result, 'object', 'result is an object');
+      assert.typeOf(result.pageToken, 'string', 'has page token');
+      assert.typeOf(result.entities, 'array', 'has entities');
+    });
+
+    it('respects the limit', async () => {
+      const result = await model.list({
+        limit: 10,
+      });
+      assert.lengthOf(result.entities, 10, 'has 10 entities');
+    });
+
+    it('respects the page token', async () => {
+      const result1 = await model.list({
+        limit: 10,
+      });
+      const result2 = await model.list({
+        limit: 100,
+        pageToken: result1.pageToken,
+      });
+      assert.lengthOf(result2.entities, 15, 'has the remaining entities');
+    });
+  });
+
+  describe('get()', () => {
+    let created = /** @type string[] */ (null);
+    before(async () => {
+      const m = new GithubDeliveryModel();
+      created = await DataHelper.populateDeliveries(m, 2);
+    });
+
+    after(async () => {
+      const m = new GithubDeliveryModel();
+      await DataHelper.deleteEntities(m, m.deliveryKind);
+    });
+
+    let model = /** @type GithubDeliveryModel */ (null);
+    beforeEach(() => {
+      model = new GithubDeliveryModel();
+    });
+
+    it('returns an entity', async () => {
+      const result = await model.get(created[0]);
+      assert.typeOf(result, 'object');
+      assert.equal(result.id, created[0]);
+    });
+
+    it('returns null when not found', async () => {
+      const result = await model.get('not-found');
+      assert.equal(result, null);
+    });
+  });
+
+  describe('setResult()', () => {
+    after(async () => {
+      const m = new GithubDeliveryModel();
+      await DataHelper.deleteEntities(m, m.deliveryKind);
+    });
+
+    let model = /** @type GithubDeliveryModel */ (null);
+    let id = 0;
+    beforeEach(async () => {
+      model = new GithubDeliveryModel();
+      id++;
+      await model.insert(`result-${id}`, DataHelper.generateGithubDeliveryEntity());
+    });
+
+    it('sets the passed properties', async () => {
+      await model.setResult(`result-${id}`, {
+        status: 'processed',
+        buildId: 'test-build',
+      });
+      const result = await getEntry(model, `result-${id}`);
+      assert.equal(result.status, 'processed');
+      assert.equal(result.buildId, 'test-build');
+    });
+
+    it('does not increase replays by default', async () => {
+      await model.setResult(`result-${id}`, {
+        status: 'ignored',
+      });
+      const result = await getEntry(model, `result-${id}`);
+      assert.equal(result.replays, 0);
+    });
+
+    it('increases replays when replaying', async () => {
+      await model.setResult(`result-${id}`, {
+        status: 'ignored',
+      }, true);
+      const result = await getEntry(model, `result-${id}`);
+      assert.equal(result.replays, 1);
+    });
+
+    it('replaces the previous result', async () => {
+      await model.setResult(`result-${id}`, {
+        status: 'processed',
+        buildId: 'test-build',
+      });
+      await model.setResult(`result-${id}`, {
+        status: 'error',
+        message: 'Unable to process',
+      }, true);
+      const result = await getEntry(model, `result-${id}`);
+      assert.equal(result.status, 'error', 'has the new status');
+      assert.equal(result.message, 'Unable to process', 'has the new message');
+      assert.isUndefined(result.buildId, 'has no previous build id');
+      assert.equal(result.replays, 1, 'has the replays');
+      assert.typeOf(result.payload, 'string', 'keeps the payload');
+      assert.typeOf(result.received, 'number', 'keeps the received time');
+    });
+  });
+});
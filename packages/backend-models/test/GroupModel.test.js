@@ -0,0 +1,148 @@
+import Emulator from 'google-datastore-emulator';
+import pkg from 'chai';
+const { assert } = pkg;
+import { GroupModel } from '../index.js';
+import DataHelper from './DataHelper.js';
+
+describe('GroupModel', () => {
+  process.env.GCLOUD_PROJECT = 'advancedrestclient-1155';
+  let emulator;
+  before(async () => {
+    const options = {};
+    emulator = new Emulator(options);
+    return emulator.start();
+  });
+
+  after(() => emulator.stop());
+
+  describe('constructor()', () => {
+    it('sets namespace', () => {
+      const model = new GroupModel();
+      assert.equal(model.namespace, 'api-components');
+    });
+  });
+
+  describe('createGroupKey()', () => {
+    let model = /** @type GroupModel */ (null);
+    beforeEach(() => {
+      model = new GroupModel();
+    });
+
+    it('has the namespace', () => {
+      const result = model.createGroupKey('Advanced REST Client');
+      assert.equal(result.namespace, 'api-components');
+    });
+
+    it('has the normalized name', () => {
+      const result = model.createGroupKey('advanced rest client');
+      assert.equal(result.name, 'advanced-rest-client');
+    });
+
+    it('has the kind', () => {
+      const result = model.createGroupKey('advanced-rest-client');
+      assert.equal(result.kind, 'Organization');
+    });
+  });
+
+  describe('list()', () => {
+    before(async () => {
+      const m = new GroupModel();
+      for (let i = 0; i < 30; i++) {
+        await DataHelper.insertComponentGroup(m, `group ${i}`);
+      }
+    });
+
+    after(async () => {
+      const m = new GroupModel();
+      await DataHelper.deleteEntities(m, m.organizationKind);
+    });
+
+    let model = /** @type GroupModel */ (null);
+    beforeEach(() => {
+      model = new GroupModel();
+    });
+
+    it('returns query result', async () => {
+      const result = await model.list();
+      assert.typeOf(result, 'object', 'result is an object');
+      assert.typeOf(result.pageToken, 'string', 'has page token');
+      assert.lengthOf(result.entities, 25, 'has default number of entities');
+    });
+
+    it('respects the limit', async () => {
+      const result = await model.list({
+        limit: 10,
+      });
+      assert.lengthOf(result.entities, 10, 'has 10 entities');
+    });
+
+    it('respects the page token', async () => {
+      const result1 = await model.list({
+        limit: 10,
+      });
+      const result2 = await model.list({
+        limit: 100,
+        pageToken: result1.pageToken,
+      });
+      assert.lengthOf(result2.entities, 20, 'has the remaining entities');
+    });
+  });
+
+  describe('get()', () => {
+    before(async () => {
+      const m = new GroupModel();
+      await DataHelper.insertComponentGroup(m, 'Api Components');
+    });
+
+    after(async () => {
+      const m = new GroupModel();
+      await DataHelper.deleteEntities(m, m.organizationKind);
+    });
+
+    let model = /** @type GroupModel */ (null);
+    beforeEach(() => {
+      model = new GroupModel();
+    });
+
+    it('returns the group by its name', async () => {
+      const result = await model.get('Api Components');
+      assert.equal(result.name, 'Api Components');
+      assert.equal(result.id, 'api-components');
+    });
+
+    it('returns the group by its id', async () => {
+      const result = await model.get('api-components');
+      assert.equal(result.name, 'Api Components');
+    });
+
+    it('returns null when not found', async () => {
+      const result = await model.get('not-found');
+      assert.equal(result, null);
+    });
+  });
+
+  describe('ensureGroup()', () => {
+    after(async () => {
+      const m = new GroupModel();
+      await DataHelper.deleteEntities(m, m.organizationKind);
+    });
+
+    let model = /** @type GroupModel */ (null);
+    beforeEach(() => {
+      model = new GroupModel();
+    });
+
+    it('creates a group', async () => {
+      const result = await model.ensureGroup('advanced-rest-client');
+      assert.equal(result.id, 'advanced-rest-client');
+      assert.equal(result.name, 'advanced-rest-client');
+      assert.typeOf(result.created, 'number');
+    });
+
+    it('returns existing group', async () => {
+      const created = await model.ensureGroup('api-modeling');
+      const result = await model.ensureGroup('api-modeling');
+      assert.equal(result.created, created.created);
+    });
+  });
+});
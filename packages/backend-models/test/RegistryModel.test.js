@@ -0,0 +1,282 @@
+import Emulator from 'google-datastore-emulator';
+import pkg from 'chai';
+const { assert } = pkg;
+import { RegistryModel } from '../index.js';
+import DataHelper from './DataHelper.js';
+
+describe('RegistryModel', () => {
+  process.env.GCLOUD_PROJECT = 'advancedrestclient-1155';
+  let emulator;
+  before(async () => {
+    const options = {};
+    emulator = new Emulator(options);
+    return emulator.start();
+  });
+
+  after(() => emulator.stop());
+
+  describe('constructor()', () => {
+    it('sets namespace', () => {
+      const model = new RegistryModel();
+      assert.equal(model.namespace, 'api-components-registry');
+    });
+  });
+
+  describe('normalizeValue()', () => {
+    let model = /** @type RegistryModel */ (null);
+    beforeEach(() => {
+      model = new RegistryModel();
+    });
+
+    it('lowercases the value', () => {
+      assert.equal(model.normalizeValue('org', ' Advanced-REST-Client '), 'advanced-rest-client');
+    });
+
+    it('removes the leading @ from a domain', () => {
+      assert.equal(model.normalizeValue('domain', '@MuleSoft.com'), 'mulesoft.com');
+    });
+  });
+
+  describe('insert()', () => {
+    let model = /** @type RegistryModel */ (null);
+    beforeEach(() => {
+      model = new RegistryModel();
+    });
+
+    afterEach(async () => {
+      await DataHelper.deleteEntities(model, model.registryEntryKind);
+    });
+
+    it('returns the created entry', async () => {
+      const result = await model.insert({ type: 'org', value: 'My-Org', description: 'test' });
+      assert.equal(result.id, 'org:my-org', 'has the id');
+      assert.equal(result.type, 'org', 'has the type');
+      assert.equal(result.value, 'my-org', 'has the normalized value');
+      assert.equal(result.description, 'test', 'has the description');
+      assert.typeOf(result.created, 'number', 'has the created');
+    });
+
+    it('stores the creator', async () => {
+      const creator = { id: 'user-1', displayName: 'test user' };
+      const result = await model.insert({ type: 'email', value: 'me@domain.com' }, creator);
+      assert.deepEqual(result.creator, creator);
+    });
+
+    it('throws with code 409 when the entry exists', async () => {
+      await model.insert({ type: 'domain', value: 'domain.com' });
+      let error;
+      try {
+        await model.insert({ type: 'domain', value: '@Domain.com' });
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error, 'throws an error');
+      assert.equal(error.code, 409);
+    });
+  });
+
+  describe('list()', () => {
+    let model = /** @type RegistryModel */ (null);
+    before(async () => {
+      model = new RegistryModel();
+      // removes the configuration defaults
+      await model.initialize();
+      await DataHelper.deleteEntities(model, model.registryEntryKind);
+      await model.insert({ type: 'org', value: 'org-1' });
+      await model.insert({ type: 'org', value: 'org-2' });
+      await model.insert({ type: 'domain', value: 'domain.com' });
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.registryEntryKind);
+    });
+
+    it('lists all entries', async () => {
+      const result = await model.list();
+      assert.lengthOf(result.entities, 3);
+    });
+
+    it('lists entries of a type', async () => {
+      const result = await model.list({ type: 'org' });
+      assert.lengthOf(result.entities, 2);
+    });
+
+    it('respects the limit', async () => {
+      const result = await model.list({ limit: 1 });
+      assert.lengthOf(result.entities, 1, 'has 1 entity');
+      assert.typeOf(result.pageToken, 'string', 'has the page token');
+    });
+  });
+
+  describe('update()', () => {
+    let model = /** @type RegistryModel */ (null);
+    beforeEach(async () => {
+      model = new RegistryModel();
+      await model.insert({ type: 'org', value: 'org-1', description: 'old' });
+    });
+
+    afterEach(async () => {
+      await DataHelper.deleteEntities(model, model.registryEntryKind);
+    });
+
+    it('updates the description', async () => {
+      await model.update('org:org-1', 'new');
+      const result = await model.get('org:org-1');
+      assert.equal(result.description, 'new');
+    });
+
+    it('removes the description', async () => {
+      await model.update('org:org-1', '');
+      const result = await model.get('org:org-1');
+      assert.isUndefined(result.description);
+    });
+
+    it('returns the updated entry', async () => {
+      const result = await model.update('org:org-1', 'new');
+      assert.equal(result.id, 'org:org-1', 'has the id');
+      assert.equal(result.description, 'new', 'has the description');
+    });
+
+    it('returns null when the entry does not exist', async () => {
+      const result = await model.update('org:unknown', 'new');
+      assert.equal(result, null);
+    });
+  });
+
+  describe('delete()', () => {
+    let model = /** @type RegistryModel */ (null);
+    beforeEach(async () => {
+      model = new RegistryModel();
+      await model.insert({ type: 'org', value: 'org-1' });
+    });
+
+    afterEach(async () => {
+      await DataHelper.deleteEntities(model, model.registryEntryKind);
+    });
+
+    it('removes the entry', async () => {
+      await model.delete('org:org-1');
+      const result = await model.get('org:org-1');
+      assert.equal(result, null);
+    });
+  });
+
+  describe('getRegistry()', () => {
+    let model = /** @type RegistryModel */ (null);
+    beforeEach(() => {
+      model = new RegistryModel();
+      model.invalidateCache();
+    });
+
+    afterEach(async () => {
+      await DataHelper.deleteEntities(model, model.registryEntryKind);
+      await DataHelper.deleteEntities(model, model.registryStateKind);
+      model.invalidateCache();
+    });
+
+    it('returns the configuration defaults when the registry is initialized', async () => {
+      const result = await model.getRegistry();
+      assert.include(result.orgs, 'advanced-rest-client', 'has default orgs');
+      assert.include(result.domains, 'mulesoft.com', 'has default domains');
+      assert.typeOf(result.emails, 'array', 'has emails');
+    });
+
+    it('stores the configuration defaults as registry entries', async () => {
+      await model.getRegistry();
+      const result = await model.get('org:advanced-rest-client');
+      assert.ok(result, 'has the entry');
+    });
+
+    it('returns the registry entries', async () => {
+      await model.insert({ type: 'org', value: 'my-org' });
+      const result = await model.getRegistry();
+      assert.include(result.orgs, 'my-org', 'has registry orgs');
+      assert.include(result.domains, 'mulesoft.com', 'has default domains');
+    });
+
+    it('returns an empty list when all entries of a type were removed', async () => {
+      const { orgs } = await model.getRegistry();
+      for (const org of orgs) {
+        await model.delete(`org:${org}`);
+      }
+      const result = await model.getRegistry();
+      assert.deepEqual(result.orgs, [], 'has no orgs');
+      assert.include(result.domains, 'mulesoft.com', 'has other entries');
+    });
+
+    it('does not add the configuration defaults again', async () => {
+      await model.getRegistry();
+      await model.delete('domain:mulesoft.com');
+      model.invalidateCache();
+      await model.initialize();
+      const result = await model.getRegistry();
+      assert.notInclude(result.domains, 'mulesoft.com');
+    });
+
+    it('invalidates the cache when an entry is added', async () => {
+      await model.getRegistry();
+      await model.insert({ type: 'org', value: 'my-org' });
+      const result = await model.getRegistry();
+      assert.include(result.orgs, 'my-org');
+    });
+
+    it('invalidates the cache when an entry is removed', async () => {
+      await model.insert({ type: 'org', value: 'my-org' });
+      await model.getRegistry();
+      await model.delete('org:my-org');
+      const result = await model.getRegistry();
+      assert.notInclude(result.orgs, 'my-org');
+    });
+  });
+
+  describe('isAllowedOrg()', () => {
+    let model = /** @type RegistryModel */ (null);
+    before(async () => {
+      model = new RegistryModel();
+      await model.insert({ type: 'org', value: 'my-org' });
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.registryEntryKind);
+      model.invalidateCache();
+    });
+
+    it('returns true for a registered org', async () => {
+      const result = await model.isAllowedOrg('My-Org');
+      assert.isTrue(result);
+    });
+
+    it('returns false for other org', async () => {
+      const result = await model.isAllowedOrg('other-org');
+      assert.isFalse(result);
+    });
+  });
+
+  describe('isTrustedEmail()', () => {
+    const registry = {
+      orgs: [],
+      domains: ['domain.com'],
+      emails: ['me@other.com'],
+    };
+    let model = /** @type RegistryModel */ (null);
+    beforeEach(() => {
+      model = new RegistryModel();
+    });
+
+    it('returns true for an email in a trusted domain', () => {
+      assert.isTrue(model.isTrustedEmail('Someone@Domain.com', registry));
+    });
+
+    it('returns true for a trusted email', () => {
+      assert.isTrue(model.isTrustedEmail('me@other.com', registry));
+    });
+
+    it('returns false for other email', () => {
+      assert.isFalse(model.isTrustedEmail('you@other.com', registry));
+    });
+
+    it('returns false for a domain suffix', () => {
+      assert.isFalse(model.isTrustedEmail('me@domain.com.evil.com', registry));
+    });
+  });
+});
@@ -81,6 +81,37 @@ describe('TestComponentModel', () => {
     });
   });
 
+  describe('queue()', () => {
+    const testId = 'test-queue';
+    let model = /** @type TestComponentModel */ (null);
+    beforeEach(() => {
+      model = new TestComponentModel();
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.componentsKind);
+    });
+
+    it('adds queued entries', async () => {
+      const cmp1 = DataHelper.generatePackageName();
+      const cmp2 = DataHelper.generatePackageName();
+      await model.queue(testId, [cmp1, cmp2]);
+      const result1 = await getEntry(model, testId, cmp1);
+      const result2 = await getEntry(model, testId, cmp2);
+      assert.equal(result1.status, 'queued');
+      assert.equal(result1.component, cmp1);
+      assert.equal(result2.status, 'queued');
+    });
+
+    it('replaces a queued entry when the component test starts', async () => {
+      const cmp = DataHelper.generatePackageName();
+      await model.queue(testId, [cmp]);
+      await model.create(testId, cmp);
+      const result = await getEntry(model, testId, cmp);
+      assert.equal(result.status, 'running');
+    });
+  });
+
   describe('get()', () => {
     const testId = 'test123';
     let model = /** @type TestComponentModel */ (null);
@@ -195,6 +226,29 @@ describe('TestComponentModel', () => {
       const result = await getEntry(model, testId, cmp);
       assert.isFalse(result.hasLogs);
     });
+
+    it('throws when the component test is not running', async () => {
+      await model.updateComponent(testId, cmp, DataHelper.generateTestReport());
+      let error;
+      try {
+        await model.updateComponent(testId, cmp, DataHelper.generateTestReport());
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error, 'throws the error');
+      assert.equal(error.code, 409, 'has the 409 code');
+    });
+
+    it('throws when the component test does not exist', async () => {
+      let error;
+      try {
+        await model.updateComponent(testId, 'other', DataHelper.generateTestReport());
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error, 'throws the error');
+      assert.equal(error.code, 404, 'has the 404 code');
+    });
   });
 
   describe('updateComponentError()', () => {
@@ -235,6 +289,64 @@ describe('TestComponentModel', () => {
       const result = await getEntry(model, testId, cmp);
       assert.equal(result.message, message);
     });
+
+    it('throws when the component test is not running', async () => {
+      await model.updateComponentError(testId, cmp, message);
+      let error;
+      try {
+        await model.updateComponentError(testId, cmp, message);
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error, 'throws the error');
+      assert.equal(error.code, 409, 'has the 409 code');
+    });
+  });
+
+  describe('getLatestResult()', () => {
+    let model = /** @type TestComponentModel */ (null);
+    let cmp;
+    beforeEach(async () => {
+      model = new TestComponentModel();
+      cmp = DataHelper.generatePackageName();
+      await model.create('test-a', cmp);
+      await model.create('test-b', cmp);
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.componentsKind);
+      await DataHelper.deleteEntities(model, model.componentTestResultKind);
+    });
+
+    it('returns null when the component has no results', async () => {
+      const result = await model.getLatestResult(cmp);
+      assert.equal(result, null);
+    });
+
+    it('returns the result of the component test', async () => {
+      const report = DataHelper.generateTestReport();
+      report.error = false;
+      report.failed = 0;
+      await model.updateComponent('test-a', cmp, report);
+      const result = await model.getLatestResult(cmp);
+      assert.equal(result.component, cmp, 'has the component');
+      assert.equal(result.testId, 'test-a', 'has the test id');
+      assert.equal(result.status, 'passed', 'has the status');
+      assert.equal(result.total, report.total, 'has the total');
+      assert.typeOf(result.endTime, 'number', 'has the endTime');
+    });
+
+    it('returns the last reported result', async () => {
+      const report = DataHelper.generateTestReport();
+      report.error = false;
+      report.failed = 0;
+      await model.updateComponent('test-a', cmp, report);
+      await model.updateComponentError('test-b', cmp, 'test error');
+      const result = await model.getLatestResult(cmp);
+      assert.equal(result.testId, 'test-b', 'has the test id');
+      assert.equal(result.status, 'failed', 'has the status');
+      assert.equal(result.message, 'test error', 'has the message');
+    });
   });
 
   describe('list()', () => {
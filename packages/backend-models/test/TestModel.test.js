@@ -141,6 +141,103 @@ describe('TestModel', () => {
     });
   });
 
+  describe('insertBottomUp() with dependencies', () => {
+    let model = /** @type TestModel */ (null);
+    beforeEach(() => {
+      model = new TestModel();
+    });
+
+    before(async () => {
+      const m = new TestModel();
+      // b and c depend on a, d depends on b, e has a as a dev dependency
+      await m.dependencyModel.set({ org: 'o', name: 'b', pkg: '@o/b', dependencies: ['@o/a'] });
+      await m.dependencyModel.set({ org: 'o', name: 'c', pkg: '@o/c', dependencies: ['@o/a'] });
+      await m.dependencyModel.set({ org: 'o', name: 'd', pkg: '@o/d', dependencies: ['@o/b'] });
+      await m.dependencyModel.set({ org: 'o', name: 'e', pkg: '@o/e', devDependencies: ['@o/a'] });
+    });
+
+    after(async () => {
+      await DataHelper.deleteEntities(model, model.testKind);
+      await DataHelper.deleteEntities(model, model.componentsKind);
+      await DataHelper.deleteEntities(model.dependencyModel, model.dependencyModel.dependencyKind);
+    });
+
+    it('adds the transitive dependants as "components"', async () => {
+      const info = DataHelper.generateBottomUpTestEntity();
+      info.includeDev = false;
+      const id = await model.insertBottomUp({ ...info, component: '@o/a' });
+      const result = /** @type BottomUpTestEntity */ (await getEntry(model, id));
+      assert.sameMembers(result.components, ['@o/b', '@o/c', '@o/d']);
+      assert.equal(result.size, 3);
+      assert.equal(result.component, '@o/a');
+    });
+
+    it('honours "includeDev"', async () => {
+      const info = DataHelper.generateBottomUpTestEntity();
+      const id = await model.insertBottomUp({ ...info, component: '@o/a' });
+      const result = /** @type BottomUpTestEntity */ (await getEntry(model, id));
+      assert.include(result.components, '@o/e');
+    });
+
+    it('reads the component from the repository', async () => {
+      const info = DataHelper.generateBottomUpTestEntity();
+      info.repository = 'git@github.com:o/a.git';
+      info.includeDev = false;
+      const id = await model.insertBottomUp(info);
+      const result = /** @type BottomUpTestEntity */ (await getEntry(model, id));
+      assert.equal(result.component, '@o/a');
+      assert.lengthOf(result.components, 3);
+    });
+
+    it('creates queued component tests', async () => {
+      const info = DataHelper.generateBottomUpTestEntity();
+      info.includeDev = false;
+      const id = await model.insertBottomUp({ ...info, component: '@o/a' });
+      const result = await model.testComponentModel.list(id);
+      assert.lengthOf(result.entities, 3);
+      result.entities.forEach((item) => {
+        assert.equal(item.status, 'queued');
+      });
+    });
+
+    it('re-creates queued component tests when resetting the test', async () => {
+      const info = DataHelper.generateBottomUpTestEntity();
+      info.includeDev = false;
+      const id = await model.insertBottomUp({ ...info, component: '@o/a' });
+      await model.testComponentModel.create(id, '@o/b');
+      await model.resetTest(id);
+      const result = await model.testComponentModel.list(id);
+      assert.lengthOf(result.entities, 3);
+      result.entities.forEach((item) => {
+        assert.equal(item.status, 'queued');
+      });
+      const entry = await getEntry(model, id);
+      assert.equal(entry.size, 3);
+    });
+  });
+
+  describe('readRepositoryComponent()', () => {
+    let model = /** @type TestModel */ (null);
+    beforeEach(() => {
+      model = new TestModel();
+    });
+
+    it('reads the component from the ssh url', () => {
+      const result = model.readRepositoryComponent('git@github.com:advanced-rest-client/arc-icons.git');
+      assert.equal(result, '@advanced-rest-client/arc-icons');
+    });
+
+    it('reads the component from the http url', () => {
+      const result = model.readRepositoryComponent('https://github.com/advanced-rest-client/arc-icons');
+      assert.equal(result, '@advanced-rest-client/arc-icons');
+    });
+
+    it('returns undefined for other urls', () => {
+      const result = model.readRepositoryComponent('https://domain.com/arc-icons');
+      assert.isUndefined(result);
+    });
+  });
+
   describe('insertAmf()', () => {
     let model = /** @type TestModel */ (null);
     beforeEach(() => {
@@ -1,6 +1,7 @@
 import Emulator from 'google-datastore-emulator';
 import pkg from 'chai';
 const { assert } = pkg;
+import config from '@advanced-rest-client/backend-config';
 import { TokenModel } from '../index.js';
 import DataHelper from './DataHelper.js';
 
@@ -77,6 +78,41 @@ describe('TokenModel', () => {
       assert.deepEqual(result.scopes, ['all']);
     });
 
+    it('adds "orgs" and "components" properties', async () => {
+      const user = DataHelper.generateUserEntity();
+      const token = DataHelper.generateToken(user, {
+        scopes: ['coverage:write'],
+        expires: 3600,
+      });
+      const tokenInfo = { ...DataHelper.verifyToken(token), orgs: ['my-org'], components: ['my-component'] };
+      const result = await model.create(user, tokenInfo, token);
+      assert.deepEqual(result.orgs, ['my-org'], 'has the orgs');
+      assert.deepEqual(result.components, ['my-component'], 'has the components');
+    });
+
+    it('adds "replaces" property', async () => {
+      const user = DataHelper.generateUserEntity();
+      const token = DataHelper.generateToken(user, {
+        scopes: ['all'],
+        expires: 3600,
+      });
+      const tokenInfo = DataHelper.verifyToken(token);
+      const result = await model.create(user, tokenInfo, token, 'test', 'old-token');
+      assert.equal(result.replaces, 'old-token');
+    });
+
+    it('does not add restrictions when not set', async () => {
+      const user = DataHelper.generateUserEntity();
+      const token = DataHelper.generateToken(user, {
+        scopes: ['all'],
+        expires: 3600,
+      });
+      const tokenInfo = DataHelper.verifyToken(token);
+      const result = await model.create(user, tokenInfo, token);
+      assert.isUndefined(result.orgs, 'has no orgs');
+      assert.isUndefined(result.components, 'has no components');
+    });
+
     it('adds "issuer" property', async () => {
       const user = DataHelper.generateUserEntity();
       const token = DataHelper.generateToken(user, {
@@ -317,4 +353,317 @@ describe('TokenModel', () => {
       assert.equal(result, null);
     });
   });
+
+  /**
+   * @param {TokenModel} model
+   * @param {UserEntity} user
+   * @param {number} size
+   * @return {Promise<TokenEntity[]>}
+   */
+  async function createTokens(model, user, size) {
+    const result = [];
+    for (let i = 0; i < size; i++) {
+      const token = DataHelper.generateToken(user, {
+        scopes: ['all'],
+        expires: 3600,
+      });
+      const tokenInfo = DataHelper.verifyToken(token);
+      result.push(await model.create(user, tokenInfo, token));
+    }
+    return result;
+  }
+
+  describe('revokeAll()', () => {
+    let model = /** @type TokenModel */ (null);
+    let user = /** @type UserEntity */ (null);
+    let other = /** @type UserEntity */ (null);
+    let tokens = /** @type TokenEntity[] */ (null);
+    let otherTokens = /** @type TokenEntity[] */ (null);
+    beforeEach(async () => {
+      model = new TokenModel();
+      user = DataHelper.generateUserEntity();
+      other = DataHelper.generateUserEntity();
+      tokens = await createTokens(model, user, 3);
+      otherTokens = await createTokens(model, other, 1);
+    });
+
+    afterEach(async () => {
+      await DataHelper.deleteEntities(model, model.tokenKind);
+    });
+
+    it('revokes all tokens of the user', async () => {
+      await model.revokeAll(user.id);
+      for (const item of tokens) {
+        const result = await getEntry(model, user.id, item.id);
+        assert.isTrue(result.revoked);
+      }
+    });
+
+    it('does not revoke tokens of other users', async () => {
+      await model.revokeAll(user.id);
+      const result = await getEntry(model, other.id, otherTokens[0].id);
+      assert.isFalse(result.revoked);
+    });
+
+    it('keeps the token values', async () => {
+      await model.revokeAll(user.id);
+      const result = await model.find(tokens[0].token);
+      assert.equal(result.id, tokens[0].id);
+    });
+  });
+
+  describe('deleteAll()', () => {
+    let model = /** @type TokenModel */ (null);
+    let user = /** @type UserEntity */ (null);
+    let other = /** @type UserEntity */ (null);
+    let otherTokens = /** @type TokenEntity[] */ (null);
+    beforeEach(async () => {
+      model = new TokenModel();
+      user = DataHelper.generateUserEntity();
+      other = DataHelper.generateUserEntity();
+      await createTokens(model, user, 3);
+      otherTokens = await createTokens(model, other, 1);
+    });
+
+    afterEach(async () => {
+      await DataHelper.deleteEntities(model, model.tokenKind);
+    });
+
+    it('removes all tokens of the user', async () => {
+      await model.deleteAll(user.id);
+      const result = await model.list(user.id);
+      assert.lengthOf(result.entities, 0);
+    });
+
+    it('does not remove tokens of other users', async () => {
+      await model.deleteAll(user.id);
+      const result = await model.get(other.id, otherTokens[0].id);
+      assert.ok(result);
+    });
+  });
+
+  /**
+   * @param {TokenModel} model
+   * @param {TokenEntity} token
+   * @param {object} properties
+   * @return {Promise<void>}
+   */
+  async function updateToken(model, token, properties) {
+    const key = model.createUserTokenKey(token.issuer.id, token.id);
+    const [entity] = await model.store.get(key);
+    await model.store.upsert({
+      key,
+      data: { ...entity, ...properties },
+      excludeFromIndexes: model.excludedIndexesToken,
+    });
+  }
+
+  describe('recordUsage()', () => {
+    let model = /** @type TokenModel */ (null);
+    let user = /** @type UserEntity */ (null);
+    let token = /** @type TokenEntity */ (null);
+    beforeEach(async () => {
+      model = new TokenModel();
+      user = DataHelper.generateUserEntity();
+      [token] = await createTokens(model, user, 1);
+      config.set('TOKEN_USAGE_WRITE_INTERVAL', 60);
+    });
+
+    afterEach(async () => {
+      await DataHelper.deleteEntities(model, model.tokenKind);
+    });
+
+    it('records the usage', async () => {
+      const written = await model.recordUsage(token, { ip: '127.0.0.1', userAgent: 'test-agent' });
+      assert.isTrue(written, 'returns true');
+      const result = await getEntry(model, user.id, token.id);
+      assert.typeOf(result.lastUsed, 'number', 'has the lastUsed');
+      assert.equal(result.useCount, 1, 'has the useCount');
+      assert.equal(result.lastIp, '127.0.0.1', 'has the lastIp');
+      assert.equal(result.lastUserAgent, 'test-agent', 'has the lastUserAgent');
+    });
+
+    it('does not write the usage within the write interval', async () => {
+      await model.recordUsage(token);
+      const used = await getEntry(model, user.id, token.id);
+      const written = await model.recordUsage(used);
+      assert.isFalse(written, 'returns false');
+      const result = await getEntry(model, user.id, token.id);
+      assert.equal(result.useCount, 1);
+    });
+
+    it('adds throttled uses with the next write', async () => {
+      await model.recordUsage(token);
+      const used = await getEntry(model, user.id, token.id);
+      await model.recordUsage(used);
+      await model.recordUsage(used);
+      config.set('TOKEN_USAGE_WRITE_INTERVAL', 0);
+      await model.recordUsage(used);
+      const result = await getEntry(model, user.id, token.id);
+      assert.equal(result.useCount, 4);
+    });
+  });
+
+  describe('revokeUnused()', () => {
+    const day = 24 * 60 * 60 * 1000;
+    let model = /** @type TokenModel */ (null);
+    let tokens = /** @type TokenEntity[] */ (null);
+    let user = /** @type UserEntity */ (null);
+    beforeEach(async () => {
+      model = new TokenModel();
+      user = DataHelper.generateUserEntity();
+      tokens = await createTokens(model, user, 3);
+    });
+
+    afterEach(async () => {
+      await DataHelper.deleteEntities(model, model.tokenKind);
+    });
+
+    it('revokes tokens not used for the number of days', async () => {
+      await updateToken(model, tokens[0], { created: Date.now() - 40 * day, lastUsed: Date.now() - 31 * day });
+      const count = await model.revokeUnused(30);
+      assert.equal(count, 1, 'returns the number of revoked tokens');
+      const result = await getEntry(model, user.id, tokens[0].id);
+      assert.isTrue(result.revoked);
+    });
+
+    it('revokes old tokens that were never used', async () => {
+      await updateToken(model, tokens[0], { created: Date.now() - 31 * day });
+      await model.revokeUnused(30);
+      const result = await getEntry(model, user.id, tokens[0].id);
+      assert.isTrue(result.revoked);
+    });
+
+    it('keeps recently used tokens', async () => {
+      await updateToken(model, tokens[0], { created: Date.now() - 40 * day, lastUsed: Date.now() - day });
+      await model.revokeUnused(30);
+      const result = await getEntry(model, user.id, tokens[0].id);
+      assert.isFalse(result.revoked);
+    });
+
+    it('keeps new tokens', async () => {
+      const count = await model.revokeUnused(30);
+      assert.equal(count, 0);
+    });
+
+    it('revokes tokens with recorded usage', async () => {
+      config.set('TOKEN_USAGE_WRITE_INTERVAL', 0);
+      await model.recordUsage(tokens[0]);
+      const used = await getEntry(model, user.id, tokens[0].id);
+      await model.recordUsage(used);
+      await updateToken(model, tokens[0], { created: Date.now() - 40 * day, lastUsed: Date.now() - 31 * day });
+      const count = await model.revokeUnused(30);
+      assert.equal(count, 1, 'returns the number of revoked tokens');
+      const result = await getEntry(model, user.id, tokens[0].id);
+      assert.isTrue(result.revoked);
+    });
+
+    it('does not count revoked tokens', async () => {
+      await updateToken(model, tokens[0], { created: Date.now() - 40 * day });
+      await model.revoke(user.id, tokens[0].id);
+      const count = await model.revokeUnused(30);
+      assert.equal(count, 0);
+    });
+
+    it('revokes tokens of all pages', async () => {
+      model.revokePageSize = 2;
+      for (const token of tokens) {
+        await updateToken(model, token, { created: Date.now() - 40 * day });
+      }
+      const count = await model.revokeUnused(30);
+      assert.equal(count, 3, 'returns the number of revoked tokens');
+      for (const token of tokens) {
+        const result = await getEntry(model, user.id, token.id);
+        assert.isTrue(result.revoked, `token ${token.id} is revoked`);
+      }
+    });
+
+    it('skips revoked tokens when reading the pages', async () => {
+      model.revokePageSize = 2;
+      for (const token of tokens) {
+        await updateToken(model, token, { created: Date.now() - 40 * day });
+      }
+      await model.revoke(user.id, tokens[0].id);
+      await model.revoke(user.id, tokens[1].id);
+      const count = await model.revokeUnused(30);
+      assert.equal(count, 1, 'returns the number of revoked tokens');
+      const result = await getEntry(model, user.id, tokens[2].id);
+      assert.isTrue(result.revoked);
+    });
+  });
+
+  describe('scheduleRevoke()', () => {
+    let model = /** @type TokenModel */ (null);
+    let user = /** @type UserEntity */ (null);
+    let token = /** @type TokenEntity */ (null);
+    beforeEach(async () => {
+      model = new TokenModel();
+      user = DataHelper.generateUserEntity();
+      [token] = await createTokens(model, user, 1);
+    });
+
+    afterEach(async () => {
+      await DataHelper.deleteEntities(model, model.tokenKind);
+    });
+
+    it('sets the revokeAt and replacedBy properties', async () => {
+      const time = Date.now() + 60000;
+      const result = await model.scheduleRevoke(user.id, token.id, time, 'other-token');
+      assert.equal(result.revokeAt, time, 'has the revokeAt');
+      assert.equal(result.replacedBy, 'other-token', 'has the replacedBy');
+      assert.isFalse(result.revoked, 'is not revoked');
+    });
+
+    it('revokes the token when the time has passed', async () => {
+      const result = await model.scheduleRevoke(user.id, token.id, Date.now());
+      assert.isTrue(result.revoked);
+    });
+
+    it('returns null when the token does not exist', async () => {
+      const result = await model.scheduleRevoke(user.id, 'unknown', Date.now());
+      assert.equal(result, null);
+    });
+
+    it('throws when the token has already been replaced', async () => {
+      const time = Date.now() + 60000;
+      await model.scheduleRevoke(user.id, token.id, time, 'other-token');
+      let error;
+      try {
+        await model.scheduleRevoke(user.id, token.id, time, 'another-token');
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.message, 'Token has already been rotated');
+      assert.equal(error.code, 400);
+      const result = await model.get(user.id, token.id);
+      assert.equal(result.replacedBy, 'other-token', 'keeps the replacedBy');
+    });
+  });
+
+  describe('isRevoked()', () => {
+    let model = /** @type TokenModel */ (null);
+    beforeEach(() => {
+      model = new TokenModel();
+    });
+
+    it('returns true for a revoked token', () => {
+      const token = /** @type TokenEntity */ ({ revoked: true });
+      assert.isTrue(model.isRevoked(token));
+    });
+
+    it('returns true when the scheduled revocation time has passed', () => {
+      const token = /** @type TokenEntity */ ({ revoked: false, revokeAt: Date.now() - 1000 });
+      assert.isTrue(model.isRevoked(token));
+    });
+
+    it('returns false before the scheduled revocation time', () => {
+      const token = /** @type TokenEntity */ ({ revoked: false, revokeAt: Date.now() + 60000 });
+      assert.isFalse(model.isRevoked(token));
+    });
+
+    it('returns false for an active token', () => {
+      const token = /** @type TokenEntity */ ({ revoked: false });
+      assert.isFalse(model.isRevoked(token));
+    });
+  });
 });
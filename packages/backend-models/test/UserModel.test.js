@@ -2,7 +2,10 @@ import Emulator from 'google-datastore-emulator';
 import pkg from 'chai';
 const { assert } = pkg;
 import Chance from 'chance';
+import config from '@advanced-rest-client/backend-config';
 import { UserModel } from '../src/UserModel.js';
+import { RegistryModel } from '../src/RegistryModel.js';
+import DataHelper from './DataHelper.js';
 
 /** @typedef {import('../src/UserModel').UserEntity} UserEntity */
 /** @typedef {import('../src/types/PassportProfile').PassportProfile} PassportProfile */
@@ -49,7 +52,7 @@ describe('UserModel', () => {
       provider: 'google',
       id: chance.word(),
       displayName: chance.name(),
-      emails: [{ value: chance.email() }],
+      emails: [{ value: chance.email(), verified: true }],
       photos: [{ value: chance.url() }],
     };
   }
@@ -85,16 +88,46 @@ describe('UserModel', () => {
 
     it('is org user for mulesoft domain', async () => {
       const profile = generateEntity();
-      profile.emails = [{ value: 'me@mulesoft.com' }];
+      profile.emails = [{ value: 'me@mulesoft.com', verified: true }];
       const id = await model.createUser(profile);
       const result = await model.get(id);
       assert.isTrue(result.orgUser);
     });
 
+    it('is not org user when the email is not marked as verified', async () => {
+      const profile = generateEntity();
+      profile.emails = [{ value: 'me@mulesoft.com' }];
+      const id = await model.createUser(profile);
+      const result = await model.get(id);
+      assert.isFalse(result.orgUser);
+    });
+
     it('is org user for salesforce domain', async () => {
       const profile = generateEntity();
-      profile.emails = [{ value: 'me@salesforce.com' }];
+      profile.emails = [{ value: 'me@salesforce.com', verified: true }];
+      const id = await model.createUser(profile);
+      const result = await model.get(id);
+      assert.isTrue(result.orgUser);
+    });
+
+    it('is org user for an email domain in the registry', async () => {
+      const registry = new RegistryModel();
+      await registry.insert({ type: 'domain', value: 'trusted.com' });
+      const profile = generateEntity();
+      profile.emails = [{ value: 'me@trusted.com', verified: true }];
+      const id = await model.createUser(profile);
+      await registry.delete('domain:trusted.com');
+      const result = await model.get(id);
+      assert.isTrue(result.orgUser);
+    });
+
+    it('is org user for an email address in the registry', async () => {
+      const registry = new RegistryModel();
+      await registry.insert({ type: 'email', value: 'someone@gmail.com' });
+      const profile = generateEntity();
+      profile.emails = [{ value: 'someone@gmail.com', verified: true }];
       const id = await model.createUser(profile);
+      await registry.delete('email:someone@gmail.com');
       const result = await model.get(id);
       assert.isTrue(result.orgUser);
     });
@@ -115,6 +148,12 @@ describe('UserModel', () => {
       assert.isUndefined(result.email);
     });
 
+    it('is not a super user by default', async () => {
+      const id = await model.createUser(generateEntity());
+      const result = await model.get(id);
+      assert.isUndefined(result.superUser);
+    });
+
     it('stores refresh token', async () => {
       const profile = generateEntity();
       const id = await model.createUser(profile, 'test-token');
@@ -150,4 +189,381 @@ describe('UserModel', () => {
       assert.typeOf(result, 'object');
     });
   });
+
+  describe('list()', () => {
+    let model = new UserModel();
+    before(async () => {
+      await populateEntities(5);
+      model = new UserModel();
+    });
+
+    after(() => emptyEntities());
+
+    it('lists users', async () => {
+      const result = await model.list();
+      assert.lengthOf(result.entities, 5);
+    });
+
+    it('respects the limit', async () => {
+      const result = await model.list({ limit: 2 });
+      assert.lengthOf(result.entities, 2, 'has 2 entities');
+      assert.typeOf(result.pageToken, 'string', 'has the page token');
+    });
+
+    it('lists the next page', async () => {
+      const result1 = await model.list({ limit: 2 });
+      const result2 = await model.list({ pageToken: result1.pageToken });
+      assert.lengthOf(result2.entities, 3);
+    });
+  });
+
+  describe('update()', () => {
+    let model = new UserModel();
+    let id;
+    beforeEach(async () => {
+      model = new UserModel();
+      id = await model.createUser(generateEntity());
+    });
+
+    afterEach(async () => {
+      await emptyEntities();
+      await DataHelper.deleteEntities(model, model.tokenKind);
+    });
+
+    it('sets the superUser role', async () => {
+      const result = await model.update(id, { superUser: true });
+      assert.isTrue(result.superUser);
+    });
+
+    it('sets the orgUser role', async () => {
+      const result = await model.update(id, { orgUser: true });
+      assert.isTrue(result.orgUser);
+    });
+
+    it('records the roles set by an administrator', async () => {
+      const result = await model.update(id, { orgUser: true, superUser: false });
+      assert.isTrue(result.orgUserGrant, 'has the orgUserGrant');
+      assert.isFalse(result.superUserGrant, 'has the superUserGrant');
+    });
+
+    it('keeps other properties', async () => {
+      const user = await model.get(id);
+      const result = await model.update(id, { superUser: true });
+      assert.equal(result.displayName, user.displayName, 'has the displayName');
+      assert.equal(result.email, user.email, 'has the email');
+      assert.isFalse(result.orgUser, 'has the orgUser');
+    });
+
+    it('returns null when the user does not exist', async () => {
+      const result = await model.update('unknown', { superUser: true });
+      assert.equal(result, null);
+    });
+
+    it('revokes user tokens when disabling the user', async () => {
+      const user = await model.get(id);
+      const token = DataHelper.generateToken(user, { scopes: ['all'], expires: 3600 });
+      const created = await model.tokenModel.create(user, DataHelper.verifyToken(token), token);
+      const result = await model.update(id, { disabled: true });
+      assert.isTrue(result.disabled, 'the user is disabled');
+      const stored = await model.tokenModel.get(id, created.id);
+      assert.isTrue(stored.revoked, 'the token is revoked');
+    });
+  });
+
+  describe('delete()', () => {
+    let model = new UserModel();
+    let id;
+    beforeEach(async () => {
+      model = new UserModel();
+      id = await model.createUser(generateEntity());
+    });
+
+    afterEach(async () => {
+      await emptyEntities();
+      await DataHelper.deleteEntities(model, model.tokenKind);
+    });
+
+    it('removes the user', async () => {
+      await model.delete(id);
+      const result = await model.get(id);
+      assert.equal(result, null);
+    });
+
+    it('removes user tokens', async () => {
+      const user = await model.get(id);
+      const token = DataHelper.generateToken(user, { scopes: ['all'], expires: 3600 });
+      const created = await model.tokenModel.create(user, DataHelper.verifyToken(token), token);
+      await model.delete(id);
+      const result = await model.tokenModel.get(id, created.id);
+      assert.equal(result, null);
+    });
+  });
+
+  describe('acceptTos()', () => {
+    let model = new UserModel();
+    let id;
+    beforeEach(async () => {
+      model = new UserModel();
+      id = await model.createUser(generateEntity());
+    });
+
+    afterEach(() => emptyEntities());
+
+    it('sets the tos properties', async () => {
+      const result = await model.acceptTos(id, '1.0');
+      assert.isTrue(result.tos, 'has the tos');
+      assert.equal(result.tosVersion, '1.0', 'has the tosVersion');
+      assert.typeOf(result.tosAccepted, 'number', 'has the tosAccepted');
+    });
+
+    it('keeps other properties', async () => {
+      const user = await model.get(id);
+      const result = await model.acceptTos(id, '1.0');
+      assert.equal(result.displayName, user.displayName);
+    });
+
+    it('returns null when the user does not exist', async () => {
+      const result = await model.acceptTos('unknown', '1.0');
+      assert.equal(result, null);
+    });
+  });
+
+  describe('hasAcceptedTos()', () => {
+    let model = new UserModel();
+    beforeEach(() => {
+      model = new UserModel();
+    });
+
+    afterEach(() => {
+      config.set('TOS_VERSION', '');
+    });
+
+    it('returns false when the terms were not accepted', () => {
+      const user = /** @type UserEntity */ ({ id: 'a', displayName: 'b', orgUser: true, tos: false });
+      assert.isFalse(model.hasAcceptedTos(user));
+    });
+
+    it('returns true when accepted and the version is not configured', () => {
+      const user = /** @type UserEntity */ ({ id: 'a', displayName: 'b', orgUser: true, tos: true });
+      assert.isTrue(model.hasAcceptedTos(user));
+    });
+
+    it('returns true when accepted the current version', () => {
+      config.set('TOS_VERSION', '2');
+      const user = /** @type UserEntity */ ({ id: 'a', displayName: 'b', orgUser: true, tos: true, tosVersion: '2' });
+      assert.isTrue(model.hasAcceptedTos(user));
+    });
+
+    it('returns false when accepted a previous version', () => {
+      config.set('TOS_VERSION', '2');
+      const user = /** @type UserEntity */ ({ id: 'a', displayName: 'b', orgUser: true, tos: true, tosVersion: '1' });
+      assert.isFalse(model.hasAcceptedTos(user));
+    });
+  });
+
+  describe('refreshProfile()', () => {
+    let model = new UserModel();
+    let profile = /** @type PassportProfile */ (null);
+    beforeEach(async () => {
+      model = new UserModel();
+      profile = generateEntity();
+      profile.emails = [{ value: 'me@mulesoft.com', verified: true }];
+      await model.createUser(profile, 'token-1');
+    });
+
+    afterEach(async () => {
+      await emptyEntities();
+      await DataHelper.deleteEntities(model, model.tokenKind);
+    });
+
+    it('returns null when the user does not exist', async () => {
+      const result = await model.refreshProfile(generateEntity());
+      assert.equal(result, null);
+    });
+
+    it('updates the display name and the image', async () => {
+      profile.displayName = 'updated name';
+      profile.photos = [{ value: 'https://domain.com/image.png' }];
+      const result = await model.refreshProfile(profile);
+      assert.equal(result.displayName, 'updated name', 'has the displayName');
+      assert.equal(result.imageUrl, 'https://domain.com/image.png', 'has the imageUrl');
+    });
+
+    it('updates the email', async () => {
+      profile.emails = [{ value: 'other@salesforce.com', verified: true }];
+      const result = await model.refreshProfile(profile);
+      assert.equal(result.email, 'other@salesforce.com');
+    });
+
+    it('sets the lastLogin', async () => {
+      const user = await model.get(profile.id);
+      const result = await model.refreshProfile(profile);
+      assert.typeOf(result.lastLogin, 'number', 'has the lastLogin');
+      assert.isAtLeast(result.lastLogin, user.lastLogin, 'lastLogin is updated');
+    });
+
+    it('keeps the refresh token when not set', async () => {
+      const result = await model.refreshProfile(profile);
+      assert.equal(result.refreshToken, 'token-1');
+    });
+
+    it('updates the refresh token', async () => {
+      const result = await model.refreshProfile(profile, 'token-2');
+      assert.equal(result.refreshToken, 'token-2');
+    });
+
+    it('keeps other properties', async () => {
+      await model.acceptTos(profile.id, '1');
+      const result = await model.refreshProfile(profile);
+      assert.isTrue(result.tos);
+    });
+
+    it('grants the orgUser role', async () => {
+      const other = generateEntity();
+      const id = await model.createUser(other);
+      other.emails = [{ value: 'me@mulesoft.com', verified: true }];
+      const result = await model.refreshProfile(other);
+      assert.equal(result.id, id, 'is the same user');
+      assert.isTrue(result.orgUser, 'is org user');
+    });
+
+    it('revokes the orgUser role when the user lost the organization email', async () => {
+      profile.emails = [{ value: 'me@gmail.com', verified: true }];
+      const result = await model.refreshProfile(profile);
+      assert.isFalse(result.orgUser);
+    });
+
+    it('revokes user tokens when the user lost the orgUser role', async () => {
+      const user = await model.get(profile.id);
+      const token = DataHelper.generateToken(user, { scopes: ['all'], expires: 3600 });
+      const created = await model.tokenModel.create(user, DataHelper.verifyToken(token), token);
+      profile.emails = [{ value: 'me@gmail.com', verified: true }];
+      await model.refreshProfile(profile);
+      const stored = await model.tokenModel.get(profile.id, created.id);
+      assert.isTrue(stored.revoked);
+    });
+
+    it('keeps user tokens when the user keeps the orgUser role', async () => {
+      const user = await model.get(profile.id);
+      const token = DataHelper.generateToken(user, { scopes: ['all'], expires: 3600 });
+      const created = await model.tokenModel.create(user, DataHelper.verifyToken(token), token);
+      await model.refreshProfile(profile);
+      const stored = await model.tokenModel.get(profile.id, created.id);
+      assert.isFalse(stored.revoked);
+    });
+
+    it('keeps the orgUser role granted by an administrator', async () => {
+      const other = generateEntity();
+      other.emails = [{ value: 'me@gmail.com', verified: true }];
+      const id = await model.createUser(other);
+      const user = await model.update(id, { orgUser: true });
+      const token = DataHelper.generateToken(user, { scopes: ['all'], expires: 3600 });
+      const created = await model.tokenModel.create(user, DataHelper.verifyToken(token), token);
+      const result = await model.refreshProfile(other);
+      assert.isTrue(result.orgUser, 'is org user');
+      const stored = await model.tokenModel.get(id, created.id);
+      assert.isFalse(stored.revoked, 'the token is not revoked');
+    });
+
+    it('keeps the orgUser role revoked by an administrator', async () => {
+      await model.update(profile.id, { orgUser: false });
+      const result = await model.refreshProfile(profile);
+      assert.isFalse(result.orgUser);
+    });
+
+    describe('ADMIN_EMAILS', () => {
+      let adminEmails;
+      beforeEach(() => {
+        adminEmails = config.get('ADMIN_EMAILS');
+        config.set('ADMIN_EMAILS', 'me@mulesoft.com');
+      });
+
+      afterEach(() => {
+        config.set('ADMIN_EMAILS', adminEmails);
+      });
+
+      it('grants the superUser role to an administrator email', async () => {
+        const result = await model.refreshProfile(profile);
+        assert.isTrue(result.superUser);
+      });
+
+      it('does not grant the superUser role to a user demoted by an administrator', async () => {
+        await model.update(profile.id, { superUser: false });
+        const result = await model.refreshProfile(profile);
+        assert.isFalse(result.superUser);
+      });
+    });
+  });
+
+  describe('loginUser()', () => {
+    let model = new UserModel();
+    beforeEach(() => {
+      model = new UserModel();
+    });
+
+    afterEach(() => emptyEntities());
+
+    it('creates a new user', async () => {
+      const profile = generateEntity();
+      const result = await model.loginUser(profile);
+      assert.equal(result.id, profile.id, 'has the id');
+      assert.typeOf(result.lastLogin, 'number', 'has the lastLogin');
+    });
+
+    it('updates an existing user', async () => {
+      const profile = generateEntity();
+      await model.createUser(profile);
+      profile.displayName = 'updated name';
+      const result = await model.loginUser(profile);
+      assert.equal(result.displayName, 'updated name');
+    });
+
+    it('creates a user with a prefixed id for other providers', async () => {
+      const profile = generateEntity();
+      profile.provider = 'github';
+      const result = await model.loginUser(profile);
+      assert.equal(result.id, `github:${profile.id}`, 'has the id');
+      assert.deepEqual(result.identities, [`github:${profile.id}`], 'has the identities');
+    });
+
+    it('links a new identity by a verified email', async () => {
+      const google = generateEntity();
+      google.emails = [{ value: 'me@mulesoft.com', verified: true }];
+      await model.loginUser(google);
+      const github = generateEntity();
+      github.provider = 'github';
+      github.emails = [{ value: 'Me@MuleSoft.com', verified: true }];
+      const result = await model.loginUser(github);
+      assert.equal(result.id, google.id, 'is the existing user');
+      assert.deepEqual(result.identities, [google.id, `github:${github.id}`], 'has both identities');
+      const linked = await model.loginUser(github);
+      assert.equal(linked.id, google.id, 'finds the user by the linked identity');
+    });
+
+    it('does not link an identity by an unverified email', async () => {
+      const google = generateEntity();
+      google.emails = [{ value: 'me@mulesoft.com', verified: true }];
+      await model.loginUser(google);
+      const github = generateEntity();
+      github.provider = 'github';
+      github.emails = [{ value: 'me@mulesoft.com', verified: false }];
+      const result = await model.loginUser(github);
+      assert.equal(result.id, `github:${github.id}`, 'is a new user');
+      assert.isFalse(result.orgUser, 'is not org user');
+    });
+
+    it('keeps the orgUser role when logging in with other provider', async () => {
+      const google = generateEntity();
+      google.emails = [{ value: 'me@mulesoft.com', verified: true }];
+      await model.loginUser(google);
+      const github = generateEntity();
+      github.provider = 'github';
+      github.emails = [{ value: 'me@mulesoft.com', verified: true }, { value: 'me@gmail.com', verified: true }];
+      await model.loginUser(github);
+      github.emails = [{ value: 'me@gmail.com', verified: true }];
+      const result = await model.loginUser(github);
+      assert.equal(result.id, google.id, 'is the existing user');
+      assert.isTrue(result.orgUser, 'is org user');
+    });
+  });
 });